@@ -1,5 +1,12 @@
 export const ADD_RELEASES_URL = "https://addreleases-z5oaluwqtq-uc.a.run.app/";
 export const DELETE_RELEASE_URL = "https://deleterelease-z5oaluwqtq-uc.a.run.app/";
+export const RESTORE_RELEASE_URL = "https://restorerelease-z5oaluwqtq-uc.a.run.app/";
+export const PURGE_RELEASE_URL = "https://purgerelease-z5oaluwqtq-uc.a.run.app/";
 export const REFRESH_RELEASE_URL = "https://refreshrelease-z5oaluwqtq-uc.a.run.app/";
 export const MODIFY_RELEASE_URL = "https://modifyrelease-z5oaluwqtq-uc.a.run.app/";
 export const GET_RELEASES_URL = "https://getreleases-z5oaluwqtq-uc.a.run.app/";
+export const GET_TEAM_MEMBERS_URL = "https://getteammembers-z5oaluwqtq-uc.a.run.app/";
+export const REPLAY_WEBHOOK_DELIVERY_URL = "https://replaywebhookdelivery-z5oaluwqtq-uc.a.run.app/";
+export const VALIDATE_RELEASES_URL = "https://validatereleases-z5oaluwqtq-uc.a.run.app/";
+export const PREFLIGHT_RELEASE_URL = "https://preflightrelease-z5oaluwqtq-uc.a.run.app/";
+export const PROPOSE_RELEASES_URL = "https://proposereleases-z5oaluwqtq-uc.a.run.app/";
@@ -3,9 +3,16 @@ import {auth} from "../firebase";
 import {
   ADD_RELEASES_URL,
   DELETE_RELEASE_URL,
+  RESTORE_RELEASE_URL,
+  PURGE_RELEASE_URL,
   MODIFY_RELEASE_URL,
   REFRESH_RELEASE_URL,
   GET_RELEASES_URL,
+  GET_TEAM_MEMBERS_URL,
+  REPLAY_WEBHOOK_DELIVERY_URL,
+  VALIDATE_RELEASES_URL,
+  PROPOSE_RELEASES_URL,
+  PREFLIGHT_RELEASE_URL,
 } from "./constants";
 import {format} from "date-fns";
 
@@ -14,12 +21,16 @@ const API_DATE_FORMAT = "yyyy-MM-dd";
 /**
  * Add new releases
  *
- * This request is only authorized for administrators.
+ * This request is only authorized for administrators. Retrying the request
+ * with the same idempotency key returns the releases that were added by the
+ * first request, instead of adding them again.
  *
  * @param {string} releases - The releases to add to Firestore.
- * @return {Promise<Object>} - Response object.
+ * @param {string} idempotencyKey - The idempotency key of the request.
+ * @return {Promise<Object>} - Response object, with the added `releases` and
+ * the outcome of their first sync.
  */
-async function addReleases(releases) {
+async function addReleases(releases, idempotencyKey) {
   const token = await auth.currentUser.getIdToken();
   const response = await axios.post(
       ADD_RELEASES_URL, // TODO: Update URL
@@ -30,6 +41,7 @@ async function addReleases(releases) {
         headers: {
           "Content-Type": "application/json",
           "Authorization": `Bearer ${token}`,
+          "Idempotency-Key": idempotencyKey,
         },
       },
   );
@@ -38,7 +50,62 @@ async function addReleases(releases) {
 };
 
 /**
- * Delete a release and all its associated data in Firestore.
+ * Validate new releases without adding them.
+ *
+ * This request is only authorized for administrators.
+ *
+ * @param {Array<Object>} releases - The releases to validate.
+ * @return {Promise<Object>} - Response object, with the validation `errors`
+ * and the `releaseIndex` of the release that each error is about.
+ */
+async function validateReleases(releases) {
+  const token = await auth.currentUser.getIdToken();
+  const response = await axios.post(VALIDATE_RELEASES_URL,
+      {
+        releases: releases,
+      },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "Authorization": `Bearer ${token}`,
+        },
+      });
+
+  return response;
+};
+
+/**
+ * Propose the upcoming releases that follow the latest release according to
+ * a release cadence, without adding them.
+ *
+ * This request is only authorized for administrators.
+ *
+ * @param {Object} cadence - The release cadence, with the `count` of releases
+ * to propose, the `intervalWeeks` between releases, the
+ * `codeFreezeOffsetDays` before each release, the `branchNameTemplate`, and
+ * the `blackoutDates` to avoid.
+ * @return {Promise<Object>} - Response object, with the `latestRelease` and
+ * the proposed `releases`.
+ */
+async function proposeReleases(cadence) {
+  const token = await auth.currentUser.getIdToken();
+  const response = await axios.post(PROPOSE_RELEASES_URL,
+      {
+        cadence: cadence,
+      },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "Authorization": `Bearer ${token}`,
+        },
+      });
+
+  return response;
+};
+
+/**
+ * Delete a release by moving it to the trash, where it can be restored until
+ * it is purged.
  *
  * This request is only authorized for administrators.
  *
@@ -61,6 +128,88 @@ async function deleteRelease(releaseId) {
   return response;
 };
 
+/**
+ * Restore a release from the trash.
+ *
+ * This request is only authorized for administrators.
+ *
+ * @param {string} releaseId - The ID of the release to restore.
+ * @return {Promise<Object>} - Response object.
+ */
+async function restoreRelease(releaseId) {
+  const token = await auth.currentUser.getIdToken();
+  const response = await axios.post(RESTORE_RELEASE_URL,
+      {
+        releaseId: releaseId,
+      },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "Authorization": `Bearer ${token}`,
+        },
+      });
+
+  return response;
+};
+
+/**
+ * Permanently delete a release in the trash and all its associated data in
+ * Firestore.
+ *
+ * This request is only authorized for administrators.
+ *
+ * @param {string} releaseId - The ID of the release to purge.
+ * @return {Promise<Object>} - Response object.
+ */
+async function purgeRelease(releaseId) {
+  const token = await auth.currentUser.getIdToken();
+  const response = await axios.post(PURGE_RELEASE_URL,
+      {
+        releaseId: releaseId,
+      },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "Authorization": `Bearer ${token}`,
+        },
+      });
+
+  return response;
+};
+
+/**
+ * Check the release branch of a release without writing anything, to
+ * preview the libraries and changes that a sync would find.
+ *
+ * This request is only authorized for release operators and administrators.
+ *
+ * @param {string} releaseBranchName - The name of the release branch.
+ * @param {string} repoOwner - The owner of the repository of the release.
+ * @param {string} repoName - The name of the repository of the release.
+ * @return {Promise<Object>} - Response object, with the state of the
+ * `branch`, `releaseConfig` and `releaseReport`, the `libraries` in the
+ * release and the `changeCount`.
+ */
+async function preflightRelease(releaseBranchName, repoOwner, repoName) {
+  const token = await auth.currentUser.getIdToken();
+  const response = await axios.post(PREFLIGHT_RELEASE_URL,
+      {
+        release: {
+          releaseBranchName: releaseBranchName,
+          repoOwner: repoOwner,
+          repoName: repoName,
+        },
+      },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "Authorization": `Bearer ${token}`,
+        },
+      });
+
+  return response;
+};
+
 /**
  * Refresh a release and all its associated data in Firestore.
  *
@@ -93,6 +242,8 @@ async function refreshRelease(releaseId) {
  * @param {string} releaseName - The new name of the release.
  * @param {string} releaseBranchName - The new name of the release branch.
  * @param {string} releaseOperator - The new operator of the release.
+ * @param {string} repoOwner - The new owner of the release repository.
+ * @param {string} repoName - The new name of the release repository.
  * @param {Date} codeFreezeDate - The new code freeze date of the release.
  * @param {Date} releaseDate - The new release date of the release.
  * @param {boolean} isReleased - Whether the release is released.
@@ -103,6 +254,8 @@ async function modifyRelease(
     releaseName,
     releaseBranchName,
     releaseOperator,
+    repoOwner,
+    repoName,
     codeFreezeDate,
     releaseDate,
     isReleased,
@@ -114,6 +267,8 @@ async function modifyRelease(
       releaseName: releaseName,
       releaseBranchName: releaseBranchName,
       releaseOperator: releaseOperator,
+      repoOwner: repoOwner,
+      repoName: repoName,
       codeFreezeDate: format(codeFreezeDate, API_DATE_FORMAT),
       releaseDate: format(releaseDate, API_DATE_FORMAT),
       isReleased: isReleased,
@@ -141,4 +296,59 @@ async function getReleases() {
   return response;
 };
 
-export {addReleases, deleteRelease, refreshRelease, modifyRelease, getReleases};
+/**
+ * Get the team members that releases can be assigned to.
+ *
+ * This request is only authorized for release operators and administrators.
+ *
+ * @return {Promise<Object>} - Response object.
+ */
+async function getTeamMembers() {
+  const token = await auth.currentUser.getIdToken();
+  const response = await axios.get(GET_TEAM_MEMBERS_URL, {
+    headers: {
+      "Authorization": `Bearer ${token}`,
+    },
+  });
+
+  return response;
+};
+
+/**
+ * Replay a recorded GitHub webhook delivery, by handling its stored payload
+ * again.
+ *
+ * This request is only authorized for release operators and administrators.
+ *
+ * @param {string} deliveryId - The ID of the delivery to replay.
+ * @return {Promise<Object>} - Response object.
+ */
+async function replayWebhookDelivery(deliveryId) {
+  const token = await auth.currentUser.getIdToken();
+  const response = await axios.post(REPLAY_WEBHOOK_DELIVERY_URL, {
+    deliveryId: deliveryId,
+  },
+  {
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${token}`,
+    },
+  });
+
+  return response;
+};
+
+export {
+  addReleases,
+  validateReleases,
+  proposeReleases,
+  preflightRelease,
+  deleteRelease,
+  restoreRelease,
+  purgeRelease,
+  refreshRelease,
+  modifyRelease,
+  getReleases,
+  getTeamMembers,
+  replayWebhookDelivery,
+};
@@ -9,17 +9,27 @@ import {
   TextField,
   Typography,
 } from "@material-ui/core";
+import {Alert} from "@material-ui/lab";
 import PropTypes from "prop-types";
 import React from "react";
-
+import {getFieldErrors} from "../../../utils/releaseValidation";
+import OperatorSelect from "../OperatorSelect";
+import ReleasePreflight from "../ReleasePreflight";
 
 /**
  * Dialog for adding new releases.
  *
+ * Validation errors are shown under the fields that caused them, and errors
+ * that aren't about a single field are shown above the form. The release
+ * branch is checked as it is entered, to preview what a sync would find.
+ *
  * @param {bool} open - Whether the dialog is open.
  * @param {bool} loading - Whether the form is submitting.
  * @param {bool} formValid - Whether the form is valid.
  * @param {Object} formData - The data in the form.
+ * @param {Array} errors - The validation errors, each with its `code` and the
+ * `field` it is about.
+ * @param {Array} teamMembers - The team members that can operate the release.
  * @param {function} handleClose - Function to handle a click on the cancel
  * button.
  * @param {function} handleChange - Function to handle a change in the form.
@@ -33,11 +43,15 @@ function AddReleaseDialog(
       loading,
       formValid,
       formData,
+      errors,
+      teamMembers,
       handleClose,
       handleChange,
       handleSubmit,
     },
 ) {
+  const fieldErrors = getFieldErrors(errors);
+
   return (
     <Dialog open={open} onClose={handleClose}>
       <DialogTitle>
@@ -51,6 +65,11 @@ function AddReleaseDialog(
             Please enter the release metadata.
           </Typography>
         </DialogContentText>
+        {fieldErrors.formErrors.map((message, index) => (
+          <Alert key={index} severity="error">
+            {message}
+          </Alert>
+        ))}
         <TextField
           margin="dense"
           variant="outlined"
@@ -58,6 +77,8 @@ function AddReleaseDialog(
           label="Release Name"
           value={formData.releaseName}
           onChange={handleChange}
+          error={Boolean(fieldErrors.releaseName)}
+          helperText={fieldErrors.releaseName}
           fullWidth
         />
         <TextField
@@ -67,8 +88,43 @@ function AddReleaseDialog(
           label="Release Branch Name"
           value={formData.releaseBranchName}
           onChange={handleChange}
+          error={Boolean(fieldErrors.releaseBranchName)}
+          helperText={fieldErrors.releaseBranchName}
           fullWidth
         />
+        <OperatorSelect
+          value={formData.releaseOperator}
+          teamMembers={teamMembers}
+          handleChange={handleChange}
+          helperText={fieldErrors.releaseOperator}
+        />
+        <TextField
+          margin="dense"
+          variant="outlined"
+          name="repoOwner"
+          label="Repository Owner"
+          value={formData.repoOwner}
+          onChange={handleChange}
+          error={Boolean(fieldErrors.repoOwner)}
+          helperText={fieldErrors.repoOwner}
+          fullWidth
+        />
+        <TextField
+          margin="dense"
+          variant="outlined"
+          name="repoName"
+          label="Repository Name"
+          value={formData.repoName}
+          onChange={handleChange}
+          error={Boolean(fieldErrors.repoName)}
+          helperText={fieldErrors.repoName}
+          fullWidth
+        />
+        <ReleasePreflight
+          releaseBranchName={formData.releaseBranchName}
+          repoOwner={formData.repoOwner}
+          repoName={formData.repoName}
+        />
         <TextField
           margin="dense"
           variant="outlined"
@@ -78,6 +134,8 @@ function AddReleaseDialog(
           value={formData.codeFreezeDate}
           onChange={handleChange}
           InputLabelProps={{shrink: true}}
+          error={Boolean(fieldErrors.codeFreezeDate)}
+          helperText={fieldErrors.codeFreezeDate}
           fullWidth
         />
         <TextField
@@ -89,6 +147,8 @@ function AddReleaseDialog(
           value={formData.releaseDate}
           onChange={handleChange}
           InputLabelProps={{shrink: true}}
+          error={Boolean(fieldErrors.releaseDate)}
+          helperText={fieldErrors.releaseDate}
           fullWidth
         />
       </DialogContent>
@@ -115,9 +175,18 @@ AddReleaseDialog.propTypes = {
   formData: PropTypes.shape({
     releaseName: PropTypes.string.isRequired,
     releaseBranchName: PropTypes.string.isRequired,
+    releaseOperator: PropTypes.string.isRequired,
+    repoOwner: PropTypes.string.isRequired,
+    repoName: PropTypes.string.isRequired,
     codeFreezeDate: PropTypes.string.isRequired,
     releaseDate: PropTypes.string.isRequired,
   }).isRequired,
+  errors: PropTypes.arrayOf(PropTypes.shape({
+    code: PropTypes.string,
+    message: PropTypes.string,
+    field: PropTypes.string,
+  })).isRequired,
+  teamMembers: PropTypes.array.isRequired,
   handleClose: PropTypes.func.isRequired,
   handleChange: PropTypes.func.isRequired,
   handleSubmit: PropTypes.func.isRequired,
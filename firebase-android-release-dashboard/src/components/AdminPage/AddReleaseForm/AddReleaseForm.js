@@ -7,32 +7,59 @@ import {Add} from "@mui/icons-material";
 import PropTypes from "prop-types";
 import React, {useEffect, useState} from "react";
 import {addReleases} from "../../../api";
+import {
+  createIdempotencyKey,
+  getReleaseCreationMessage,
+} from "../../../utils/releaseCreation";
+import {validateRelease} from "../../../utils/releaseValidation";
+import {DEFAULT_REPOSITORY} from "../../../utils/repository";
 import AddReleaseDialog from "../AddReleaseDialog";
 import useStyles from "./styles";
 
+/**
+ * Get the data of an empty form.
+ *
+ * @param {string} releaseOperator - The default operator of the release.
+ * @return {Object} The form data.
+ */
+function getInitialFormData(releaseOperator) {
+  return {
+    releaseName: "",
+    releaseBranchName: "",
+    releaseOperator: releaseOperator || "",
+    repoOwner: DEFAULT_REPOSITORY.owner,
+    repoName: DEFAULT_REPOSITORY.repo,
+    codeFreezeDate: "",
+    releaseDate: "",
+    isReleased: false,
+  };
+}
+
 /**
  * Form for scheduling new releases.
  *
  * Administrators can add new releases by entering the release name,
- * release branch name, code freeze date, and release date.
+ * release branch name, operator, repository, code freeze date, and release
+ * date. The operator defaults to the current user. The release is validated
+ * before it is submitted, and validation errors, including the ones from
+ * Firebase Functions, are shown under the fields that caused them.
  *
  * @param {function} openSnackbar - Function to open the snackbar to display
  * success or error messages.
+ * @param {string} currentUserEmail - The email of the current user.
+ * @param {Array} teamMembers - The team members that can operate the release.
  * @return {JSX.Element} - Rendered component.
  */
-function AddReleaseForm({openSnackbar}) {
+function AddReleaseForm({openSnackbar, currentUserEmail, teamMembers}) {
   const classes = useStyles();
   const [open, setOpen] = useState(false);
   const [loading, setLoading] = useState(false);
   const [formValid, setFormValid] = useState(false);
-  const [formData, setFormData] = useState({
-    releaseName: "",
-    releaseBranchName: "",
-    releaseOperator: "ACore team member", // Can't store user data
-    codeFreezeDate: "",
-    releaseDate: "",
-    isReleased: false,
-  });
+  const [errors, setErrors] = useState([]);
+  const [idempotencyKey, setIdempotencyKey] = useState(null);
+  const [formData, setFormData] = useState(
+      getInitialFormData(currentUserEmail),
+  );
 
   /**
    * Check if the form is valid every time the form data changes.
@@ -43,7 +70,12 @@ function AddReleaseForm({openSnackbar}) {
     setFormValid(isFormValid);
   }, [formData]);
 
-  const handleClickOpen = () => setOpen(true);
+  const handleClickOpen = () => {
+    setFormData(getInitialFormData(currentUserEmail));
+    setErrors([]);
+    setIdempotencyKey(createIdempotencyKey());
+    setOpen(true);
+  };
 
   /**
    * Close the dialog and reset the form data.
@@ -51,19 +83,14 @@ function AddReleaseForm({openSnackbar}) {
   const handleClose = () => {
     if (!loading) {
       setOpen(false);
-      setFormData({
-        releaseName: "",
-        releaseBranchName: "",
-        releaseOperator: "ACore team member",
-        codeFreezeDate: "",
-        releaseDate: "",
-        isReleased: false,
-      });
+      setFormData(getInitialFormData(currentUserEmail));
+      setErrors([]);
     }
   };
 
   /**
-   * Handle a change in the form data by updating the form data state.
+   * Handle a change in the form data by updating the form data state, and
+   * clearing the errors of the changed field.
    *
    * @param {Object} event - The DOM event which triggered the change.
    */
@@ -72,22 +99,43 @@ function AddReleaseForm({openSnackbar}) {
       ...formData,
       [event.target.name]: event.target.value,
     });
+    setErrors(errors.filter((error) => error.field !== event.target.name));
   };
 
   /**
-   * Handle a click on the submit button by sending a request to Firebase
-   * Functions to add the release.
+   * Handle a click on the submit button by validating the release, and
+   * sending a request to Firebase Functions to add it if it is valid.
+   * Submitting again from the same dialog reuses the idempotency key, so a
+   * release that was added by a request that seemed to fail isn't added
+   * twice.
    */
   const handleSubmit = async () => {
+    const validationErrors = validateRelease(formData);
+    setErrors(validationErrors);
+    if (validationErrors.length > 0) {
+      return;
+    }
+
     setLoading(true);
     try {
-      const response = await addReleases([formData]);
+      const response = await addReleases([formData], idempotencyKey);
       if (response.status === 200) {
-        openSnackbar("Release added successfully", "success");
-        handleClose();
+        const {message, severity} = getReleaseCreationMessage(
+            response.data.releases, "Release added successfully",
+        );
+        openSnackbar(message, severity);
+        setLoading(false);
+        setOpen(false);
+        setFormData(getInitialFormData(currentUserEmail));
+        return;
       }
     } catch (error) {
-      openSnackbar("Error occurred while scheduling release", "error");
+      if (error.response && error.response.status === 400 &&
+          Array.isArray(error.response.data.errors)) {
+        setErrors(error.response.data.errors);
+      } else {
+        openSnackbar("Error occurred while scheduling release", "error");
+      }
     }
     setLoading(false);
   };
@@ -120,6 +168,8 @@ function AddReleaseForm({openSnackbar}) {
         loading={loading}
         formValid={formValid}
         formData={formData}
+        errors={errors}
+        teamMembers={teamMembers}
         handleChange={handleChange}
         handleSubmit={handleSubmit}
       />
@@ -129,6 +179,8 @@ function AddReleaseForm({openSnackbar}) {
 
 AddReleaseForm.propTypes = {
   openSnackbar: PropTypes.func.isRequired,
+  currentUserEmail: PropTypes.string,
+  teamMembers: PropTypes.array.isRequired,
 };
 
 export default AddReleaseForm;
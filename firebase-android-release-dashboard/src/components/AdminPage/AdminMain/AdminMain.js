@@ -1,20 +1,45 @@
-import {Box, Container, Paper, Snackbar, Typography} from "@material-ui/core";
+import {
+  Box,
+  Container,
+  Paper,
+  Snackbar,
+  Tab,
+  Tabs,
+  Typography,
+} from "@material-ui/core";
 import {Alert} from "@material-ui/lab";
 import React, {useState} from "react";
+import {useAuthentication} from "../../../hooks/useAuthentication";
+import useTeamMembers from "../../../hooks/useTeamMembers";
+import {hasRole, ROLES} from "../../../utils/roles";
 import AddReleaseForm from "../AddReleaseForm";
+import AuditLog from "../AuditLog";
+import GenerateReleasesForm from "../GenerateReleasesForm";
+import GitHubQuota from "../GitHubQuota";
+import ImportReleasesForm from "../ImportReleasesForm";
 import ReleaseTable from "../ReleaseTable/ReleaseTable";
+import ReleaseTrash from "../ReleaseTrash";
+import WebhookDeliveries from "../WebhookDeliveries";
 import useStyles from "./styles";
 
 /**
  * Admin page.
  *
- * Displays the admin dashboard, which contains the release scheduling form
- * and the release table that allows administrators to interact with releases.
+ * Displays the admin dashboard, which contains the release scheduling,
+ * import and generation forms and the release table that allows
+ * administrators to interact with releases. Actions that the current user's
+ * role does not allow are hidden. Release operators and administrators can
+ * also view the audit log, the remaining GitHub API quota, and the GitHub
+ * webhook deliveries, which they can replay. Administrators can restore or
+ * purge deleted releases from the trash.
  *
  * @return {JSX.Element} - Rendered component
  */
 function AdminMain() {
   const classes = useStyles();
+  const {role, email} = useAuthentication();
+  const teamMembers = useTeamMembers(hasRole(role, ROLES.OPERATOR));
+  const [tab, setTab] = useState(0);
   const [snackbarIsOpen, setSnackbarIsOpen] = useState(false);
   const [snackbarMessage, setSnackbarMessage] = useState("");
   const [snackbarSeverity, setSnackbarSeverity] = useState("");
@@ -42,14 +67,66 @@ function AdminMain() {
     setSnackbarIsOpen(false);
   };
 
+  const canViewAuditLog = hasRole(role, ROLES.OPERATOR);
+  const canViewTrash = hasRole(role, ROLES.ADMIN);
+
   return (
     <Box className={classes.backdrop}>
       <Container component={Paper} className={classes.paper}>
         <Typography variant="h4" className={classes.title}>
           Release Administration
         </Typography>
-        <AddReleaseForm openSnackbar={openSnackbar} />
-        <ReleaseTable openSnackbar={openSnackbar} />
+        {canViewAuditLog && <GitHubQuota canView={canViewAuditLog} />}
+        {canViewAuditLog && (
+          <Tabs
+            value={tab}
+            onChange={(event, newTab) => setTab(newTab)}
+            indicatorColor="primary"
+          >
+            <Tab label="Releases" />
+            <Tab label="Audit Log" />
+            <Tab label="Webhook Deliveries" />
+            {canViewTrash && <Tab label="Trash" />}
+          </Tabs>
+        )}
+        {canViewAuditLog && tab === 1 && (
+          <AuditLog canView={canViewAuditLog} />
+        )}
+        {canViewAuditLog && tab === 2 && (
+          <WebhookDeliveries
+            canView={canViewAuditLog}
+            openSnackbar={openSnackbar}
+          />
+        )}
+        {canViewTrash && tab === 3 && (
+          <ReleaseTrash canView={canViewTrash} openSnackbar={openSnackbar} />
+        )}
+        {(!canViewAuditLog || tab === 0) && (
+          <>
+            {hasRole(role, ROLES.ADMIN) && (
+              <>
+                <AddReleaseForm
+                  openSnackbar={openSnackbar}
+                  currentUserEmail={email}
+                  teamMembers={teamMembers}
+                />
+                <ImportReleasesForm
+                  openSnackbar={openSnackbar}
+                  currentUserEmail={email}
+                />
+                <GenerateReleasesForm
+                  openSnackbar={openSnackbar}
+                  currentUserEmail={email}
+                />
+              </>
+            )}
+            <ReleaseTable
+              openSnackbar={openSnackbar}
+              role={role}
+              teamMembers={teamMembers}
+            />
+          </>
+        )}
         <Snackbar
           open={snackbarIsOpen}
           autoHideDuration={6000}
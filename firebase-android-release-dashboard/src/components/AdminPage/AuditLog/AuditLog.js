@@ -0,0 +1,205 @@
+import {
+  Button,
+  Grid,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from "@material-ui/core";
+import {Alert} from "@material-ui/lab";
+import {format} from "date-fns";
+import PropTypes from "prop-types";
+import React, {useState} from "react";
+import useAuditLog from "../../../hooks/useAuditLog";
+import useReleases from "../../../hooks/useReleases";
+import {AUDIT_ACTIONS} from "../../../utils/auditActions";
+import useStyles from "./styles";
+
+const tableHeaders = [
+  "Time",
+  "User",
+  "Action",
+  "Release",
+  "Changes",
+];
+
+// Value of a filter that matches all entries
+const ALL = "";
+
+/**
+ * Formats a value from a release change for display. Firestore Timestamps
+ * are formatted as dates.
+ *
+ * @param {*} value - The value to format.
+ * @return {string} The formatted value.
+ */
+function formatChangeValue(value) {
+  if (value === null) {
+    return "none";
+  }
+  if (typeof value.toDate === "function") {
+    return format(value.toDate(), "MMM. dd, yyyy");
+  }
+  return String(value);
+}
+
+/**
+ * Displays the audit log of administrative release actions, which can be
+ * filtered by release, user email and action. Older entries are loaded on
+ * demand.
+ *
+ * @param {boolean} canView - Whether the current user can view the audit
+ * log.
+ * @return {JSX.Element} Rendered component.
+ */
+function AuditLog({canView}) {
+  const classes = useStyles();
+  const releases = useReleases(null, null, true);
+  const [releaseFilter, setReleaseFilter] = useState(ALL);
+  const [userInput, setUserInput] = useState("");
+  const [userFilter, setUserFilter] = useState(ALL);
+  const [actionFilter, setActionFilter] = useState(ALL);
+  const {entries, hasMore, loadMore, error} = useAuditLog(canView, {
+    releaseName: releaseFilter,
+    userEmail: userFilter,
+    action: actionFilter,
+  });
+
+  const getUser = (entry) => entry.actor.email || entry.actor.uid;
+
+  // The user filter is applied when the email is submitted, rather than on
+  // every keystroke, so that each partial email isn't queried.
+  const applyUserFilter = () => setUserFilter(userInput.trim());
+
+  const filters = [
+    {
+      label: "Release",
+      value: releaseFilter,
+      setValue: setReleaseFilter,
+      options: [...new Set(releases.map((release) => release.releaseName))]
+          .sort(),
+    },
+    {
+      label: "Action",
+      value: actionFilter,
+      setValue: setActionFilter,
+      options: Object.values(AUDIT_ACTIONS),
+    },
+  ];
+
+  return (
+    <>
+      <Grid container spacing={2} className={classes.filters}>
+        {filters.map(({label, value, setValue, options}) => (
+          <Grid item key={label}>
+            <TextField
+              select
+              variant="outlined"
+              margin="dense"
+              label={label}
+              value={value}
+              onChange={(event) => setValue(event.target.value)}
+              className={classes.filter}
+            >
+              <MenuItem value={ALL}>All</MenuItem>
+              {options.map((option) => (
+                <MenuItem key={option} value={option}>{option}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+        ))}
+        <Grid item>
+          <TextField
+            variant="outlined"
+            margin="dense"
+            label="User email"
+            value={userInput}
+            onChange={(event) => setUserInput(event.target.value)}
+            onBlur={applyUserFilter}
+            onKeyDown={(event) => {
+              if (event.key === "Enter") {
+                applyUserFilter();
+              }
+            }}
+            className={classes.filter}
+          />
+        </Grid>
+      </Grid>
+      {error && (
+        <Alert severity="error" className={classes.error}>
+          {error}
+        </Alert>
+      )}
+      <TableContainer className={classes.tableContainer}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              {tableHeaders.map((header) => (
+                <TableCell key={header}>
+                  <Typography variant="body1" className={classes.tableHeader}>
+                    {header}
+                  </Typography>
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {entries.map((entry) => (
+              <TableRow key={entry.id}>
+                <TableCell>
+                  <Typography variant="body2" color="textPrimary">
+                    {format(entry.timestamp, "MMM. dd, yyyy HH:mm")}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2" color="textPrimary">
+                    {getUser(entry)}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2" color="textPrimary">
+                    {entry.action}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2" color="textPrimary">
+                    {entry.releaseName}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  {Object.entries(entry.changes).map(([field, change]) => (
+                    <Typography
+                      key={field}
+                      variant="body2"
+                      color="textSecondary"
+                      className={classes.change}
+                    >
+                      {`${field}: ${formatChangeValue(change.before)} → ` +
+                        formatChangeValue(change.after)}
+                    </Typography>
+                  ))}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      {hasMore && (
+        <Button onClick={loadMore} color="primary">
+          Load older entries
+        </Button>
+      )}
+    </>
+  );
+}
+
+AuditLog.propTypes = {
+  canView: PropTypes.bool.isRequired,
+};
+
+export default AuditLog;
@@ -0,0 +1,29 @@
+import {makeStyles} from "@material-ui/core/styles";
+
+const useStyles = makeStyles((theme) => ({
+  filters: {
+    marginTop: theme.spacing(2),
+  },
+  filter: {
+    minWidth: 200,
+  },
+  error: {
+    marginTop: theme.spacing(2),
+  },
+  tableContainer: {
+    borderRadius: 5,
+    backgroundColor: theme.palette.background.paper,
+    marginTop: theme.spacing(2),
+    marginBottom: theme.spacing(2),
+    boxShadow: theme.shadows[2],
+  },
+  tableHeader: {
+    fontWeight: theme.typography.fontWeightBold,
+  },
+  change: {
+    fontFamily: "monospace",
+    whiteSpace: "pre-wrap",
+  },
+}));
+
+export default useStyles;
@@ -0,0 +1,102 @@
+import {
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  TextField,
+  Typography,
+} from "@material-ui/core";
+import PropTypes from "prop-types";
+import React, {useEffect, useState} from "react";
+
+/**
+ * Dialog that asks for the name of a release to be typed before an action
+ * that is hard to undo, such as deleting or purging the release, so that the
+ * wrong release isn't acted on by accident.
+ *
+ * @param {bool} open - Whether the dialog is open.
+ * @param {string} title - The title of the dialog.
+ * @param {string} description - What the action does.
+ * @param {string} releaseName - The name of the release to act on.
+ * @param {string} confirmLabel - The label of the confirm button.
+ * @param {bool} loading - Whether the action is being performed.
+ * @param {function} handleClose - Function to handle a click on the cancel
+ * button.
+ * @param {function} handleConfirm - Function to handle a click on the
+ * confirm button.
+ * @return {JSX.Element} Rendered component.
+ */
+function ConfirmReleaseNameDialog(
+    {
+      open,
+      title,
+      description,
+      releaseName,
+      confirmLabel,
+      loading,
+      handleClose,
+      handleConfirm,
+    },
+) {
+  const [typedName, setTypedName] = useState("");
+
+  // Ask for the name again every time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setTypedName("");
+    }
+  }, [open]);
+
+  return (
+    <Dialog open={open} onClose={loading ? undefined : handleClose}>
+      <DialogTitle>
+        <Typography variant="h6">
+          {title}
+        </Typography>
+      </DialogTitle>
+      <DialogContent>
+        <DialogContentText>
+          <Typography variant="body1">
+            {description} Type <b>{releaseName}</b> to confirm.
+          </Typography>
+        </DialogContentText>
+        <TextField
+          autoFocus
+          label="Release Name"
+          value={typedName}
+          onChange={(event) => setTypedName(event.target.value)}
+          disabled={loading}
+          fullWidth
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} color="primary" disabled={loading}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleConfirm}
+          color="secondary"
+          disabled={typedName !== releaseName || loading}
+        >
+          {loading ? <CircularProgress size={24} /> : confirmLabel}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+ConfirmReleaseNameDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  title: PropTypes.string.isRequired,
+  description: PropTypes.string.isRequired,
+  releaseName: PropTypes.string.isRequired,
+  confirmLabel: PropTypes.string.isRequired,
+  loading: PropTypes.bool.isRequired,
+  handleClose: PropTypes.func.isRequired,
+  handleConfirm: PropTypes.func.isRequired,
+};
+
+export default ConfirmReleaseNameDialog;
@@ -9,16 +9,40 @@ import {
   TextField,
   Typography,
 } from "@material-ui/core";
-import {format} from "date-fns";
+import {Alert} from "@material-ui/lab";
+import {format, isValid} from "date-fns";
 import PropTypes from "prop-types";
 import React from "react";
+import {getFieldErrors} from "../../../utils/releaseValidation";
+import {DEFAULT_REPOSITORY} from "../../../utils/repository";
+import OperatorSelect from "../OperatorSelect";
+import ReleasePreflight from "../ReleasePreflight";
+
+/**
+ * Formats a date for a date field, which is empty if the date is invalid,
+ * e.g. because the field was cleared.
+ *
+ * @param {Date} date - The date.
+ * @return {string} The date in the yyyy-MM-dd format, or an empty string.
+ */
+function formatDateValue(date) {
+  return isValid(date) ? format(date, "yyyy-MM-dd") : "";
+}
 
 /**
  * Dialog to edit release metadata.
  *
+ * Validation errors are shown under the fields that caused them, and errors
+ * that aren't about a single field are shown above the form. The release
+ * branch is checked as it is entered, to preview what a sync would find.
+ *
  * @param {bool} editing - Whether the dialog is open.
  * @param {Object} editedRelease - The release to edit.
+ * @param {Array} teamMembers - The team members that the release can be
+ * handed off to.
  * @param {bool} submitting - Whether the form is submitting.
+ * @param {Array} errors - The validation errors, each with its `code` and the
+ * `field` it is about.
  * @param {function} handleCancelClick - Function to handle a click on the
  * cancel button.
  * @param {function} handleSubmitClick - Function to handle a click on the
@@ -30,12 +54,16 @@ function EditReleaseDialog(
     {
       editing,
       editedRelease,
+      teamMembers,
       submitting,
+      errors,
       handleCancelClick,
       handleSubmitClick,
       handleChange,
     },
 ) {
+  const fieldErrors = getFieldErrors(errors);
+
   return (
     <Dialog open={editing} onClose={handleCancelClick}>
       <DialogTitle>
@@ -49,6 +77,11 @@ function EditReleaseDialog(
             Please enter the updated release metadata.
           </Typography>
         </DialogContentText>
+        {fieldErrors.formErrors.map((message, index) => (
+          <Alert key={index} severity="error">
+            {message}
+          </Alert>
+        ))}
         <TextField
           margin="dense"
           variant="outlined"
@@ -56,6 +89,8 @@ function EditReleaseDialog(
           label="Release Name"
           value={editedRelease.releaseName}
           onChange={handleChange}
+          error={Boolean(fieldErrors.releaseName)}
+          helperText={fieldErrors.releaseName}
           fullWidth
         />
         <TextField
@@ -65,19 +100,56 @@ function EditReleaseDialog(
           label="Release Branch Name"
           value={editedRelease.releaseBranchName}
           onChange={handleChange}
+          error={Boolean(fieldErrors.releaseBranchName)}
+          helperText={fieldErrors.releaseBranchName}
           fullWidth
         />
+        <OperatorSelect
+          value={editedRelease.releaseOperator}
+          teamMembers={teamMembers}
+          handleChange={handleChange}
+          helperText={fieldErrors.releaseOperator}
+        />
+        <TextField
+          margin="dense"
+          variant="outlined"
+          name="repoOwner"
+          label="Repository Owner"
+          value={editedRelease.repoOwner || DEFAULT_REPOSITORY.owner}
+          onChange={handleChange}
+          error={Boolean(fieldErrors.repoOwner)}
+          helperText={fieldErrors.repoOwner}
+          fullWidth
+        />
+        <TextField
+          margin="dense"
+          variant="outlined"
+          name="repoName"
+          label="Repository Name"
+          value={editedRelease.repoName || DEFAULT_REPOSITORY.repo}
+          onChange={handleChange}
+          error={Boolean(fieldErrors.repoName)}
+          helperText={fieldErrors.repoName}
+          fullWidth
+        />
+        <ReleasePreflight
+          releaseBranchName={editedRelease.releaseBranchName}
+          repoOwner={editedRelease.repoOwner}
+          repoName={editedRelease.repoName}
+        />
         <TextField
           margin="dense"
           variant="outlined"
           name="codeFreezeDate"
           label="Code Freeze Date"
           type="date"
-          value={format(editedRelease.codeFreezeDate, "yyyy-MM-dd")}
+          value={formatDateValue(editedRelease.codeFreezeDate)}
           onChange={handleChange}
           InputLabelProps={{
             shrink: true,
           }}
+          error={Boolean(fieldErrors.codeFreezeDate)}
+          helperText={fieldErrors.codeFreezeDate}
           fullWidth
         />
         <TextField
@@ -86,11 +158,13 @@ function EditReleaseDialog(
           name="releaseDate"
           label="Release Date"
           type="date"
-          value={format(editedRelease.releaseDate, "yyyy-MM-dd")}
+          value={formatDateValue(editedRelease.releaseDate)}
           onChange={handleChange}
           InputLabelProps={{
             shrink: true,
           }}
+          error={Boolean(fieldErrors.releaseDate)}
+          helperText={fieldErrors.releaseDate}
           fullWidth
         />
       </DialogContent>
@@ -118,9 +192,18 @@ EditReleaseDialog.propTypes = {
     codeFreezeDate: PropTypes.instanceOf(Date).isRequired,
     releaseDate: PropTypes.instanceOf(Date).isRequired,
     releaseBranchName: PropTypes.string.isRequired,
+    releaseOperator: PropTypes.string.isRequired,
+    repoOwner: PropTypes.string,
+    repoName: PropTypes.string,
     state: PropTypes.string.isRequired,
   }).isRequired,
+  teamMembers: PropTypes.array.isRequired,
   submitting: PropTypes.bool.isRequired,
+  errors: PropTypes.arrayOf(PropTypes.shape({
+    code: PropTypes.string,
+    message: PropTypes.string,
+    field: PropTypes.string,
+  })).isRequired,
   handleCancelClick: PropTypes.func.isRequired,
   handleSubmitClick: PropTypes.func.isRequired,
   handleChange: PropTypes.func.isRequired,
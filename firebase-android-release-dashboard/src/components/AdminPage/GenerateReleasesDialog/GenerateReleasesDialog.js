@@ -0,0 +1,321 @@
+import {
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from "@material-ui/core";
+import {Alert} from "@material-ui/lab";
+import PropTypes from "prop-types";
+import React from "react";
+import useStyles from "./styles";
+
+const tableHeaders = [
+  "Release Name",
+  "Release Branch",
+  "Code Freeze Date",
+  "Release Date",
+  "Notes",
+];
+
+// The release fields that can be adjusted, in the order of the table.
+const editableFields = [
+  {name: "releaseName", type: "text"},
+  {name: "releaseBranchName", type: "text"},
+  {name: "codeFreezeDate", type: "date"},
+  {name: "releaseDate", type: "date"},
+];
+
+/**
+ * Dialog for generating the upcoming releases from a release cadence.
+ *
+ * The cadence is entered first, and the proposed releases are then shown in
+ * a table where they can be adjusted, with the errors from their validation
+ * next to the release that caused them.
+ *
+ * @param {bool} open - Whether the dialog is open.
+ * @param {Object} cadence - The entered cadence fields, as strings.
+ * @param {Array} cadenceErrors - The errors from proposing releases, each
+ * with its `message` and the cadence `field` it is about, if any.
+ * @param {Object} latestRelease - The release that the proposed releases
+ * follow, or null if no releases were proposed.
+ * @param {Array} releases - The proposed releases.
+ * @param {Array} errors - The validation errors, each with its `message` and
+ * the `releaseIndex` of the release it is about, or null if it isn't about a
+ * single release.
+ * @param {string} currentUserEmail - The email of the current user, who
+ * operates the generated releases.
+ * @param {bool} proposing - Whether the releases are being proposed.
+ * @param {bool} loading - Whether the releases are being scheduled.
+ * @param {function} handleClose - Function to handle a click on the cancel
+ * button.
+ * @param {function} handleCadenceChange - Function to handle a change of a
+ * cadence field.
+ * @param {function} handleReleaseChange - Function to handle a change of a
+ * field of a proposed release.
+ * @param {function} handlePropose - Function to handle a click on the
+ * propose button.
+ * @param {function} handleSubmit - Function to handle a click on the
+ * schedule button.
+ * @return {JSX.Element} Rendered component.
+ */
+function GenerateReleasesDialog(
+    {
+      open,
+      cadence,
+      cadenceErrors,
+      latestRelease,
+      releases,
+      errors,
+      currentUserEmail,
+      proposing,
+      loading,
+      handleClose,
+      handleCadenceChange,
+      handleReleaseChange,
+      handlePropose,
+      handleSubmit,
+    },
+) {
+  const classes = useStyles();
+
+  const hasCadenceError = (field) =>
+    cadenceErrors.some((error) => error.field === field);
+  const fieldCadenceErrors = cadenceErrors.filter((error) => error.field);
+  const generalCadenceErrors = cadenceErrors.filter((error) => !error.field);
+  const calendarErrors = errors.filter((error) => error.releaseIndex === null);
+  const getReleaseErrors = (index) =>
+    errors.filter((error) => error.releaseIndex === index);
+  const canSchedule = releases.length > 0 && errors.length === 0 &&
+    !proposing && !loading;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="lg" fullWidth>
+      <DialogTitle>
+        <Typography variant="h6">
+          Generate Releases
+        </Typography>
+      </DialogTitle>
+      <DialogContent>
+        <DialogContentText>
+          <Typography variant="body1">
+            Propose the releases that follow the latest release. Releases are
+            moved off weekends and blackout dates, which are entered one per
+            line as yyyy-MM-dd or as a yyyy-MM-dd..yyyy-MM-dd range. The
+            generated releases are operated by {currentUserEmail}.
+          </Typography>
+        </DialogContentText>
+        <Grid container spacing={2} className={classes.cadenceFields}>
+          <Grid item xs={4}>
+            <TextField
+              name="count"
+              label="Number of Releases"
+              type="number"
+              value={cadence.count}
+              onChange={handleCadenceChange}
+              error={hasCadenceError("count")}
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={4}>
+            <TextField
+              name="intervalWeeks"
+              label="Weeks Between Releases"
+              type="number"
+              value={cadence.intervalWeeks}
+              onChange={handleCadenceChange}
+              error={hasCadenceError("intervalWeeks")}
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={4}>
+            <TextField
+              name="codeFreezeOffsetDays"
+              label="Code Freeze Days Before Release"
+              type="number"
+              value={cadence.codeFreezeOffsetDays}
+              onChange={handleCadenceChange}
+              error={hasCadenceError("codeFreezeOffsetDays")}
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              name="branchNameTemplate"
+              label="Release Branch Name"
+              helperText="{releaseName} is replaced by the release name"
+              value={cadence.branchNameTemplate}
+              onChange={handleCadenceChange}
+              error={hasCadenceError("branchNameTemplate")}
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              name="blackoutDates"
+              label="Blackout Dates"
+              placeholder="2026-12-21..2027-01-01"
+              value={cadence.blackoutDates}
+              onChange={handleCadenceChange}
+              error={hasCadenceError("blackoutDates")}
+              multiline
+              minRows={2}
+              fullWidth
+            />
+          </Grid>
+        </Grid>
+        <Button
+          variant="outlined"
+          color="primary"
+          onClick={handlePropose}
+          disabled={proposing || loading}
+          className={classes.proposeButton}
+        >
+          {proposing ? <CircularProgress size={24} /> : "Propose Releases"}
+        </Button>
+        {fieldCadenceErrors.length > 0 && (
+          <Alert severity="error" className={classes.alert}>
+            {fieldCadenceErrors[0].message}
+          </Alert>
+        )}
+        {generalCadenceErrors.map((error, index) => (
+          <Alert key={index} severity="error" className={classes.alert}>
+            {error.message}
+          </Alert>
+        ))}
+        {latestRelease && (
+          <Alert severity="info" className={classes.alert}>
+            {`Following ${latestRelease.releaseName}, released on ` +
+              `${latestRelease.releaseDate.slice(0, 10)}.`}
+          </Alert>
+        )}
+        {calendarErrors.map((error, index) => (
+          <Alert key={index} severity="error" className={classes.alert}>
+            {error.message}
+          </Alert>
+        ))}
+        {releases.length > 0 && (
+          <TableContainer className={classes.tableContainer}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  {tableHeaders.map((header) => (
+                    <TableCell key={header}>
+                      <Typography
+                        variant="body2"
+                        className={classes.tableHeader}
+                      >
+                        {header}
+                      </Typography>
+                    </TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {releases.map((release, index) => {
+                  const releaseErrors = getReleaseErrors(index);
+                  return (
+                    <TableRow
+                      key={index}
+                      className={releaseErrors.length > 0 ?
+                        classes.invalidRow : undefined}
+                    >
+                      {editableFields.map((field) => (
+                        <TableCell key={field.name}>
+                          <TextField
+                            type={field.type}
+                            value={release[field.name]}
+                            onChange={(event) => handleReleaseChange(
+                                index, field.name, event.target.value,
+                            )}
+                            disabled={loading}
+                            size="small"
+                          />
+                        </TableCell>
+                      ))}
+                      <TableCell>
+                        {release.moved && (
+                          <Typography variant="body2" color="textSecondary">
+                            Moved to avoid blackout dates
+                          </Typography>
+                        )}
+                        {releaseErrors.map((error, errorIndex) => (
+                          <Typography
+                            key={errorIndex}
+                            variant="body2"
+                            color="error"
+                          >
+                            {error.message}
+                          </Typography>
+                        ))}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} color="primary" disabled={loading}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleSubmit}
+          color="primary"
+          disabled={!canSchedule}
+        >
+          {loading ?
+            <CircularProgress size={24} /> :
+            `Schedule ${releases.length} Releases`}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+GenerateReleasesDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  cadence: PropTypes.shape({
+    count: PropTypes.string.isRequired,
+    intervalWeeks: PropTypes.string.isRequired,
+    codeFreezeOffsetDays: PropTypes.string.isRequired,
+    branchNameTemplate: PropTypes.string.isRequired,
+    blackoutDates: PropTypes.string.isRequired,
+  }).isRequired,
+  cadenceErrors: PropTypes.arrayOf(PropTypes.shape({
+    message: PropTypes.string.isRequired,
+    field: PropTypes.string,
+  })).isRequired,
+  latestRelease: PropTypes.shape({
+    releaseName: PropTypes.string.isRequired,
+    releaseDate: PropTypes.string.isRequired,
+  }),
+  releases: PropTypes.arrayOf(PropTypes.object).isRequired,
+  errors: PropTypes.arrayOf(PropTypes.shape({
+    message: PropTypes.string.isRequired,
+    releaseIndex: PropTypes.number,
+  })).isRequired,
+  currentUserEmail: PropTypes.string,
+  proposing: PropTypes.bool.isRequired,
+  loading: PropTypes.bool.isRequired,
+  handleClose: PropTypes.func.isRequired,
+  handleCadenceChange: PropTypes.func.isRequired,
+  handleReleaseChange: PropTypes.func.isRequired,
+  handlePropose: PropTypes.func.isRequired,
+  handleSubmit: PropTypes.func.isRequired,
+};
+
+export default GenerateReleasesDialog;
@@ -0,0 +1,25 @@
+import {makeStyles} from "@material-ui/core/styles";
+
+const useStyles = makeStyles((theme) => ({
+  cadenceFields: {
+    marginTop: theme.spacing(1),
+  },
+  proposeButton: {
+    marginTop: theme.spacing(2),
+  },
+  alert: {
+    marginTop: theme.spacing(2),
+  },
+  tableContainer: {
+    marginTop: theme.spacing(2),
+    maxHeight: "50vh",
+  },
+  tableHeader: {
+    fontWeight: theme.typography.fontWeightBold,
+  },
+  invalidRow: {
+    backgroundColor: theme.palette.action.hover,
+  },
+}));
+
+export default useStyles;
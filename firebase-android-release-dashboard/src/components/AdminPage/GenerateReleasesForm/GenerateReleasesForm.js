@@ -0,0 +1,267 @@
+import {
+  Button,
+  Grid,
+  Typography,
+} from "@material-ui/core";
+import {EventRepeat} from "@mui/icons-material";
+import PropTypes from "prop-types";
+import React, {useState} from "react";
+import {addReleases, proposeReleases, validateReleases} from "../../../api";
+import {
+  createIdempotencyKey,
+  getReleaseCreationMessage,
+} from "../../../utils/releaseCreation";
+import GenerateReleasesDialog from "../GenerateReleasesDialog";
+import useStyles from "./styles";
+
+// The release cadence that is proposed when the dialog opens.
+const DEFAULT_CADENCE = {
+  count: "4",
+  intervalWeeks: "2",
+  codeFreezeOffsetDays: "7",
+  branchNameTemplate: "releases/{releaseName}.release",
+  blackoutDates: "",
+};
+
+/**
+ * Parses blackout dates entered one per line, either as a single
+ * `yyyy-MM-dd` date or as an inclusive `yyyy-MM-dd..yyyy-MM-dd` range.
+ *
+ * @param {string} text - The blackout dates, one per line.
+ * @return {Array<Object>} The blackout date ranges, each with its `start` and
+ * `end` date.
+ */
+function parseBlackoutDates(text) {
+  return text.split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line !== "")
+      .map((line) => {
+        const [start, end] = line.split("..").map((date) => date.trim());
+        return {start: start, end: end === undefined ? start : end};
+      });
+}
+
+/**
+ * Gets the fields of a proposed release that are sent to Firebase Functions.
+ *
+ * @param {Object} release - The proposed release.
+ * @return {Object} The release to add.
+ */
+function toNewRelease(release) {
+  return {
+    releaseName: release.releaseName,
+    releaseBranchName: release.releaseBranchName,
+    codeFreezeDate: release.codeFreezeDate,
+    releaseDate: release.releaseDate,
+    repoOwner: release.repoOwner,
+    repoName: release.repoName,
+    isReleased: release.isReleased,
+  };
+}
+
+/**
+ * Form for generating the upcoming releases from a release cadence, so that
+ * releases that follow a regular schedule don't have to be added one by one.
+ *
+ * Administrators describe the cadence, and Firebase Functions propose the
+ * releases that follow the latest release, avoiding weekends and blackout
+ * dates. The proposed releases can be adjusted, and are validated before
+ * they are added in a single request.
+ *
+ * @param {function} openSnackbar - Function to open the snackbar to display
+ * success or error messages.
+ * @param {string} currentUserEmail - The email of the current user.
+ * @return {JSX.Element} - Rendered component.
+ */
+function GenerateReleasesForm({openSnackbar, currentUserEmail}) {
+  const classes = useStyles();
+  const [open, setOpen] = useState(false);
+  const [cadence, setCadence] = useState(DEFAULT_CADENCE);
+  const [cadenceErrors, setCadenceErrors] = useState([]);
+  const [latestRelease, setLatestRelease] = useState(null);
+  const [releases, setReleases] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [proposing, setProposing] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [idempotencyKey, setIdempotencyKey] = useState(null);
+
+  /**
+   * Clear the proposed releases and their errors. Scheduling the next
+   * proposal uses a new idempotency key.
+   */
+  const resetProposal = () => {
+    setCadenceErrors([]);
+    setLatestRelease(null);
+    setReleases([]);
+    setErrors([]);
+    setIdempotencyKey(createIdempotencyKey());
+  };
+
+  const handleClickOpen = () => {
+    setCadence(DEFAULT_CADENCE);
+    resetProposal();
+    setOpen(true);
+  };
+
+  /**
+   * Close the dialog and clear the proposed releases.
+   */
+  const handleClose = () => {
+    if (!loading) {
+      setOpen(false);
+      resetProposal();
+    }
+  };
+
+  /**
+   * Handle a change of a cadence field.
+   *
+   * @param {Object} event - The DOM event which triggered the change.
+   */
+  const handleCadenceChange = (event) => {
+    setCadence({...cadence, [event.target.name]: event.target.value});
+  };
+
+  /**
+   * Handle a change of a field of a proposed release. The validation errors
+   * are cleared, since they may no longer apply.
+   *
+   * @param {number} index - The index of the changed release.
+   * @param {string} field - The name of the changed field.
+   * @param {string} value - The new value of the field.
+   */
+  const handleReleaseChange = (index, field, value) => {
+    setReleases(releases.map((release, releaseIndex) =>
+      releaseIndex === index ? {...release, [field]: value} : release,
+    ));
+    setErrors([]);
+  };
+
+  /**
+   * Validate releases with Firebase Functions.
+   *
+   * @param {Array<Object>} releasesToValidate - The releases to validate.
+   * @return {Promise<Array<Object>>} The validation errors.
+   */
+  const validate = async (releasesToValidate) => {
+    const response = await validateReleases(
+        releasesToValidate.map(toNewRelease),
+    );
+    setErrors(response.data.errors);
+    return response.data.errors;
+  };
+
+  /**
+   * Handle a click on the propose button by sending a request to Firebase
+   * Functions to propose the releases that follow the cadence, and
+   * validating them.
+   */
+  const handlePropose = async () => {
+    resetProposal();
+    setProposing(true);
+    try {
+      const response = await proposeReleases({
+        count: Number(cadence.count),
+        intervalWeeks: Number(cadence.intervalWeeks),
+        codeFreezeOffsetDays: Number(cadence.codeFreezeOffsetDays),
+        branchNameTemplate: cadence.branchNameTemplate,
+        blackoutDates: parseBlackoutDates(cadence.blackoutDates),
+      });
+      setLatestRelease(response.data.latestRelease);
+      setReleases(response.data.releases);
+      await validate(response.data.releases);
+    } catch (error) {
+      if (error.response && error.response.status === 400) {
+        setCadenceErrors(error.response.data.errors);
+      } else if (error.response && error.response.status === 404) {
+        setCadenceErrors([{message: "There is no release to follow"}]);
+      } else {
+        openSnackbar("Error occurred while proposing releases", "error");
+      }
+    }
+    setProposing(false);
+  };
+
+  /**
+   * Handle a click on the schedule button by validating the proposed
+   * releases, and sending a request to Firebase Functions to add them if
+   * they are valid.
+   */
+  const handleSubmit = async () => {
+    setLoading(true);
+    try {
+      const validationErrors = await validate(releases);
+      if (validationErrors.length > 0) {
+        setLoading(false);
+        return;
+      }
+
+      const response = await addReleases(
+          releases.map(toNewRelease), idempotencyKey,
+      );
+      if (response.status === 200) {
+        const {message, severity} = getReleaseCreationMessage(
+            response.data.releases,
+            `${releases.length} releases scheduled successfully`,
+        );
+        openSnackbar(message, severity);
+        setLoading(false);
+        setOpen(false);
+        resetProposal();
+        return;
+      }
+    } catch (error) {
+      openSnackbar("Error occurred while scheduling releases", "error");
+    }
+    setLoading(false);
+  };
+
+  return (
+    <>
+      <Button
+        color="primary"
+        variant="outlined"
+        onClick={handleClickOpen}
+        className={classes.generateReleasesButton}
+      >
+        <Grid container alignItems="center">
+          <Grid item>
+            <EventRepeat size={24} className={classes.generateIcon}/>
+          </Grid>
+          <Grid item>
+            <Typography
+              variant="subtitle1"
+              color="inherit"
+              className={classes.generateReleasesButtonText}
+            >
+            Generate releases
+            </Typography>
+          </Grid>
+        </Grid>
+      </Button>
+      <GenerateReleasesDialog
+        open={open}
+        cadence={cadence}
+        cadenceErrors={cadenceErrors}
+        latestRelease={latestRelease}
+        releases={releases}
+        errors={errors}
+        currentUserEmail={currentUserEmail}
+        proposing={proposing}
+        loading={loading}
+        handleClose={handleClose}
+        handleCadenceChange={handleCadenceChange}
+        handleReleaseChange={handleReleaseChange}
+        handlePropose={handlePropose}
+        handleSubmit={handleSubmit}
+      />
+    </>
+  );
+}
+
+GenerateReleasesForm.propTypes = {
+  openSnackbar: PropTypes.func.isRequired,
+  currentUserEmail: PropTypes.string,
+};
+
+export default GenerateReleasesForm;
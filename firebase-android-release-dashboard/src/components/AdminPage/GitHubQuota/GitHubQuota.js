@@ -0,0 +1,52 @@
+import {LinearProgress, Typography} from "@material-ui/core";
+import {format, formatDistanceToNow} from "date-fns";
+import PropTypes from "prop-types";
+import React from "react";
+import useGitHubRateLimit from "../../../hooks/useGitHubRateLimit";
+import useStyles from "./styles";
+
+/**
+ * Shows the remaining GitHub API quota used to sync releases, as last
+ * reported by GitHub. Scheduled syncs are deferred when the quota is low.
+ *
+ * @param {Object} props - The component props.
+ * @param {boolean} props.canView - Whether the user is allowed to view the
+ * quota.
+ * @return {JSX.Element|null} The rendered component, or null if the quota
+ * isn't known.
+ */
+function GitHubQuota({canView}) {
+  const classes = useStyles();
+  const rateLimit = useGitHubRateLimit(canView);
+
+  if (!rateLimit) {
+    return null;
+  }
+
+  // The quota is replenished once its reset date has passed.
+  const isReset = rateLimit.reset <= new Date();
+  const remaining = isReset ? rateLimit.limit : rateLimit.remaining;
+
+  return (
+    <div className={classes.quota}>
+      <Typography variant="body2" color="textSecondary">
+        {`GitHub API quota: ${remaining} of ${rateLimit.limit} requests ` +
+          "remaining"}
+        {!isReset && `, resets at ${format(rateLimit.reset, "HH:mm")}`}
+        {` (updated ${formatDistanceToNow(rateLimit.updatedAt)} ago)`}
+      </Typography>
+      <LinearProgress
+        variant="determinate"
+        value={rateLimit.limit > 0 ? (remaining / rateLimit.limit) * 100 : 0}
+        color={remaining < rateLimit.limit / 10 ? "secondary" : "primary"}
+        className={classes.progress}
+      />
+    </div>
+  );
+}
+
+GitHubQuota.propTypes = {
+  canView: PropTypes.bool.isRequired,
+};
+
+export default GitHubQuota;
@@ -0,0 +1,15 @@
+import {makeStyles} from "@material-ui/core/styles";
+
+const useStyles = makeStyles((theme) => ({
+  quota: {
+    marginTop: theme.spacing(2),
+    marginBottom: theme.spacing(1),
+  },
+  progress: {
+    height: 8,
+    borderRadius: 4,
+    marginTop: theme.spacing(0.5),
+  },
+}));
+
+export default useStyles;
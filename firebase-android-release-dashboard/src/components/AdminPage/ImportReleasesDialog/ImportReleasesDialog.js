@@ -0,0 +1,237 @@
+import {
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@material-ui/core";
+import {Alert} from "@material-ui/lab";
+import PropTypes from "prop-types";
+import React from "react";
+import {RELEASE_CALENDAR_EXTENSIONS} from "../../../utils/releaseImport";
+import {DEFAULT_REPOSITORY} from "../../../utils/repository";
+import useStyles from "./styles";
+
+const tableHeaders = [
+  "Release Name",
+  "Release Branch",
+  "Operator",
+  "Repository",
+  "Code Freeze Date",
+  "Release Date",
+  "Released",
+  "Errors",
+];
+
+/**
+ * Gets the repository of an imported release for display.
+ *
+ * @param {Object} release - The imported release.
+ * @return {string} The repository, as `owner/repo`.
+ */
+function formatRepository(release) {
+  if (!release.repoOwner && !release.repoName) {
+    return `${DEFAULT_REPOSITORY.owner}/${DEFAULT_REPOSITORY.repo}`;
+  }
+  return `${release.repoOwner || "?"}/${release.repoName || "?"}`;
+}
+
+/**
+ * Dialog for importing a release calendar.
+ *
+ * The releases in the chosen file are previewed with the errors from their
+ * validation next to the release that caused them, and can only be imported
+ * once none of them have errors.
+ *
+ * @param {bool} open - Whether the dialog is open.
+ * @param {string} fileName - The name of the chosen file, or an empty string
+ * if no file was chosen.
+ * @param {Array} releases - The releases in the chosen file.
+ * @param {Array} errors - The validation errors, each with its `message` and
+ * the `releaseIndex` of the release it is about, or null if it isn't about a
+ * single release.
+ * @param {string} parseError - The error from reading the chosen file, or
+ * null if it was read.
+ * @param {string} currentUserEmail - The email of the current user, who
+ * operates releases that don't specify an operator.
+ * @param {bool} validating - Whether the releases are being validated.
+ * @param {bool} loading - Whether the releases are being imported.
+ * @param {function} handleClose - Function to handle a click on the cancel
+ * button.
+ * @param {function} handleFileChange - Function to handle the choice of a
+ * file.
+ * @param {function} handleSubmit - Function to handle a click on the import
+ * button.
+ * @return {JSX.Element} Rendered component.
+ */
+function ImportReleasesDialog(
+    {
+      open,
+      fileName,
+      releases,
+      errors,
+      parseError,
+      currentUserEmail,
+      validating,
+      loading,
+      handleClose,
+      handleFileChange,
+      handleSubmit,
+    },
+) {
+  const classes = useStyles();
+
+  const calendarErrors = errors.filter((error) => error.releaseIndex === null);
+  const getReleaseErrors = (index) =>
+    errors.filter((error) => error.releaseIndex === index);
+  const canImport = releases.length > 0 && errors.length === 0 &&
+    !parseError && !validating && !loading;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="lg" fullWidth>
+      <DialogTitle>
+        <Typography variant="h6">
+          Import Releases
+        </Typography>
+      </DialogTitle>
+      <DialogContent>
+        <DialogContentText>
+          <Typography variant="body1">
+            Choose a CSV, JSON or YAML file of releases. Each release needs a
+            releaseName, releaseBranchName, codeFreezeDate and releaseDate,
+            and can have a releaseOperator, repoOwner, repoName and
+            isReleased. CSV files need a header row with the field names.
+          </Typography>
+        </DialogContentText>
+        <Button
+          variant="outlined"
+          color="primary"
+          component="label"
+          disabled={validating || loading}
+        >
+          Choose File
+          <input
+            type="file"
+            accept={RELEASE_CALENDAR_EXTENSIONS.join(",")}
+            className={classes.fileInput}
+            onChange={handleFileChange}
+          />
+        </Button>
+        <Typography
+          variant="body2"
+          color="textSecondary"
+          component="span"
+          className={classes.fileName}
+        >
+          {fileName}
+        </Typography>
+        {validating && <CircularProgress size={24} />}
+        {parseError && (
+          <Alert severity="error" className={classes.alert}>
+            {parseError}
+          </Alert>
+        )}
+        {calendarErrors.map((error, index) => (
+          <Alert key={index} severity="error" className={classes.alert}>
+            {error.message}
+          </Alert>
+        ))}
+        {releases.length > 0 && (
+          <TableContainer className={classes.tableContainer}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  {tableHeaders.map((header) => (
+                    <TableCell key={header}>
+                      <Typography
+                        variant="body2"
+                        className={classes.tableHeader}
+                      >
+                        {header}
+                      </Typography>
+                    </TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {releases.map((release, index) => {
+                  const releaseErrors = getReleaseErrors(index);
+                  return (
+                    <TableRow
+                      key={index}
+                      className={releaseErrors.length > 0 ?
+                        classes.invalidRow : undefined}
+                    >
+                      <TableCell>{release.releaseName}</TableCell>
+                      <TableCell>{release.releaseBranchName}</TableCell>
+                      <TableCell>
+                        {release.releaseOperator || currentUserEmail}
+                      </TableCell>
+                      <TableCell>{formatRepository(release)}</TableCell>
+                      <TableCell>{release.codeFreezeDate}</TableCell>
+                      <TableCell>{release.releaseDate}</TableCell>
+                      <TableCell>{String(release.isReleased)}</TableCell>
+                      <TableCell>
+                        {releaseErrors.map((error, errorIndex) => (
+                          <Typography
+                            key={errorIndex}
+                            variant="body2"
+                            color="error"
+                          >
+                            {error.message}
+                          </Typography>
+                        ))}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} color="primary" disabled={loading}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleSubmit}
+          color="primary"
+          disabled={!canImport}
+        >
+          {loading ?
+            <CircularProgress size={24} /> :
+            `Import ${releases.length} Releases`}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+ImportReleasesDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  fileName: PropTypes.string.isRequired,
+  releases: PropTypes.arrayOf(PropTypes.object).isRequired,
+  errors: PropTypes.arrayOf(PropTypes.shape({
+    message: PropTypes.string.isRequired,
+    releaseIndex: PropTypes.number,
+  })).isRequired,
+  parseError: PropTypes.string,
+  currentUserEmail: PropTypes.string,
+  validating: PropTypes.bool.isRequired,
+  loading: PropTypes.bool.isRequired,
+  handleClose: PropTypes.func.isRequired,
+  handleFileChange: PropTypes.func.isRequired,
+  handleSubmit: PropTypes.func.isRequired,
+};
+
+export default ImportReleasesDialog;
@@ -0,0 +1,25 @@
+import {makeStyles} from "@material-ui/core/styles";
+
+const useStyles = makeStyles((theme) => ({
+  fileInput: {
+    display: "none",
+  },
+  fileName: {
+    marginLeft: theme.spacing(1),
+  },
+  alert: {
+    marginTop: theme.spacing(2),
+  },
+  tableContainer: {
+    marginTop: theme.spacing(2),
+    maxHeight: "50vh",
+  },
+  tableHeader: {
+    fontWeight: theme.typography.fontWeightBold,
+  },
+  invalidRow: {
+    backgroundColor: theme.palette.action.hover,
+  },
+}));
+
+export default useStyles;
@@ -0,0 +1,175 @@
+import {
+  Button,
+  Grid,
+  Typography,
+} from "@material-ui/core";
+import {UploadFile} from "@mui/icons-material";
+import PropTypes from "prop-types";
+import React, {useState} from "react";
+import {addReleases, validateReleases} from "../../../api";
+import {
+  createIdempotencyKey,
+  getReleaseCreationMessage,
+} from "../../../utils/releaseCreation";
+import {parseReleaseCalendar} from "../../../utils/releaseImport";
+import ImportReleasesDialog from "../ImportReleasesDialog";
+import useStyles from "./styles";
+
+/**
+ * Form for importing a release calendar, so that a whole year of releases
+ * can be scheduled at once.
+ *
+ * Administrators choose a CSV, JSON or YAML file of releases, which are
+ * validated by Firebase Functions and previewed with their errors. The
+ * releases are then added in a single request.
+ *
+ * @param {function} openSnackbar - Function to open the snackbar to display
+ * success or error messages.
+ * @param {string} currentUserEmail - The email of the current user.
+ * @return {JSX.Element} - Rendered component.
+ */
+function ImportReleasesForm({openSnackbar, currentUserEmail}) {
+  const classes = useStyles();
+  const [open, setOpen] = useState(false);
+  const [fileName, setFileName] = useState("");
+  const [releases, setReleases] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [parseError, setParseError] = useState(null);
+  const [validating, setValidating] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [idempotencyKey, setIdempotencyKey] = useState(null);
+
+  /**
+   * Clear the chosen file and its releases. Importing the next file uses a
+   * new idempotency key.
+   */
+  const resetImport = () => {
+    setFileName("");
+    setReleases([]);
+    setErrors([]);
+    setParseError(null);
+    setIdempotencyKey(createIdempotencyKey());
+  };
+
+  const handleClickOpen = () => {
+    resetImport();
+    setOpen(true);
+  };
+
+  /**
+   * Close the dialog and clear the chosen file.
+   */
+  const handleClose = () => {
+    if (!loading) {
+      setOpen(false);
+      resetImport();
+    }
+  };
+
+  /**
+   * Handle the choice of a file by reading its releases, and validating them
+   * with Firebase Functions.
+   *
+   * @param {Object} event - The DOM event which triggered the change.
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    // Clear the input, so that choosing the same file again reads it again.
+    event.target.value = "";
+    if (!file) {
+      return;
+    }
+
+    resetImport();
+    setFileName(file.name);
+
+    let importedReleases;
+    try {
+      importedReleases = parseReleaseCalendar(file.name, await file.text());
+    } catch (error) {
+      setParseError(error.message);
+      return;
+    }
+    setReleases(importedReleases);
+
+    setValidating(true);
+    try {
+      const response = await validateReleases(importedReleases);
+      setErrors(response.data.errors);
+    } catch (error) {
+      setParseError("Failed to validate the releases, please try again");
+    }
+    setValidating(false);
+  };
+
+  /**
+   * Handle a click on the import button by sending a request to Firebase
+   * Functions to add all the releases.
+   */
+  const handleSubmit = async () => {
+    setLoading(true);
+    try {
+      const response = await addReleases(releases, idempotencyKey);
+      if (response.status === 200) {
+        const {message, severity} = getReleaseCreationMessage(
+            response.data.releases,
+            `${releases.length} releases imported successfully`,
+        );
+        openSnackbar(message, severity);
+        setLoading(false);
+        setOpen(false);
+        resetImport();
+        return;
+      }
+    } catch (error) {
+      openSnackbar("Error occurred while importing releases", "error");
+    }
+    setLoading(false);
+  };
+
+  return (
+    <>
+      <Button
+        color="primary"
+        variant="outlined"
+        onClick={handleClickOpen}
+        className={classes.importReleasesButton}
+      >
+        <Grid container alignItems="center">
+          <Grid item>
+            <UploadFile size={24} className={classes.importIcon}/>
+          </Grid>
+          <Grid item>
+            <Typography
+              variant="subtitle1"
+              color="inherit"
+              className={classes.importReleasesButtonText}
+            >
+            Import releases
+            </Typography>
+          </Grid>
+        </Grid>
+      </Button>
+      <ImportReleasesDialog
+        open={open}
+        fileName={fileName}
+        releases={releases}
+        errors={errors}
+        parseError={parseError}
+        currentUserEmail={currentUserEmail}
+        validating={validating}
+        loading={loading}
+        handleClose={handleClose}
+        handleFileChange={handleFileChange}
+        handleSubmit={handleSubmit}
+      />
+    </>
+  );
+}
+
+ImportReleasesForm.propTypes = {
+  openSnackbar: PropTypes.func.isRequired,
+  currentUserEmail: PropTypes.string,
+};
+
+export default ImportReleasesForm;
@@ -0,0 +1,21 @@
+import {makeStyles} from "@material-ui/core/styles";
+
+const useStyles = makeStyles((theme) => ({
+  importReleasesButton: {
+    marginLeft: theme.spacing(1),
+    padding: theme.spacing(1),
+  },
+  importIcon: {
+    verticalAlign: "middle",
+    marginRight: theme.spacing(0.5),
+    marginLeft: theme.spacing(0.5),
+  },
+  importReleasesButtonText: {
+    verticalAlign: "middle",
+    textTransform: "none",
+    height: "24px",
+    lineHeight: "24px",
+  },
+}));
+
+export default useStyles;
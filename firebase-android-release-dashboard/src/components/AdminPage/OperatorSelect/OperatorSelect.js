@@ -0,0 +1,60 @@
+import {MenuItem, TextField} from "@material-ui/core";
+import PropTypes from "prop-types";
+import React from "react";
+
+/**
+ * Field to pick the operator of a release from the roster of team members.
+ *
+ * The current operator is always selectable, even if they are no longer in
+ * the roster.
+ *
+ * @param {string} value - The email of the selected operator.
+ * @param {Array} teamMembers - The team members that can be selected.
+ * @param {function} handleChange - Function to handle a change in the
+ * selected operator.
+ * @param {string} helperText - The validation error of the field, if any.
+ * @return {JSX.Element} Rendered component.
+ */
+function OperatorSelect({value, teamMembers, handleChange, helperText}) {
+  const options = teamMembers.map((teamMember) => ({
+    value: teamMember.email,
+    label: teamMember.displayName ?
+      `${teamMember.displayName} (${teamMember.email})` : teamMember.email,
+  }));
+  if (value && !options.some((option) => option.value === value)) {
+    options.unshift({value: value, label: value});
+  }
+
+  return (
+    <TextField
+      select
+      margin="dense"
+      variant="outlined"
+      name="releaseOperator"
+      label="Release Operator"
+      value={value}
+      onChange={handleChange}
+      error={Boolean(helperText)}
+      helperText={helperText}
+      fullWidth
+    >
+      {options.map((option) => (
+        <MenuItem key={option.value} value={option.value}>
+          {option.label}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+}
+
+OperatorSelect.propTypes = {
+  value: PropTypes.string.isRequired,
+  teamMembers: PropTypes.arrayOf(PropTypes.shape({
+    email: PropTypes.string.isRequired,
+    displayName: PropTypes.string,
+  })).isRequired,
+  handleChange: PropTypes.func.isRequired,
+  helperText: PropTypes.string,
+};
+
+export default OperatorSelect;
@@ -6,11 +6,18 @@ import {
 } from "@material-ui/core";
 import {Delete, Edit, Sync} from "@mui/icons-material";
 import PropTypes from "prop-types";
-import React from "react";
+import React, {useState} from "react";
+import ConfirmReleaseNameDialog from "../ConfirmReleaseNameDialog";
 
 /**
- * Displays the action buttons for a release row.
+ * Displays the action buttons for a release row. Buttons for actions that the
+ * current user is not allowed to perform are hidden. Deleting the release
+ * has to be confirmed by typing its name.
  *
+ * @param {string} releaseName - The name of the release.
+ * @param {boolean} canModify - Whether the user can refresh and edit the
+ * release.
+ * @param {boolean} canDelete - Whether the user can delete the release.
  * @param {Object} refreshing - Whether the release is being refreshed.
  * @param {Object} deleting - Whether the release is being deleted.
  * @param {Function} handleRefreshClick - Function to handle refresh button
@@ -21,6 +28,9 @@ import React from "react";
  */
 function ReleaseActionButtons(
     {
+      releaseName,
+      canModify,
+      canDelete,
       refreshing,
       deleting,
       handleRefreshClick,
@@ -28,40 +38,73 @@ function ReleaseActionButtons(
       handleDeleteClick,
     },
 ) {
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+
+  /**
+   * Handle a confirmed deletion by deleting the release, and closing the
+   * confirmation dialog.
+   */
+  const handleDeleteConfirm = async () => {
+    await handleDeleteClick();
+    setConfirmingDelete(false);
+  };
+
   return (
     <TableCell>
-      <Tooltip title="Sync with GitHub">
-        <IconButton
-          aria-label="sync"
-          disabled={refreshing}
-          onClick={handleRefreshClick}
-          color="primary"
-        >
-          {refreshing ? <CircularProgress size={24} /> : <Sync />}
-        </IconButton>
-      </Tooltip>
-      <Tooltip title="Edit Metadata">
-        <IconButton
-          aria-label="edit"
-          onClick={handleEditClick}
-        >
-          <Edit />
-        </IconButton>
-      </Tooltip>
-      <Tooltip title="Delete All Release Data">
-        <IconButton
-          aria-label="delete"
-          disabled={deleting}
-          onClick={handleDeleteClick}
-        >
-          {deleting ? <CircularProgress size={24} /> : <Delete />}
-        </IconButton>
-      </Tooltip>
+      {canModify && (
+        <>
+          <Tooltip title="Sync with GitHub">
+            <IconButton
+              aria-label="sync"
+              disabled={refreshing}
+              onClick={handleRefreshClick}
+              color="primary"
+            >
+              {refreshing ? <CircularProgress size={24} /> : <Sync />}
+            </IconButton>
+          </Tooltip>
+          <Tooltip title="Edit Metadata">
+            <IconButton
+              aria-label="edit"
+              onClick={handleEditClick}
+            >
+              <Edit />
+            </IconButton>
+          </Tooltip>
+        </>
+      )}
+      {canDelete && (
+        <>
+          <Tooltip title="Move to Trash">
+            <IconButton
+              aria-label="delete"
+              disabled={deleting}
+              onClick={() => setConfirmingDelete(true)}
+            >
+              {deleting ? <CircularProgress size={24} /> : <Delete />}
+            </IconButton>
+          </Tooltip>
+          <ConfirmReleaseNameDialog
+            open={confirmingDelete}
+            title="Delete Release"
+            description={`${releaseName} will be moved to the trash, where ` +
+              "administrators can restore it until it is purged."}
+            releaseName={releaseName}
+            confirmLabel="Delete"
+            loading={deleting}
+            handleClose={() => setConfirmingDelete(false)}
+            handleConfirm={handleDeleteConfirm}
+          />
+        </>
+      )}
     </TableCell>
   );
 }
 
 ReleaseActionButtons.propTypes = {
+  releaseName: PropTypes.string.isRequired,
+  canModify: PropTypes.bool.isRequired,
+  canDelete: PropTypes.bool.isRequired,
   refreshing: PropTypes.bool.isRequired,
   deleting: PropTypes.bool.isRequired,
   handleRefreshClick: PropTypes.func.isRequired,
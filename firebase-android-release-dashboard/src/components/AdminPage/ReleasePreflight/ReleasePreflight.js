@@ -0,0 +1,105 @@
+import {Box, CircularProgress} from "@material-ui/core";
+import {Alert} from "@material-ui/lab";
+import PropTypes from "prop-types";
+import React from "react";
+import useReleasePreflight from "../../../hooks/useReleasePreflight";
+import useStyles from "./styles";
+
+// The code of the error for a release branch that doesn't exist.
+const BRANCH_NOT_FOUND = "branch-not-found";
+
+/**
+ * Formats an error from checking a release branch, with its hint if it has
+ * one.
+ *
+ * @param {Object} error - The error, with its `message` and `hint`.
+ * @return {string} The formatted error.
+ */
+function formatPreflightError(error) {
+  return error.hint ? `${error.message}. ${error.hint}` : error.message;
+}
+
+/**
+ * Live preview of the release branch of a release that is being scheduled
+ * or edited.
+ *
+ * Shows whether the release branch exists, whether its release.json and
+ * release_report.json can be read, and how many libraries and changes a sync
+ * would find, before the release is submitted. A missing branch is only a
+ * warning, since release branches are usually cut at code freeze.
+ *
+ * @param {string} releaseBranchName - The name of the release branch.
+ * @param {string} repoOwner - The owner of the repository of the release.
+ * @param {string} repoName - The name of the repository of the release.
+ * @return {JSX.Element} Rendered component.
+ */
+function ReleasePreflight({releaseBranchName, repoOwner, repoName}) {
+  const classes = useStyles();
+  const {preview, loading, error} = useReleasePreflight(
+      releaseBranchName, repoOwner, repoName,
+  );
+
+  if (loading) {
+    return (
+      <Alert
+        severity="info"
+        icon={<CircularProgress size={20} />}
+        className={classes.preflight}
+      >
+        Checking {releaseBranchName}...
+      </Alert>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert severity="warning" className={classes.preflight}>
+        {error}
+      </Alert>
+    );
+  }
+
+  if (!preview) {
+    return null;
+  }
+
+  if (!preview.branch.found) {
+    return (
+      <Alert severity="warning" className={classes.preflight}>
+        {preview.branch.error.code === BRANCH_NOT_FOUND ?
+          `Branch not found. Release branches are usually cut at code ` +
+            `freeze, so the release can still be submitted.` :
+          formatPreflightError(preview.branch.error)}
+      </Alert>
+    );
+  }
+
+  const fileErrors = [preview.releaseConfig.error, preview.releaseReport.error]
+      .filter((fileError) => fileError);
+  const unknownVersions = preview.libraries
+      .filter((library) => library.syncError).length;
+
+  return (
+    <Box className={classes.preflight}>
+      <Alert severity={fileErrors.length > 0 ? "warning" : "success"}>
+        {`Branch found, ${preview.libraries.length} libraries, ` +
+          `${preview.changeCount} changes`}
+        {unknownVersions > 0 &&
+          ` (${unknownVersions} libraries with unknown versions)`}
+      </Alert>
+      {fileErrors.map((fileError, index) => (
+        <Alert key={index} severity="error" className={classes.alert}>
+          {formatPreflightError(fileError)}
+        </Alert>
+      ))}
+    </Box>
+  );
+}
+
+ReleasePreflight.propTypes = {
+  releaseBranchName: PropTypes.string,
+  repoOwner: PropTypes.string,
+  repoName: PropTypes.string,
+};
+
+export default ReleasePreflight;
@@ -0,0 +1,13 @@
+import {makeStyles} from "@material-ui/core/styles";
+
+const useStyles = makeStyles((theme) => ({
+  preflight: {
+    marginTop: theme.spacing(1),
+    marginBottom: theme.spacing(1),
+  },
+  alert: {
+    marginTop: theme.spacing(1),
+  },
+}));
+
+export default useStyles;
@@ -16,9 +16,12 @@ import useStyles from "./styles";
  * @param {Object} releaseID - The ID of the release to display.
  * @param {Function} openSnackbar - Function to open the snackbar to display
  * success or error messages.
+ * @param {string} role - The role of the current user.
+ * @param {Array} teamMembers - The team members that the release can be
+ * handed off to.
  * @return {JSX.Element} Rendered component.
  */
-function ReleaseRow({releaseId, openSnackbar}) {
+function ReleaseRow({releaseId, openSnackbar, role, teamMembers}) {
   const classes = useStyles();
   const release = useRelease(releaseId);
   const [editing, setEditing] = useState(false);
@@ -30,6 +33,8 @@ function ReleaseRow({releaseId, openSnackbar}) {
     refreshing,
     submitting,
     toggling,
+    errors,
+    clearErrors,
     handleDeleteClick,
     handleRefreshClick,
     handleSubmitClick,
@@ -68,11 +73,12 @@ function ReleaseRow({releaseId, openSnackbar}) {
   const handleCancelClick = () => {
     setEditing(false);
     setEditedRelease(release);
+    clearErrors();
   };
 
   /**
    * Handle a change in the edit release form by updating the edited release
-   * state.
+   * state, and clearing the errors of the changed field.
    *
    * @param {Object} event - The event that triggered the change.
    */
@@ -86,6 +92,7 @@ function ReleaseRow({releaseId, openSnackbar}) {
       [name]: isDateType ?
         new Date(value + "T00:00:00") : value,
     });
+    clearErrors(name);
   };
 
   return (
@@ -93,6 +100,7 @@ function ReleaseRow({releaseId, openSnackbar}) {
       <TableRow className={classes.tableRow}>
         <ReleaseRowContent
           release={release}
+          role={role}
           refreshing={refreshing}
           deleting={deleting}
           toggling={toggling}
@@ -105,7 +113,9 @@ function ReleaseRow({releaseId, openSnackbar}) {
       <EditReleaseDialog
         editing={editing}
         editedRelease={editedRelease}
+        teamMembers={teamMembers}
         submitting={submitting}
+        errors={errors}
         handleCancelClick={handleCancelClick}
         handleSubmitClick={handleSubmitClick}
         handleChange={handleChange}
@@ -117,6 +127,8 @@ function ReleaseRow({releaseId, openSnackbar}) {
 ReleaseRow.propTypes = {
   releaseId: PropTypes.string.isRequired,
   openSnackbar: PropTypes.func.isRequired,
+  role: PropTypes.string,
+  teamMembers: PropTypes.array.isRequired,
 };
 
 export default ReleaseRow;
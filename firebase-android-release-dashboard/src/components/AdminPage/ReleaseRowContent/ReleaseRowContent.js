@@ -3,6 +3,8 @@ import {format} from "date-fns";
 import PropTypes from "prop-types";
 import React from "react";
 import {RELEASE_STATES} from "../../../utils/releaseStates";
+import {DEFAULT_REPOSITORY} from "../../../utils/repository";
+import {hasRole, ROLES} from "../../../utils/roles";
 import StateChip from "../../Release/StateChip/StateChip";
 import ReleaseActionButtons from "../ReleaseActionButtons/ReleaseActionButtons";
 import ToggleReleaseButton from "../ToggleReleaseButton/ToggleReleaseButton";
@@ -16,7 +18,12 @@ import ToggleReleaseButton from "../ToggleReleaseButton/ToggleReleaseButton";
  * @param {Date} release.codeFreezeDate - Code freeze date.
  * @param {Date} release.releaseDate - Release date.
  * @param {string} release.releaseBranchName - Release branch name.
+ * @param {string} release.repoOwner - Owner of the release repository.
+ * @param {string} release.repoName - Name of the release repository.
+ * @param {string} release.releaseOperator - Release operator.
  * @param {string} release.state - Release state.
+ * @param {string} role - The role of the current user. Actions that the
+ * role does not allow are hidden.
  * @param {boolean} refreshing - Whether the release is being refreshed.
  * @param {boolean} deleting - Whether the release is being deleted.
  * @param {boolean} toggling - Whether the release state is being toggled.
@@ -30,6 +37,7 @@ import ToggleReleaseButton from "../ToggleReleaseButton/ToggleReleaseButton";
 function ReleaseRowContent(
     {
       release,
+      role,
       refreshing,
       deleting,
       toggling,
@@ -39,6 +47,9 @@ function ReleaseRowContent(
       handleReleasedToggle,
     },
 ) {
+  const canModify = hasRole(role, ROLES.OPERATOR);
+  const canDelete = hasRole(role, ROLES.ADMIN);
+
   return (
     <>
       <TableCell>
@@ -60,6 +71,15 @@ function ReleaseRowContent(
         <Typography variant="body2" color="textPrimary">
           {release.releaseBranchName}
         </Typography>
+        <Typography variant="caption" color="textSecondary">
+          {`${release.repoOwner || DEFAULT_REPOSITORY.owner}/` +
+            `${release.repoName || DEFAULT_REPOSITORY.repo}`}
+        </Typography>
+      </TableCell>
+      <TableCell>
+        <Typography variant="body2" color="textPrimary">
+          {release.releaseOperator}
+        </Typography>
       </TableCell>
       <TableCell>
         <StateChip
@@ -69,13 +89,18 @@ function ReleaseRowContent(
         />
       </TableCell>
       <TableCell>
-        <ToggleReleaseButton
-          release={release}
-          toggling={toggling}
-          handleReleasedToggle={handleReleasedToggle}
-        />
+        {canModify && (
+          <ToggleReleaseButton
+            release={release}
+            toggling={toggling}
+            handleReleasedToggle={handleReleasedToggle}
+          />
+        )}
       </TableCell>
       <ReleaseActionButtons
+        releaseName={release.releaseName}
+        canModify={canModify}
+        canDelete={canDelete}
         refreshing={refreshing}
         deleting={deleting}
         handleRefreshClick={handleRefreshClick}
@@ -93,8 +118,12 @@ ReleaseRowContent.propTypes = {
     codeFreezeDate: PropTypes.instanceOf(Date).isRequired,
     releaseDate: PropTypes.instanceOf(Date).isRequired,
     releaseBranchName: PropTypes.string.isRequired,
+    repoOwner: PropTypes.string,
+    repoName: PropTypes.string,
+    releaseOperator: PropTypes.string.isRequired,
     state: PropTypes.oneOf(Object.values(RELEASE_STATES)).isRequired,
   }).isRequired,
+  role: PropTypes.string,
   refreshing: PropTypes.bool.isRequired,
   deleting: PropTypes.bool.isRequired,
   toggling: PropTypes.bool.isRequired,
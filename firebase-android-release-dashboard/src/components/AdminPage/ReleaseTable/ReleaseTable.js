@@ -15,6 +15,7 @@ const tableHeaders = [
   "Code Freeze Date",
   "Release Date",
   "Release Branch",
+  "Operator",
   "State",
   "", // Buttons
 ];
@@ -27,9 +28,12 @@ const tableHeaders = [
  *
  * @param {function} openSnackbar - Function to open the snackbar to display
  * success or error messages.
+ * @param {string} role - The role of the current user.
+ * @param {Array} teamMembers - The team members that releases can be handed
+ * off to.
  * @return {JSX.Element} Rendered AdminReleaseTable component.
  */
-function ReleaseTable({openSnackbar}) {
+function ReleaseTable({openSnackbar, role, teamMembers}) {
   const classes = useStyles();
   const releases = useReleases(null, null);
 
@@ -57,6 +61,8 @@ function ReleaseTable({openSnackbar}) {
                 key={release.id}
                 releaseId={release.id}
                 openSnackbar={openSnackbar}
+                role={role}
+                teamMembers={teamMembers}
               />
             ))}
           </TableBody>
@@ -68,6 +74,8 @@ function ReleaseTable({openSnackbar}) {
 
 ReleaseTable.propTypes = {
   openSnackbar: PropTypes.func.isRequired,
+  role: PropTypes.string,
+  teamMembers: PropTypes.array.isRequired,
 };
 
 export default ReleaseTable;
@@ -0,0 +1,199 @@
+import {
+  CircularProgress,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography,
+} from "@material-ui/core";
+import {DeleteForever, RestoreFromTrash} from "@mui/icons-material";
+import {format} from "date-fns";
+import PropTypes from "prop-types";
+import React, {useState} from "react";
+import {purgeRelease, restoreRelease} from "../../../api";
+import useDeletedReleases from "../../../hooks/useDeletedReleases";
+import ConfirmReleaseNameDialog from "../ConfirmReleaseNameDialog";
+import useStyles from "./styles";
+
+const tableHeaders = [
+  "Release Name",
+  "Release Date",
+  "Deleted",
+  "Deleted By",
+  "Purged On",
+  "",
+];
+
+/**
+ * Displays the releases in the trash. Deleted releases are kept in the
+ * trash for a retention period, during which they can be restored, before
+ * they are purged. They can also be purged right away, which has to be
+ * confirmed by typing the name of the release.
+ *
+ * @param {boolean} canView - Whether the current user can view, restore and
+ * purge deleted releases.
+ * @param {Function} openSnackbar - Function to open the snackbar.
+ * @return {JSX.Element} Rendered component.
+ */
+function ReleaseTrash({canView, openSnackbar}) {
+  const classes = useStyles();
+  const releases = useDeletedReleases(canView);
+  const [restoring, setRestoring] = useState({});
+  const [purging, setPurging] = useState(false);
+  const [purgeTarget, setPurgeTarget] = useState(null);
+
+  /**
+   * Handle a click on the restore button of a release by calling the
+   * restoreRelease API.
+   *
+   * @param {string} releaseId - The ID of the release to restore.
+   */
+  const handleRestoreClick = async (releaseId) => {
+    setRestoring((current) => ({...current, [releaseId]: true}));
+    try {
+      const response = await restoreRelease(releaseId);
+      if (response.status === 200) {
+        openSnackbar("Release restored successfully", "success");
+      } else {
+        openSnackbar("Failed to restore release", "error");
+      }
+    } catch (error) {
+      if (error.response && error.response.status === 400 &&
+          Array.isArray(error.response.data.errors)) {
+        const [restoreError] = error.response.data.errors;
+        openSnackbar(
+            `Release can't be restored: ${restoreError.message}`,
+            "error",
+        );
+      } else {
+        openSnackbar("Error occurred while restoring release", "error");
+      }
+    }
+    setRestoring((current) => ({...current, [releaseId]: false}));
+  };
+
+  /**
+   * Handle a confirmed click on the purge button of a release by calling the
+   * purgeRelease API.
+   */
+  const handlePurgeConfirm = async () => {
+    setPurging(true);
+    try {
+      const response = await purgeRelease(purgeTarget.id);
+      if (response.status === 200) {
+        openSnackbar("Release purged successfully", "success");
+      } else {
+        openSnackbar("Failed to purge release", "error");
+      }
+    } catch (error) {
+      openSnackbar("Error occurred while purging release", "error");
+    }
+    setPurging(false);
+    setPurgeTarget(null);
+  };
+
+  return (
+    <>
+      <TableContainer className={classes.tableContainer}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              {tableHeaders.map((header) => (
+                <TableCell key={header}>
+                  <Typography variant="body1" className={classes.tableHeader}>
+                    {header}
+                  </Typography>
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {releases.map((release) => (
+              <TableRow key={release.id}>
+                <TableCell>
+                  <Typography variant="body1" color="textPrimary">
+                    {release.releaseName}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2" color="textPrimary">
+                    {format(release.releaseDate, "MMM. dd, yyyy")}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2" color="textPrimary">
+                    {format(release.deletedAt, "MMM. dd, yyyy HH:mm")}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2" color="textPrimary">
+                    {release.deletedBy}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2" color="textSecondary">
+                    {format(release.purgeAt, "MMM. dd, yyyy")}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Tooltip title="Restore Release">
+                    <IconButton
+                      aria-label="restore"
+                      disabled={restoring[release.id]}
+                      onClick={() => handleRestoreClick(release.id)}
+                      color="primary"
+                    >
+                      {restoring[release.id] ?
+                        <CircularProgress size={24} /> : <RestoreFromTrash />}
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Purge All Release Data">
+                    <IconButton
+                      aria-label="purge"
+                      onClick={() => setPurgeTarget(release)}
+                    >
+                      <DeleteForever />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+        {releases.length === 0 && (
+          <Typography
+            variant="body2"
+            color="textSecondary"
+            className={classes.emptyTrash}
+          >
+            The trash is empty.
+          </Typography>
+        )}
+      </TableContainer>
+      <ConfirmReleaseNameDialog
+        open={purgeTarget !== null}
+        title="Purge Release"
+        description={purgeTarget ?
+          `${purgeTarget.releaseName} and all of its libraries, changes and ` +
+            "checks will be deleted permanently. This can't be undone." :
+          ""}
+        releaseName={purgeTarget ? purgeTarget.releaseName : ""}
+        confirmLabel="Purge"
+        loading={purging}
+        handleClose={() => setPurgeTarget(null)}
+        handleConfirm={handlePurgeConfirm}
+      />
+    </>
+  );
+}
+
+ReleaseTrash.propTypes = {
+  canView: PropTypes.bool.isRequired,
+  openSnackbar: PropTypes.func.isRequired,
+};
+
+export default ReleaseTrash;
@@ -11,6 +11,7 @@ const toggleIsDisabled = {
   [RELEASE_STATES.RELEASE_DAY]: false,
   [RELEASE_STATES.RELEASED]: false,
   [RELEASE_STATES.DELAYED]: false,
+  [RELEASE_STATES.DEGRADED]: false,
   [RELEASE_STATES.ERROR]: true,
 };
 
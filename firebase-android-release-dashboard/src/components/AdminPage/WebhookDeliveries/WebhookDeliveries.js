@@ -0,0 +1,160 @@
+import {
+  CircularProgress,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography,
+} from "@material-ui/core";
+import {Replay} from "@mui/icons-material";
+import {format} from "date-fns";
+import PropTypes from "prop-types";
+import React, {useState} from "react";
+import {replayWebhookDelivery} from "../../../api";
+import useWebhookDeliveries from "../../../hooks/useWebhookDeliveries";
+import {WEBHOOK_OUTCOMES} from "../../../utils/webhookOutcomes";
+import useStyles from "./styles";
+
+const tableHeaders = [
+  "Received",
+  "Event",
+  "Branch",
+  "Delivery",
+  "Outcome",
+  "Error",
+  "",
+];
+
+/**
+ * Displays the most recent GitHub webhook deliveries with their outcome.
+ * Deliveries can be replayed, which handles their stored payload again.
+ *
+ * @param {boolean} canView - Whether the current user can view and replay
+ * webhook deliveries.
+ * @param {Function} openSnackbar - Function to open the snackbar.
+ * @return {JSX.Element} Rendered component.
+ */
+function WebhookDeliveries({canView, openSnackbar}) {
+  const classes = useStyles();
+  const deliveries = useWebhookDeliveries(canView);
+  const [replaying, setReplaying] = useState({});
+
+  /**
+   * Handle a click on the replay button of a delivery by calling the
+   * replayWebhookDelivery API.
+   *
+   * @param {string} deliveryId - The ID of the delivery to replay.
+   */
+  const handleReplayClick = async (deliveryId) => {
+    setReplaying((current) => ({...current, [deliveryId]: true}));
+    try {
+      const response = await replayWebhookDelivery(deliveryId);
+      if (response.status === 200) {
+        openSnackbar("Webhook delivery replayed successfully", "success");
+      } else {
+        openSnackbar("Failed to replay webhook delivery", "error");
+      }
+    } catch (error) {
+      openSnackbar("Error occurred while replaying webhook delivery",
+          "error");
+    }
+    setReplaying((current) => ({...current, [deliveryId]: false}));
+  };
+
+  return (
+    <TableContainer className={classes.tableContainer}>
+      <Table>
+        <TableHead>
+          <TableRow>
+            {tableHeaders.map((header) => (
+              <TableCell key={header}>
+                <Typography variant="body1" className={classes.tableHeader}>
+                  {header}
+                </Typography>
+              </TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {deliveries.map((delivery) => (
+            <TableRow key={delivery.id}>
+              <TableCell>
+                <Typography variant="body2" color="textPrimary">
+                  {format(delivery.receivedAt, "MMM. dd, yyyy HH:mm:ss")}
+                </Typography>
+              </TableCell>
+              <TableCell>
+                <Typography variant="body2" color="textPrimary">
+                  {delivery.eventType}
+                </Typography>
+              </TableCell>
+              <TableCell>
+                <Typography variant="body2" color="textPrimary">
+                  {delivery.branch || "none"}
+                </Typography>
+              </TableCell>
+              <TableCell>
+                <Typography
+                  variant="body2"
+                  color="textSecondary"
+                  className={classes.deliveryId}
+                >
+                  {delivery.id}
+                </Typography>
+              </TableCell>
+              <TableCell>
+                <Typography
+                  variant="body2"
+                  color={delivery.outcome === WEBHOOK_OUTCOMES.FAILED ?
+                    "error" : "textPrimary"}
+                >
+                  {delivery.replayCount > 0 ?
+                    `${delivery.outcome} (replayed ${delivery.replayCount}×)` :
+                    delivery.outcome}
+                </Typography>
+              </TableCell>
+              <TableCell>
+                <Typography
+                  variant="body2"
+                  color="textSecondary"
+                  className={classes.error}
+                >
+                  {delivery.error}
+                </Typography>
+              </TableCell>
+              <TableCell>
+                <Tooltip title={delivery.payload ?
+                  "Replay Delivery" :
+                  "The payload was too large to store"}
+                >
+                  <span>
+                    <IconButton
+                      aria-label="replay"
+                      disabled={!delivery.payload || replaying[delivery.id]}
+                      onClick={() => handleReplayClick(delivery.id)}
+                      color="primary"
+                    >
+                      {replaying[delivery.id] ?
+                        <CircularProgress size={24} /> : <Replay />}
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+WebhookDeliveries.propTypes = {
+  canView: PropTypes.bool.isRequired,
+  openSnackbar: PropTypes.func.isRequired,
+};
+
+export default WebhookDeliveries;
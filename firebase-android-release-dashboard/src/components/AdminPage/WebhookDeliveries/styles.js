@@ -0,0 +1,22 @@
+import {makeStyles} from "@material-ui/core/styles";
+
+const useStyles = makeStyles((theme) => ({
+  tableContainer: {
+    borderRadius: 5,
+    backgroundColor: theme.palette.background.paper,
+    marginTop: theme.spacing(2),
+    marginBottom: theme.spacing(2),
+    boxShadow: theme.shadows[2],
+  },
+  tableHeader: {
+    fontWeight: theme.typography.fontWeightBold,
+  },
+  deliveryId: {
+    fontFamily: "monospace",
+  },
+  error: {
+    whiteSpace: "pre-wrap",
+  },
+}));
+
+export default useStyles;
@@ -6,13 +6,14 @@ import useStyles from "./styles.js";
 
 /**
  * BuildArtifacts component renders the build artifact status and provides a
- * link if available.
+ * link if available. While the artifacts are being built, the status links
+ * to the running workflow, and is updated live by workflow run webhooks.
  *
  * @param {Object} props - The component's props.
  * @param {string} props.buildArtifactStatus - The status of the build
  * artifacts.
  * @param {string} props.buildArtifactConclusion - The conclusion of
- * the build artifacts.
+ * the build artifacts, or null while they are being built.
  * @param {string} props.buildArtifactLink - The link to the build artifacts.
  * @return {JSX.Element} The rendered component.
  */
@@ -25,14 +26,19 @@ function BuildArtifacts({
   const isArtifactAvailable =
     buildArtifactStatus === "completed" &&
     buildArtifactConclusion === "success";
+  const isArtifactBuilding = buildArtifactStatus !== "completed";
   const artifactClass = isArtifactAvailable ?
     classes.enabledBuildArtifacts : classes.disabledBuildArtifacts;
-  const artifactText = isArtifactAvailable ?
-    "Build Release Artifacts Job" : "Build Release Artifacts Unavailable";
+  let artifactText = "Build Release Artifacts Unavailable";
+  if (isArtifactAvailable) {
+    artifactText = "Build Release Artifacts Job";
+  } else if (isArtifactBuilding) {
+    artifactText = "Building Release Artifacts";
+  }
 
   return (
     <div className={artifactClass}>
-      {isArtifactAvailable ? (
+      {isArtifactAvailable || isArtifactBuilding ? (
         <Link href={buildArtifactLink} rel="noopener noreferrer">
           <Typography
             color="textPrimary"
@@ -64,12 +70,14 @@ function BuildArtifacts({
 }
 
 BuildArtifacts.propTypes = {
-  buildArtifactStatus: PropTypes.oneOf(["completed", "in_progress", "queued"])
-      .isRequired,
+  buildArtifactStatus: PropTypes.oneOf(
+      ["completed", "in_progress", "queued", "requested", "waiting",
+        "pending"],
+  ).isRequired,
   buildArtifactConclusion: PropTypes.oneOf(
       ["success", "failure", "neutral", "cancelled", "skipped",
-        "timed_out", "action_required"],
-  ).isRequired,
+        "timed_out", "action_required", "stale"],
+  ),
   buildArtifactLink: PropTypes.string.isRequired,
 };
 
@@ -0,0 +1,65 @@
+import React from "react";
+import PropTypes from "prop-types";
+import {Avatar, Link, Typography} from "@material-ui/core";
+import useStyles from "./styles";
+
+/**
+ * Represents the author of a commit, linked to their GitHub profile if they
+ * have a GitHub account.
+ *
+ * Changes that were synced before authors were resolved store the author as
+ * a placeholder string, so nothing is rendered for them.
+ *
+ * @param {Object} author - The author of the commit.
+ * @param {String} author.login - The GitHub login of the author.
+ * @param {String} author.name - The display name of the author.
+ * @param {String} author.avatarUrl - The URL of the GitHub avatar of the
+ * author.
+ * @return {JSX.Element} The CommitAuthor component.
+ */
+function CommitAuthor({author}) {
+  const classes = useStyles();
+
+  if (!author || typeof author !== "object") {
+    return null;
+  }
+
+  const {login, name, avatarUrl} = author;
+
+  return (
+    <Typography
+      component="span"
+      variant="body2"
+      color="textSecondary"
+      className={classes.author}
+    >
+      {avatarUrl && (
+        <Avatar alt={login} src={avatarUrl} className={classes.avatar} />
+      )}
+      {login ? (
+        <Link
+          href={`https://github.com/${login}`}
+          target="_blank"
+          rel="noreferrer"
+          color="inherit"
+          title={name}
+        >
+          {login}
+        </Link>
+      ) : name}
+    </Typography>
+  );
+}
+
+CommitAuthor.propTypes = {
+  author: PropTypes.oneOfType([
+    PropTypes.shape({
+      login: PropTypes.string,
+      name: PropTypes.string,
+      avatarUrl: PropTypes.string,
+    }),
+    PropTypes.string,
+  ]),
+};
+
+export default CommitAuthor;
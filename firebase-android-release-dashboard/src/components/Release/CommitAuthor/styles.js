@@ -0,0 +1,18 @@
+import {makeStyles} from "@material-ui/core/styles";
+import theme from "../../../config/theme";
+
+const useStyles = makeStyles({
+  author: {
+    display: "inline-flex",
+    alignItems: "center",
+    verticalAlign: "middle",
+    marginLeft: theme.spacing(1),
+  },
+  avatar: {
+    width: theme.spacing(2),
+    height: theme.spacing(2),
+    marginRight: theme.spacing(0.5),
+  },
+});
+
+export default useStyles;
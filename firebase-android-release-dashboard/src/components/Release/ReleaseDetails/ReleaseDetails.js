@@ -1,5 +1,5 @@
 import {Grid, Link, Typography} from "@material-ui/core";
-import {Alert} from "@material-ui/lab";
+import {Alert, AlertTitle} from "@material-ui/lab";
 import {GitBranchIcon} from "@primer/octicons-react";
 import PropTypes from "prop-types";
 import React from "react";
@@ -7,6 +7,7 @@ import {RELEASE_STATES} from "../../../utils/releaseStates.js";
 import BuildArtifacts from "../BuildArtifacts/BuildArtifacts.js";
 import GithubChecks from "../GithubChecks/index.js";
 import ReleaseLibraries from "../ReleaseLibraries/ReleaseLibraries.js";
+import ReleaseTimeline from "../ReleaseTimeline/index.js";
 import useStyles from "./styles.js";
 import useReleasingLibraries from "../../../hooks/useReleasingLibraries.js";
 
@@ -20,6 +21,7 @@ const sortLibraries = (libraries) => {
  * Component to display details of a release that has release data.
  *
  * All releases that are not in the "scheduled" state have release data.
+ * The timeline of state transitions is shown below the release data.
  *
  * @param {Object} release - An object containing release details.
  * @param {String} release.id - The id of the release.
@@ -34,6 +36,9 @@ const sortLibraries = (libraries) => {
  * @param {String} release.buildArtifactConclusion - The conclusion of the
  * build artifact.
  * @param {String} release.buildArtifactLink - The link to the build artifact.
+ * @param {Object} release.syncError - The error that caused the release to
+ * enter the error state, with its code, the path that caused it, and a hint
+ * on how to fix it.
  * @return {JSX.Element} The rendered JSX element.
  */
 function ReleaseDetails({release}) {
@@ -44,18 +49,40 @@ function ReleaseDetails({release}) {
 
   if (release.state === RELEASE_STATES.ERROR) {
     return (
-      <Alert severity="error">
-        This release is in an error state. Please contact the release operator.
-      </Alert>
+      <>
+        <Alert severity="error">
+          {release.syncError ? (
+            <>
+              <AlertTitle>
+                {release.syncError.path ?
+                  `${release.syncError.code}: ${release.syncError.path}` :
+                  release.syncError.code}
+              </AlertTitle>
+              {release.syncError.hint}
+            </>
+          ) : (
+            "This release is in an error state. Please contact the release " +
+            "operator."
+          )}
+        </Alert>
+        <ReleaseTimeline releaseId={release.id} />
+      </>
     );
   } else if (
     release.state === RELEASE_STATES.CODE_FREEZE ||
     release.state === RELEASE_STATES.RELEASE_DAY ||
     release.state === RELEASE_STATES.RELEASED ||
-    release.state === RELEASE_STATES.DELAYED
+    release.state === RELEASE_STATES.DELAYED ||
+    release.state === RELEASE_STATES.DEGRADED
   ) {
     return (
       <>
+        {release.state === RELEASE_STATES.DEGRADED && (
+          <Alert severity="warning">
+            Some libraries in this release could not be synced. They are
+            marked below with the reason they failed.
+          </Alert>
+        )}
         <ReleaseLibraries libraries={sortedLibraries} />
         <Grid container justifyContent="center" alignItems="center" spacing={3}>
           <Grid item xs="auto">
@@ -80,6 +107,7 @@ function ReleaseDetails({release}) {
             </Link>
           </Grid>
         </Grid>
+        <ReleaseTimeline releaseId={release.id} />
       </>
     );
   } else {
@@ -99,6 +127,11 @@ ReleaseDetails.propTypes = {
     buildArtifactStatus: PropTypes.string.isRequired,
     buildArtifactConclusion: PropTypes.string.isRequired,
     buildArtifactLink: PropTypes.string.isRequired,
+    syncError: PropTypes.shape({
+      code: PropTypes.string.isRequired,
+      path: PropTypes.string,
+      hint: PropTypes.string.isRequired,
+    }),
   }).isRequired,
 };
 
@@ -1,35 +1,115 @@
 import {
+  Accordion,
+  AccordionDetails,
+  AccordionSummary,
   Button,
+  Chip,
   Dialog, DialogActions, DialogContent,
   DialogContentText, DialogTitle,
+  Grid,
+  Typography,
 } from "@material-ui/core";
+import {ExpandMore} from "@mui/icons-material";
+import {format} from "date-fns";
 import PropTypes from "prop-types";
 import React from "react";
+import useReleaseErrorHistory from "../../../hooks/useReleaseErrorHistory";
 import useStyles from "./styles";
 
 /**
- * A dialog to display the error details of a release.
+ * A dialog to display the error history of a release, newest first.
+ *
+ * Each error shows when it occurred, its category, the context in which it
+ * occurred, and whether it was resolved by a later sync. The error message
+ * and stack trace are shown when the error is expanded. Older errors are
+ * loaded on demand.
  *
  * @param {Object} open - Whether the dialog is open.
  * @param {Object} onClose - Function to handle close.
- * @param {Object} releaseError - The error object.
+ * @param {string} releaseId - The ID of the release.
  * @return {JSX.Element} Rendered component.
  */
-function ReleaseErrorDialog({open, onClose, releaseError}) {
+function ReleaseErrorDialog({open, onClose, releaseId}) {
   const classes = useStyles();
+  const {
+    releaseErrors,
+    hasMore,
+    loadMore,
+  } = useReleaseErrorHistory(releaseId, open);
+
   return (
-    <Dialog open={open} onClose={onClose}>
-      <DialogTitle>Error Details</DialogTitle>
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Error History</DialogTitle>
       <DialogContent>
-        <DialogContentText className={classes.stackTrace}>
-          {
-              releaseError ?
-              releaseError.stackTrace :
-              "No stack trace available. Check the Functions logs."
-          }
-        </DialogContentText>
+        {releaseErrors.length === 0 && (
+          <DialogContentText>
+            No errors available. Check the Functions logs.
+          </DialogContentText>
+        )}
+        {releaseErrors.map((releaseError) => (
+          <Accordion key={releaseError.id}>
+            <AccordionSummary expandIcon={<ExpandMore />}>
+              <Grid container alignItems="center" spacing={1}>
+                <Grid item>
+                  <Typography variant="body2" color="textSecondary">
+                    {format(releaseError.timestamp, "MMM. dd, yyyy HH:mm")}
+                  </Typography>
+                </Grid>
+                <Grid item>
+                  <Chip
+                    size="small"
+                    label={releaseError.category || "unknown"}
+                  />
+                </Grid>
+                <Grid item>
+                  <Chip
+                    size="small"
+                    variant="outlined"
+                    label={releaseError.resolved ? "resolved" : "unresolved"}
+                    className={
+                      releaseError.resolved ? null : classes.unresolved
+                    }
+                  />
+                </Grid>
+                <Grid item xs={12}>
+                  <Typography variant="body2" color="textPrimary">
+                    {releaseError.contextMsg}
+                  </Typography>
+                </Grid>
+              </Grid>
+            </AccordionSummary>
+            <AccordionDetails className={classes.details}>
+              {releaseError.errorMsg && (
+                <Typography variant="body2" color="textPrimary">
+                  {releaseError.errorMsg}
+                </Typography>
+              )}
+              {releaseError.hint && (
+                <Typography variant="body2" color="textSecondary">
+                  {releaseError.path ?
+                    `${releaseError.hint} (${releaseError.path})` :
+                    releaseError.hint}
+                </Typography>
+              )}
+              {releaseError.resolvedAt && (
+                <Typography variant="caption" color="textSecondary">
+                  {"Resolved on " +
+                    format(releaseError.resolvedAt, "MMM. dd, yyyy HH:mm")}
+                </Typography>
+              )}
+              <DialogContentText className={classes.stackTrace}>
+                {releaseError.stackTrace}
+              </DialogContentText>
+            </AccordionDetails>
+          </Accordion>
+        ))}
       </DialogContent>
       <DialogActions>
+        {hasMore && (
+          <Button onClick={loadMore} color="primary">
+            Load older errors
+          </Button>
+        )}
         <Button onClick={onClose} color="primary">
             Close
         </Button>
@@ -41,7 +121,7 @@ function ReleaseErrorDialog({open, onClose, releaseError}) {
 ReleaseErrorDialog.propTypes = {
   open: PropTypes.bool.isRequired,
   onClose: PropTypes.func.isRequired,
-  releaseError: PropTypes.object,
+  releaseId: PropTypes.string.isRequired,
 };
 
 export default ReleaseErrorDialog;
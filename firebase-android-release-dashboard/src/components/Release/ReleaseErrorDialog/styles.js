@@ -7,6 +7,13 @@ const useStyles = makeStyles((theme) => ({
     color: theme.palette.errorText,
     whiteSpace: "pre-wrap",
   },
+  details: {
+    flexDirection: "column",
+  },
+  unresolved: {
+    color: theme.palette.errorText,
+    borderColor: theme.palette.errorText,
+  },
 }));
 
 export default useStyles;
@@ -1,10 +1,12 @@
 import React from "react";
 import PropTypes from "prop-types";
-import {Link, Typography, Paper} from "@material-ui/core";
+import {Chip, Link, Tooltip, Typography, Paper} from "@material-ui/core";
+import {Warning} from "@mui/icons-material";
 import {Alert, AlertTitle} from "@material-ui/lab";
 import {GitCommitIcon} from "@primer/octicons-react";
 import useStyles from "./styles";
 import useChanges from "../../../hooks/useChanges";
+import CommitAuthor from "../CommitAuthor";
 
 /**
  * Since Firestore documents can't have '/' in their IDs, we need to
@@ -32,6 +34,9 @@ function encodeLibraryDocId(libraryName, updatedVersion) {
  * opted into the release.
  * @param {Boolean} library.libraryGroupRelease - Whether the library
  * was included to keep version alignment with other libraries.
+ * @param {Object} library.syncError - The error that prevented the library
+ * from being synced, with its code, path, hint and message, or null if the
+ * library synced successfully.
  * @return {JSX.Element} The ReleaseLibraryItem component.
  */
 function ReleaseLibraryItem({library}) {
@@ -46,17 +51,39 @@ function ReleaseLibraryItem({library}) {
     updatedVersion,
     optedIn,
     libraryGroupRelease,
+    syncError,
   } = library;
 
   return (
     <Paper elevation={0} className={classes.libraryPaper}>
-      <Typography
-        variant="subtitle1"
-        color="textPrimary"
-        className={classes.libraryName}
-      >
-        {`${libraryName} ${updatedVersion}`}
-      </Typography>
+      <div className={classes.libraryHeader}>
+        <Typography
+          variant="subtitle1"
+          color="textPrimary"
+          className={classes.libraryName}
+        >
+          {`${libraryName} ${updatedVersion}`}
+        </Typography>
+        {syncError && (
+          <Tooltip
+            title={
+              <>
+                <div>{syncError.message}</div>
+                <div>{syncError.hint}</div>
+              </>
+            }
+          >
+            <Chip
+              size="small"
+              icon={<Warning className={classes.warningIcon} />}
+              label={syncError.path ?
+                `${syncError.code}: ${syncError.path}` :
+                syncError.code}
+              className={classes.syncErrorChip}
+            />
+          </Tooltip>
+        )}
+      </div>
       {optedIn ? (
         <Alert severity="info">
           <AlertTitle variant="body2">Manually Opted In</AlertTitle>
@@ -72,7 +99,7 @@ function ReleaseLibraryItem({library}) {
       ) : (
         changes.map(
             ({commitLink, commitTitle,
-              pullRequestLink, pullRequestID}, index) => (
+              pullRequestLink, pullRequestID, author}, index) => (
               <Typography variant="body2" color="textPrimary" key={index}>
                 <Link href={commitLink} target="_blank" rel="noreferrer">
                   <GitCommitIcon className={classes.icon} size={16} />
@@ -87,6 +114,7 @@ function ReleaseLibraryItem({library}) {
               #{pullRequestID}
                 </Link>
             )
+                <CommitAuthor author={author} />
               </Typography>
             ))
       )}
@@ -101,6 +129,12 @@ ReleaseLibraryItem.propTypes = {
     updatedVersion: PropTypes.string.isRequired,
     optedIn: PropTypes.bool.isRequired,
     libraryGroupRelease: PropTypes.bool.isRequired,
+    syncError: PropTypes.shape({
+      code: PropTypes.string.isRequired,
+      path: PropTypes.string,
+      hint: PropTypes.string,
+      message: PropTypes.string,
+    }),
   }).isRequired,
 };
 
@@ -9,6 +9,18 @@ const useStyles = makeStyles({
     border: "none",
     textAlign: "left",
   },
+  libraryHeader: {
+    display: "flex",
+    alignItems: "center",
+  },
+  syncErrorChip: {
+    marginLeft: theme.spacing(1),
+    backgroundColor: theme.palette.chip.amber,
+    color: theme.palette.primary.contrastText,
+  },
+  warningIcon: {
+    color: theme.palette.primary.contrastText,
+  },
   icon: {
     color: theme.palette.icon.dark,
     marginRight: theme.spacing(1),
@@ -1,10 +1,11 @@
 import React from "react";
 import PropTypes from "prop-types";
-import {Grid, Typography} from "@material-ui/core";
+import {Grid, Tooltip, Typography} from "@material-ui/core";
 import {format} from "date-fns";
 import {RELEASE_STATES} from "../../../utils/releaseStates";
 import useStyles from "./styles";
 import StateChip from "../StateChip/StateChip";
+import SyncedCommit from "../SyncedCommit";
 import {useAuthentication} from "../../../hooks/useAuthentication";
 
 /**
@@ -16,6 +17,13 @@ import {useAuthentication} from "../../../hooks/useAuthentication";
  * @param {Date} release.releaseDate - The date of the release.
  * @param {Date} release.codeFreezeDate - The date of the code freeze.
  * @param {String} release.state - The state of the release.
+ * @param {String} release.releaseOperator - The operator of the release.
+ * @param {Array} release.operatorHistory - The operators that the release
+ * was handed off to, oldest first.
+ * @param {String} release.syncedCommitSha - The SHA of the commit that the
+ * release data was last synced from, if the release was synced.
+ * @param {Date} release.syncedCommitDate - The date of the synced commit.
+ * @param {Date} release.lastSyncedAt - When the release was last synced.
  * @return {JSX.Element} The ReleaseMetadata component.
  */
 function ReleaseMetadata({release}) {
@@ -28,8 +36,18 @@ function ReleaseMetadata({release}) {
     releaseDate,
     codeFreezeDate,
     state,
+    releaseOperator,
+    operatorHistory,
+    syncedCommitSha,
+    syncedCommitDate,
+    lastSyncedAt,
   } = release;
 
+  const handoffs = operatorHistory.map((handoff) =>
+    `${handoff.operator}, assigned by ${handoff.assignedBy} on ` +
+    format(handoff.assignedAt, "MMM. dd, yyyy"),
+  );
+
   return (
     <Grid container className={classes.metadata}>
       <Grid item xs={3}>
@@ -40,6 +58,28 @@ function ReleaseMetadata({release}) {
         >
           {releaseName}
         </Typography>
+        <Tooltip
+          title={handoffs.map((handoff) => (
+            <div key={handoff}>{handoff}</div>
+          ))}
+          disableHoverListener={handoffs.length === 0}
+        >
+          <Typography
+            variant="caption"
+            color="textSecondary"
+            className={classes.operator}
+          >
+            {`Operator: ${releaseOperator}`}
+          </Typography>
+        </Tooltip>
+        {syncedCommitSha && syncedCommitDate && lastSyncedAt && (
+          <SyncedCommit
+            releaseId={id}
+            syncedCommitSha={syncedCommitSha}
+            syncedCommitDate={syncedCommitDate}
+            lastSyncedAt={lastSyncedAt}
+          />
+        )}
       </Grid>
       <Grid item xs={3}>
         <Typography
@@ -77,6 +117,15 @@ ReleaseMetadata.propTypes = {
     releaseDate: PropTypes.instanceOf(Date).isRequired,
     codeFreezeDate: PropTypes.instanceOf(Date).isRequired,
     state: PropTypes.oneOf(Object.values(RELEASE_STATES)).isRequired,
+    releaseOperator: PropTypes.string.isRequired,
+    operatorHistory: PropTypes.arrayOf(PropTypes.shape({
+      operator: PropTypes.string.isRequired,
+      assignedBy: PropTypes.string.isRequired,
+      assignedAt: PropTypes.instanceOf(Date).isRequired,
+    })).isRequired,
+    syncedCommitSha: PropTypes.string,
+    syncedCommitDate: PropTypes.instanceOf(Date),
+    lastSyncedAt: PropTypes.instanceOf(Date),
   }).isRequired,
 };
 
@@ -10,6 +10,10 @@ const useStyles = makeStyles({
     flex: "1 0 20%",
     textAlign: "left",
   },
+  operator: {
+    display: "block",
+    textAlign: "left",
+  },
 });
 
 export default useStyles;
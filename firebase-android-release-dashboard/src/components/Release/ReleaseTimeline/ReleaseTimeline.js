@@ -0,0 +1,83 @@
+import React from "react";
+import PropTypes from "prop-types";
+import {Typography} from "@material-ui/core";
+import {
+  Timeline,
+  TimelineConnector,
+  TimelineContent,
+  TimelineDot,
+  TimelineItem,
+  TimelineOppositeContent,
+  TimelineSeparator,
+} from "@material-ui/lab";
+import {format} from "date-fns";
+import useReleaseStateHistory from "../../../hooks/useReleaseStateHistory";
+import {RELEASE_STATES} from "../../../utils/releaseStates";
+import useStyles from "./styles";
+
+/**
+ * Renders the timeline of state transitions of a release, such as when it
+ * entered code freeze, was delayed, errored or was released.
+ *
+ * Each transition shows what caused it, and who caused it if it was not
+ * caused by the system.
+ *
+ * @param {string} releaseId - The ID of the release.
+ * @return {JSX.Element} The ReleaseTimeline component.
+ */
+function ReleaseTimeline({releaseId}) {
+  const classes = useStyles();
+  const stateHistory = useReleaseStateHistory(releaseId);
+
+  if (stateHistory.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={classes.timeline}>
+      <Typography
+        variant="subtitle1"
+        color="textPrimary"
+        className={classes.title}
+      >
+        History
+      </Typography>
+      <Timeline align="left">
+        {stateHistory.map((transition, index) => (
+          <TimelineItem key={transition.id}>
+            <TimelineOppositeContent className={classes.oppositeContent}>
+              <Typography variant="body2" color="textSecondary">
+                {format(transition.timestamp, "MMM. dd, yyyy HH:mm")}
+              </Typography>
+            </TimelineOppositeContent>
+            <TimelineSeparator>
+              <TimelineDot
+                color={
+                  transition.state === RELEASE_STATES.ERROR ?
+                    "secondary" : "primary"
+                }
+              />
+              {index < stateHistory.length - 1 && <TimelineConnector />}
+            </TimelineSeparator>
+            <TimelineContent>
+              <Typography variant="body2" color="textPrimary">
+                {transition.state}
+              </Typography>
+              <Typography variant="caption" color="textSecondary">
+                {transition.actor ?
+                  `${transition.cause} by ${transition.actor}` :
+                  transition.cause}
+              </Typography>
+            </TimelineContent>
+          </TimelineItem>
+        ))}
+      </Timeline>
+    </div>
+  );
+}
+
+ReleaseTimeline.propTypes = {
+  releaseId: PropTypes.string.isRequired,
+};
+
+export default ReleaseTimeline;
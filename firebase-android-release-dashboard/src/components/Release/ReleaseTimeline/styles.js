@@ -0,0 +1,16 @@
+import {makeStyles} from "@material-ui/core/styles";
+import theme from "../../../config/theme";
+
+const useStyles = makeStyles({
+  timeline: {
+    marginTop: theme.spacing(2),
+  },
+  title: {
+    textAlign: "left",
+  },
+  oppositeContent: {
+    flex: 0.3,
+  },
+});
+
+export default useStyles;
@@ -14,6 +14,7 @@ const chipColor = (state) => {
     [RELEASE_STATES.RELEASE_DAY]: theme.palette.chip.purple,
     [RELEASE_STATES.RELEASED]: theme.palette.chip.green,
     [RELEASE_STATES.DELAYED]: theme.palette.chip.orange,
+    [RELEASE_STATES.DEGRADED]: theme.palette.chip.amber,
     [RELEASE_STATES.ERROR]: theme.palette.chip.error,
   };
 
@@ -25,8 +26,9 @@ const chipColor = (state) => {
 /**
  * Returns a chip containing the state of the release.
  *
- * If the release is in the ERROR state, the chip is clickable and opens a
- * dialog containing the error message.
+ * If the release is in the ERROR state, or has errored before, the chip is
+ * clickable for logged in users and opens a dialog containing the error
+ * history of the release.
  *
  * @param {string} state - The state of the release.
  * @param {string} releaseId - The ID of the release.
@@ -47,7 +49,8 @@ function StateChip({state, releaseId, isLoggedIn}) {
     setOpenDialog(false);
   };
 
-  const isClickable = isLoggedIn && state === RELEASE_STATES.ERROR;
+  const isClickable = isLoggedIn &&
+    (state === RELEASE_STATES.ERROR || releaseError !== null);
 
   return (
     <>
@@ -63,7 +66,7 @@ function StateChip({state, releaseId, isLoggedIn}) {
       <ReleaseErrorDialog
         open={openDialog}
         onClose={handleClose}
-        releaseError={releaseError}
+        releaseId={releaseId}
       />
     </>
   );
@@ -0,0 +1,75 @@
+import React from "react";
+import PropTypes from "prop-types";
+import {Tooltip, Typography} from "@material-ui/core";
+import {Warning} from "@mui/icons-material";
+import {format, formatDistanceToNow} from "date-fns";
+import useChecks from "../../../hooks/useChecks";
+import useStyles from "./styles";
+
+// The number of characters of a commit SHA that are shown.
+const SHORT_SHA_LENGTH = 7;
+
+/**
+ * Shows the commit of the release branch that the release data was last
+ * synced from, and when it was synced.
+ *
+ * Check runs are updated by webhooks between syncs, so they can belong to a
+ * newer commit than the rest of the release data. When they do, a warning is
+ * shown next to the commit.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} props.releaseId - The ID of the release.
+ * @param {string} props.syncedCommitSha - The SHA of the synced commit.
+ * @param {Date} props.syncedCommitDate - The date of the synced commit.
+ * @param {Date} props.lastSyncedAt - When the release was last synced.
+ * @return {JSX.Element} The SyncedCommit component.
+ */
+function SyncedCommit({
+  releaseId,
+  syncedCommitSha,
+  syncedCommitDate,
+  lastSyncedAt,
+}) {
+  const classes = useStyles();
+  const checks = useChecks(releaseId);
+
+  const mismatchedShas = [...new Set(checks
+      .map((check) => check.headSHA)
+      .filter((headSHA) => headSHA && headSHA !== syncedCommitSha))];
+
+  return (
+    <div className={classes.syncedCommit}>
+      <Tooltip
+        title={`${syncedCommitSha}, committed on ` +
+          format(syncedCommitDate, "MMM. dd, yyyy HH:mm")}
+      >
+        <Typography variant="caption" color="textSecondary">
+          {"synced from "}
+          <span className={classes.sha}>
+            {syncedCommitSha.substring(0, SHORT_SHA_LENGTH)}
+          </span>
+          {`, ${formatDistanceToNow(lastSyncedAt, {addSuffix: true})}`}
+        </Typography>
+      </Tooltip>
+      {mismatchedShas.length > 0 && (
+        <Tooltip
+          title={"Some check runs belong to a different commit: " +
+            mismatchedShas
+                .map((sha) => sha.substring(0, SHORT_SHA_LENGTH))
+                .join(", ")}
+        >
+          <Warning className={classes.mismatchIcon} />
+        </Tooltip>
+      )}
+    </div>
+  );
+}
+
+SyncedCommit.propTypes = {
+  releaseId: PropTypes.string.isRequired,
+  syncedCommitSha: PropTypes.string.isRequired,
+  syncedCommitDate: PropTypes.instanceOf(Date).isRequired,
+  lastSyncedAt: PropTypes.instanceOf(Date).isRequired,
+};
+
+export default SyncedCommit;
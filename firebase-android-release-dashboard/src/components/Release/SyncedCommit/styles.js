@@ -0,0 +1,20 @@
+import {makeStyles} from "@material-ui/core/styles";
+import theme from "../../../config/theme";
+
+const useStyles = makeStyles({
+  syncedCommit: {
+    display: "flex",
+    alignItems: "center",
+    textAlign: "left",
+  },
+  sha: {
+    fontFamily: "monospace",
+  },
+  mismatchIcon: {
+    color: theme.palette.chip.amber,
+    marginLeft: theme.spacing(0.5),
+    fontSize: 16,
+  },
+});
+
+export default useStyles;
@@ -13,6 +13,8 @@ const stateUpdateMesssage = (releaseName, state) => {
       return `Release ${releaseName} has been released.`;
     case RELEASE_STATES.DELAYED:
       return `Release ${releaseName} has been delayed.`;
+    case RELEASE_STATES.DEGRADED:
+      return `Some libraries in release ${releaseName} could not be synced.`;
     default:
       return `Release ${releaseName} has been updated to ${state}.`;
   }
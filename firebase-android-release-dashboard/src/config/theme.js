@@ -1,5 +1,13 @@
 import {createTheme} from "@material-ui/core";
-import {blue, green, grey, orange, purple, red} from "@material-ui/core/colors";
+import {
+  amber,
+  blue,
+  green,
+  grey,
+  orange,
+  purple,
+  red,
+} from "@material-ui/core/colors";
 import {firebaseColors} from "./colors";
 
 const theme = createTheme({
@@ -52,6 +60,7 @@ const theme = createTheme({
       green: green[400],
       purple: purple[400],
       orange: orange[400],
+      amber: amber[700],
       gray: grey[400],
     },
     errorText: red[400],
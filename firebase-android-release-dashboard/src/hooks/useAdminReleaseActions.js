@@ -1,12 +1,16 @@
 import {useState} from "react";
 import {deleteRelease, modifyRelease, refreshRelease} from "../api";
+import {validateRelease} from "../utils/releaseValidation";
 
 /**
  * Custom React hook to handle administrator release actions.
  *
  * Returns the state and handlers for deleting, refreshing, and submitting
  * a single release. These handlers are passed to buttons that allow the
- * administrator to perform these actions.
+ * administrator to perform these actions. Edited releases are validated
+ * before they are submitted, and the validation errors, including the ones
+ * from Firebase Functions, are returned so that they can be shown under the
+ * fields that caused them.
  *
  * @param {Object} release - The release object.
  * @param {Function} openSnackbar - Function to open the snackbar.
@@ -19,16 +23,18 @@ const useReleaseActions = (release, openSnackbar, setEditing) => {
   const [refreshing, setRefreshing] = useState(false);
   const [submitting, setSubmitting] = useState(false);
   const [toggling, setToggling] = useState(false);
+  const [errors, setErrors] = useState([]);
 
   /**
-   * Handle a click on the delete button by calling the deleteRelease API
+   * Handle a confirmed click on the delete button by calling the
+   * deleteRelease API, which moves the release to the trash
    */
   const handleDeleteClick = async () => {
     setDeleting(true);
     try {
       const response = await deleteRelease(release.id);
       if (response.status === 200) {
-        openSnackbar("Release deleted successfully", "success");
+        openSnackbar("Release moved to the trash", "success");
       } else {
         openSnackbar("Failed to delete release", "error");
       }
@@ -58,20 +64,40 @@ const useReleaseActions = (release, openSnackbar, setEditing) => {
     setRefreshing(false);
   };
 
+  /**
+   * Clear the validation errors of a field of the edited release, or of all
+   * fields.
+   *
+   * @param {string} field - The field to clear the errors of, or undefined to
+   * clear all errors.
+   */
+  const clearErrors = (field) => {
+    setErrors(field === undefined ?
+      [] : errors.filter((error) => error.field !== field));
+  };
+
   /**
    * Handle a submission of edited release data, and update the release
-   * with the modifyRelease API.
+   * with the modifyRelease API if it is valid.
    *
    * @param {Object} editedRelease
    */
   const handleSubmitClick = async (editedRelease) => {
+    const validationErrors = validateRelease(editedRelease);
+    setErrors(validationErrors);
+    if (validationErrors.length > 0) {
+      return;
+    }
+
     setSubmitting(true);
     try {
       const response = await modifyRelease(
           release.id,
           editedRelease.releaseName,
           editedRelease.releaseBranchName,
-          "ACore team member", // TODO: Replace with actual operator
+          editedRelease.releaseOperator,
+          editedRelease.repoOwner,
+          editedRelease.repoName,
           editedRelease.codeFreezeDate,
           editedRelease.releaseDate,
           editedRelease.isReleased,
@@ -83,8 +109,13 @@ const useReleaseActions = (release, openSnackbar, setEditing) => {
         openSnackbar("Failed to modify release", "error");
       }
     } catch (error) {
-      // TODO: Fetch full error from Firestore, and display it
-      openSnackbar("Error occurred while modifying release", "error");
+      if (error.response && error.response.status === 400 &&
+          Array.isArray(error.response.data.errors)) {
+        setErrors(error.response.data.errors);
+      } else {
+        // TODO: Fetch full error from Firestore, and display it
+        openSnackbar("Error occurred while modifying release", "error");
+      }
     }
     setSubmitting(false);
   };
@@ -103,6 +134,8 @@ const useReleaseActions = (release, openSnackbar, setEditing) => {
           release.releaseName,
           release.releaseBranchName,
           release.releaseOperator,
+          release.repoOwner,
+          release.repoName,
           release.codeFreezeDate,
           release.releaseDate,
           !release.isReleased, // Toggle
@@ -123,6 +156,8 @@ const useReleaseActions = (release, openSnackbar, setEditing) => {
     refreshing,
     submitting,
     toggling,
+    errors,
+    clearErrors,
     handleDeleteClick,
     handleRefreshClick,
     handleSubmitClick,
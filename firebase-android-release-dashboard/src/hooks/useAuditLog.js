@@ -0,0 +1,87 @@
+import {
+  collection, limit, onSnapshot,
+  orderBy, query, where,
+} from "firebase/firestore";
+import {useEffect, useState} from "react";
+import {db} from "../firebase";
+
+// The number of audit log entries fetched per page of the audit log
+const AUDIT_LOG_PAGE_SIZE = 50;
+
+/**
+ * Custom React hook to fetch the audit log entries that match the given
+ * filters, newest first.
+ *
+ * The entries are filtered by Firestore, and paginated: the first page is
+ * fetched when the filters change, and older entries are fetched by calling
+ * loadMore. The audit log is only readable by release operators and
+ * administrators, so we accept the canView parameter to prevent the hook
+ * from fetching the audit log for other users.
+ *
+ * @param {boolean} canView - Whether the user is allowed to read the audit
+ * log.
+ * @param {Object} filters - The `releaseName`, `userEmail` and `action` to
+ * filter the entries by. Empty filters match all entries.
+ * @return {Object} The entries that were fetched, whether there are older
+ * entries, a function to fetch the next page, and the error if the entries
+ * couldn't be fetched.
+ */
+function useAuditLog(canView, {releaseName, userEmail, action}) {
+  const [entries, setEntries] = useState([]);
+  const [pages, setPages] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start from the first page whenever the filters change
+  useEffect(() => {
+    setPages(1);
+  }, [releaseName, userEmail, action]);
+
+  useEffect(() => {
+    if (canView) {
+      const pageLimit = pages * AUDIT_LOG_PAGE_SIZE;
+      const filters = [
+        releaseName && where("releaseName", "==", releaseName),
+        userEmail && where("actor.email", "==", userEmail),
+        action && where("action", "==", action),
+      ].filter(Boolean);
+      const q = query(
+          collection(db, "auditLog"),
+          ...filters,
+          orderBy("timestamp", "desc"),
+          limit(pageLimit),
+      );
+
+      const unsubscribe = onSnapshot(q, (snapshot) => {
+        const newEntries = snapshot.docs.map((doc) => ({
+          id: doc.id,
+          ...doc.data(),
+          // Convert Firestore Timestamp to JS Date object
+          timestamp: doc.data().timestamp.toDate(),
+        }));
+
+        setEntries(newEntries);
+        setHasMore(snapshot.docs.length === pageLimit);
+        setError(null);
+      }, () => {
+        // Don't keep showing entries that don't match the filters
+        setEntries([]);
+        setHasMore(false);
+        setError("Failed to load the audit log");
+      });
+
+      // Clean up the onSnapshot listener when the component is unmounted
+      return () => unsubscribe();
+    } else {
+      setEntries([]);
+      setHasMore(false);
+      setError(null);
+    }
+  }, [canView, releaseName, userEmail, action, pages]);
+
+  const loadMore = () => setPages(pages + 1);
+
+  return {entries, hasMore, loadMore, error};
+}
+
+export default useAuditLog;
@@ -1,23 +1,37 @@
 import {useState, useEffect} from "react";
 import {auth} from "../firebase";
+import {getRoleFromClaims} from "../utils/roles";
 
 /**
  * Custom React hook to handle Firebase authentication state.
  *
- * @return {Object} An object containing the authentication state and the
- * setter function.
+ * The role of the user is read from the custom claims in their ID token.
+ * The role and email are null when the user is not logged in.
+ *
+ * @return {Object} An object containing the authentication state, the
+ * setter function, and the role and email of the user.
  */
 export function useAuthentication() {
   const [isLoggedIn, setIsLoggedIn] = useState(false);
+  const [role, setRole] = useState(null);
+  const [email, setEmail] = useState(null);
 
   useEffect(() => {
-    const unregisterAuthObserver = auth.onAuthStateChanged((user) => {
+    const unregisterAuthObserver = auth.onAuthStateChanged(async (user) => {
       setIsLoggedIn(!!user);
+      if (user) {
+        const tokenResult = await user.getIdTokenResult();
+        setRole(getRoleFromClaims(tokenResult.claims));
+        setEmail(user.email);
+      } else {
+        setRole(null);
+        setEmail(null);
+      }
     });
 
     return unregisterAuthObserver; // Make sure we un-register Firebase
     // observers when the component unmounts.
   }, []);
 
-  return {isLoggedIn, setIsLoggedIn};
+  return {isLoggedIn, setIsLoggedIn, role, email};
 }
@@ -0,0 +1,57 @@
+import {
+  collection,
+  onSnapshot,
+  orderBy,
+  query,
+} from "firebase/firestore";
+import {useEffect, useState} from "react";
+import {db} from "../firebase";
+
+/**
+ * Custom React hook to fetch the releases in the trash, most recently
+ * deleted first.
+ *
+ * Only administrators can restore or purge releases, so we accept the
+ * canView parameter to prevent the hook from fetching the trash for other
+ * users.
+ *
+ * @param {boolean} canView - Whether the user can view the trash.
+ * @return {Array} The releases in the trash.
+ */
+function useDeletedReleases(canView) {
+  const [releases, setReleases] = useState([]);
+
+  useEffect(() => {
+    if (canView) {
+      // Ordering by deletedAt only matches the releases that have it, which
+      // are the releases in the trash.
+      const q = query(
+          collection(db, "releases"),
+          orderBy("deletedAt", "desc"),
+      );
+
+      const unsubscribe = onSnapshot(q, (snapshot) => {
+        const newReleases = snapshot.docs.map((doc) => ({
+          id: doc.id,
+          ...doc.data(),
+          // Convert Firestore Timestamps to JS Date objects
+          releaseDate: doc.data().releaseDate.toDate(),
+          codeFreezeDate: doc.data().codeFreezeDate.toDate(),
+          deletedAt: doc.data().deletedAt.toDate(),
+          purgeAt: doc.data().purgeAt.toDate(),
+        }));
+
+        setReleases(newReleases);
+      });
+
+      // Clean up the onSnapshot listener when the component is unmounted
+      return () => unsubscribe();
+    } else {
+      setReleases([]);
+    }
+  }, [canView]);
+
+  return releases;
+}
+
+export default useDeletedReleases;
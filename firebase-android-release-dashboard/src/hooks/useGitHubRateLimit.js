@@ -0,0 +1,48 @@
+import {doc, onSnapshot} from "firebase/firestore";
+import {useEffect, useState} from "react";
+import {db} from "../firebase";
+
+/**
+ * Custom React hook to fetch the last known GitHub API rate limit, which is
+ * recorded by Cloud Functions whenever a release is synced.
+ *
+ * The rate limit is only readable by release operators and administrators,
+ * so we accept the canView parameter to prevent the hook from fetching it
+ * for other users.
+ *
+ * @param {boolean} canView - Whether the user is allowed to read the rate
+ * limit.
+ * @return {Object|null} The rate limit, with its `limit`, `remaining`
+ * requests, and `reset` and `updatedAt` dates, or null if it isn't known.
+ */
+function useGitHubRateLimit(canView) {
+  const [rateLimit, setRateLimit] = useState(null);
+
+  useEffect(() => {
+    if (canView) {
+      const rateLimitDoc = doc(db, "githubRateLimit", "core");
+      const unsubscribe = onSnapshot(rateLimitDoc, (doc) => {
+        if (doc.exists()) {
+          const data = doc.data();
+          setRateLimit({
+            ...data,
+            // Convert Firestore Timestamps to JS Date objects
+            reset: data.reset.toDate(),
+            updatedAt: data.updatedAt.toDate(),
+          });
+        } else {
+          setRateLimit(null);
+        }
+      });
+
+      // Clean up the onSnapshot listener when the component is unmounted
+      return () => unsubscribe();
+    } else {
+      setRateLimit(null);
+    }
+  }, [canView]);
+
+  return rateLimit;
+}
+
+export default useGitHubRateLimit;
@@ -1,6 +1,8 @@
 import {useState, useEffect} from "react";
 import {onSnapshot, doc} from "firebase/firestore";
 import {db} from "../firebase";
+import {toOperatorHistory} from "../utils/operators";
+import {toOptionalDate} from "../utils/dates";
 
 /**
  * Custom React hook to manage the state and side effects for fetching a
@@ -23,6 +25,9 @@ function useRelease(id) {
           // Convert Firestore Timestamp to JS Date object
           releaseDate: data.releaseDate.toDate(),
           codeFreezeDate: data.codeFreezeDate.toDate(),
+          operatorHistory: toOperatorHistory(data.operatorHistory),
+          syncedCommitDate: toOptionalDate(data.syncedCommitDate),
+          lastSyncedAt: toOptionalDate(data.lastSyncedAt),
         });
       }
     });
@@ -26,7 +26,7 @@ function useRecentReleaseError(id, isLoggedIn) {
       const q = query(
           collection(db, "releaseError"),
           where("releaseID", "==", id),
-          orderBy("timestamp", "asc"),
+          orderBy("timestamp", "desc"),
           limit(1),
       );
 
@@ -0,0 +1,70 @@
+import {
+  collection, limit, onSnapshot,
+  orderBy, query, where,
+} from "firebase/firestore";
+import {useEffect, useState} from "react";
+import {db} from "../firebase";
+
+// The number of errors fetched per page of the error history
+const ERROR_HISTORY_PAGE_SIZE = 10;
+
+/**
+ * Custom React hook to fetch the error history of a release, newest first.
+ *
+ * The history is paginated: the first page is fetched when the hook is
+ * enabled, and older errors are fetched by calling loadMore. Release errors
+ * are only readable by authenticated users, so we accept the enabled
+ * parameter to prevent the hook from fetching them otherwise.
+ *
+ * @param {string} id - The ID of the release to fetch errors for.
+ * @param {boolean} enabled - Whether to fetch the error history.
+ * @return {Object} The errors that were fetched, whether there are older
+ * errors, and a function to fetch the next page.
+ */
+function useReleaseErrorHistory(id, enabled) {
+  const [releaseErrors, setReleaseErrors] = useState([]);
+  const [pages, setPages] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+
+  useEffect(() => {
+    if (enabled) {
+      const pageLimit = pages * ERROR_HISTORY_PAGE_SIZE;
+      const q = query(
+          collection(db, "releaseError"),
+          where("releaseID", "==", id),
+          orderBy("timestamp", "desc"),
+          limit(pageLimit),
+      );
+
+      const unsubscribe = onSnapshot(q, (snapshot) => {
+        const newReleaseErrors = snapshot.docs.map((doc) => {
+          const data = doc.data();
+          return {
+            id: doc.id,
+            ...data,
+            // Convert Firestore Timestamps to JS Date objects
+            timestamp: data.timestamp.toDate(),
+            resolvedAt: data.resolvedAt ? data.resolvedAt.toDate() : null,
+          };
+        });
+
+        setReleaseErrors(newReleaseErrors);
+        setHasMore(snapshot.docs.length === pageLimit);
+      });
+
+      // Clean up the onSnapshot listener when the component is unmounted
+      return () => unsubscribe();
+    } else {
+      // Start from the first page the next time the hook is enabled
+      setReleaseErrors([]);
+      setPages(1);
+      setHasMore(false);
+    }
+  }, [id, enabled, pages]);
+
+  const loadMore = () => setPages(pages + 1);
+
+  return {releaseErrors, hasMore, loadMore};
+}
+
+export default useReleaseErrorHistory;
@@ -0,0 +1,65 @@
+import {useEffect, useState} from "react";
+import {preflightRelease} from "../api";
+
+// How long to wait after the release branch stops changing before checking
+// it, so that the branch isn't checked on every keystroke.
+const PREFLIGHT_DELAY_MS = 800;
+
+/**
+ * Custom React hook to check the release branch of a release while it is
+ * being scheduled or edited, without writing anything.
+ *
+ * The branch is checked again whenever the branch name or repository
+ * changes, and the results of earlier checks are ignored once a newer check
+ * has started.
+ *
+ * @param {string} releaseBranchName - The name of the release branch.
+ * @param {string} repoOwner - The owner of the repository of the release.
+ * @param {string} repoName - The name of the repository of the release.
+ * @return {Object} The `preview` of the release branch, or null if it hasn't
+ * been checked, whether it is `loading`, and the `error` if it couldn't be
+ * checked.
+ */
+function useReleasePreflight(releaseBranchName, repoOwner, repoName) {
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setPreview(null);
+    setError(null);
+    if (!releaseBranchName || !releaseBranchName.trim()) {
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await preflightRelease(
+            releaseBranchName, repoOwner, repoName,
+        );
+        if (!cancelled) {
+          setPreview(response.data);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError("Failed to check the release branch");
+        }
+      }
+      if (!cancelled) {
+        setLoading(false);
+      }
+    }, PREFLIGHT_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [releaseBranchName, repoOwner, repoName]);
+
+  return {preview, loading, error};
+}
+
+export default useReleasePreflight;
@@ -0,0 +1,40 @@
+import {useState, useEffect} from "react";
+import {collection, query, orderBy, onSnapshot} from "firebase/firestore";
+import {db} from "../firebase";
+
+/**
+ * Custom hook to fetch the state transitions of a release from Firestore,
+ * oldest first.
+ *
+ * @param {string} releaseId - The ID of the release to fetch the state
+ * history for.
+ * @return {Array} The state transitions.
+ */
+function useReleaseStateHistory(releaseId) {
+  const [stateHistory, setStateHistory] = useState([]);
+
+  useEffect(() => {
+    const historyCollection = collection(
+        db, "releases", releaseId, "releaseStateHistory",
+    );
+    const historyQuery = query(historyCollection, orderBy("timestamp", "asc"));
+
+    const unsubscribe = onSnapshot(historyQuery, (snapshot) => {
+      const newStateHistory = snapshot.docs.map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+        // Convert Firestore Timestamp to JS Date object
+        timestamp: doc.data().timestamp.toDate(),
+      }));
+
+      setStateHistory(newStateHistory);
+    });
+
+    // Clean up the onSnapshot listener when the component is unmounted
+    return () => unsubscribe();
+  }, [releaseId]); // Re-run the effect when releaseId changes
+
+  return stateHistory;
+}
+
+export default useReleaseStateHistory;
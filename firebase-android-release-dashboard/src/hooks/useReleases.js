@@ -7,16 +7,20 @@ import {
   orderBy,
 } from "firebase/firestore";
 import {db} from "../firebase";
+import {toOperatorHistory} from "../utils/operators";
+import {toOptionalDate} from "../utils/dates";
 
 /**
  * Custom hook to fetch all releases from Firestore.
- * An optional filter by state can be provided.
+ * An optional filter by state can be provided. Releases in the trash are
+ * hidden, unless they are explicitly included.
  *
  * @param {string} stateFilter - The state to filter releases by.
  * @param {string} excludeState - The state to exclude releases by.
+ * @param {boolean} includeDeleted - Whether to include releases in the trash.
  * @return {Array} The releases.
  */
-function useReleases(stateFilter, excludeState) {
+function useReleases(stateFilter, excludeState, includeDeleted = false) {
   const [releases, setReleases] = useState([]);
 
   useEffect(() => {
@@ -40,8 +44,15 @@ function useReleases(stateFilter, excludeState) {
         // Convert Firestore Timestamp to JS Date object
         releaseDate: doc.data().releaseDate.toDate(),
         codeFreezeDate: doc.data().codeFreezeDate.toDate(),
+        operatorHistory: toOperatorHistory(doc.data().operatorHistory),
+        syncedCommitDate: toOptionalDate(doc.data().syncedCommitDate),
+        lastSyncedAt: toOptionalDate(doc.data().lastSyncedAt),
       }));
 
+      if (!includeDeleted) {
+        newReleases = newReleases.filter((release) => !release.deletedAt);
+      }
+
       // If excludeState is provided and stateFilter is not provided
       // filter out releases with that state
       if (excludeState && !stateFilter) {
@@ -54,7 +65,7 @@ function useReleases(stateFilter, excludeState) {
 
     // Clean up the onSnapshot listener when the component is unmounted
     return () => unsubscribe();
-  }, [stateFilter]); // Re-run the effect when stateFilter changes
+  }, [stateFilter, includeDeleted]); // Re-run the effect when they change
 
   return releases;
 }
@@ -0,0 +1,53 @@
+import {useEffect, useState} from "react";
+import {getTeamMembers} from "../api";
+
+/**
+ * Custom React hook to fetch the roster of team members that releases can be
+ * assigned to.
+ *
+ * The roster is only available to release operators and administrators, so
+ * we accept the canView parameter to prevent the hook from fetching the
+ * roster for other users.
+ *
+ * @param {boolean} canView - Whether the user is allowed to list the team
+ * members.
+ * @return {Array} The team members.
+ */
+function useTeamMembers(canView) {
+  const [teamMembers, setTeamMembers] = useState([]);
+
+  useEffect(() => {
+    if (!canView) {
+      setTeamMembers([]);
+      return;
+    }
+
+    let cancelled = false;
+
+    /**
+     * Fetches the team members. If the roster can't be fetched, it stays
+     * empty, and the current operators can still be selected.
+     */
+    const fetchTeamMembers = async () => {
+      try {
+        const response = await getTeamMembers();
+        if (!cancelled) {
+          setTeamMembers(response.data.teamMembers);
+        }
+      } catch (error) {
+        // Keep the roster empty
+      }
+    };
+
+    fetchTeamMembers();
+
+    // Ignore the response if the component is unmounted before it arrives
+    return () => {
+      cancelled = true;
+    };
+  }, [canView]);
+
+  return teamMembers;
+}
+
+export default useTeamMembers;
@@ -0,0 +1,58 @@
+import {
+  collection, limit, onSnapshot,
+  orderBy, query,
+} from "firebase/firestore";
+import {useEffect, useState} from "react";
+import {db} from "../firebase";
+import {toOptionalDate} from "../utils/dates";
+
+// The maximum number of webhook deliveries to fetch.
+const WEBHOOK_DELIVERIES_LIMIT = 100;
+
+/**
+ * Custom React hook to fetch the most recent GitHub webhook deliveries,
+ * newest first.
+ *
+ * The delivery log is only readable by release operators and
+ * administrators, so we accept the canView parameter to prevent the hook
+ * from fetching it for other users.
+ *
+ * @param {boolean} canView - Whether the user is allowed to read the
+ * delivery log.
+ * @return {Array} The webhook deliveries.
+ */
+function useWebhookDeliveries(canView) {
+  const [deliveries, setDeliveries] = useState([]);
+
+  useEffect(() => {
+    if (canView) {
+      const q = query(
+          collection(db, "webhookDeliveries"),
+          orderBy("receivedAt", "desc"),
+          limit(WEBHOOK_DELIVERIES_LIMIT),
+      );
+
+      const unsubscribe = onSnapshot(q, (snapshot) => {
+        const newDeliveries = snapshot.docs.map((doc) => ({
+          id: doc.id,
+          ...doc.data(),
+          // Convert Firestore Timestamps to JS Date objects
+          receivedAt: doc.data().receivedAt.toDate(),
+          handledAt: toOptionalDate(doc.data().handledAt),
+          lastReplayedAt: toOptionalDate(doc.data().lastReplayedAt),
+        }));
+
+        setDeliveries(newDeliveries);
+      });
+
+      // Clean up the onSnapshot listener when the component is unmounted
+      return () => unsubscribe();
+    } else {
+      setDeliveries([]);
+    }
+  }, [canView]);
+
+  return deliveries;
+}
+
+export default useWebhookDeliveries;
@@ -0,0 +1,10 @@
+// The administrative actions that are recorded in the audit log.
+export const AUDIT_ACTIONS = {
+  ADD: "add",
+  MODIFY: "modify",
+  TOGGLE_RELEASED: "toggle released",
+  REFRESH: "refresh",
+  DELETE: "delete",
+  RESTORE: "restore",
+  PURGE: "purge",
+};
@@ -0,0 +1,10 @@
+/**
+ * Converts an optional Firestore Timestamp, which is missing for releases
+ * that were never synced, to a JS Date object.
+ *
+ * @param {Object|undefined|null} timestamp - The Firestore Timestamp.
+ * @return {Date|null} The date, or null if there is no timestamp.
+ */
+export function toOptionalDate(timestamp) {
+  return timestamp ? timestamp.toDate() : null;
+}
@@ -0,0 +1,18 @@
+/**
+ * Converts the operator history of a release from Firestore, which is
+ * missing for releases that were added before operators were recorded.
+ *
+ * @param {Array|undefined} operatorHistory - The operator history from
+ * Firestore.
+ * @return {Array} The operator history, with the Firestore Timestamps
+ * converted to JS Date objects.
+ */
+export function toOperatorHistory(operatorHistory) {
+  if (!operatorHistory) {
+    return [];
+  }
+  return operatorHistory.map((handoff) => ({
+    ...handoff,
+    assignedAt: handoff.assignedAt.toDate(),
+  }));
+}
@@ -0,0 +1,41 @@
+// The outcomes of the first sync of a newly added release, which are returned
+// by Firebase Functions when releases are added.
+export const SYNC_OUTCOMES = {
+  PENDING: "pending",
+  SYNCED: "synced",
+  FAILED: "failed",
+};
+
+/**
+ * Creates an idempotency key for a request to add releases, so that the
+ * request can be retried without adding the releases twice.
+ *
+ * @return {string} A new idempotency key.
+ */
+export function createIdempotencyKey() {
+  return window.crypto.randomUUID();
+}
+
+/**
+ * Gets the snackbar message for releases that were added, which mentions the
+ * releases that failed their first sync, since they are added in an error
+ * state.
+ *
+ * @param {Array<Object>} releases - The added releases, each with its
+ * `releaseName` and `syncOutcome`.
+ * @param {string} successMessage - The message if every release synced.
+ * @return {Object} The `message` and `severity` of the snackbar.
+ */
+export function getReleaseCreationMessage(releases, successMessage) {
+  const failedNames = releases
+      .filter((release) => release.syncOutcome === SYNC_OUTCOMES.FAILED)
+      .map((release) => release.releaseName);
+  if (failedNames.length === 0) {
+    return {message: successMessage, severity: "success"};
+  }
+  return {
+    message: `${successMessage}, but ${failedNames.join(", ")} failed to ` +
+      "sync. Check the release errors and refresh.",
+    severity: "warning",
+  };
+}
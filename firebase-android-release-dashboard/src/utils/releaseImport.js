@@ -0,0 +1,187 @@
+import yaml from "js-yaml";
+
+// The release fields that can be imported from a release calendar.
+const STRING_FIELDS = [
+  "releaseName",
+  "releaseBranchName",
+  "releaseOperator",
+  "repoOwner",
+  "repoName",
+];
+const DATE_FIELDS = ["codeFreezeDate", "releaseDate"];
+
+// The file extensions of the release calendar formats.
+export const RELEASE_CALENDAR_EXTENSIONS = [".csv", ".json", ".yaml", ".yml"];
+
+/**
+ * Parses CSV text into rows of fields. Fields can be quoted with double
+ * quotes, in which case they can contain commas, line breaks, and doubled
+ * double quotes.
+ *
+ * @param {string} text - The CSV text.
+ * @return {Array<Array<string>>} The rows, without empty lines.
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("The CSV file has an unterminated quoted field");
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Parses a CSV release calendar, which has a header row with the names of
+ * the release fields.
+ *
+ * @param {string} text - The CSV text.
+ * @return {Array<Object>} The releases.
+ */
+function parseCsvReleases(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return [];
+  }
+
+  const fields = header.map((field) => field.trim());
+  return rows.map((row) => Object.fromEntries(
+      fields.map((field, index) => [field, row[index]]),
+  ));
+}
+
+/**
+ * Gets the releases from a parsed JSON or YAML release calendar, which is
+ * either a list of releases or an object with a list of `releases`.
+ *
+ * @param {*} calendar - The parsed release calendar.
+ * @return {Array<Object>} The releases.
+ * @throws {Error} If the calendar doesn't contain a list of releases.
+ */
+function getCalendarReleases(calendar) {
+  const releases = Array.isArray(calendar) ?
+    calendar : calendar && calendar.releases;
+  if (!Array.isArray(releases) ||
+      releases.some((release) => !release || typeof release !== "object")) {
+    throw new Error("The file should contain a list of releases");
+  }
+  return releases;
+}
+
+/**
+ * Formats an imported date as the date string that the API expects. YAML
+ * parses unquoted dates as Date objects at midnight UTC.
+ *
+ * @param {*} value - The imported date.
+ * @return {*} The date string, or the value if it isn't a date.
+ */
+function formatImportedDate(value) {
+  if (value instanceof Date && !isNaN(value.getTime())) {
+    return value.toISOString().slice(0, 10);
+  }
+  return typeof value === "string" ? value.trim() : value;
+}
+
+/**
+ * Converts an imported release to the format that the API expects.
+ *
+ * Unknown fields are dropped, and empty fields are left out, so that the
+ * repository defaults to the default repository, and the operator defaults
+ * to the user that imports the release. Releases are not released unless
+ * they say so.
+ *
+ * @param {Object} release - The imported release.
+ * @return {Object} The release.
+ */
+function normalizeRelease(release) {
+  const normalized = {};
+
+  STRING_FIELDS.forEach((field) => {
+    const value = release[field];
+    if (value !== undefined && value !== null && String(value).trim()) {
+      normalized[field] = String(value).trim();
+    }
+  });
+  DATE_FIELDS.forEach((field) => {
+    const value = formatImportedDate(release[field]);
+    if (value !== undefined && value !== null && value !== "") {
+      normalized[field] = value;
+    }
+  });
+
+  const isReleased = release.isReleased;
+  if (typeof isReleased === "string") {
+    normalized.isReleased = isReleased.trim().toLowerCase() === "true";
+  } else {
+    normalized.isReleased = isReleased === undefined || isReleased === null ?
+      false : isReleased;
+  }
+
+  return normalized;
+}
+
+/**
+ * Parses a release calendar file into the releases to add. The format of the
+ * file is determined by its extension, and can be CSV, JSON or YAML.
+ *
+ * @param {string} fileName - The name of the file.
+ * @param {string} text - The content of the file.
+ * @return {Array<Object>} The releases.
+ * @throws {Error} If the file can't be parsed.
+ */
+export function parseReleaseCalendar(fileName, text) {
+  const extension = fileName.slice(fileName.lastIndexOf(".")).toLowerCase();
+
+  let releases;
+  try {
+    if (extension === ".csv") {
+      releases = parseCsvReleases(text);
+    } else if (extension === ".json") {
+      releases = getCalendarReleases(JSON.parse(text));
+    } else if (extension === ".yaml" || extension === ".yml") {
+      releases = getCalendarReleases(yaml.safeLoad(text));
+    } else {
+      throw new Error(
+          "Release calendars should be CSV, JSON or YAML files",
+      );
+    }
+  } catch (err) {
+    throw new Error(`Failed to read ${fileName}: ${err.message}`);
+  }
+
+  return releases.map(normalizeRelease);
+}
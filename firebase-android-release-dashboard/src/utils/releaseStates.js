@@ -5,5 +5,6 @@ export const RELEASE_STATES = {
   RELEASE_DAY: "release day",
   RELEASED: "released",
   DELAYED: "delayed",
+  DEGRADED: "degraded",
   ERROR: "error",
 };
@@ -0,0 +1,128 @@
+// These rules mirror the validation of releases by Firebase Functions, so
+// that invalid releases can be caught before they are submitted.
+const RELEASE_NAME_REGEX = /^M\d+\S*$/;
+const GITHUB_NAME_REGEX = /^[A-Za-z0-9_.-]+$/;
+
+// The help text shown under a release field for each validation error code.
+const FIELD_ERROR_MESSAGES = {
+  MISSING_RELEASE_FIELD: "This field is required",
+  INVALID_RELEASE_FIELD: "This field is invalid",
+  INVALID_RELEASE_NAME: "Release names have the form M<number>, e.g. M134",
+  INVALID_RELEASE_BRANCH_NAME: "Release branches are named " +
+    "releases/<release name>, optionally followed by .release",
+  INVALID_DATE: "This date is invalid",
+  CODEFREEZE_AFTER_RELEASE: "The code freeze has to be before the release",
+  NON_MONOTONIC_RELEASE_NUMBER: "The release number has to be one more than " +
+    "the release before it",
+  RELEASE_OVERLAP: "The release dates overlap another release",
+  DUPLICATE_RELEASE_NAMES: "Another release has this name",
+  RELEASE_EXISTS: "A release with this name already exists",
+  RELEASE_IN_TRASH: "A release with this name is in the trash. Restore or " +
+    "purge it from the Trash tab first",
+};
+
+/**
+ * Checks whether a release field is empty.
+ *
+ * @param {*} value - The value of the field.
+ * @return {boolean} True if the field is empty.
+ */
+function isEmpty(value) {
+  return value === undefined || value === null ||
+    (typeof value === "string" && value.trim() === "");
+}
+
+/**
+ * Converts a release date, which is either a date string or a Date, to a
+ * time that can be compared.
+ *
+ * @param {string|Date} date - The release date.
+ * @return {number} The number of milliseconds since the epoch, or NaN if the
+ * date is invalid.
+ */
+function toTime(date) {
+  return date instanceof Date ? date.getTime() : new Date(date).getTime();
+}
+
+/**
+ * Validates a release before it is submitted, with the same rules for a
+ * single release as Firebase Functions. Rules that depend on other releases,
+ * such as numbering and overlaps, are only checked by Firebase Functions.
+ *
+ * @param {Object} release - The release to validate, with its dates as date
+ * strings or Dates.
+ * @return {Array<Object>} The validation errors, each with its `code` and the
+ * release `field` it is about.
+ */
+export function validateRelease(release) {
+  const errors = [];
+  const addError = (code, field) => errors.push({code: code, field: field});
+
+  if (isEmpty(release.releaseName)) {
+    addError("MISSING_RELEASE_FIELD", "releaseName");
+  } else if (!RELEASE_NAME_REGEX.test(release.releaseName)) {
+    addError("INVALID_RELEASE_NAME", "releaseName");
+  }
+
+  if (isEmpty(release.releaseOperator)) {
+    addError("MISSING_RELEASE_FIELD", "releaseOperator");
+  }
+
+  if (isEmpty(release.releaseBranchName)) {
+    addError("MISSING_RELEASE_FIELD", "releaseBranchName");
+  } else if (
+    release.releaseBranchName !== `releases/${release.releaseName}` &&
+    release.releaseBranchName !== `releases/${release.releaseName}.release`
+  ) {
+    addError("INVALID_RELEASE_BRANCH_NAME", "releaseBranchName");
+  }
+
+  const hasOwner = !isEmpty(release.repoOwner);
+  const hasName = !isEmpty(release.repoName);
+  if (hasOwner !== hasName) {
+    addError("MISSING_RELEASE_FIELD", hasOwner ? "repoName" : "repoOwner");
+  } else if (hasOwner && !GITHUB_NAME_REGEX.test(release.repoOwner)) {
+    addError("INVALID_RELEASE_FIELD", "repoOwner");
+  } else if (hasName && !GITHUB_NAME_REGEX.test(release.repoName)) {
+    addError("INVALID_RELEASE_FIELD", "repoName");
+  }
+
+  const codeFreezeTime = toTime(release.codeFreezeDate);
+  const releaseTime = toTime(release.releaseDate);
+  ["codeFreezeDate", "releaseDate"].forEach((field) => {
+    if (isEmpty(release[field])) {
+      addError("MISSING_RELEASE_FIELD", field);
+    } else if (isNaN(toTime(release[field]))) {
+      addError("INVALID_DATE", field);
+    }
+  });
+  if (!isNaN(codeFreezeTime) && !isNaN(releaseTime) &&
+      releaseTime <= codeFreezeTime) {
+    addError("CODEFREEZE_AFTER_RELEASE", "codeFreezeDate");
+  }
+
+  return errors;
+}
+
+/**
+ * Gets the help text to show under each release field from validation
+ * errors, which either come from validateRelease or from Firebase Functions.
+ *
+ * @param {Array<Object>} errors - The validation errors, each with its `code`
+ * and `field`, and optionally its `message`.
+ * @return {Object} The help text of the first error of each field, by field
+ * name, and the messages of the errors that aren't about a single field as
+ * `formErrors`.
+ */
+export function getFieldErrors(errors) {
+  const fieldErrors = {formErrors: []};
+  errors.forEach((error) => {
+    const message = FIELD_ERROR_MESSAGES[error.code] || error.message;
+    if (!error.field) {
+      fieldErrors.formErrors.push(message);
+    } else if (!fieldErrors[error.field]) {
+      fieldErrors[error.field] = message;
+    }
+  });
+  return fieldErrors;
+}
@@ -0,0 +1,6 @@
+// The GitHub repository that releases are tracked in, unless a release
+// specifies its own repository.
+export const DEFAULT_REPOSITORY = {
+  owner: "firebase",
+  repo: "firebase-android-sdk",
+};
@@ -0,0 +1,42 @@
+// Roles are stored as a `role` custom claim on a user's Firebase Auth
+// account. Signed in users without a role are viewers.
+export const ROLES = {
+  VIEWER: "viewer",
+  OPERATOR: "operator",
+  ADMIN: "admin",
+};
+
+// Each role is allowed to do everything that the roles below it can do.
+const ROLE_LEVELS = {
+  [ROLES.VIEWER]: 0,
+  [ROLES.OPERATOR]: 1,
+  [ROLES.ADMIN]: 2,
+};
+
+/**
+ * Gets the role of a user from the custom claims in their ID token.
+ *
+ * @param {Object} claims - The claims of the user's ID token.
+ * @return {string} The role of the user.
+ */
+export function getRoleFromClaims(claims) {
+  if (ROLE_LEVELS.hasOwnProperty(claims.role)) {
+    return claims.role;
+  }
+  return ROLES.VIEWER;
+}
+
+/**
+ * Checks whether a role is at least the required role.
+ *
+ * @param {string|null} role - The role of the user, or null if the user
+ * is not logged in.
+ * @param {string} requiredRole - The minimum role required.
+ * @return {boolean} True if the role is at least the required role.
+ */
+export function hasRole(role, requiredRole) {
+  if (!ROLE_LEVELS.hasOwnProperty(role)) {
+    return false;
+  }
+  return ROLE_LEVELS[role] >= ROLE_LEVELS[requiredRole];
+}
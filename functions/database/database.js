@@ -1,6 +1,9 @@
 const admin = require("firebase-admin");
 const db = admin.firestore();
 const RELEASE_STATES = require("../utils/releaseStates.js");
+const STATE_CHANGE_CAUSES = require("../utils/stateChangeCauses.js");
+const WEBHOOK_OUTCOMES = require("../utils/webhookOutcomes.js");
+const SYNC_OUTCOMES = require("../utils/syncOutcomes.js");
 const {
   validateNewReleasesStructure,
   validateRelease,
@@ -9,13 +12,47 @@ const {
   parseCommitTitleFromMessage,
   getCommitIdsFromChanges,
 } = require("../utils/utils.js");
-const {REPO_URL} = require("../github/github.js");
+const {
+  getReleaseRepository,
+  getRepositoryUrl,
+  isSameRepository,
+  isNewerBuildArtifact,
+} = require("../github/github.js");
 const {warn} = require("firebase-functions/logger");
-const {Timestamp} = require("firebase-admin/firestore");
+const {FieldValue, Timestamp} = require("firebase-admin/firestore");
 const REGEX = require("../utils/regex.js");
 
+// The maximum number of writes in a Firestore batch.
+const MAX_BATCH_WRITES = 500;
+
+// How long a webhook delivery is claimed by the handler that is processing
+// it. This is longer than the timeout of the webhook function, so a delivery
+// that is still processing after it was claimed for this long was left
+// behind by a handler that crashed.
+const WEBHOOK_DELIVERY_CLAIM_MILLIS = 10 * 60 * 1000;
+
+// The collections with documents that belong to a release, by `releaseID`.
+const RELEASE_DATA_COLLECTIONS = [
+  "libraries",
+  "changes",
+  "checks",
+  "releaseError",
+];
+
+/**
+ * Check if a release is in the trash, i.e. it was deleted and is waiting to
+ * be purged.
+ *
+ * @param {Object} releaseData - The data of the release.
+ * @return {boolean} True if the release is in the trash.
+ */
+function isDeleted(releaseData) {
+  return !!releaseData.deletedAt;
+}
+
 /**
  * Check if a release document with a given releaseId exists in Firestore.
+ * Releases in the trash are treated as if they don't exist.
  *
  * @param {string} releaseId - The ID of the release to check
  * @return {Promise<boolean>} - A promise that resolves to true if the
@@ -26,7 +63,7 @@ async function releaseExists(releaseId) {
       .doc(releaseId)
       .get();
 
-  return releaseSnapshot.exists;
+  return releaseSnapshot.exists && !isDeleted(releaseSnapshot.data());
 }
 
 /**
@@ -62,33 +99,44 @@ async function getReleaseID(releaseName) {
 
 /**
  * Retrieve the release ID of the Firestore release document
- * with a given release branch.
+ * with a given release branch in a given repository.
+ *
+ * Releases created before releases could target other repositories don't
+ * store their repository, so we can't query on it. Instead, we query on
+ * the branch name and filter the results by repository.
  *
  * @param {string} releaseBranchName The release branch name of the release
  * document to fetch.
+ * @param {Object} repository The repository that the branch is in, with an
+ * `owner` and `repo`.
  * @return {Promise<string|null>} A promise that resolves to the release ID,
  * or null if no release was found.
  */
-async function getReleaseIdFromBranch(releaseBranchName) {
+async function getReleaseIdFromBranch(releaseBranchName, repository) {
   const releaseSnapshot = await db.collection("releases")
       .where("releaseBranchName", "==", releaseBranchName)
       .get();
 
-  if (releaseSnapshot.empty) {
+  const releaseDocs = releaseSnapshot.docs.filter((doc) =>
+    !isDeleted(doc.data()) &&
+    isSameRepository(getReleaseRepository(doc.data()), repository));
+
+  if (releaseDocs.length === 0) {
     return null;
   }
 
-  if (releaseSnapshot.size > 1) {
+  if (releaseDocs.length > 1) {
     warn("There should only be only one release that tracks a branch",
         {
           releaseBranchName: releaseBranchName,
-          numBranches: releaseSnapshot.size,
-          releaseSnapshot: releaseSnapshot.docs.map((doc) => doc.data()),
+          repository: repository,
+          numBranches: releaseDocs.length,
+          releaseSnapshot: releaseDocs.map((doc) => doc.data()),
         },
     );
   }
 
-  const releaseId = releaseSnapshot.docs[0].id;
+  const releaseId = releaseDocs[0].id;
 
   return releaseId;
 }
@@ -114,21 +162,170 @@ async function getReleaseData(releaseId) {
   return releaseData;
 }
 
+/**
+ * Retrieves all releases that have not been marked as released, except the
+ * ones in the trash.
+ *
+ * @return {Promise<Array<Object>>} A promise that resolves to the release
+ * data of each unreleased release, including its ID.
+ */
+async function getUnreleasedReleases() {
+  const releasesSnapshot = await db.collection("releases")
+      .where("isReleased", "==", false)
+      .get();
+
+  return releasesSnapshot.docs
+      .filter((doc) => !isDeleted(doc.data()))
+      .map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }));
+}
+
+/**
+ * Retrieves all releases, except the ones in the trash.
+ *
+ * @return {Promise<Array<Object>>} A promise that resolves to the release
+ * data of every release, including its ID.
+ */
+async function getAllReleases() {
+  const releasesSnapshot = await db.collection("releases").get();
+
+  return releasesSnapshot.docs
+      .filter((releaseDoc) => !isDeleted(releaseDoc.data()))
+      .map((releaseDoc) => ({
+        id: releaseDoc.id,
+        ...releaseDoc.data(),
+      }));
+}
+
+/**
+ * Retrieves the release with the latest release date, ignoring the releases
+ * in the trash.
+ *
+ * @return {Promise<Object|null>} A promise that resolves to the release data
+ * of the latest release, including its ID, or null if there are no releases.
+ */
+async function getLatestRelease() {
+  const releasesSnapshot = await db.collection("releases")
+      .orderBy("releaseDate", "desc")
+      .get();
+
+  const releaseDoc = releasesSnapshot.docs
+      .find((doc) => !isDeleted(doc.data()));
+  if (!releaseDoc) {
+    return null;
+  }
+
+  return {
+    id: releaseDoc.id,
+    ...releaseDoc.data(),
+  };
+}
+
+/**
+ * Retrieves a release that is in the trash.
+ *
+ * @param {string} releaseId - The ID of the release.
+ * @return {Promise<Object|null>} A promise that resolves to the release data,
+ * including its ID, or null if there is no release with that ID in the
+ * trash.
+ */
+async function getDeletedRelease(releaseId) {
+  const releaseSnapshot = await db.collection("releases")
+      .doc(releaseId)
+      .get();
+
+  if (!releaseSnapshot.exists || !isDeleted(releaseSnapshot.data())) {
+    return null;
+  }
+
+  return {
+    id: releaseSnapshot.id,
+    ...releaseSnapshot.data(),
+  };
+}
+
+/**
+ * Retrieves the releases in the trash that are due to be purged.
+ *
+ * @param {Date} purgeBefore - The date that the releases must be due to be
+ * purged by.
+ * @return {Promise<Array<Object>>} A promise that resolves to the release
+ * data of each release to purge, including its ID.
+ */
+async function getExpiredDeletedReleases(purgeBefore) {
+  const releasesSnapshot = await db.collection("releases")
+      .where("purgeAt", "<=", Timestamp.fromDate(purgeBefore))
+      .get();
+
+  return releasesSnapshot.docs
+      .filter((doc) => isDeleted(doc.data()))
+      .map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }));
+}
+
+/**
+ * Create an entry for the state history of a release.
+ *
+ * @param {string} previousState - The state the release transitioned from,
+ * or null if the release was just added.
+ * @param {string} state - The state the release transitioned to.
+ * @param {Object} stateChange - The `cause` of the transition, and the
+ * `actor` that caused it, or null if it was caused by the system.
+ * @return {Object} - A state history entry ready for storage
+ */
+function createStateTransition(previousState, state, stateChange) {
+  return {
+    previousState: previousState,
+    state: state,
+    cause: stateChange.cause,
+    actor: stateChange.actor,
+    timestamp: Timestamp.now(),
+  };
+}
+
+/**
+ * Create an entry for the operator history of a release.
+ *
+ * @param {string} operator - The operator that the release is assigned to.
+ * @param {string} assignedBy - The user that assigned the operator.
+ * @return {Object} - An operator history entry ready for storage
+ */
+function createOperatorHandoff(operator, assignedBy) {
+  return {
+    operator: operator,
+    assignedBy: assignedBy,
+    assignedAt: Timestamp.now(),
+  };
+}
+
 /**
  * Prepare a single release object for storage into Firestore.
  *
  * @param {Object} release - A release object
+ * @param {string} assignedBy - The user that added the release, and
+ * assigned its first operator.
  * @return {Object} - A release data object ready for storage
  */
-function releaseToFirestoreObject(release) {
+function releaseToFirestoreObject(release, assignedBy) {
+  const repository = getReleaseRepository(release);
   return {
     state: RELEASE_STATES.SCHEDULED, // Temporary state until release is synced
     releaseName: release.releaseName,
-    releaseOperator: "ACore Team Member", // release.releaseOperator,
+    releaseOperator: release.releaseOperator,
+    operatorHistory: [
+      createOperatorHandoff(release.releaseOperator, assignedBy),
+    ],
     codeFreezeDate: release.codeFreezeDate,
     releaseDate: release.releaseDate,
     releaseBranchName: release.releaseBranchName,
-    releaseBranchLink: `${REPO_URL}/tree/${release.releaseBranchName}`,
+    releaseBranchLink:
+      `${getRepositoryUrl(repository)}/tree/${release.releaseBranchName}`,
+    repoOwner: repository.owner,
+    repoName: repository.repo,
     isReleased: release.isReleased,
     buildArtifactStatus: "",
     buildArtifactConclusion: "",
@@ -138,23 +335,34 @@ function releaseToFirestoreObject(release) {
 }
 
 /**
- * Set a release object into Firestore batch for further processing.
- *
+ * Set a release object into a Firestore batch or transaction for further
+ * processing.
  *
  * Note that this will not commit the change, it merely adds it to
  * the given batch.
  *
- * @param {admin.firestore.WriteBatch} batch - The Firestore batch instance
+ * @param {admin.firestore.WriteBatch|admin.firestore.Transaction} batch - The
+ * Firestore batch or transaction instance
+ * @param {admin.firestore.DocumentReference} releaseRef - The reference of
+ * the new release document.
  * @param {Object} release - A release object
+ * @param {string} assignedBy - The user that added the release.
  */
-function batchSetRelease(batch, release) {
-  const newReleaseRef = db.collection("releases").doc();
-  const releaseData = releaseToFirestoreObject(release);
-  batch.set(newReleaseRef, releaseData);
+function batchSetRelease(batch, releaseRef, release, assignedBy) {
+  const releaseData = releaseToFirestoreObject(release, assignedBy);
+  batch.set(releaseRef, releaseData);
+
+  // The release enters its first state when it is added
+  const historyRef = releaseRef.collection("releaseStateHistory").doc();
+  batch.set(historyRef, createStateTransition(
+      null,
+      releaseData.state,
+      {cause: STATE_CHANGE_CAUSES.ADD, actor: assignedBy},
+  ));
 }
 
 /**
- * Write new releases to Firestore.
+ * Write new releases to Firestore in a single transaction.
  *
  * Assumes that the contents of the releases are validated. newReleases is
  * an array of release objects that have the following structure:
@@ -163,18 +371,132 @@ function batchSetRelease(batch, release) {
  *   releaseOperator: string,
  *   codeFreezeDate: Date,
  *   releaseDate: Date,
+ *   repoOwner: string (optional),
+ *   repoName: string (optional),
  * }
  *
+ * Either all of the releases are created, or none of them are if any of
+ * them already exists. Existing releases are found by name within the
+ * transaction, so two requests that add the same release at the same time
+ * can't both create it. Releases can be renamed, so their document IDs are
+ * generated rather than derived from their names.
+ *
+ * If an idempotency key is given, the creation is recorded under it, and a
+ * later creation with the same key returns the recorded creation instead of
+ * creating the releases again, so that a client can safely retry a request
+ * whose response it didn't receive.
+ *
  * @param {Object} newReleases - Releases to store in Firestore
+ * @param {string} assignedBy - The user that added the releases, and
+ * assigned their operators.
+ * @param {string|null} idempotencyKey - The idempotency key of the request
+ * that adds the releases, or null if it doesn't have one.
+ * @return {Promise<Object>} A promise that resolves to the `releases` that
+ * were created, each with its `releaseId` and `releaseName`, the names of the
+ * releases that already exist as `existingReleaseNames`, the names of the
+ * releases that are in the trash as `deletedReleaseNames`, and the recorded
+ * `creation` if the idempotency key was already used, or null otherwise.
  */
-async function setReleases(newReleases) {
+async function createReleases(newReleases, assignedBy, idempotencyKey) {
   validateNewReleasesStructure(newReleases);
 
-  const batch = db.batch();
+  const creationRef = idempotencyKey ?
+    db.collection("releaseCreations").doc(idempotencyKey) :
+    null;
+  const releaseRefs = newReleases.map(() => db.collection("releases").doc());
 
-  newReleases.forEach((release) => batchSetRelease(batch, release));
+  return db.runTransaction(async (transaction) => {
+    // All reads have to happen before the writes of the transaction
+    if (creationRef) {
+      const creationSnapshot = await transaction.get(creationRef);
+      if (creationSnapshot.exists) {
+        return {
+          releases: [],
+          existingReleaseNames: [],
+          deletedReleaseNames: [],
+          creation: creationSnapshot.data(),
+        };
+      }
+    }
 
-  await batch.commit();
+    // A release in the trash keeps its name until it is purged, so that it
+    // can be restored
+    const existingReleaseNames = [];
+    const deletedReleaseNames = [];
+    for (let i = 0; i < newReleases.length; i++) {
+      const releaseName = newReleases[i].releaseName;
+      const namedSnapshot = await transaction.get(db.collection("releases")
+          .where("releaseName", "==", releaseName));
+      if (namedSnapshot.docs.some((doc) => !isDeleted(doc.data()))) {
+        existingReleaseNames.push(releaseName);
+      } else if (!namedSnapshot.empty) {
+        deletedReleaseNames.push(releaseName);
+      }
+    }
+    if (existingReleaseNames.length > 0 || deletedReleaseNames.length > 0) {
+      return {
+        releases: [],
+        existingReleaseNames: existingReleaseNames,
+        deletedReleaseNames: deletedReleaseNames,
+        creation: null,
+      };
+    }
+
+    const releases = newReleases.map((release, i) => {
+      batchSetRelease(transaction, releaseRefs[i], release, assignedBy);
+      return {releaseId: releaseRefs[i].id, releaseName: release.releaseName};
+    });
+
+    if (creationRef) {
+      transaction.set(creationRef, {
+        releases: releases.map((release) => ({
+          ...release,
+          syncOutcome: SYNC_OUTCOMES.PENDING,
+          syncError: null,
+        })),
+        createdBy: assignedBy,
+        createdAt: Timestamp.now(),
+      });
+    }
+
+    return {
+      releases: releases,
+      existingReleaseNames: [],
+      deletedReleaseNames: [],
+      creation: null,
+    };
+  });
+}
+
+/**
+ * Gets a recorded release creation.
+ *
+ * @param {string} idempotencyKey - The idempotency key of the request that
+ * created the releases.
+ * @return {Promise<Object|null>} A promise that resolves to the creation,
+ * with its `releases` and their sync outcomes, or null if it wasn't
+ * recorded.
+ */
+async function getReleaseCreation(idempotencyKey) {
+  const creationSnapshot = await db.collection("releaseCreations")
+      .doc(idempotencyKey)
+      .get();
+  return creationSnapshot.exists ? creationSnapshot.data() : null;
+}
+
+/**
+ * Records the outcomes of the first syncs of the releases of a release
+ * creation, so that a retried request returns them.
+ *
+ * @param {string} idempotencyKey - The idempotency key of the request that
+ * created the releases.
+ * @param {Array<Object>} releases - The created releases, each with its
+ * `releaseId`, `releaseName`, `syncOutcome` and `syncError`.
+ */
+async function setReleaseCreationOutcomes(idempotencyKey, releases) {
+  await db.collection("releaseCreations").doc(idempotencyKey).update({
+    releases: releases,
+  });
 }
 
 /**
@@ -192,35 +514,52 @@ async function updateRelease(releaseId, releaseData) {
 }
 
 /**
- * Updates the state of a release in the database.
+ * Records a handoff of a release to a new operator in the operator history
+ * of the release.
  *
- * @param {string} releaseId The ID of the release to update
- * @param {string} newState The new state to set for the release
- * @throws {Error} If the release state update fails, or if the
- * release state is invalid.
+ * @param {string} releaseId The ID of the release that was handed off.
+ * @param {string} operator The new operator of the release.
+ * @param {string} assignedBy The user that handed off the release.
  */
-async function updateReleaseState(releaseId, newState) {
+async function addOperatorHandoff(releaseId, operator, assignedBy) {
   const releaseDoc = db.collection("releases").doc(releaseId);
-  await releaseDoc.update({state: newState});
+  await releaseDoc.update({
+    operatorHistory: FieldValue.arrayUnion(
+        createOperatorHandoff(operator, assignedBy),
+    ),
+  });
 }
 
 /**
- * Deletes all existing library documents associated with a release.
+ * Updates the state of a release in the database.
  *
- * Note that this will not commit the change, it merely adds it to
- * the given batch.
+ * If the state changes, the transition is recorded in the
+ * releaseStateHistory subcollection of the release. The state is read and
+ * updated in a transaction, so that concurrent syncs can't record the same
+ * transition twice.
  *
- * @param {admin.firestore.WriteBatch} batch The batch to add the
- * delete operations to.
- * @param {string} releaseId
+ * @param {string} releaseId The ID of the release to update
+ * @param {string} newState The new state to set for the release
+ * @param {Object} stateChange The `cause` of the update, and the `actor`
+ * that caused it, or null if it was caused by the system.
+ * @throws {Error} If the release state update fails, or if the
+ * release state is invalid.
  */
-async function batchDeleteReleaseLibraries(batch, releaseId) {
-  const previousLibrariesSnapshot = await db.collection("libraries")
-      .where("releaseID", "==", releaseId)
-      .get();
-  previousLibrariesSnapshot.docs.forEach((doc) => {
-    const docRef = db.collection("libraries").doc(doc.id);
-    batch.delete(docRef);
+async function updateReleaseState(releaseId, newState, stateChange) {
+  const releaseDoc = db.collection("releases").doc(releaseId);
+  await db.runTransaction(async (transaction) => {
+    const releaseSnapshot = await transaction.get(releaseDoc);
+    const previousState = releaseSnapshot.data().state;
+
+    transaction.update(releaseDoc, {state: newState});
+    if (previousState !== newState) {
+      const historyRef = releaseDoc.collection("releaseStateHistory").doc();
+      transaction.set(historyRef, createStateTransition(
+          previousState,
+          newState,
+          stateChange,
+      ));
+    }
   });
 }
 
@@ -265,7 +604,7 @@ function encodeChangeDocId(commitId, libraryId) {
 function batchSetLibrariesForRelease(batch, libraries, releaseId) {
   Object.entries(libraries).forEach(
       ([libraryName,
-        {updatedVersion, optedIn, optedOut, libraryGroupRelease},
+        {updatedVersion, optedIn, optedOut, libraryGroupRelease, syncError},
       ]) => {
         const uniqueId = encodeLibraryDocId(libraryName, updatedVersion);
         const docRef = db.collection("libraries").doc(uniqueId);
@@ -275,6 +614,7 @@ function batchSetLibrariesForRelease(batch, libraries, releaseId) {
           optedIn,
           optedOut,
           libraryGroupRelease,
+          syncError: syncError || null,
           releaseID: releaseId,
         });
       });
@@ -282,8 +622,9 @@ function batchSetLibrariesForRelease(batch, libraries, releaseId) {
 
 /**
  * Deletes all existing library documents associated with a release that
- * are no longer in the release. This only happens when a library
- * is opted out from a release.
+ * are no longer in the release. This happens when a library is opted out
+ * from a release, or when its version changed, for example once the version
+ * of a library that previously failed to sync could be read.
  *
  * @param {admin.firestore.WriteBatch} batch The batch to add the
  * delete operations to.
@@ -293,13 +634,16 @@ function batchSetLibrariesForRelease(batch, libraries, releaseId) {
  */
 async function batchDeleteOptedOutLibraries(batch, libraries, releaseId) {
   // Delete all libraries that are no longer in our set of libraries
-  const libraryNames = Object.keys(libraries);
+  const libraryIds = Object.entries(libraries).map(
+      ([libraryName, {updatedVersion}]) =>
+        encodeLibraryDocId(libraryName, updatedVersion),
+  );
   const previousLibrariesSnapshot = await db.collection("libraries")
       .where("releaseID", "==", releaseId)
       .get();
 
   previousLibrariesSnapshot.docs.forEach((doc) => {
-    if (!libraryNames.includes(doc.data().libraryName)) {
+    if (!libraryIds.includes(doc.id)) {
       const docRef = db.collection("libraries").doc(doc.id);
       batch.delete(docRef);
     }
@@ -324,23 +668,18 @@ async function updateLibrariesForRelease(libraries, releaseId) {
 }
 
 /**
- * Deletes all existing change documents associated with a release.
+ * Gets the author of a change whose author could not be resolved from
+ * GitHub. The release report may still know the name of the author.
  *
- * Note that this will not commit the change, it merely adds it to
- * the given batch.
- *
- * @param {admin.firestore.WriteBatch} batch The batch to add the
- * delete operations to.
- * @param {string} releaseId The ID of the associated release.
+ * @param {Object} change A change from the release report.
+ * @return {Object} The author of the change.
  */
-async function batchDeleteReleaseChanges(batch, releaseId) {
-  const previousChangesSnapshot = await db.collection("changes")
-      .where("releaseID", "==", releaseId)
-      .get();
-  for (const doc of previousChangesSnapshot.docs) {
-    const docRef = db.collection("changes").doc(doc.id);
-    batch.delete(docRef);
-  }
+function getUnresolvedCommitAuthor(change) {
+  return {
+    login: null,
+    name: change.author || null,
+    avatarUrl: null,
+  };
 }
 
 /**
@@ -354,15 +693,24 @@ async function batchDeleteReleaseChanges(batch, releaseId) {
  * @param {Object} changes The changes to add to Firestore.
  * @param {string} libraryId The ID of the associated library.
  * @param {string} releaseId The ID of the associated release.
+ * @param {Map<string, Object>} commitAuthors Map of commit IDs to the
+ * authors of the commits.
  */
-function batchSetReleaseChanges(batch, changes, libraryId, releaseId) {
+function batchSetReleaseChanges(
+    batch,
+    changes,
+    libraryId,
+    releaseId,
+    commitAuthors,
+) {
   changes.forEach((change) => {
     const docId = encodeChangeDocId(change.commitId, libraryId);
     const docRef = db.collection("changes").doc(docId);
     batch.set(docRef, {
       commitTitle: parseCommitTitleFromMessage(change.message),
       message: change.message,
-      author: "GitHub user", // change.author
+      author: commitAuthors.get(change.commitId) ||
+        getUnresolvedCommitAuthor(change),
       pullRequestID: change.prId,
       pullRequestLink: change.prLink,
       commitID: change.commitId,
@@ -408,6 +756,8 @@ async function batchDeleteOldChanges(batch, newChanges, releaseId) {
  * @param {Map<string, Array<Object>>} libraryChanges Map of library names
  * to changes.
  * @param {string} releaseId The ID of the associated release.
+ * @param {Map<string, Object>} commitAuthors Map of commit IDs to the
+ * authors of the commits.
  * @throws {Error} If a library in the release report does not exist in
  * Firestore.
  */
@@ -415,6 +765,7 @@ async function updateChangesForRelease(
     libraryMetadata,
     libraryChanges,
     releaseId,
+    commitAuthors,
 ) {
   const batch = db.batch();
 
@@ -426,7 +777,8 @@ async function updateChangesForRelease(
     const changes = libraryChanges[libraryName];
     const updatedLibraryVersion = libraryMetadata[libraryName].updatedVersion;
     const libraryId = encodeLibraryDocId(libraryName, updatedLibraryVersion);
-    batchSetReleaseChanges(batch, changes, libraryId, releaseId);
+    batchSetReleaseChanges(batch, changes, libraryId, releaseId,
+        commitAuthors);
   }
 
   await batch.commit();
@@ -466,18 +818,29 @@ async function batchDeleteReleaseChecks(batch, releaseId) {
 function batchSetReleaseChecks(batch, checkRunList, releaseId) {
   checkRunList.forEach((checkRun) => {
     const docRef = db.collection("checks").doc(checkRun.id.toString());
-    batch.set(docRef, {
-      name: checkRun.name,
-      headSHA: checkRun.headSHA,
-      status: checkRun.status,
-      conclusion: checkRun.conclusion,
-      outputTitle: checkRun.outputTitle,
-      httpsUrl: checkRun.httpsUrl,
-      releaseID: releaseId,
-    });
+    batch.set(docRef, toCheckDocument(checkRun, releaseId));
   });
 }
 
+/**
+ * Converts a check run to the check document stored in Firestore.
+ *
+ * @param {Object} checkRun The check run.
+ * @param {string} releaseId The ID of the associated release.
+ * @return {Object} The check document.
+ */
+function toCheckDocument(checkRun, releaseId) {
+  return {
+    name: checkRun.name,
+    headSHA: checkRun.headSHA,
+    status: checkRun.status,
+    conclusion: checkRun.conclusion,
+    outputTitle: checkRun.outputTitle,
+    httpsUrl: checkRun.httpsUrl,
+    releaseID: releaseId,
+  };
+}
+
 /**
  * Creates new check documents for each check run in the list, and deletes
  * any existing checks associated with the release.
@@ -495,73 +858,496 @@ async function updateChecksForRelease(checkRunList, releaseId) {
 }
 
 /**
-  * Update a check run in Firestore.
-  *
-  * This function is not to be used for creating new check runs.
-  * Because of this, it does not set fields that are static.
-  *
-  * @param {string} checkRunId The ID of the check run to update.
-  * @param {string} headSHA The SHA of the commit that the check run
-  * is associated with.
-  * @param {string} status The status of the check run.
-  * @param {string} conclusion The conclusion of the check run.
-  * @throws {Error} If the check run does not exist in Firestore.
-  * @return {Promise<void>} A promise that resolves when the check run
-  * has been updated.
-  */
-async function updateCheckRunStatus(checkRunId, headSHA, status, conclusion) {
-  const docRef = db.collection("checks").doc(checkRunId);
-  await docRef.set({
-    headSHA: headSHA,
-    status: status,
-    conclusion: conclusion,
+ * Creates or updates a check run in Firestore.
+ *
+ * Check runs that are created after the release was last synced don't exist
+ * in Firestore yet, so the whole check document is written.
+ *
+ * @param {Object} checkRun The check run.
+ * @param {string} releaseId The ID of the release that the check run belongs
+ * to.
+ * @return {Promise<void>} A promise that resolves when the check run
+ * has been stored.
+ */
+async function upsertCheckRun(checkRun, releaseId) {
+  const docRef = db.collection("checks").doc(checkRun.id.toString());
+  await docRef.set(toCheckDocument(checkRun, releaseId), {merge: true});
+}
+
+/**
+ * Updates the build artifact of a release from a workflow run, unless the
+ * release already has a newer build artifact.
+ *
+ * @param {string} releaseId The ID of the release.
+ * @param {Object} buildArtifact The build artifact fields of the release.
+ * @return {Promise<boolean>} A promise that resolves to true if the release
+ * was updated.
+ */
+async function updateBuildArtifact(releaseId, buildArtifact) {
+  const releaseDoc = db.collection("releases").doc(releaseId);
+
+  return db.runTransaction(async (transaction) => {
+    const releaseSnapshot = await transaction.get(releaseDoc);
+    if (!isNewerBuildArtifact(releaseSnapshot.data(), buildArtifact)) {
+      return false;
+    }
+
+    transaction.update(releaseDoc, buildArtifact);
+    return true;
   });
 }
 
 /**
- * Deletes all data associated with a release.
+ * Deletes all data associated with a release permanently: its libraries,
+ * changes, checks, errors and state history, and the release itself.
+ *
+ * A release can have more data than fits in a single batch, so the data is
+ * deleted in several batches. The release is deleted last, so that a purge
+ * that fails part of the way through can be retried.
  *
  * @param {string} releaseId The ID of the release to delete.
  * @return {Promise<void>} A promise that resolves when the release
  * data has been deleted.
  */
 async function deleteAllReleaseData(releaseId) {
+  const releaseDoc = db.collection("releases").doc(releaseId);
+  const snapshots = await Promise.all([
+    ...RELEASE_DATA_COLLECTIONS.map((collection) => db.collection(collection)
+        .where("releaseID", "==", releaseId)
+        .get()),
+    releaseDoc.collection("releaseStateHistory").get(),
+  ]);
+  const docRefs = [
+    ...snapshots.flatMap((snapshot) => snapshot.docs.map((doc) => doc.ref)),
+    releaseDoc,
+  ];
+
+  for (let i = 0; i < docRefs.length; i += MAX_BATCH_WRITES) {
+    const batch = db.batch();
+    docRefs.slice(i, i + MAX_BATCH_WRITES)
+        .forEach((docRef) => batch.delete(docRef));
+    await batch.commit();
+  }
+}
+
+/**
+ * Moves a release to the trash, where it is kept for a retention period
+ * before it is purged. Releases in the trash are hidden from the dashboard
+ * and aren't synced, but keep all of their data so that they can be
+ * restored.
+ *
+ * @param {string} releaseId - The ID of the release to delete.
+ * @param {string} deletedBy - The user that deleted the release.
+ * @param {number} retentionDays - The number of days to keep the release in
+ * the trash for.
+ */
+async function archiveRelease(releaseId, deletedBy, retentionDays) {
+  const deletedAt = Timestamp.now();
   const batch = db.batch();
 
-  // Delete all the data associated with the release
-  await batchDeleteReleaseLibraries(batch, releaseId);
-  await batchDeleteReleaseChanges(batch, releaseId);
-  await batchDeleteReleaseChecks(batch, releaseId);
+  batch.update(db.collection("releases").doc(releaseId), {
+    deletedAt: deletedAt,
+    deletedBy: deletedBy,
+    purgeAt: Timestamp.fromMillis(
+        deletedAt.toMillis() + retentionDays * 24 * 60 * 60 * 1000,
+    ),
+  });
 
-  // Delete the release itself
-  const releaseDoc = db.collection("releases").doc(releaseId);
-  batch.delete(releaseDoc);
+  // A sync that was requested by a push before the release was deleted
+  // should no longer happen.
+  batch.delete(db.collection("pendingSyncs").doc(releaseId));
 
   await batch.commit();
 }
 
+/**
+ * Restores a release from the trash.
+ *
+ * @param {string} releaseId - The ID of the release to restore.
+ */
+async function unarchiveRelease(releaseId) {
+  await db.collection("releases").doc(releaseId).update({
+    deletedAt: FieldValue.delete(),
+    deletedBy: FieldValue.delete(),
+    purgeAt: FieldValue.delete(),
+  });
+}
+
 /**
  * Stores a stack trace in Firestore.
  *
+ * Errors are stored unresolved, and are resolved once a later sync of the
+ * release succeeds.
+ *
  * @param {string} releaseId The ID of the release to store the stack trace for.
  * @param {string} errorMsg The error message to store.
  * @param {string} stackTrace The stack trace to store.
  * @param {string} contextMsg Context surrounding the error.
+ * @param {SyncError} syncError The error, with its category, code, the path
+ * that caused it and a hint on how to fix it.
  */
-async function setReleaseError(releaseId, errorMsg, stackTrace, contextMsg) {
+async function setReleaseError(
+    releaseId,
+    errorMsg,
+    stackTrace,
+    contextMsg,
+    syncError,
+) {
   const timestamp = Timestamp.now();
 
   await db.collection("releaseError").add({
     releaseID: releaseId,
+    errorMsg: errorMsg,
     stackTrace: stackTrace,
     contextMsg: contextMsg,
+    category: syncError.category,
+    code: syncError.code,
+    path: syncError.path,
+    hint: syncError.hint,
+    resolved: false,
+    resolvedAt: null,
     timestamp: timestamp,
   });
 }
 
+/**
+ * Marks all unresolved errors of a release as resolved.
+ *
+ * Errors that were stored before errors could be resolved don't have a
+ * `resolved` field, so the unresolved errors are filtered here rather than
+ * in the query.
+ *
+ * @param {string} releaseId The ID of the release whose errors to resolve.
+ * @return {Promise<number>} The number of errors that were resolved.
+ */
+async function resolveReleaseErrors(releaseId) {
+  const errorsSnapshot = await db.collection("releaseError")
+      .where("releaseID", "==", releaseId)
+      .get();
+  const unresolvedErrors = errorsSnapshot.docs
+      .filter((doc) => !doc.data().resolved);
+  if (unresolvedErrors.length === 0) {
+    return 0;
+  }
+
+  const batch = db.batch();
+  const resolvedAt = Timestamp.now();
+  unresolvedErrors.forEach((doc) => {
+    batch.update(doc.ref, {resolved: true, resolvedAt: resolvedAt});
+  });
+  await batch.commit();
+
+  return unresolvedErrors.length;
+}
+
+/**
+ * Stores an entry in the audit log of administrative release actions.
+ *
+ * @param {Object} actor The user that performed the action, with a `uid`
+ * and `email`.
+ * @param {string} action The action that was performed.
+ * @param {string} releaseId The ID of the release that was acted on.
+ * @param {string} releaseName The name of the release that was acted on.
+ * @param {Object} changes The fields of the release that changed, mapped to
+ * their `before` and `after` values.
+ */
+async function setAuditLogEntry(actor, action, releaseId, releaseName,
+    changes) {
+  await db.collection("auditLog").add({
+    actor: actor,
+    action: action,
+    releaseID: releaseId,
+    releaseName: releaseName,
+    changes: changes,
+    timestamp: Timestamp.now(),
+  });
+}
+
+/**
+ * Gets the cached authors of commits.
+ *
+ * Commits can't be modified, so once the author of a commit is resolved
+ * from GitHub, it is cached in Firestore and reused by future syncs.
+ *
+ * @param {Array<string>} commitIds The IDs of the commits.
+ * @return {Promise<Map<string, Object>>} Map of commit IDs to the cached
+ * authors of the commits. Commits without a cached author are omitted.
+ */
+async function getCachedCommitAuthors(commitIds) {
+  const commitAuthors = new Map();
+  if (commitIds.length === 0) {
+    return commitAuthors;
+  }
+
+  const docRefs = commitIds.map(
+      (commitId) => db.collection("commitAuthors").doc(commitId),
+  );
+  const docs = await db.getAll(...docRefs);
+  docs.forEach((doc) => {
+    if (doc.exists) {
+      commitAuthors.set(doc.id, doc.data());
+    }
+  });
+
+  return commitAuthors;
+}
+
+/**
+ * Caches the authors of commits, so that they don't have to be resolved from
+ * GitHub again.
+ *
+ * @param {Map<string, Object>} commitAuthors Map of commit IDs to the
+ * authors of the commits.
+ */
+async function setCachedCommitAuthors(commitAuthors) {
+  const batch = db.batch();
+  commitAuthors.forEach((author, commitId) => {
+    batch.set(db.collection("commitAuthors").doc(commitId), author);
+  });
+  await batch.commit();
+}
+
+/**
+ * Gets a cached GitHub API response.
+ *
+ * @param {string} cacheKey The key of the cached response.
+ * @return {Promise<Object|null>} The cached response, with its `etag`, or null
+ * if the response isn't cached.
+ */
+async function getCachedGitHubResponse(cacheKey) {
+  const doc = await db.collection("githubResponses").doc(cacheKey).get();
+  return doc.exists ? doc.data() : null;
+}
+
+/**
+ * Caches a GitHub API response, so that it can be revalidated with a
+ * conditional request by future syncs.
+ *
+ * @param {string} cacheKey The key of the cached response.
+ * @param {Object} response The response to cache, with its `etag`.
+ */
+async function setCachedGitHubResponse(cacheKey, response) {
+  await db.collection("githubResponses").doc(cacheKey).set({
+    ...response,
+    cachedAt: Timestamp.now(),
+  });
+}
+
+/**
+ * Gets the last known GitHub API rate limit.
+ *
+ * @return {Promise<Object|null>} The rate limit, with its `limit`,
+ * `remaining` requests, and `reset` date, or null if it isn't known yet.
+ */
+async function getGitHubRateLimit() {
+  const doc = await db.collection("githubRateLimit").doc("core").get();
+  if (!doc.exists) {
+    return null;
+  }
+  const rateLimit = doc.data();
+  return {...rateLimit, reset: rateLimit.reset.toDate()};
+}
+
+/**
+ * Stores the last known GitHub API rate limit, so that scheduled syncs can
+ * be deferred when the quota is low, and the quota can be shown on the
+ * admin page.
+ *
+ * @param {Object} rateLimit The rate limit, with its `limit`, `remaining`
+ * requests, and `reset` date.
+ */
+async function setGitHubRateLimit(rateLimit) {
+  await db.collection("githubRateLimit").doc("core").set({
+    ...rateLimit,
+    reset: Timestamp.fromDate(rateLimit.reset),
+    updatedAt: Timestamp.now(),
+  });
+}
+
+/**
+ * Records that releases were selected by a scheduled sync, so that the
+ * releases that were deferred are selected before them in the next run.
+ *
+ * @param {Array<string>} releaseIds The IDs of the selected releases.
+ */
+async function recordScheduledSyncs(releaseIds) {
+  const batch = db.batch();
+  const scheduledSyncAt = Timestamp.now();
+  releaseIds.forEach((releaseId) => {
+    batch.update(db.collection("releases").doc(releaseId), {
+      lastScheduledSyncAt: scheduledSyncAt,
+    });
+  });
+  await batch.commit();
+}
+
+/**
+ * Requests a sync of a release. Requests for the same release are merged
+ * into a single pending sync, which is delayed until no more requests arrive
+ * for the debounce period.
+ *
+ * @param {string} releaseId The ID of the release to sync.
+ * @param {string|null} actor The user that caused the request.
+ */
+async function requestReleaseSync(releaseId, actor) {
+  await db.collection("pendingSyncs").doc(releaseId).set({
+    releaseId: releaseId,
+    actor: actor,
+    requestedAt: Timestamp.now(),
+    requestCount: FieldValue.increment(1),
+  }, {merge: true});
+}
+
+/**
+ * Claims the pending syncs that haven't been requested again since the
+ * given date, and removes them so that they are only synced once.
+ *
+ * A sync that is requested again while it is being claimed is left pending,
+ * since it will be claimed once its new debounce period is over.
+ *
+ * @param {Date} requestedBefore The date that the last request for a sync
+ * must be before for it to be claimed.
+ * @return {Promise<Array<Object>>} The claimed syncs, with the `releaseId`,
+ * the `actor` of the last request, and the `requestCount`.
+ */
+async function claimPendingSyncs(requestedBefore) {
+  const cutoff = Timestamp.fromDate(requestedBefore);
+  const pendingSnapshot = await db.collection("pendingSyncs")
+      .where("requestedAt", "<=", cutoff)
+      .get();
+
+  const claimedSyncs = await Promise.all(pendingSnapshot.docs.map((doc) =>
+    db.runTransaction(async (transaction) => {
+      const pendingSync = await transaction.get(doc.ref);
+      if (!pendingSync.exists ||
+          pendingSync.data().requestedAt.toMillis() > cutoff.toMillis()) {
+        return null;
+      }
+      transaction.delete(doc.ref);
+      return pendingSync.data();
+    }),
+  ));
+
+  return claimedSyncs.filter((pendingSync) => pendingSync !== null);
+}
+
+/**
+ * Checks whether a recorded webhook delivery can be claimed to be handled
+ * again. Deliveries that failed can be, and so can deliveries that are still
+ * processing long after they were claimed, since their handler crashed.
+ *
+ * @param {Object} delivery The recorded delivery.
+ * @param {Timestamp} now The current time.
+ * @return {boolean} True if the delivery can be claimed.
+ */
+function isWebhookDeliveryClaimable(delivery, now) {
+  if (delivery.outcome === WEBHOOK_OUTCOMES.SUCCEEDED) {
+    return false;
+  }
+  if (delivery.outcome === WEBHOOK_OUTCOMES.PROCESSING) {
+    const claimedAt = delivery.claimedAt || delivery.receivedAt;
+    return now.toMillis() - claimedAt.toMillis() >=
+      WEBHOOK_DELIVERY_CLAIM_MILLIS;
+  }
+  return true;
+}
+
+/**
+ * Records a new GitHub webhook delivery, and claims it to be handled, unless
+ * a delivery with the same ID was already handled successfully or is being
+ * handled. GitHub sends redeliveries with the same ID, so this keeps a
+ * delivery from being handled twice, even if redeliveries arrive at the same
+ * time, while deliveries that failed, or that never finished because the
+ * function crashed, are handled again when they are redelivered.
+ *
+ * @param {string} deliveryId The ID of the delivery, from the
+ * `x-github-delivery` header.
+ * @param {Object} delivery The delivery, with its `eventType`, `branch`, and
+ * serialized `payload`.
+ * @return {Promise<boolean>} A promise that resolves to true if the delivery
+ * has to be handled, and false if it is a duplicate.
+ */
+async function recordWebhookDelivery(deliveryId, delivery) {
+  const deliveryDoc = db.collection("webhookDeliveries").doc(deliveryId);
+
+  return db.runTransaction(async (transaction) => {
+    const deliverySnapshot = await transaction.get(deliveryDoc);
+    const recordedDelivery = deliverySnapshot.exists ?
+      deliverySnapshot.data() : null;
+    const now = Timestamp.now();
+    if (recordedDelivery &&
+        !isWebhookDeliveryClaimable(recordedDelivery, now)) {
+      return false;
+    }
+
+    transaction.set(deliveryDoc, {
+      eventType: delivery.eventType,
+      branch: delivery.branch,
+      payload: delivery.payload,
+      outcome: WEBHOOK_OUTCOMES.PROCESSING,
+      error: null,
+      receivedAt: now,
+      claimedAt: now,
+      handledAt: null,
+      replayCount: recordedDelivery ? recordedDelivery.replayCount : 0,
+    });
+    return true;
+  });
+}
+
+/**
+ * Gets a recorded GitHub webhook delivery.
+ *
+ * @param {string} deliveryId The ID of the delivery.
+ * @return {Promise<Object|null>} A promise that resolves to the delivery, or
+ * null if it wasn't recorded.
+ */
+async function getWebhookDelivery(deliveryId) {
+  const deliverySnapshot = await db.collection("webhookDeliveries")
+      .doc(deliveryId)
+      .get();
+  return deliverySnapshot.exists ? deliverySnapshot.data() : null;
+}
+
+/**
+ * Records that a GitHub webhook delivery is being replayed, and marks it as
+ * processing until the replay finishes.
+ *
+ * @param {string} deliveryId The ID of the delivery.
+ * @param {string} actor The user that replayed the delivery.
+ */
+async function recordWebhookReplay(deliveryId, actor) {
+  await db.collection("webhookDeliveries").doc(deliveryId).update({
+    outcome: WEBHOOK_OUTCOMES.PROCESSING,
+    error: null,
+    claimedAt: Timestamp.now(),
+    replayCount: FieldValue.increment(1),
+    lastReplayedAt: Timestamp.now(),
+    lastReplayedBy: actor,
+  });
+}
+
+/**
+ * Records the outcome of handling a GitHub webhook delivery.
+ *
+ * @param {string} deliveryId The ID of the delivery.
+ * @param {string} outcome The outcome of the delivery.
+ * @param {string|null} errorMessage The error that the delivery failed
+ * with, or null if it succeeded.
+ */
+async function setWebhookDeliveryOutcome(deliveryId, outcome, errorMessage) {
+  await db.collection("webhookDeliveries").doc(deliveryId).update({
+    outcome: outcome,
+    error: errorMessage,
+    handledAt: Timestamp.now(),
+  });
+}
+
 module.exports = {
   releaseExists,
-  setReleases,
+  createReleases,
+  getReleaseCreation,
+  setReleaseCreationOutcomes,
   getReleaseID,
   getReleaseIdFromBranch,
   updateRelease,
@@ -570,7 +1356,31 @@ module.exports = {
   updateChangesForRelease,
   updateChecksForRelease,
   getReleaseData,
-  updateCheckRunStatus,
+  getUnreleasedReleases,
+  getAllReleases,
+  getLatestRelease,
+  getDeletedRelease,
+  getExpiredDeletedReleases,
+  upsertCheckRun,
+  updateBuildArtifact,
   deleteAllReleaseData,
+  archiveRelease,
+  unarchiveRelease,
   setReleaseError,
+  resolveReleaseErrors,
+  setAuditLogEntry,
+  addOperatorHandoff,
+  getCachedCommitAuthors,
+  setCachedCommitAuthors,
+  getCachedGitHubResponse,
+  setCachedGitHubResponse,
+  getGitHubRateLimit,
+  setGitHubRateLimit,
+  recordScheduledSyncs,
+  requestReleaseSync,
+  claimPendingSyncs,
+  recordWebhookDelivery,
+  getWebhookDelivery,
+  recordWebhookReplay,
+  setWebhookDeliveryOutcome,
 };
@@ -1,35 +1,107 @@
 const {log} = require("firebase-functions/logger");
 const {parseGradlePropertiesForVersion} = require("../utils/utils.js");
 const crypto = require("crypto");
-const {getUniqueValues} = require("../utils/utils.js");
+const {
+  getUniqueValues,
+  processLibraryNames,
+  filterOutKtx,
+  mergeKtxIntoRoot,
+} = require("../utils/utils.js");
+const {
+  SYNC_ERROR_CODES,
+  SyncError,
+  toSyncError,
+} = require("../utils/syncErrors.js");
+
+// The files at the root of the release branch that release data is read
+// from.
+const RELEASE_DATA_FILES = ["release.json", "release_report.json"];
+
+// The most commits that GitHub includes in the payload of a push event.
+const MAX_PUSH_PAYLOAD_COMMITS = 20;
+
+// The name of the workflow that builds the release artifacts.
+const BUILD_ARTIFACTS_WORKFLOW_NAME = "Build Release Artifacts";
+
+// The prefix of the signature in the `x-hub-signature-256` header.
+const SIGNATURE_PREFIX = "sha256=";
+
+// The version stored for libraries whose version could not be read.
+const UNKNOWN_VERSION = "unknown";
 
 const OWNER = "firebase";
 const REPO = "firebase-android-sdk";
 const X_GITHUB_API_VERSION = "2022-11-28";
-const REPO_URL = `https://github.com/${OWNER}/${REPO}`;
+
+/**
+ * Gets the GitHub repository that a release is tracked in.
+ *
+ * Releases that were created before releases could target other repositories
+ * don't have a repository stored, so they fall back to the Firebase Android
+ * SDK repository.
+ *
+ * @param {Object} releaseData The release data.
+ * @return {Object} The repository, as an object with an `owner` and `repo`.
+ */
+function getReleaseRepository(releaseData) {
+  return {
+    owner: releaseData.repoOwner || OWNER,
+    repo: releaseData.repoName || REPO,
+  };
+}
+
+/**
+ * Gets the URL of a GitHub repository.
+ *
+ * @param {Object} repository The repository, with an `owner` and `repo`.
+ * @return {string} The URL of the repository.
+ */
+function getRepositoryUrl(repository) {
+  return `https://github.com/${repository.owner}/${repository.repo}`;
+}
+
+/**
+ * Checks whether two repositories are the same. GitHub owner and repository
+ * names are case-insensitive.
+ *
+ * @param {Object} repositoryA A repository, with an `owner` and `repo`.
+ * @param {Object} repositoryB A repository, with an `owner` and `repo`.
+ * @return {boolean} True if both refer to the same repository.
+ */
+function isSameRepository(repositoryA, repositoryB) {
+  return repositoryA.owner.toLowerCase() === repositoryB.owner.toLowerCase() &&
+    repositoryA.repo.toLowerCase() === repositoryB.repo.toLowerCase();
+}
 
 /**
  * Fetches and returns the content of a specific file from a GitHub repository.
  *
  * @param {Octokit} octokit The authenticated Octokit instance.
+ * @param {Object} repository The repository, with an `owner` and `repo`.
  * @param {string} ref The git reference (typically a branch or tag).
  * @param {string} path The path to the file within the repository.
- * @throws {Error} If the request fails.
+ * @throws {SyncError} If the request fails, or the file does not exist.
  * @return {Promise<string>} The file's content as a string.
  */
-async function getRepositoryContent(octokit, ref, path) {
-  log("fetching repository content", {ref: ref, path: path});
+async function getRepositoryContent(octokit, repository, ref, path) {
+  log("fetching repository content",
+      {repository: repository, ref: ref, path: path});
   // Fetch the file from the GitHub repository
-  const response = await octokit.request(
-      "GET /repos/{owner}/{repo}/contents/{path}", {
-        owner: OWNER,
-        repo: REPO,
-        path: path,
-        ref: ref,
-        headers: {
-          "X-GitHub-Api-Version": X_GITHUB_API_VERSION,
-        },
-      });
+  let response;
+  try {
+    response = await octokit.request(
+        "GET /repos/{owner}/{repo}/contents/{path}", {
+          owner: repository.owner,
+          repo: repository.repo,
+          path: path,
+          ref: ref,
+          headers: {
+            "X-GitHub-Api-Version": X_GITHUB_API_VERSION,
+          },
+        });
+  } catch (err) {
+    throw toSyncError(err, path, SYNC_ERROR_CODES.FILE_NOT_FOUND);
+  }
 
   // Decode the file content (which is base64 encoded by GitHub)
   const content = Buffer.from(response.data.content, "base64").toString();
@@ -40,24 +112,96 @@ async function getRepositoryContent(octokit, ref, path) {
  * Fetches and returns a list of check runs for a specific git reference.
  *
  * @param {Octokit} octokit The authenticated Octokit instance.
+ * @param {Object} repository The repository, with an `owner` and `repo`.
  * @param {String} ref The git reference (typically a branch or tag).
- * @throws {Error} If the request fails.
+ * @throws {SyncError} If the request fails.
  * @return {Promise<Array>} An array of check run objects.
  */
-async function listCheckRuns(octokit, ref) {
+async function listCheckRuns(octokit, repository, ref) {
   // Fetch the list of check runs for the git reference
-  const checkRuns = await octokit.paginate(
-      "GET /repos/{owner}/{repo}/commits/{ref}/check-runs", {
-        owner: OWNER,
-        repo: REPO,
-        ref: ref,
+  try {
+    const checkRuns = await octokit.paginate(
+        "GET /repos/{owner}/{repo}/commits/{ref}/check-runs", {
+          owner: repository.owner,
+          repo: repository.repo,
+          ref: ref,
+          headers: {
+            "X-GitHub-Api-Version": X_GITHUB_API_VERSION,
+          },
+          per_page: 100,
+        });
+
+    return checkRuns;
+  } catch (err) {
+    throw toSyncError(err, ref);
+  }
+}
+
+/**
+ * Gets the author of a commit from the GitHub API responses for the commit
+ * and, optionally, its pull request.
+ *
+ * The GitHub account of the author is taken from the commit. Commits whose
+ * email is not associated with a GitHub account fall back to the author of
+ * the pull request.
+ *
+ * @param {Object} commit The commit, as returned by the GitHub API.
+ * @param {Object} pullRequest The pull request of the commit, as returned by
+ * the GitHub API, or null.
+ * @return {Object} The author, with the GitHub `login`, display `name` and
+ * `avatarUrl`. The login and avatar URL are null if the author does not have
+ * a GitHub account.
+ */
+function toCommitAuthor(commit, pullRequest) {
+  const account = commit.author || (pullRequest && pullRequest.user);
+  return {
+    login: account ? account.login : null,
+    name: commit.commit.author.name || (account ? account.login : null),
+    avatarUrl: account ? account.avatar_url : null,
+  };
+}
+
+/**
+ * Fetches the author of a commit.
+ *
+ * The pull request is only fetched if the commit is not linked to a GitHub
+ * account.
+ *
+ * @param {Octokit} octokit The authenticated Octokit instance.
+ * @param {Object} repository The repository, with an `owner` and `repo`.
+ * @param {string} commitId The SHA of the commit.
+ * @param {string} pullRequestId The number of the pull request of the
+ * commit, if there is one.
+ * @throws {Error} If the request fails.
+ * @return {Promise<Object>} The author of the commit. See toCommitAuthor.
+ */
+async function getCommitAuthor(octokit, repository, commitId, pullRequestId) {
+  const commitResponse = await octokit.request(
+      "GET /repos/{owner}/{repo}/commits/{ref}", {
+        owner: repository.owner,
+        repo: repository.repo,
+        ref: commitId,
         headers: {
           "X-GitHub-Api-Version": X_GITHUB_API_VERSION,
         },
-        per_page: 100,
       });
+  const commit = commitResponse.data;
+
+  let pullRequest = null;
+  if (!commit.author && pullRequestId) {
+    const pullRequestResponse = await octokit.request(
+        "GET /repos/{owner}/{repo}/pulls/{pull_number}", {
+          owner: repository.owner,
+          repo: repository.repo,
+          pull_number: pullRequestId,
+          headers: {
+            "X-GitHub-Api-Version": X_GITHUB_API_VERSION,
+          },
+        });
+    pullRequest = pullRequestResponse.data;
+  }
 
-  return checkRuns;
+  return toCommitAuthor(commit, pullRequest);
 }
 
 /**
@@ -73,18 +217,61 @@ async function listCheckRuns(octokit, ref) {
  * https://github.com/firebase/firebase-android-sdk/blob/releases/M134.release/release.json
  *
  * @param {Octokit} octokit The authenticated Octokit client.
- * @param {Object} releaseData The release data containing the branch name.
+ * @param {Object} releaseData The release data containing the repository
+ * and branch name.
+ * @param {string} ref The commit or branch to read the configuration at.
+ * Defaults to the release branch.
+ * @throws {SyncError} If the release configuration can't be fetched, or is
+ * malformed.
  * @return {Promise<Object>} A promise that resolves to the parsed configuration
  * data.
  */
-async function getReleaseConfig(octokit, releaseData) {
+async function getReleaseConfig(
+    octokit,
+    releaseData,
+    ref = releaseData.releaseBranchName,
+) {
   const releaseConfigJSON = await getRepositoryContent(
-      octokit, releaseData.releaseBranchName, "release.json",
+      octokit,
+      getReleaseRepository(releaseData),
+      ref,
+      "release.json",
   );
-  const releaseConfig = JSON.parse(releaseConfigJSON);
+  const releaseConfig = parseReleaseFile(
+      releaseConfigJSON,
+      "release.json",
+      SYNC_ERROR_CODES.MALFORMED_RELEASE_CONFIG,
+  );
+  if (!Array.isArray(releaseConfig.libraries)) {
+    throw new SyncError(
+        SYNC_ERROR_CODES.MALFORMED_RELEASE_CONFIG,
+        "release.json does not have a list of libraries",
+        "release.json",
+    );
+  }
   return releaseConfig;
 }
 
+/**
+ * Parses a JSON file from the release branch.
+ *
+ * @param {string} content The content of the file.
+ * @param {string} path The path of the file.
+ * @param {string} malformedCode The code of the error to throw if the file
+ * is not valid JSON.
+ * @throws {SyncError} If the file is not valid JSON.
+ * @return {Object} The parsed file.
+ */
+function parseReleaseFile(content, path, malformedCode) {
+  try {
+    return JSON.parse(content);
+  } catch (err) {
+    throw new SyncError(
+        malformedCode, `${path} is not valid JSON: ${err.message}`, path, err,
+    );
+  }
+}
+
 /**
  * Fetches and parses release report data from a GitHub repository.
  *
@@ -100,15 +287,39 @@ async function getReleaseConfig(octokit, releaseData) {
  * https://github.com/firebase/firebase-android-sdk/blob/releases/M134.release/release_report.json
  *
  * @param {Octokit} octokit The authenticated Octokit client.
- * @param {Object} releaseData The release data containing the branch name.
+ * @param {Object} releaseData The release data containing the repository
+ * and branch name.
+ * @param {string} ref The commit or branch to read the report at. Defaults
+ * to the release branch.
+ * @throws {SyncError} If the release report can't be fetched, or is
+ * malformed.
  * @return {Promise<boolean>} A promise that resolves to the parsed report
  * data.
  */
-async function getReleaseReport(octokit, releaseData) {
+async function getReleaseReport(
+    octokit,
+    releaseData,
+    ref = releaseData.releaseBranchName,
+) {
   const releaseReportJSON = await getRepositoryContent(
-      octokit, releaseData.releaseBranchName, "release_report.json",
+      octokit,
+      getReleaseRepository(releaseData),
+      ref,
+      "release_report.json",
+  );
+  const releaseReport = parseReleaseFile(
+      releaseReportJSON,
+      "release_report.json",
+      SYNC_ERROR_CODES.MALFORMED_RELEASE_REPORT,
   );
-  const releaseReport = JSON.parse(releaseReportJSON);
+  if (!releaseReport.changesByLibraryName ||
+      typeof releaseReport.changesByLibraryName !== "object") {
+    throw new SyncError(
+        SYNC_ERROR_CODES.MALFORMED_RELEASE_REPORT,
+        "release_report.json does not have changes by library name",
+        "release_report.json",
+    );
+  }
   return releaseReport;
 }
 
@@ -127,6 +338,10 @@ async function getReleaseReport(octokit, releaseData) {
  * a release if it is included in our changes, but it is not included in the
  * list of releases.
  *
+ * Libraries whose version could not be read are still included, with an
+ * unknown version and a `syncError` describing the failure, so that the rest
+ * of the release can be synced.
+ *
  * Note: These inferences for metadata are made with the assumption that
  * the changes for a release are only generated once at the initial cut of
  * the release, and that libraries that are part of a group release are
@@ -135,8 +350,9 @@ async function getReleaseReport(octokit, releaseData) {
  * releasing, whether they are included in the changes or not.
  *
  * @param {Octokit} octokit - The authenticated Octokit client.
- * @param {string} releaseBranchName - The release branch name
- * @param {Array<string>} libraryNames - The release report
+ * @param {Object} repository - The repository, with an `owner` and `repo`.
+ * @param {string} commitSha - The SHA of the commit to read the versions at.
+ * @param {Array<string>} libraryNames - The libraries in the release config.
  * @param {Map<string, Array<Object>>} libraryChanges - A map of library names
  * to a list of changes.
  * @return {Promise<Object>} A promise that resolves to an object mapping
@@ -144,7 +360,8 @@ async function getReleaseReport(octokit, releaseData) {
  */
 async function getLibraryMetadata(
     octokit,
-    releaseBranchName,
+    repository,
+    commitSha,
     libraryNames,
     libraryChanges,
 ) {
@@ -152,9 +369,10 @@ async function getLibraryMetadata(
   const allLibraryNames = getUniqueValues(
       [...libraryNames, ...Object.keys(libraryChanges)],
   );
-  const libraryVersions = await getLibraryVersions(
+  const {libraryVersions, librarySyncErrors} = await getLibraryVersions(
       octokit,
-      releaseBranchName,
+      repository,
+      commitSha,
       allLibraryNames,
   );
 
@@ -170,6 +388,7 @@ async function getLibraryMetadata(
         "optedOut": !libraryIsReleasing && libraryIsInChanges,
         "libraryGroupRelease": libraryIsInChanges &&
           !libraryHasAtLeastOneChange,
+        "syncError": librarySyncErrors[library] || null,
       };
     }
   }
@@ -181,90 +400,377 @@ async function getLibraryMetadata(
  * Extracts the version for each library in the release from the
  * repository and stores them in an object.
  *
+ * The gradle.properties files of every library are read at the same commit
+ * with a single GraphQL query, rather than one request per library, so that
+ * the versions are consistent with each other.
+ *
+ * Failures that only affect a single library, such as a missing
+ * gradle.properties file, don't fail the sync. The library is given an
+ * unknown version and its error is returned in `librarySyncErrors`. Any other
+ * failure, like hitting the rate limit, is thrown.
+ *
  * @param {Octokit} octokit The authenticated Octokit client.
- * @param {Object} releaseBranchName The release branch name.
- * @param {Object} libraryNames The names of the libraries in the release.
- * @return {Promise<Object>} A promise that resolves to an object mapping
- * library names to versions.
+ * @param {Object} repository The repository, with an `owner` and `repo`.
+ * @param {string} commitSha The SHA of the commit to read the versions at.
+ * @param {Array<string>} libraryNames The names of the libraries in the
+ * release.
+ * @throws {SyncError} If the request fails.
+ * @return {Promise<Object>} A promise that resolves to an object with
+ * `libraryVersions`, mapping library names to versions, and
+ * `librarySyncErrors`, mapping the names of libraries that failed to sync to
+ * their errors.
  */
-async function getLibraryVersions(octokit, releaseBranchName, libraryNames) {
+async function getLibraryVersions(
+    octokit,
+    repository,
+    commitSha,
+    libraryNames,
+) {
   const libraryVersions = {};
+  const librarySyncErrors = {};
 
-  // Fetch and parse all library versions from grade properties files
-  // in the release branch and store them in an object.
-  // Perform all requests in parallel.
-  const promises = libraryNames.map(async (library) => {
+  const gradlePropertiesPaths = libraryNames.map((library) => {
     const gradleDir = library.endsWith("/ktx") ?
       library.replace("/ktx", "") : library;
+    return `${gradleDir}/gradle.properties`;
+  });
 
-    const gradleProperties = await getRepositoryContent(
-        octokit, releaseBranchName,
-        `${gradleDir}/gradle.properties`,
-    );
-    const version = parseGradlePropertiesForVersion(gradleProperties);
-    libraryVersions[library] = version;
+  const files = await getRepositoryFiles(
+      octokit, repository, commitSha, gradlePropertiesPaths,
+  );
+
+  libraryNames.forEach((library, index) => {
+    const gradlePropertiesPath = gradlePropertiesPaths[index];
+    let syncError;
+    if (files[index] === null) {
+      syncError = new SyncError(
+          SYNC_ERROR_CODES.FILE_NOT_FOUND,
+          `${gradlePropertiesPath} does not exist at ${commitSha}`,
+          gradlePropertiesPath,
+      );
+    } else {
+      try {
+        libraryVersions[library] =
+          parseGradlePropertiesForVersion(files[index]);
+        return;
+      } catch (err) {
+        syncError = new SyncError(
+            SYNC_ERROR_CODES.MISSING_VERSION,
+            `${gradlePropertiesPath} does not define a version`,
+            gradlePropertiesPath,
+            err,
+        );
+      }
+    }
+
+    libraryVersions[library] = UNKNOWN_VERSION;
+    librarySyncErrors[library] = {
+      code: syncError.code,
+      path: syncError.path,
+      hint: syncError.hint,
+      message: syncError.message,
+    };
   });
 
-  await Promise.all(promises);
+  return {libraryVersions, librarySyncErrors};
+}
+
+/**
+ * Reads the content of several files at a commit with a single GraphQL
+ * query.
+ *
+ * @param {Octokit} octokit The authenticated Octokit client.
+ * @param {Object} repository The repository, with an `owner` and `repo`.
+ * @param {string} commitSha The SHA of the commit to read the files at.
+ * @param {Array<string>} paths The paths of the files.
+ * @throws {SyncError} If the request fails.
+ * @return {Promise<Array<string|null>>} The content of each file, in the
+ * order of the paths, or null for files that don't exist.
+ */
+async function getRepositoryFiles(octokit, repository, commitSha, paths) {
+  if (paths.length === 0) {
+    return [];
+  }
+
+  log("fetching repository files",
+      {repository: repository, ref: commitSha, paths: paths});
+
+  const variables = {owner: repository.owner, repo: repository.repo};
+  const declarations = ["$owner: String!", "$repo: String!"];
+  const fields = paths.map((path, index) => {
+    variables[`expression${index}`] = `${commitSha}:${path}`;
+    declarations.push(`$expression${index}: String!`);
+    return `file${index}: object(expression: $expression${index}) ` +
+      "{ ... on Blob { text } }";
+  });
+  const query = `query(${declarations.join(", ")}) {
+    repository(owner: $owner, name: $repo) {
+      ${fields.join("\n      ")}
+    }
+  }`;
 
-  return libraryVersions;
+  let response;
+  try {
+    response = await octokit.graphql(query, variables);
+  } catch (err) {
+    throw toSyncError(err, commitSha);
+  }
+
+  return paths.map((path, index) => {
+    const file = response.repository[`file${index}`];
+    return file ? file.text : null;
+  });
 }
 
 /**
- * Checks whether a given release branch exists in the repository.
+ * Gets the commit at the head of a release branch.
+ *
+ * A sync reads all of its data at this commit, so that the data is
+ * consistent even if the branch is updated during the sync.
  *
  * @param {Octokit} octokit The authenticated Octokit client.
- * @param {string} releaseBranchName The name of the release branch to check.
- * @throws {Error} If the request fails. If the branch does not exist, the
- * request will fail with a 404 error.
- * @return {Promise<boolean>} A promise that resolves to true if the branch
- * exists, false otherwise.
+ * @param {Object} repository The repository, with an `owner` and `repo`.
+ * @param {string} releaseBranchName The name of the release branch.
+ * @throws {SyncError} If the request fails. If the branch does not exist,
+ * the error has the BRANCH_NOT_FOUND code.
+ * @return {Promise<Object>} A promise that resolves to the head commit of
+ * the branch, with its `sha` and commit `date`.
  */
-async function getReleaseBranch(octokit, releaseBranchName) {
-  await octokit.request(
-      "GET /repos/{owner}/{repo}/branches/{branch}", {
-        owner: OWNER,
-        repo: REPO,
-        branch: releaseBranchName,
-        headers: {
-          "X-GitHub-Api-Version": X_GITHUB_API_VERSION,
-        },
-      });
+async function getReleaseBranch(octokit, repository, releaseBranchName) {
+  let response;
+  try {
+    response = await octokit.request(
+        "GET /repos/{owner}/{repo}/branches/{branch}", {
+          owner: repository.owner,
+          repo: repository.repo,
+          branch: releaseBranchName,
+          headers: {
+            "X-GitHub-Api-Version": X_GITHUB_API_VERSION,
+          },
+        });
+  } catch (err) {
+    throw toSyncError(
+        err, releaseBranchName, SYNC_ERROR_CODES.BRANCH_NOT_FOUND,
+    );
+  }
 
-  // If the request succeeds, the branch exists
-  return true;
+  const commit = response.data.commit;
+  return {
+    sha: commit.sha,
+    date: new Date(commit.commit.committer.date),
+  };
+}
+
+/**
+ * Converts an error from checking a release branch into the error reported
+ * by its preview.
+ *
+ * @param {Error} err The error.
+ * @return {Object} The error, with its sync error `code`, `message`, `path`
+ * and `hint`.
+ */
+function toPreviewError(err) {
+  const syncError = toSyncError(err);
+  return {
+    code: syncError.code,
+    message: syncError.message,
+    path: syncError.path || null,
+    hint: syncError.hint,
+  };
+}
+
+/**
+ * Checks the release branch of a release like a sync would, without writing
+ * anything, so that problems with the branch can be found before the release
+ * is scheduled or edited.
+ *
+ * The release branch, release.json and release_report.json are each checked,
+ * and the libraries in the release are read with their versions. Problems
+ * with the branch or its files are reported in the preview rather than
+ * thrown, since a release branch is usually only cut at code freeze.
+ *
+ * @param {Octokit} octokit The authenticated Octokit client.
+ * @param {Object} releaseData The release data containing the repository
+ * and branch name.
+ * @throws {SyncError} If the library versions can't be read, e.g. because
+ * GitHub rejects the requests.
+ * @return {Promise<Object>} A promise that resolves to the preview, with the
+ * state of the `branch`, `releaseConfig` and `releaseReport`, each with an
+ * `error` or null, the `libraries` in the release with their metadata, and
+ * the number of changes in the release as `changeCount`.
+ */
+async function previewReleaseBranch(octokit, releaseData) {
+  const repository = getReleaseRepository(releaseData);
+  const preview = {
+    branch: {found: false, commitSha: null, error: null},
+    releaseConfig: {error: null},
+    releaseReport: {error: null},
+    libraries: [],
+    changeCount: 0,
+  };
+
+  let headCommit;
+  try {
+    headCommit = await getReleaseBranch(
+        octokit, repository, releaseData.releaseBranchName,
+    );
+  } catch (err) {
+    preview.branch.error = toPreviewError(err);
+    return preview;
+  }
+  preview.branch = {found: true, commitSha: headCommit.sha, error: null};
+
+  const [releaseConfig, releaseReport] = await Promise.all([
+    getReleaseConfig(octokit, releaseData, headCommit.sha).catch((err) => {
+      preview.releaseConfig.error = toPreviewError(err);
+      return null;
+    }),
+    getReleaseReport(octokit, releaseData, headCommit.sha).catch((err) => {
+      preview.releaseReport.error = toPreviewError(err);
+      return null;
+    }),
+  ]);
+
+  const libraryChanges = releaseReport ?
+    mergeKtxIntoRoot(releaseReport.changesByLibraryName) : {};
+  preview.changeCount = Object.values(libraryChanges)
+      .reduce((count, changes) => count + changes.length, 0);
+
+  if (releaseConfig) {
+    processLibraryNames(releaseConfig);
+    const libraryMetadata = await getLibraryMetadata(
+        octokit,
+        repository,
+        headCommit.sha,
+        filterOutKtx(releaseConfig.libraries),
+        libraryChanges,
+    );
+    preview.libraries = Object.keys(libraryMetadata).sort()
+        .map((libraryName) => ({
+          libraryName: libraryName,
+          ...libraryMetadata[libraryName],
+        }));
+  }
+
+  return preview;
 }
 
 /**
  * Retrieve the Build Release Artifact workflow run on the release branch.
  *
  * @param {Octokit} octokit
+ * @param {Object} repository The repository, with an `owner` and `repo`.
  * @param {string} releaseBranchName
- * @throws {Error} If the request fails.
- * @throws {Error} If no Build Release Artifacts workflow is found on the
+ * @throws {SyncError} If the request fails.
+ * @throws {SyncError} If no Build Release Artifacts workflow is found on the
  * release branch.
  * @return {Promise<Object>} The build artifact workflow run.
  */
-async function getBuildArtifactsWorkflow(octokit, releaseBranchName) {
+async function getBuildArtifactsWorkflow(
+    octokit,
+    repository,
+    releaseBranchName,
+) {
   // Fetch the Build Release Artifact workflow run on the release branch
-  const res = await octokit.request(
-      "GET /repos/{owner}/{repo}/actions/runs", {
-        owner: OWNER,
-        repo: REPO,
-        branch: releaseBranchName,
-        headers: {
-          "X-GitHub-Api-Version": X_GITHUB_API_VERSION,
-        },
-      });
+  let res;
+  try {
+    res = await octokit.request(
+        "GET /repos/{owner}/{repo}/actions/runs", {
+          owner: repository.owner,
+          repo: repository.repo,
+          branch: releaseBranchName,
+          headers: {
+            "X-GitHub-Api-Version": X_GITHUB_API_VERSION,
+          },
+        });
+  } catch (err) {
+    throw toSyncError(err, releaseBranchName);
+  }
 
   for (const workflow of res.data.workflow_runs) {
-    if (workflow.name === "Build Release Artifacts") {
+    if (workflow.name === BUILD_ARTIFACTS_WORKFLOW_NAME) {
       return workflow;
     }
   }
 
-  throw new Error(`No Build Release Artifacts workflow found on 
-    ${releaseBranchName}`);
+  throw new SyncError(
+      SYNC_ERROR_CODES.WORKFLOW_NOT_FOUND,
+      `No Build Release Artifacts workflow found on ${releaseBranchName}`,
+      releaseBranchName,
+  );
+}
+
+/**
+ * Converts a check run returned by the GitHub API to the check run stored
+ * for a release.
+ *
+ * @param {Object} checkRun The check run, as returned by the GitHub API.
+ * @return {Object} The check run of the release.
+ */
+function toCheckRun(checkRun) {
+  return {
+    id: checkRun.id,
+    name: checkRun.name,
+    headSHA: checkRun.head_sha,
+    status: checkRun.status,
+    conclusion: checkRun.conclusion,
+    outputTitle: checkRun.output ? checkRun.output.title : null,
+    httpsUrl: checkRun.html_url,
+  };
+}
+
+/**
+ * Checks whether a workflow run is a run of the Build Release Artifacts
+ * workflow.
+ *
+ * @param {Object} workflowRun The workflow run, as returned by the GitHub API.
+ * @return {boolean} True if the run builds the release artifacts.
+ */
+function isBuildArtifactsWorkflow(workflowRun) {
+  return workflowRun.name === BUILD_ARTIFACTS_WORKFLOW_NAME;
+}
+
+/**
+ * Converts a Build Release Artifacts workflow run to the build artifact
+ * fields of a release.
+ *
+ * @param {Object} workflowRun The workflow run, as returned by the GitHub API.
+ * @return {Object} The build artifact fields of the release.
+ */
+function toBuildArtifact(workflowRun) {
+  return {
+    buildArtifactStatus: workflowRun.status,
+    buildArtifactConclusion: workflowRun.conclusion,
+    buildArtifactLink: workflowRun.html_url,
+    buildArtifactJobId: workflowRun.id,
+  };
+}
+
+/**
+ * Checks whether a build artifact should replace the build artifact of a
+ * release.
+ *
+ * Webhook events can arrive out of order, so an event for an older workflow
+ * run, or an event that moves a completed run back to in progress, is
+ * ignored. Workflow run IDs increase over time, so newer runs have larger
+ * IDs.
+ *
+ * @param {Object} releaseData The release data, with its current build
+ * artifact fields.
+ * @param {Object} buildArtifact The new build artifact fields.
+ * @return {boolean} True if the release should be updated.
+ */
+function isNewerBuildArtifact(releaseData, buildArtifact) {
+  const currentJobId = releaseData.buildArtifactJobId;
+  if (currentJobId === undefined || currentJobId === null ||
+      buildArtifact.buildArtifactJobId > currentJobId) {
+    return true;
+  }
+  if (buildArtifact.buildArtifactJobId < currentJobId) {
+    return false;
+  }
+  return releaseData.buildArtifactStatus !== "completed" ||
+    buildArtifact.buildArtifactStatus === "completed";
 }
 
 /**
@@ -272,26 +778,113 @@ async function getBuildArtifactsWorkflow(octokit, releaseBranchName) {
   *
   * We want to limit requests to those coming from GitHub. To do this, we
   * verify the signature of the request using the secret set in the webhook.
-  * The signature is passed in the `x-hub-signature` header as a SHA256 HMAC
-  * hex digest. The signature is generated using the request body as the
-  * message and the secret as the key. The signature in the header is prefixed
-  * with `sha256=`. We verify the signature by generating our own signature
-  * using the secret and the request body and comparing it to the signature
-  * in the header. If they match, the request is verified.
+  * The signature is passed in the `x-hub-signature-256` header as a SHA256
+  * HMAC hex digest, prefixed with `sha256=`. GitHub signs the raw bytes of the
+  * request body, so we sign the raw body rather than the parsed body, which
+  * could serialize differently. Signatures are compared in constant time, so
+  * that the comparison doesn't leak how much of a forged signature matched.
+  *
+  * Several secrets can be given while the webhook secret is being rotated,
+  * and the request is verified if it was signed with any of them.
   *
   * See https://docs.github.com/en/webhooks-and-events/webhooks/securing-your-webhooks
   *
-  * @param {Object} req The request to verify.
-  * @param {string} secret The secret to use to verify the signature.
+  * @param {Object} req The request to verify, with its `rawBody`.
+  * @param {Array<string>} secrets The secrets that the request may be signed
+  * with. Empty secrets are ignored.
   * @return {boolean} True if the signature is valid, false otherwise.
   */
-function verifySignature(req, secret) {
-  const signature = crypto
-      .createHmac("sha256", secret)
-      .update(JSON.stringify(req.body))
-      .digest("hex");
+function verifySignature(req, secrets) {
+  const header = req.headers["x-hub-signature-256"];
+  if (typeof header !== "string" || !header.startsWith(SIGNATURE_PREFIX) ||
+      !req.rawBody) {
+    return false;
+  }
 
-  return `sha256=${signature}` === req.headers["x-hub-signature-256"];
+  const signature = Buffer.from(header.slice(SIGNATURE_PREFIX.length), "hex");
+  return secrets.filter((secret) => secret).some((secret) => {
+    const expectedSignature = crypto
+        .createHmac("sha256", secret)
+        .update(req.rawBody)
+        .digest();
+    // timingSafeEqual throws for buffers of different lengths, which only
+    // happens for malformed signatures.
+    return signature.length === expectedSignature.length &&
+      crypto.timingSafeEqual(signature, expectedSignature);
+  });
+}
+
+/**
+ * Gets the branch that a push event was sent for.
+ *
+ * @param {Object} payload The payload of the push event.
+ * @return {string|null} The name of the branch, or null if the push was not
+ * to a branch, e.g. a tag.
+ */
+function getPushedBranch(payload) {
+  const branchPrefix = "refs/heads/";
+  if (!payload.ref || !payload.ref.startsWith(branchPrefix)) {
+    return null;
+  }
+  return payload.ref.substring(branchPrefix.length);
+}
+
+/**
+ * Checks whether a push changed any of the files that release data is
+ * read from: the release config, the release report, or the
+ * gradle.properties file of a library.
+ *
+ * A newly created branch has all of its files, so it always changes the
+ * release data. A deleted branch doesn't have anything to sync. GitHub only
+ * includes the first 20 commits of a push in the payload, so a push with
+ * more commits may have changed files we can't see, and is always synced.
+ *
+ * @param {Object} payload The payload of the push event.
+ * @return {boolean} True if the push changed release data.
+ */
+function isReleaseDataPush(payload) {
+  if (payload.deleted) {
+    return false;
+  }
+  if (payload.created) {
+    return true;
+  }
+
+  const commits = payload.commits || [];
+  if (commits.length >= MAX_PUSH_PAYLOAD_COMMITS) {
+    return true;
+  }
+  return commits.some((commit) => [
+    ...(commit.added || []),
+    ...(commit.modified || []),
+    ...(commit.removed || []),
+  ].some((path) => RELEASE_DATA_FILES.includes(path) ||
+    path.endsWith("/gradle.properties")));
+}
+
+/**
+ * Gets the branch that a webhook event was sent for, so that deliveries can
+ * be traced back to a release.
+ *
+ * @param {string} eventType The type of the event, from the
+ * `x-github-event` header.
+ * @param {Object} payload The payload of the event.
+ * @return {string|null} The name of the branch, or null if the event isn't
+ * for a branch.
+ */
+function getWebhookBranch(eventType, payload) {
+  if (eventType === "check_run") {
+    const checkRun = payload.check_run;
+    return checkRun && checkRun.check_suite ?
+      checkRun.check_suite.head_branch : null;
+  } else if (eventType === "pull_request") {
+    return payload.pull_request ? payload.pull_request.head.ref : null;
+  } else if (eventType === "push") {
+    return getPushedBranch(payload);
+  } else if (eventType === "workflow_run") {
+    return payload.workflow_run ? payload.workflow_run.head_branch : null;
+  }
+  return null;
 }
 
 module.exports = {
@@ -300,7 +893,19 @@ module.exports = {
   getReleaseReport,
   getLibraryMetadata,
   getReleaseBranch,
+  previewReleaseBranch,
   getBuildArtifactsWorkflow,
   verifySignature,
-  REPO_URL,
+  getReleaseRepository,
+  getRepositoryUrl,
+  isSameRepository,
+  getCommitAuthor,
+  toCommitAuthor,
+  getPushedBranch,
+  isReleaseDataPush,
+  isBuildArtifactsWorkflow,
+  toBuildArtifact,
+  isNewerBuildArtifact,
+  toCheckRun,
+  getWebhookBranch,
 };
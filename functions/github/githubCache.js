@@ -0,0 +1,279 @@
+const {Octokit} = require("@octokit/rest");
+const crypto = require("crypto");
+const {warn} = require("firebase-functions/logger");
+const {SYNC_ERROR_CODES, SyncError} = require("../utils/syncErrors.js");
+
+// Responses larger than this are not cached, since they wouldn't fit in a
+// Firestore document.
+const MAX_CACHED_RESPONSE_LENGTH = 500000;
+
+// How long a client uses the stored rate limit before reading it again.
+const RATE_LIMIT_READ_INTERVAL_MILLIS = 60 * 1000;
+
+// The quotas that GitHub reports in the `x-ratelimit-resource` header.
+const RATE_LIMIT_RESOURCES = {
+  CORE: "core",
+  GRAPHQL: "graphql",
+};
+
+// The latest rate limits reported by GitHub to this instance, by quota.
+const latestRateLimits = {};
+
+/**
+ * Parses the rate limit of a quota from the headers of a response.
+ *
+ * The REST API and the GraphQL API have separate quotas, which are told
+ * apart by the `x-ratelimit-resource` header.
+ *
+ * @param {Object} headers - The headers of a GitHub API response.
+ * @param {string} resource - The quota to parse, one of
+ * RATE_LIMIT_RESOURCES. Defaults to the quota of the REST API.
+ * @return {Object|null} The rate limit, with its `limit`, `remaining` and
+ * `used` requests, and the `reset` date, or null if the headers don't
+ * include the rate limit of the quota.
+ */
+function parseRateLimit(headers, resource = RATE_LIMIT_RESOURCES.CORE) {
+  if (!headers || headers["x-ratelimit-remaining"] === undefined) {
+    return null;
+  }
+  const headerResource =
+    headers["x-ratelimit-resource"] || RATE_LIMIT_RESOURCES.CORE;
+  if (headerResource !== resource) {
+    return null;
+  }
+
+  return {
+    limit: Number(headers["x-ratelimit-limit"]),
+    remaining: Number(headers["x-ratelimit-remaining"]),
+    used: Number(headers["x-ratelimit-used"]),
+    reset: new Date(Number(headers["x-ratelimit-reset"]) * 1000),
+  };
+}
+
+/**
+ * Returns the latest rate limit of the REST API known to this instance.
+ *
+ * @return {Object|null} The rate limit, or null if no request was made yet.
+ */
+function getLatestRateLimit() {
+  return latestRateLimits[RATE_LIMIT_RESOURCES.CORE] || null;
+}
+
+/**
+ * Records the rate limits from the headers of a GitHub API response.
+ *
+ * @param {Object} headers - The headers of a GitHub API response.
+ */
+function recordRateLimit(headers) {
+  Object.values(RATE_LIMIT_RESOURCES).forEach((resource) => {
+    const rateLimit = parseRateLimit(headers, resource);
+    if (rateLimit) {
+      latestRateLimits[resource] = rateLimit;
+    }
+  });
+}
+
+/**
+ * Checks whether a rate limit was reported after another one. A later reset
+ * means a later quota window, and within the same window the quota only
+ * goes down.
+ *
+ * @param {Object} rateLimit - The rate limit to check.
+ * @param {Object|null} other - The rate limit to compare it to.
+ * @return {boolean} True if the rate limit is newer than the other one.
+ */
+function isNewerRateLimit(rateLimit, other) {
+  if (!other) {
+    return true;
+  }
+  if (rateLimit.reset.getTime() !== other.reset.getTime()) {
+    return rateLimit.reset > other.reset;
+  }
+  return rateLimit.remaining < other.remaining;
+}
+
+/**
+ * Reads the rate limit of the REST API stored by other instances, and uses
+ * it if this instance hasn't seen a newer one. Each instance only sees the
+ * responses to its own requests, so without this a new instance would send
+ * requests when the quota is already used up.
+ *
+ * Failing to read the stored rate limit doesn't fail the request.
+ *
+ * @param {Object} cache - The response cache, with an optional async
+ * `getRateLimit()` function.
+ */
+async function readStoredRateLimit(cache) {
+  let storedRateLimit = null;
+  try {
+    storedRateLimit = await cache.getRateLimit();
+  } catch (err) {
+    warn("Failed to read the stored GitHub API rate limit",
+        {error: err.message});
+  }
+
+  const resource = RATE_LIMIT_RESOURCES.CORE;
+  if (storedRateLimit &&
+      isNewerRateLimit(storedRateLimit, latestRateLimits[resource])) {
+    const {limit, remaining, used, reset} = storedRateLimit;
+    latestRateLimits[resource] = {limit, remaining, used, reset};
+  }
+}
+
+/**
+ * Throws a rate limited error if the last response from GitHub used up the
+ * quota, and the quota hasn't been reset yet. This avoids sending requests
+ * that are certain to fail.
+ *
+ * @param {string} resource - The quota of the request, one of
+ * RATE_LIMIT_RESOURCES.
+ * @param {Date} now - The current date.
+ * @throws {SyncError} If the quota is used up.
+ */
+function checkRateLimit(resource, now) {
+  const rateLimit = latestRateLimits[resource];
+  if (rateLimit && rateLimit.remaining === 0 && rateLimit.reset > now) {
+    throw new SyncError(
+        SYNC_ERROR_CODES.RATE_LIMITED,
+        `The ${resource} quota of the GitHub API is used up until ` +
+          rateLimit.reset.toISOString(),
+    );
+  }
+}
+
+/**
+ * Wraps the requests of an Octokit client so that GET responses are cached
+ * with their ETags, and revalidated with conditional requests. Responses that
+ * haven't changed come back as a 304, which doesn't count against the rate
+ * limit, and are served from the cache.
+ *
+ * The cache is only an optimization, so failing to read or write it doesn't
+ * fail the request.
+ *
+ * GET requests and GraphQL queries aren't sent when their quota is used up.
+ * The stored rate limit of the REST API is read before the first GET
+ * request, and at most once a minute after that.
+ *
+ * @param {Function} endpoint - The Octokit endpoint function, used to
+ * resolve the URL of a request.
+ * @param {Object} cache - The response cache, with async `get(key)` and
+ * `set(key, response)` functions, and an optional async `getRateLimit()`
+ * function that returns the stored rate limit of the REST API.
+ * @return {Function} The request hook.
+ */
+function createCacheHook(endpoint, cache) {
+  let rateLimitReadAt = null;
+
+  return async (request, options) => {
+    if (options.method !== "GET") {
+      if (options.url === "/graphql") {
+        checkRateLimit(RATE_LIMIT_RESOURCES.GRAPHQL, new Date());
+      }
+      return sendRequest(request, options);
+    }
+
+    const now = new Date();
+    if (cache.getRateLimit && (!rateLimitReadAt ||
+        now - rateLimitReadAt >= RATE_LIMIT_READ_INTERVAL_MILLIS)) {
+      rateLimitReadAt = now;
+      await readStoredRateLimit(cache);
+    }
+    checkRateLimit(RATE_LIMIT_RESOURCES.CORE, now);
+
+    const {url} = endpoint(options);
+    const cacheKey = crypto.createHash("sha256").update(url).digest("hex");
+
+    let cached = null;
+    try {
+      cached = await cache.get(cacheKey);
+    } catch (err) {
+      warn("Failed to read cached GitHub response",
+          {url: url, error: err.message});
+    }
+
+    // The options are shared with the other request hooks, so the
+    // conditional header has to be set on them rather than on a copy.
+    if (cached) {
+      options.headers["if-none-match"] = cached.etag;
+    }
+
+    let response;
+    try {
+      response = await sendRequest(request, options);
+    } catch (err) {
+      if (err.status === 304 && cached) {
+        return {
+          status: 200,
+          url: url,
+          headers: {...err.response.headers, link: cached.link || undefined},
+          data: JSON.parse(cached.data),
+        };
+      }
+      throw err;
+    }
+
+    const data = JSON.stringify(response.data);
+    if (response.headers.etag && data.length <= MAX_CACHED_RESPONSE_LENGTH) {
+      try {
+        await cache.set(cacheKey, {
+          url: url,
+          etag: response.headers.etag,
+          link: response.headers.link || null,
+          data: data,
+        });
+      } catch (err) {
+        warn("Failed to cache GitHub response",
+            {url: url, error: err.message});
+      }
+    }
+
+    return response;
+  };
+}
+
+/**
+ * Sends a request and records the rate limit from its response, whether or
+ * not the request succeeded.
+ *
+ * @param {Function} request - The Octokit request function.
+ * @param {Object} options - The request options.
+ * @return {Promise<Object>} The response.
+ */
+async function sendRequest(request, options) {
+  try {
+    const response = await request(options);
+    recordRateLimit(response.headers);
+    return response;
+  } catch (err) {
+    if (err.response) {
+      recordRateLimit(err.response.headers);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Creates an Octokit client that caches responses and keeps track of the
+ * rate limit of the GitHub API.
+ *
+ * @param {string} auth - The GitHub token.
+ * @param {Object} cache - The response cache, with async `get(key)` and
+ * `set(key, response)` functions, and an optional async `getRateLimit()`
+ * function that returns the stored rate limit of the REST API.
+ * @param {Object} options - Additional options for the Octokit client.
+ * @return {Octokit} The Octokit client.
+ */
+function createCachedOctokit(auth, cache, options = {}) {
+  const octokit = new Octokit({...options, auth: auth});
+  octokit.hook.wrap(
+      "request",
+      createCacheHook(octokit.request.endpoint, cache),
+  );
+  return octokit;
+}
+
+module.exports = {
+  parseRateLimit,
+  getLatestRateLimit,
+  createCachedOctokit,
+};
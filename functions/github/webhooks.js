@@ -1,55 +1,323 @@
 const {
   getReleaseIdFromBranch,
-  updateCheckRunStatus,
+  upsertCheckRun,
+  requestReleaseSync,
+  updateBuildArtifact,
+  recordWebhookDelivery,
+  getWebhookDelivery,
+  recordWebhookReplay,
+  setWebhookDeliveryOutcome,
 } = require("../database/database.js");
 const {
   syncReleaseState,
+  createOctokit,
 } = require("../handlers/handlers.js");
 const {
   verifySignature,
+  getPushedBranch,
+  isReleaseDataPush,
+  isBuildArtifactsWorkflow,
+  toBuildArtifact,
+  toCheckRun,
+  getWebhookBranch,
 } = require("./github.js");
-const {Octokit} = require("@octokit/rest");
-const {error, log} = require("firebase-functions/logger");
-const {defineSecret} = require("firebase-functions/params");
+const {authorizeUser} = require("../utils/auth.js");
+const ROLES = require("../utils/roles.js");
+const STATE_CHANGE_CAUSES = require("../utils/stateChangeCauses.js");
+const WEBHOOK_OUTCOMES = require("../utils/webhookOutcomes.js");
+const {getUserIdentifier} = require("../utils/utils.js");
+const {error, log, warn} = require("firebase-functions/logger");
+const {defineSecret, defineString} = require("firebase-functions/params");
 const GITHUB_WEBHOOK_SECRET = defineSecret("GITHUB_WEBHOOK_SECRET");
-const GITHUB_TOKEN = defineSecret("GITHUB_TOKEN");
+// The webhook secret that is being rotated out. Deliveries signed with it are
+// accepted until GitHub has switched to the new secret. It is only set during
+// a rotation, so it is an optional param rather than a secret, which would
+// have to exist to deploy.
+const GITHUB_WEBHOOK_PREVIOUS_SECRET =
+  defineString("GITHUB_WEBHOOK_PREVIOUS_SECRET", {default: ""});
+
+// The workflow run events that update the build artifact of a release.
+const WORKFLOW_RUN_ACTIONS = ["requested", "in_progress", "completed"];
+
+// Payloads larger than this many bytes are not stored in the delivery log,
+// since they wouldn't fit in a Firestore document.
+const MAX_STORED_PAYLOAD_BYTES = 900000;
+
+/**
+  * Handles a GitHub push event.
+  *
+  * Pushes directly to a release branch can change the release config, the
+  * release report, or library versions. Rather than syncing on every push,
+  * a sync is requested, and pushes that arrive together are synced once by
+  * syncPendingReleases.
+  *
+  * @param {Object} payload The payload from the GitHub webhook.
+  * @return {Promise<void>}
+  */
+async function handlePushEvent(payload) {
+  const branchName = getPushedBranch(payload);
+  if (!branchName || !isReleaseDataPush(payload)) {
+    return;
+  }
+
+  const releaseId = await getReleaseIdFromBranch(
+      branchName,
+      getPayloadRepository(payload),
+  );
+  if (!releaseId) {
+    return;
+  }
+
+  log("Release data pushed to release branch, requesting a sync",
+      {releaseId: releaseId, branchName: branchName, after: payload.after});
+  await requestReleaseSync(
+      releaseId,
+      payload.sender ? payload.sender.login : null,
+  );
+}
+
+/**
+  * Handles a GitHub workflow run event.
+  *
+  * Runs of the Build Release Artifacts workflow on a release branch update
+  * the build artifact of the release as they are requested, start, and
+  * complete, without waiting for the next sync.
+  *
+  * @param {Object} payload The payload from the GitHub webhook.
+  * @return {Promise<void>}
+  */
+async function handleWorkflowRunEvent(payload) {
+  const workflowRun = payload.workflow_run;
+  if (!WORKFLOW_RUN_ACTIONS.includes(payload.action) || !workflowRun ||
+      !isBuildArtifactsWorkflow(workflowRun)) {
+    return;
+  }
+
+  const releaseId = await getReleaseIdFromBranch(
+      workflowRun.head_branch,
+      getPayloadRepository(payload),
+  );
+  if (!releaseId) {
+    return;
+  }
+
+  const updated = await updateBuildArtifact(
+      releaseId,
+      toBuildArtifact(workflowRun),
+  );
+  log(updated ? "Updated build artifact" : "Ignored outdated workflow run",
+      {
+        releaseId: releaseId,
+        workflowRunId: workflowRun.id,
+        status: workflowRun.status,
+        conclusion: workflowRun.conclusion,
+      });
+}
 
 /**
-  * Handles a GitHub check run event. This function is called when a check run
-  * is created or completed. It updates the release state if necessary.
+  * Handles a GitHub webhook delivery.
+  *
+  * Each verified delivery is recorded with its outcome in the delivery log,
+  * so that failed deliveries can be inspected and replayed from the admin
+  * page. Deliveries that were already handled successfully are ignored.
   *
   * @param {Object} req - The request object.
   * @param {Object} res - The response object.
   * @return {Promise} A promise that resolves when the request is complete.
   */
 async function githubWebhook(req, res) {
-  if (!verifySignature(req, GITHUB_WEBHOOK_SECRET.value())) {
+  const secrets = [
+    GITHUB_WEBHOOK_SECRET.value(),
+    GITHUB_WEBHOOK_PREVIOUS_SECRET.value(),
+  ];
+  if (!verifySignature(req, secrets)) {
     return res.status(401).send("Unauthorized");
   }
 
   const payload = req.body;
   const eventType = req.headers["x-github-event"];
+  const deliveryId = req.headers["x-github-delivery"];
 
-  log("Received GitHub webhook", {payload: payload, eventType: eventType});
+  log("Received GitHub webhook",
+      {payload: payload, eventType: eventType, deliveryId: deliveryId});
 
+  if (deliveryId) {
+    let isNewDelivery;
+    try {
+      isNewDelivery = await recordWebhookDelivery(deliveryId, {
+        eventType: eventType,
+        branch: getWebhookBranch(eventType, payload),
+        payload: serializePayload(payload),
+      });
+    } catch (err) {
+      error("Failed to record GitHub webhook delivery",
+          {error: err.message, deliveryId: deliveryId});
+      return res.status(500).send("Internal Server Error");
+    }
+
+    if (!isNewDelivery) {
+      log("Ignored duplicate GitHub webhook delivery",
+          {deliveryId: deliveryId});
+      return res.status(200).send("OK");
+    }
+  } else {
+    warn("GitHub webhook delivery has no delivery ID, so it won't be " +
+      "recorded", {eventType: eventType});
+  }
+
+  let handled;
   try {
-    if (eventType === "check_run") {
-      await handleCheckRunEvent(payload);
-    } else if (eventType === "pull_request") {
-      await handlePullRequestEvent(payload);
+    handled = await handleDelivery(deliveryId, eventType, payload);
+  } catch (err) {
+    error("Failed to record the outcome of GitHub webhook delivery",
+        {error: err.message, deliveryId: deliveryId});
+    return res.status(500).send("Internal Server Error");
+  }
+
+  if (!handled) {
+    return res.status(500).send("Internal Server Error");
+  }
+
+  return res.status(200).send("OK");
+}
+
+/**
+  * Replays a recorded GitHub webhook delivery, by handling its stored
+  * payload again. Only release operators and administrators can replay
+  * deliveries.
+  *
+  * @param {Object} req - The request from the client, with the `deliveryId`
+  * of the delivery to replay.
+  * @param {Object} res - The response object to be sent to the client.
+  */
+async function replayWebhookDelivery(req, res) {
+  log("Received HTTP Request",
+      {
+        hostname: req.hostname,
+        method: req.method,
+        body: req.body,
+      });
+
+  await authorizeUser(req, res, ROLES.OPERATOR, async () => {
+    // Reject non-POST methods
+    if (req.method !== "POST") {
+      warn("Invalid method", {req: req});
+      return res.status(405).send("Method Not Allowed");
+    }
+
+    // Validate the request body
+    if (!req.body || !req.body.deliveryId) {
+      warn("Missing delivery id in request body", {body: req.body});
+      return res.status(400).send("Bad Request");
+    }
+
+    const deliveryId = req.body.deliveryId;
+    let handled;
+    try {
+      const delivery = await getWebhookDelivery(deliveryId);
+      if (!delivery) {
+        warn("Webhook delivery does not exist", {deliveryId: deliveryId});
+        return res.status(404).send("Not Found");
+      }
+      if (!delivery.payload) {
+        warn("Webhook delivery payload was too large to store",
+            {deliveryId: deliveryId});
+        return res.status(422).send("Unprocessable Entity");
+      }
+
+      log("Replaying GitHub webhook delivery",
+          {deliveryId: deliveryId, eventType: delivery.eventType});
+      await recordWebhookReplay(deliveryId, getUserIdentifier(req.user));
+      handled = await handleDelivery(
+          deliveryId,
+          delivery.eventType,
+          JSON.parse(delivery.payload),
+      );
+    } catch (err) {
+      error("Failed to replay GitHub webhook delivery",
+          {error: err.message, deliveryId: deliveryId});
+      return res.status(500).send("Internal Server Error");
+    }
+
+    if (!handled) {
+      return res.status(500).send("Internal Server Error");
     }
+
+    log("Successfully replayed GitHub webhook delivery",
+        {deliveryId: deliveryId});
+    return res.status(200).send("OK");
+  });
+}
+
+/**
+  * Handles the event of a webhook delivery, and records its outcome in the
+  * delivery log.
+  *
+  * @param {string|undefined} deliveryId The ID of the delivery, or undefined
+  * if the delivery isn't recorded.
+  * @param {string} eventType The type of the event.
+  * @param {Object} payload The payload from the GitHub webhook.
+  * @return {Promise<boolean>} True if the event was handled successfully.
+  */
+async function handleDelivery(deliveryId, eventType, payload) {
+  let handlerError = null;
+  try {
+    await handleWebhookEvent(eventType, payload);
   } catch (err) {
+    handlerError = err;
     error("Failed to handle GitHub webhook",
         {
           error: err.message,
           payload: payload,
           eventType: eventType,
+          deliveryId: deliveryId,
         },
     );
-    return res.status(500).send("Internal Server Error");
   }
 
-  return res.status(200).send("OK");
+  if (deliveryId) {
+    await setWebhookDeliveryOutcome(
+        deliveryId,
+        handlerError ? WEBHOOK_OUTCOMES.FAILED : WEBHOOK_OUTCOMES.SUCCEEDED,
+        handlerError ? handlerError.message : null,
+    );
+  }
+
+  return handlerError === null;
+}
+
+/**
+  * Handles a GitHub webhook event with the handler for its type. Events
+  * without a handler are ignored.
+  *
+  * @param {string} eventType The type of the event.
+  * @param {Object} payload The payload from the GitHub webhook.
+  * @return {Promise<void>}
+  */
+async function handleWebhookEvent(eventType, payload) {
+  if (eventType === "check_run") {
+    await handleCheckRunEvent(payload);
+  } else if (eventType === "pull_request") {
+    await handlePullRequestEvent(payload);
+  } else if (eventType === "push") {
+    await handlePushEvent(payload);
+  } else if (eventType === "workflow_run") {
+    await handleWorkflowRunEvent(payload);
+  }
+}
+
+/**
+  * Serializes the payload of a delivery for the delivery log. Payloads that
+  * are too large to fit in a Firestore document aren't stored, and can't be
+  * replayed.
+  *
+  * @param {Object} payload The payload from the GitHub webhook.
+  * @return {string|null} The serialized payload, or null if it is too large.
+  */
+function serializePayload(payload) {
+  const serializedPayload = JSON.stringify(payload);
+  return Buffer.byteLength(serializedPayload, "utf8") <=
+    MAX_STORED_PAYLOAD_BYTES ? serializedPayload : null;
 }
 
 /**
@@ -67,14 +335,10 @@ async function handlePullRequestEvent(payload) {
     const pullRequest = payload.pull_request;
     const branchName = pullRequest.head.ref;
 
-    let releaseId;
-    try {
-      releaseId = await getReleaseIdFromBranch(branchName);
-    } catch (err) {
-      error("Error getting release ID from branch name",
-          {error: err.message});
-      return;
-    }
+    const releaseId = await getReleaseIdFromBranch(
+        branchName,
+        getPayloadRepository(payload),
+    );
 
     // If the releaseId exists, then a pull request was opened on a branch
     // that is being tracked for a release.
@@ -84,19 +348,18 @@ async function handlePullRequestEvent(payload) {
     // If this assumption is wrong, then the release will enter an error
     // state.
     if (releaseId) {
-      try {
-        log("Pull request updated on release branch",
-            {
-              releaseId: releaseId,
-              branchName: branchName,
-              pullRequest: pullRequest,
-            });
-        const octokit = new Octokit({auth: GITHUB_TOKEN.value()});
-        await syncReleaseState(releaseId, octokit);
-        log("Successfully synced release state", {releaseId: releaseId});
-      } catch (err) {
-        error("Failed to sync release state", {error: err.message});
-      }
+      log("Pull request updated on release branch",
+          {
+            releaseId: releaseId,
+            branchName: branchName,
+            pullRequest: pullRequest,
+          });
+      const octokit = createOctokit();
+      await syncReleaseState(releaseId, octokit, {
+        cause: STATE_CHANGE_CAUSES.WEBHOOK,
+        actor: payload.sender ? payload.sender.login : null,
+      });
+      log("Successfully synced release state", {releaseId: releaseId});
     }
   }
 }
@@ -105,46 +368,48 @@ async function handlePullRequestEvent(payload) {
 /**
   * Handles a GitHub check run event.
   *
+  * Check runs on a release branch are stored for the release, whether they
+  * were already stored by a sync or were created after it.
+  *
   * @param {Object} payload The payload from the GitHub webhook.
   * @return {Promise<void>}
   */
 async function handleCheckRunEvent(payload) {
-  if (payload && payload.check_run) {
-    const checkRun = payload.check_run;
-
-    // If the check run is not for a release, then we can ignore it
-    if (checkRun.check_suite) {
-      const branchName = checkRun.check_suite.head_branch;
-
-      let releaseId;
-      try {
-        releaseId = getReleaseIdFromBranch(branchName);
-      } catch (err) {
-        error("Error getting release ID from branch name",
-            {error: err.message});
-      }
+  const checkRun = payload.check_run;
 
-      if (releaseId) {
-        try {
-          updateCheckRunStatus(
-              checkRun.id.toString(),
-              checkRun.head_sha,
-              checkRun.status,
-              checkRun.conclusion,
-          );
-          log("Successfully updated check run", {checkRun: checkRun});
-        } catch (err) {
-          error("Failed to update check run",
-              {
-                error: err.message,
-                checkRun: checkRun,
-              });
-        }
-      }
-    }
+  // If the check run is not for a release, then we can ignore it
+  if (!checkRun || !checkRun.check_suite) {
+    return;
   }
+
+  const branchName = checkRun.check_suite.head_branch;
+  const releaseId = await getReleaseIdFromBranch(
+      branchName,
+      getPayloadRepository(payload),
+  );
+  if (!releaseId) {
+    return;
+  }
+
+  await upsertCheckRun(toCheckRun(checkRun), releaseId);
+  log("Successfully updated check run",
+      {releaseId: releaseId, checkRunId: checkRun.id});
+}
+
+/**
+  * Gets the repository that a webhook event was sent from.
+  *
+  * @param {Object} payload The payload from the GitHub webhook.
+  * @return {Object} The repository, with an `owner` and `repo`.
+  */
+function getPayloadRepository(payload) {
+  return {
+    owner: payload.repository.owner.login,
+    repo: payload.repository.name,
+  };
 }
 
 module.exports = {
   githubWebhook,
+  replayWebhookDelivery,
 };
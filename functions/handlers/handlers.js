@@ -1,7 +1,27 @@
 const admin = require("firebase-admin");
-const {Octokit} = require("@octokit/rest");
-const {defineSecret} = require("firebase-functions/params");
+const {Timestamp} = require("firebase-admin/firestore");
+const {defineSecret, defineInt} = require("firebase-functions/params");
 const GITHUB_TOKEN = defineSecret("GITHUB_TOKEN");
+const MAX_RELEASES_PER_SYNC = defineInt("MAX_RELEASES_PER_SYNC", {
+  default: 10,
+  description: "The maximum number of releases synced by a single run of " +
+    "the scheduled release sync.",
+});
+const PUSH_SYNC_DEBOUNCE_SECONDS = defineInt("PUSH_SYNC_DEBOUNCE_SECONDS", {
+  default: 60,
+  description: "How long to wait after the last push to a release branch " +
+    "before syncing the release.",
+});
+const RELEASE_TRASH_RETENTION_DAYS = defineInt("RELEASE_TRASH_RETENTION_DAYS", {
+  default: 30,
+  description: "How many days deleted releases are kept in the trash " +
+    "before they are purged.",
+});
+
+// The number of GitHub API requests a release sync can use, and the number
+// of requests the scheduled sync leaves for webhooks and manual refreshes.
+const REQUESTS_PER_RELEASE_SYNC = 50;
+const RESERVED_GITHUB_REQUESTS = 200;
 
 const {
   log,
@@ -9,8 +29,9 @@ const {
   error,
 } = require("firebase-functions/logger");
 const {
-  setReleases,
-  getReleaseID,
+  createReleases,
+  getReleaseCreation,
+  setReleaseCreationOutcomes,
   updateRelease,
   updateReleaseState,
   updateChecksForRelease,
@@ -18,8 +39,26 @@ const {
   updateLibrariesForRelease,
   getReleaseData,
   deleteAllReleaseData,
+  archiveRelease,
+  unarchiveRelease,
+  getDeletedRelease,
+  getExpiredDeletedReleases,
   releaseExists,
   setReleaseError,
+  resolveReleaseErrors,
+  getUnreleasedReleases,
+  getAllReleases,
+  getLatestRelease,
+  setAuditLogEntry,
+  addOperatorHandoff,
+  getCachedCommitAuthors,
+  setCachedCommitAuthors,
+  getCachedGitHubResponse,
+  setCachedGitHubResponse,
+  getGitHubRateLimit,
+  setGitHubRateLimit,
+  recordScheduledSyncs,
+  claimPendingSyncs,
 } = require("../database/database.js");
 const {
   getReleaseConfig,
@@ -28,11 +67,26 @@ const {
   listCheckRuns,
   getLibraryMetadata,
   getReleaseBranch,
+  previewReleaseBranch,
+  getReleaseRepository,
+  getRepositoryUrl,
+  getCommitAuthor,
+  toBuildArtifact,
+  toCheckRun,
 } = require("../github/github.js");
+const {
+  createCachedOctokit,
+  getLatestRateLimit,
+} = require("../github/githubCache.js");
 const {
   validateNewReleases,
   validateRelease,
+  validateReleaseOverlaps,
+  validateModifiedRelease,
+  getReleaseErrorIndexes,
+  validateCadence,
 } = require("../validation/validation.js");
+const {generateCadenceReleases} = require("../utils/cadence.js");
 const {
   convertSingleReleaseDatesToTimestamps,
   convertReleaseDatesToTimestamps,
@@ -41,17 +95,43 @@ const {
   filterOutKtx,
   mergeKtxIntoRoot,
   getStackTrace,
+  selectReleasesToSync,
+  getReleaseSyncLimit,
+  getReleaseChanges,
+  assignDefaultOperator,
+  getUserIdentifier,
 } = require("../utils/utils.js");
-const {authenticateUser} = require("../utils/auth.js");
+const {authorizeUser, getUserRole, hasRole} = require("../utils/auth.js");
 const RELEASE_STATES = require("../utils/releaseStates.js");
+const ROLES = require("../utils/roles.js");
+const AUDIT_ACTIONS = require("../utils/auditActions.js");
+const STATE_CHANGE_CAUSES = require("../utils/stateChangeCauses.js");
+const SYNC_OUTCOMES = require("../utils/syncOutcomes.js");
+const ERRORS = require("../utils/errors.js");
+const REGEX = require("../utils/regex.js");
+const {toSyncError} = require("../utils/syncErrors.js");
 
 
 /**
  * Add new Firebase Android SDK releases.
  *
- * Used to add upcoming or previous releases to the database.
- * Based on the release dates, the release state will be inferred and set
- * automatically, and then the release will be synced.
+ * Used to add the releases that follow on from the latest release in the
+ * database. Their dates can be in the past, such as when a release calendar
+ * is imported into an empty database, but they have to be numbered one after
+ * the other from the latest release, so releases before the latest release
+ * can't be added. Based on the release dates, the release state will be
+ * inferred and set automatically, and then the release will be synced.
+ *
+ * The releases are created in a single transaction, so either all of them
+ * are added or none of them are. Clients can send an `Idempotency-Key`
+ * header to safely retry a request whose response they didn't receive: a
+ * retried request returns the releases created by the first request, rather
+ * than adding them again.
+ *
+ * Responds with the created releases, each with its `releaseId`,
+ * `releaseName`, and the `syncOutcome` and `syncError` of its first sync.
+ *
+ * Only administrators can add releases.
  *
  * @param {Object} req - The request from the client.
  * @param {Object} res - The response object to be sent to the client.
@@ -65,53 +145,63 @@ async function addReleases(req, res) {
         body: req.body,
       });
 
-  authenticateUser(req, res, async () => {
+  await authorizeUser(req, res, ROLES.ADMIN, async () => {
     if (req.method != "POST") {
       warn("Invalid method", {req: req});
-      res.status(405).send("Method Not Allowed");
+      return res.status(405).send("Method Not Allowed");
     }
 
-    const releaseData = req.body.releases;
-    if (!releaseData) {
+    if (!req.body.releases) {
       warn("Missing release data in request body", {req: req});
       return res.status(400).send("Invalid Request");
     }
 
+    const idempotencyKey = req.headers["idempotency-key"] || null;
+    if (idempotencyKey !== null &&
+        !REGEX.IDEMPOTENCY_KEY.test(idempotencyKey)) {
+      warn("Invalid idempotency key", {idempotencyKey: idempotencyKey});
+      return res.status(400).send("Invalid Request - invalid idempotency key");
+    }
+
+    // A retried request returns the releases that were created by the first
+    // request. This is checked before validation, since the releases would
+    // no longer pass it once they have been created.
+    if (idempotencyKey) {
+      try {
+        const creation = await getReleaseCreation(idempotencyKey);
+        if (creation) {
+          return sendReleaseCreation(res, creation, req.body.releases);
+        }
+      } catch (err) {
+        error("Failed to get release creation",
+            {error: err.message, idempotencyKey: idempotencyKey});
+        return res.status(500).send("Internal Server Error");
+      }
+    }
+
     // Validate the format of the releases, and return meaningful errors
-    // if there are any
+    // if there are any. Releases that don't specify an operator are
+    // operated by the user that adds them.
+    let releaseData;
     try {
-      const validationErrors = validateNewReleases(releaseData);
+      releaseData = assignDefaultOperator(
+          req.body.releases, getUserIdentifier(req.user),
+      );
+      const validationErrors = validateNewReleases(
+          releaseData, await getAllReleases(),
+      );
       if (validationErrors.length > 0) {
         warn("Request releases did not pass validation checks",
             {errors: validationErrors});
-        return res.status(400).json({errors: validationErrors});
+        return res.status(400).json({
+          errors: getReleaseErrorIndexes(releaseData, validationErrors),
+        });
       }
     } catch (err) {
       error("Failed to validate release data", {error: err.message});
       return res.status(500).send("Internal Server Error");
     }
 
-    // Validate that none of the releases already exist in Firestore
-    try {
-      for (const release of releaseData) {
-        const releaseId = await getReleaseID(release.releaseName);
-        if (releaseId) {
-          warn("Release already exists in Firestore",
-              {
-                release: release,
-                releaseID: releaseId,
-              });
-          return res.status(400).send(
-              `Invalid Request - ${release.releaseName} already exists`,
-          );
-        }
-      }
-    } catch (err) {
-      error("Error while verifying uniqueness of release names",
-          {error: err.message});
-      return res.status(500).send("Internal Server Error");
-    }
-
     // Convert the new releases JSON to a format that is able
     // to be stored in Firestore. We only need to change the string
     // timestamps to Firestore timestamps.
@@ -123,55 +213,76 @@ async function addReleases(req, res) {
       return res.status(500).send("Internal Server Error");
     }
 
-    // Write the new releases to Firestore
+    // The Octokit instance is created before the releases, so that a request
+    // that can't sync them doesn't add them.
+    let octokit;
     try {
-      await setReleases(releasesWithConvertedDates);
-      log("Releases added sucessfully",
-          {
-            hostname: req.hostname,
-            releases: req.body,
-            status: 200,
-          });
+      octokit = createOctokit();
+    } catch (err) {
+      error("Failed to create Octokit instance", {error: err.message});
+      return res.status(500).send("Internal Server Error");
+    }
+
+    // Write the new releases to Firestore. The transaction checks again that
+    // none of the releases exist, in case they were added by another request
+    // since they were validated.
+    let created;
+    try {
+      created = await createReleases(
+          releasesWithConvertedDates,
+          getUserIdentifier(req.user),
+          idempotencyKey,
+      );
     } catch (err) {
       error("Failed to store releases in Firestore",
           {
             hostname: req.hostname,
             status: 500,
-            error: err.message.message,
+            error: err.message,
             body: req.body,
           });
       return res.status(500).send("Internal Server Error");
     }
 
-    let octokit;
-    try {
-      octokit = new Octokit({auth: GITHUB_TOKEN.value()});
-    } catch (err) {
-      error("Failed to create Octokit instance", {error: err.message});
-      return res.status(500).send("Internal Server Error");
+    if (created.creation) {
+      return sendReleaseCreation(res, created.creation, req.body.releases);
+    }
+
+    // Releases in the trash have to be restored or purged before a release
+    // with the same name can be added
+    if (created.existingReleaseNames.length > 0 ||
+        created.deletedReleaseNames.length > 0) {
+      warn("Releases already exist in Firestore",
+          {
+            releaseNames: created.existingReleaseNames,
+            deletedReleaseNames: created.deletedReleaseNames,
+          });
+      const isDeleted = (release) =>
+        created.deletedReleaseNames.includes(release.releaseName);
+      const existsErrors = releaseData
+          .filter((release) => isDeleted(release) ||
+            created.existingReleaseNames.includes(release.releaseName))
+          .map((release) => ({
+            message: isDeleted(release) ?
+              ERRORS.RELEASE_IN_TRASH : ERRORS.RELEASE_EXISTS,
+            offendingRelease: release,
+            field: "releaseName",
+          }));
+      return res.status(400).json({
+        errors: getReleaseErrorIndexes(releaseData, existsErrors),
+      });
     }
 
+    log("Releases added sucessfully",
+        {
+          hostname: req.hostname,
+          releases: created.releases,
+        });
+
     // Sync the release state for each release
     // Since the release names are unique, we can safely sync
     // each release in parallel.
-
-    const promises = releasesWithConvertedDates.map(async (release) => {
-      try {
-        const releaseId = await getReleaseID(release.releaseName);
-        if (!releaseId) {
-          error("Failed to get release ID for new release", {release: release});
-          return Promise.reject(new Error("Failed to get release ID"));
-        }
-        await syncReleaseState(releaseId, octokit);
-      } catch (err) {
-        warn("Failed to sync release state for new release",
-            {
-              error: err.message,
-              release: release,
-            });
-      }
-    });
-
+    //
     // Even if one of the syncs fails, we still want to return a 200.
     // Since these releases were validated, we assume that the releases
     // failed to sync for a reason that is not the client's fault.
@@ -181,10 +292,247 @@ async function addReleases(req, res) {
     // branch naming, creating a release that does not have a valid branch (e.g.
     // no release config, release report, etc...), or inaccurate dates.
     // The releases that failed to sync will simply be in an error state,
-    // and the client can retry the sync later.
-    await Promise.all(promises);
+    // and the outcome of each sync is returned to the client.
+    const releases = await Promise.all(
+        created.releases.map(async (release, index) => {
+          await recordAuditLogEntry(
+              req.user,
+              AUDIT_ACTIONS.ADD,
+              release.releaseId,
+              release.releaseName,
+              getReleaseChanges({}, releasesWithConvertedDates[index]),
+          );
+          try {
+            await syncReleaseState(release.releaseId, octokit, {
+              cause: STATE_CHANGE_CAUSES.ADD,
+              actor: getUserIdentifier(req.user),
+            });
+            return {
+              ...release,
+              syncOutcome: SYNC_OUTCOMES.SYNCED,
+              syncError: null,
+            };
+          } catch (err) {
+            warn("Failed to sync release state for new release",
+                {
+                  error: err.message,
+                  releaseId: release.releaseId,
+                });
+            const syncError = toSyncError(err);
+            return {
+              ...release,
+              syncOutcome: SYNC_OUTCOMES.FAILED,
+              syncError: {
+                code: syncError.code,
+                message: syncError.message,
+                path: syncError.path,
+                hint: syncError.hint,
+              },
+            };
+          }
+        }),
+    );
 
-    return res.status(200).send("OK");
+    // The releases were already created, so failing to record the outcomes
+    // of their syncs only means that a retried request returns them as
+    // pending.
+    if (idempotencyKey) {
+      try {
+        await setReleaseCreationOutcomes(idempotencyKey, releases);
+      } catch (err) {
+        error("Failed to record release sync outcomes",
+            {error: err.message, idempotencyKey: idempotencyKey});
+      }
+    }
+
+    return res.status(200).json({releases: releases, replayed: false});
+  });
+}
+
+/**
+ * Validates new releases without adding them, so that releases can be
+ * previewed with their errors before they are added, e.g. when importing a
+ * release calendar.
+ *
+ * The releases are validated the same way as by addReleases. Each error is
+ * returned with the index of the release it is about.
+ *
+ * Only administrators can validate releases, since only they can add them.
+ *
+ * @param {Object} req - The request from the client.
+ * @param {Object} res - The response object to be sent to the client.
+ * @return {Promise<void>}
+ */
+async function validateReleases(req, res) {
+  log("Received HTTP Request",
+      {
+        hostname: req.hostname,
+        method: req.method,
+        body: req.body,
+      });
+
+  await authorizeUser(req, res, ROLES.ADMIN, async () => {
+    if (req.method !== "POST") {
+      warn("Invalid method", {req: req});
+      return res.status(405).send("Method Not Allowed");
+    }
+
+    if (!req.body || !Array.isArray(req.body.releases)) {
+      warn("Missing release data in request body", {body: req.body});
+      return res.status(400).send("Invalid Request");
+    }
+
+    try {
+      const releaseData = assignDefaultOperator(
+          req.body.releases, getUserIdentifier(req.user),
+      );
+      const validationErrors = validateNewReleases(
+          releaseData, await getAllReleases(),
+      );
+      return res.status(200).json({
+        errors: getReleaseErrorIndexes(releaseData, validationErrors),
+      });
+    } catch (err) {
+      error("Failed to validate release data", {error: err.message});
+      return res.status(500).send("Internal Server Error");
+    }
+  });
+}
+
+/**
+ * Proposes the upcoming releases that follow the latest release according
+ * to a release cadence, without adding them.
+ *
+ * The proposed releases are tracked in the same repository as the latest
+ * release, so that administrators can adjust them before adding them with
+ * addReleases.
+ *
+ * Only administrators can propose releases, since only they can add them.
+ *
+ * @param {Object} req - The request from the client, with the `cadence` to
+ * follow.
+ * @param {Object} res - The response object to be sent to the client.
+ * @return {Promise<void>}
+ */
+async function proposeReleases(req, res) {
+  log("Received HTTP Request",
+      {
+        hostname: req.hostname,
+        method: req.method,
+        body: req.body,
+      });
+
+  await authorizeUser(req, res, ROLES.ADMIN, async () => {
+    if (req.method !== "POST") {
+      warn("Invalid method", {req: req});
+      return res.status(405).send("Method Not Allowed");
+    }
+
+    const cadence = req.body ? req.body.cadence : undefined;
+    const cadenceErrors = validateCadence(cadence);
+    if (cadenceErrors.length > 0) {
+      warn("Release cadence did not pass validation checks",
+          {errors: cadenceErrors});
+      return res.status(400).json({errors: cadenceErrors});
+    }
+
+    let latestRelease;
+    try {
+      latestRelease = await getLatestRelease();
+    } catch (err) {
+      error("Failed to get the latest release", {error: err.message});
+      return res.status(500).send("Internal Server Error");
+    }
+    if (!latestRelease) {
+      warn("There is no release to follow the cadence from");
+      return res.status(404).send("Not Found");
+    }
+
+    let releases;
+    try {
+      releases = generateCadenceReleases({
+        releaseName: latestRelease.releaseName,
+        codeFreezeDate: latestRelease.codeFreezeDate.toDate(),
+        releaseDate: latestRelease.releaseDate.toDate(),
+      }, cadence);
+    } catch (err) {
+      warn("Failed to generate releases from the cadence",
+          {error: err.message, latestRelease: latestRelease.releaseName});
+      return res.status(400).json({errors: [{message: err.message}]});
+    }
+
+    const repository = getReleaseRepository(latestRelease);
+    return res.status(200).json({
+      latestRelease: {
+        releaseName: latestRelease.releaseName,
+        releaseDate: latestRelease.releaseDate.toDate(),
+      },
+      releases: releases.map((release) => ({
+        ...release,
+        repoOwner: repository.owner,
+        repoName: repository.repo,
+        isReleased: false,
+      })),
+    });
+  });
+}
+
+/**
+ * Checks the release branch of a release without writing anything, so that
+ * a release can be checked before it is scheduled or edited.
+ *
+ * The release branch, release.json and release_report.json are checked like
+ * a sync would, and the libraries in the release are read with their
+ * versions. Problems with the branch are part of the preview rather than
+ * failing the request.
+ *
+ * Only release operators and administrators can check releases, since only
+ * they can schedule or edit them.
+ *
+ * @param {Object} req - The request from the client, with the `release` to
+ * check, which has a `releaseBranchName` and optionally a `repoOwner` and
+ * `repoName`.
+ * @param {Object} res - The response object to be sent to the client.
+ * @return {Promise<void>}
+ */
+async function preflightRelease(req, res) {
+  log("Received HTTP Request",
+      {
+        hostname: req.hostname,
+        method: req.method,
+        body: req.body,
+      });
+
+  await authorizeUser(req, res, ROLES.OPERATOR, async () => {
+    if (req.method !== "POST") {
+      warn("Invalid method", {req: req.method});
+      return res.status(405).send("Method Not Allowed");
+    }
+
+    const release = req.body ? req.body.release : undefined;
+    if (!release || typeof release.releaseBranchName !== "string" ||
+        release.releaseBranchName.trim() === "") {
+      warn("Missing release branch in request body", {body: req.body});
+      return res.status(400).send("Invalid Request");
+    }
+
+    try {
+      const preview = await previewReleaseBranch(createOctokit(), {
+        releaseBranchName: release.releaseBranchName,
+        repoOwner: release.repoOwner,
+        repoName: release.repoName,
+      });
+      return res.status(200).json(preview);
+    } catch (err) {
+      error("Failed to check the release branch",
+          {
+            releaseBranchName: release.releaseBranchName,
+            error: err.message,
+          });
+      return res.status(500).send("Internal Server Error");
+    } finally {
+      await recordGitHubRateLimit();
+    }
   });
 }
 
@@ -194,7 +542,8 @@ async function addReleases(req, res) {
  * Validates the incoming HTTP request, then
  * uses the provided GitHub release name to fetch the corresponding Firestore
  * document. If a matching document is found, it then updates the document
- * with the latest release information from GitHub.
+ * with the latest release information from GitHub. Only release operators
+ * and administrators can refresh releases.
  *
  * @param {Object} req - The request from the client.
  * @param {Object} res - The response object to be sent to the client.
@@ -207,7 +556,7 @@ async function refreshRelease(req, res) {
         body: req.body,
       });
 
-  authenticateUser(req, res, async () => {
+  await authorizeUser(req, res, ROLES.OPERATOR, async () => {
     // Reject non-POST methods
     if (req.method !== "POST") {
       warn("Invalid method", {req: req});
@@ -222,19 +571,52 @@ async function refreshRelease(req, res) {
 
     // Check if the release exists
     const releaseId = req.body.releaseId;
-    const exists = await releaseExists(releaseId);
-    if (!exists) {
-      warn("Release does not exist", {releaseId: releaseId});
-      return res.status(404).send("Not Found");
+    let releaseBefore;
+    try {
+      const exists = await releaseExists(releaseId);
+      if (!exists) {
+        warn("Release does not exist", {releaseId: releaseId});
+        return res.status(404).send("Not Found");
+      }
+      releaseBefore = await getReleaseData(releaseId);
+    } catch (err) {
+      error("Failed to get release", {error: err.message});
+      return res.status(500).send("Internal Server Error");
     }
 
-    // Attempt to sync the release data with GitHub, and handle any errors
+    // Attempt to sync the release data with GitHub, and handle any errors.
+    // The refresh is recorded in the audit log whether or not the sync
+    // succeeds, since a failed sync still changes the release state.
+    let syncFailed = false;
     try {
-      const octokit = new Octokit({auth: GITHUB_TOKEN.value()});
+      const octokit = createOctokit();
       log("Syncing release state", {releaseId: releaseId});
-      await syncReleaseState(releaseId, octokit);
+      await syncReleaseState(releaseId, octokit, {
+        cause: STATE_CHANGE_CAUSES.REFRESH,
+        actor: getUserIdentifier(req.user),
+      });
     } catch (err) {
       error("Failed to sync release state", {error: err.message});
+      syncFailed = true;
+    }
+
+    let releaseAfter;
+    try {
+      releaseAfter = await getReleaseData(releaseId);
+    } catch (err) {
+      error("Failed to get refreshed release", {error: err.message});
+      return res.status(500).send("Internal Server Error");
+    }
+
+    await recordAuditLogEntry(
+        req.user,
+        AUDIT_ACTIONS.REFRESH,
+        releaseId,
+        releaseBefore.releaseName,
+        getReleaseChanges(releaseBefore, releaseAfter),
+    );
+
+    if (syncFailed) {
       return res.status(500).send("Internal Server Error");
     }
 
@@ -276,8 +658,12 @@ async function getReleases(req, res) {
     // TODO: Move DB call outside this function
     const releasesSnapshot = await db.collection("releases").get();
 
+    // Releases in the trash are hidden
+    const releaseDocs = releasesSnapshot.docs
+        .filter((releaseDoc) => !releaseDoc.data().deletedAt);
+
     // Prepare to fetch associated data for each release
-    const releasesPromises = releasesSnapshot.docs.map(async (releaseDoc) => {
+    const releasesPromises = releaseDocs.map(async (releaseDoc) => {
       const releaseData = releaseDoc.data();
 
       // Add the document ID to the release data to allow for clients to
@@ -343,6 +729,8 @@ async function getReleases(req, res) {
 /**
  * Modify the release data for a specific release.
  *
+ * Only release operators and administrators can modify releases.
+ *
  * @param {Object} req - The request from the client.
  * @param {Object} res - The response object to be sent to the client.
  * @return {Promise<void>}
@@ -355,7 +743,7 @@ async function modifyRelease(req, res) {
         body: req.body,
       });
 
-  authenticateUser(req, res, async () => {
+  await authorizeUser(req, res, ROLES.OPERATOR, async () => {
     if (req.method !== "POST") {
       warn("Invalid method", {req: req.method});
       return res.status(405).send("Method Not Allowed");
@@ -383,14 +771,32 @@ async function modifyRelease(req, res) {
 
     log("Validating release data", {releaseData: releaseData});
 
-    // Verify the format of the release data
-    const errors = validateRelease(releaseData);
+    // Verify the format of the release data, and that it is still unique,
+    // numbered in order, and doesn't overlap any of the other releases that
+    // aren't in the trash
+    let releaseBefore;
+    let errors = validateRelease(releaseData);
+    try {
+      releaseBefore = await getReleaseData(releaseId);
+      if (errors.length === 0) {
+        const otherReleases = (await getAllReleases())
+            .filter((release) => release.id !== releaseId);
+        errors = validateModifiedRelease(
+            releaseData, releaseBefore, otherReleases,
+        );
+      }
+    } catch (err) {
+      error("Failed to get releases", {error: err.message});
+      return res.status(500).send("Internal Server Error");
+    }
     if (errors.length > 0) {
       warn("request validation errors", {errors: errors});
-      return res.status(400).json({errors});
+      return res.status(400).json({
+        errors: getReleaseErrorIndexes([releaseData], errors),
+      });
     }
 
-    const octokit = new Octokit({auth: GITHUB_TOKEN.value()});
+    const octokit = createOctokit();
 
     let release;
     try {
@@ -400,9 +806,26 @@ async function modifyRelease(req, res) {
       return res.status(500).send("Internal Server Error");
     }
 
-    // Update the release data in Firestore
+    // The release branch link depends on the repository and branch name,
+    // either of which may have been modified.
+    const repository = getReleaseRepository(release);
+    release = {
+      ...release,
+      repoOwner: repository.owner,
+      repoName: repository.repo,
+      releaseBranchLink:
+        `${getRepositoryUrl(repository)}/tree/${release.releaseBranchName}`,
+    };
+
+    // Update the release data in Firestore. If the release was handed off
+    // to a new operator, the handoff is kept in the operator history.
     try {
       await updateRelease(releaseId, release);
+      if (release.releaseOperator !== releaseBefore.releaseOperator) {
+        await addOperatorHandoff(
+            releaseId, release.releaseOperator, getUserIdentifier(req.user),
+        );
+      }
       log("Successfully updated release",
           {releaseId: releaseId, release: release});
     } catch (err) {
@@ -410,6 +833,21 @@ async function modifyRelease(req, res) {
       return res.status(500).send("Internal Server Error");
     }
 
+    // The released toggle in the dashboard modifies the release with only
+    // `isReleased` changed, so we record it as its own action.
+    const requestedChanges = getReleaseChanges(
+        releaseBefore, release, Object.keys(releaseData),
+    );
+    const isReleasedToggle = Object.keys(requestedChanges).length === 1 &&
+      Object.prototype.hasOwnProperty.call(requestedChanges, "isReleased");
+    await recordAuditLogEntry(
+        req.user,
+        isReleasedToggle ? AUDIT_ACTIONS.TOGGLE_RELEASED : AUDIT_ACTIONS.MODIFY,
+        releaseId,
+        release.releaseName,
+        getReleaseChanges(releaseBefore, release, Object.keys(release)),
+    );
+
     // Since we've successfully updated the release, our
     // release data is now going to be out of sync with the
     // new release branch. To make sure that the release data
@@ -417,7 +855,11 @@ async function modifyRelease(req, res) {
     // If there are issues with the new release branch,
     // the release state will be set to "error".
     try {
-      await syncReleaseState(releaseId, octokit);
+      await syncReleaseState(releaseId, octokit, {
+        cause: isReleasedToggle ?
+          STATE_CHANGE_CAUSES.MANUAL_TOGGLE : STATE_CHANGE_CAUSES.EDIT,
+        actor: getUserIdentifier(req.user),
+      });
       log("Successfully updated release and re-synced",
           {releaseID: releaseId});
     } catch (err) {
@@ -444,17 +886,38 @@ async function modifyRelease(req, res) {
  * @param {string} releaseId - The ID of the release to sync.
  * @param {Object} octokit - The Octokit instance for interacting with the
  * GitHub API.
+ * @param {Object} stateChange - The `cause` of the sync, and the `actor`
+ * that triggered it, or null if it was triggered by the system. They are
+ * recorded in the state history if the release state changes.
  * @throws {Error} If the release state cannot be determined from the
  * state of the release. If a sync fails, the release state will be set to
  * "error", and the release operator must resolve the issue and attempt
  * to sync again.
  */
-async function syncReleaseState(releaseId, octokit) {
+async function syncReleaseState(releaseId, octokit, stateChange) {
+  try {
+    await syncReleaseData(releaseId, octokit, stateChange);
+  } finally {
+    await recordGitHubRateLimit();
+  }
+}
+
+/**
+ * Syncs the data of a release from GitHub and updates its state.
+ *
+ * @param {string} releaseId - The ID of the release to sync.
+ * @param {Object} octokit - The Octokit instance for interacting with the
+ * GitHub API.
+ * @param {Object} stateChange - The `cause` and `actor` of the sync.
+ */
+async function syncReleaseData(releaseId, octokit, stateChange) {
   // Get the release document from Firestore
   const releaseData = await getReleaseData(releaseId);
 
   log("Release data before sync", {releaseData: releaseData});
 
+  const repository = getReleaseRepository(releaseData);
+
   // Infer the state of the release from the collected data
   const releaseState = calculateReleaseState(
       releaseData.codeFreezeDate.toDate(),
@@ -467,7 +930,8 @@ async function syncReleaseState(releaseId, octokit) {
     // If the release is scheduled, we don't need to
     // fetch any data from GitHub, so we can just update the release
     // state and return
-    await updateReleaseState(releaseId, releaseState);
+    await updateReleaseState(releaseId, releaseState, stateChange);
+    await resolveErrorsAfterSync(releaseId);
     return;
   }
 
@@ -477,9 +941,13 @@ async function syncReleaseState(releaseId, octokit) {
   // branch does not exist, we can't proceed with syncing the release.
   // The release branch should exist at this point, so we enter an
   // error state.
+  // The rest of the data is read at the head commit of the branch, so that
+  // it all reflects the same commit.
+  let headCommit;
   try {
-    await getReleaseBranch(
+    headCommit = await getReleaseBranch(
         octokit,
+        repository,
         releaseData.releaseBranchName,
     );
   } catch (err) {
@@ -487,6 +955,7 @@ async function syncReleaseState(releaseId, octokit) {
         releaseId,
         err,
         "Could not retrieve the release branch from GitHub.",
+        stateChange,
     );
     throw err;
   }
@@ -500,9 +969,13 @@ async function syncReleaseState(releaseId, octokit) {
       releaseReport,
       buildArtifactWorkflow,
     ] = await Promise.all([
-      getReleaseConfig(octokit, releaseData),
-      getReleaseReport(octokit, releaseData),
-      getBuildArtifactsWorkflow(octokit, releaseData.releaseBranchName),
+      getReleaseConfig(octokit, releaseData, headCommit.sha),
+      getReleaseReport(octokit, releaseData, headCommit.sha),
+      getBuildArtifactsWorkflow(
+          octokit,
+          repository,
+          releaseData.releaseBranchName,
+      ),
     ]);
 
     log("Fetched github data",
@@ -524,7 +997,8 @@ async function syncReleaseState(releaseId, octokit) {
     // For each library in the release config, extract the version
     const libraryMetadata = await getLibraryMetadata(
         octokit,
-        releaseData.releaseBranchName,
+        repository,
+        headCommit.sha,
         libraryNames,
         libraryChanges,
     );
@@ -532,20 +1006,16 @@ async function syncReleaseState(releaseId, octokit) {
     log("Fetched library metadata", {libraryMetadata: libraryMetadata});
 
     // Get the status of the check suite running on the release branch
-    const checkRuns = await listCheckRuns(octokit,
-        releaseData.releaseBranchName);
-    const checkRunList = checkRuns.map((checkRun) => ({
-      id: checkRun.id,
-      name: checkRun.name,
-      headSHA: checkRun.head_sha,
-      status: checkRun.status,
-      conclusion: checkRun.conclusion,
-      outputTitle: checkRun.output ? checkRun.output.title : null,
-      httpsUrl: checkRun.html_url,
-    }));
+    const checkRuns = await listCheckRuns(
+        octokit,
+        repository,
+        headCommit.sha,
+    );
+    const checkRunList = checkRuns.map(toCheckRun);
 
     // Update release data in parallel
-    await Promise.all([
+    const [commitAuthors] = await Promise.all([
+      resolveCommitAuthors(octokit, repository, libraryChanges),
       updateLibrariesForRelease(libraryMetadata, releaseId),
       updateChecksForRelease(checkRunList, releaseId),
     ]);
@@ -554,14 +1024,18 @@ async function syncReleaseState(releaseId, octokit) {
     // to be updated first. If we do this in parallel we might
     // create a change for a library that doesn't exist yet,
     // which will cause an error.
-    await updateChangesForRelease(libraryMetadata, libraryChanges, releaseId);
+    await updateChangesForRelease(
+        libraryMetadata,
+        libraryChanges,
+        releaseId,
+        commitAuthors,
+    );
 
     const updatedReleaseData = {
-      state: releaseState,
-      buildArtifactStatus: buildArtifactWorkflow.status,
-      buildArtifactConclusion: buildArtifactWorkflow.conclusion,
-      buildArtifactLink: buildArtifactWorkflow.html_url,
-      buildArtifactJobId: buildArtifactWorkflow.id,
+      ...toBuildArtifact(buildArtifactWorkflow),
+      syncedCommitSha: headCommit.sha,
+      syncedCommitDate: Timestamp.fromDate(headCommit.date),
+      lastSyncedAt: Timestamp.now(),
     };
 
     log("Updating release state",
@@ -570,46 +1044,291 @@ async function syncReleaseState(releaseId, octokit) {
           releaseData: updatedReleaseData,
         });
 
+    // Libraries that failed to sync are kept with their errors, and the
+    // release is degraded rather than failing the whole sync.
+    const failedLibraries = Object.keys(libraryMetadata)
+        .filter((library) => libraryMetadata[library].syncError);
+    let syncedState = releaseState;
+    if (failedLibraries.length > 0 &&
+        releaseState !== RELEASE_STATES.RELEASED) {
+      warn("Some libraries could not be synced",
+          {releaseId: releaseId, libraries: failedLibraries});
+      syncedState = RELEASE_STATES.DEGRADED;
+    }
+
     await updateRelease(releaseId, updatedReleaseData);
+    await updateReleaseState(releaseId, syncedState, stateChange);
   } catch (err) {
     await handleReleaseError(
         releaseId,
         err,
         "Failed to sync release data from release branch on GitHub",
+        stateChange,
     );
     throw err;
   }
+
+  await resolveErrorsAfterSync(releaseId);
 }
 
 /**
- * Delete the release data for a specific release.
+ * Marks the errors of a release as resolved after it synced successfully.
  *
- * @param {Object} req - The request from the client.
- * @param {Object} res - The response object to be sent to the client.
- * @return {Promise<void>}
+ * The sync has already succeeded by the time the errors are resolved, so a
+ * failure to resolve them is logged rather than failing the sync.
+ *
+ * @param {string} releaseId - The ID of the release that was synced.
  */
-async function deleteRelease(req, res) {
-  log("Received HTTP Request",
-      {
-        hostname: req.hostname,
-        method: req.method,
-        body: req.body,
-      });
-
-  authenticateUser(req, res, async () => {
-    // Reject non-POST methods
-    if (req.method !== "POST") {
-      warn("Invalid method", {req: req});
-      return res.status(405).send("Method Not Allowed");
-    }
-
-    // Validate the request body
-    if (!req.body || !req.body.releaseId) {
-      warn("Missing release id in request body", {body: req.body});
-      return res.status(400).send("Bad Request");
+async function resolveErrorsAfterSync(releaseId) {
+  try {
+    const resolvedCount = await resolveReleaseErrors(releaseId);
+    if (resolvedCount > 0) {
+      await updateRelease(releaseId, {syncError: null});
+      log("Resolved release errors",
+          {
+            releaseId: releaseId,
+            resolved: resolvedCount,
+          });
     }
+  } catch (err) {
+    warn("Failed to resolve release errors",
+        {
+          releaseId: releaseId,
+          error: err.message,
+        });
+  }
+}
 
-    // Check if the release exists
+/**
+ * Resolves the authors of the commits in the release report.
+ *
+ * Authors are cached in Firestore, so only the commits that were not in a
+ * previous sync are resolved from GitHub. Authors that fail to resolve are
+ * omitted, and will be retried on the next sync.
+ *
+ * @param {Object} octokit - The Octokit instance for interacting with the
+ * GitHub API.
+ * @param {Object} repository - The repository of the release.
+ * @param {Object} libraryChanges - Map of library names to changes.
+ * @return {Promise<Map<string, Object>>} Map of commit IDs to the authors of
+ * the commits.
+ */
+async function resolveCommitAuthors(octokit, repository, libraryChanges) {
+  const changesByCommitId = new Map();
+  Object.values(libraryChanges).forEach((changes) => {
+    changes.forEach((change) => changesByCommitId.set(change.commitId, change));
+  });
+
+  const commitAuthors = await getCachedCommitAuthors(
+      [...changesByCommitId.keys()],
+  );
+
+  const resolvedAuthors = new Map();
+  const uncachedChanges = [...changesByCommitId.values()]
+      .filter((change) => !commitAuthors.has(change.commitId));
+  await Promise.all(uncachedChanges.map(async (change) => {
+    try {
+      const author = await getCommitAuthor(
+          octokit, repository, change.commitId, change.prId,
+      );
+      resolvedAuthors.set(change.commitId, author);
+    } catch (err) {
+      warn("Failed to resolve commit author",
+          {
+            commitId: change.commitId,
+            error: err.message,
+          });
+    }
+  }));
+
+  if (resolvedAuthors.size > 0) {
+    await setCachedCommitAuthors(resolvedAuthors);
+  }
+
+  log("Resolved commit authors",
+      {
+        cached: commitAuthors.size,
+        resolved: resolvedAuthors.size,
+        failed: uncachedChanges.length - resolvedAuthors.size,
+      });
+
+  resolvedAuthors.forEach(
+      (author, commitId) => commitAuthors.set(commitId, author),
+  );
+  return commitAuthors;
+}
+
+/**
+ * Syncs every release that has not been released yet.
+ *
+ * This runs on a schedule so that releases move between states (e.g. into
+ * code freeze) and pick up new data from GitHub without an administrator
+ * having to refresh them. To avoid exhausting the GitHub API quota, a single
+ * run syncs at most MAX_RELEASES_PER_SYNC releases, starting with the
+ * releases that were deferred longest ago, and then the releases closest to
+ * their release date. The remaining releases are deferred to a later run.
+ *
+ * A release that fails to sync is put in an error state by
+ * syncReleaseState, so failures are only summarized here.
+ *
+ * @param {Object} event - The scheduled event that triggered the sync.
+ * @return {Promise<void>}
+ */
+async function syncActiveReleases(event) {
+  log("Starting scheduled release sync", {scheduleTime: event.scheduleTime});
+
+  let releases;
+  try {
+    releases = await getUnreleasedReleases();
+  } catch (err) {
+    error("Failed to get unreleased releases", {error: err.message});
+    throw err;
+  }
+
+  // Defer releases when the GitHub API quota is too low to sync them all.
+  let rateLimit = null;
+  try {
+    rateLimit = await getGitHubRateLimit();
+  } catch (err) {
+    warn("Failed to get the GitHub API rate limit", {error: err.message});
+  }
+  const syncLimit = getReleaseSyncLimit(
+      rateLimit,
+      MAX_RELEASES_PER_SYNC.value(),
+      REQUESTS_PER_RELEASE_SYNC,
+      RESERVED_GITHUB_REQUESTS,
+      new Date(),
+  );
+  if (syncLimit < MAX_RELEASES_PER_SYNC.value()) {
+    warn("GitHub API quota is low, deferring releases",
+        {rateLimit: rateLimit, syncLimit: syncLimit});
+  }
+
+  const {selected, deferred} = selectReleasesToSync(releases, syncLimit);
+  try {
+    await recordScheduledSyncs(selected.map((release) => release.id));
+  } catch (err) {
+    warn("Failed to record the releases selected for the scheduled sync",
+        {error: err.message});
+  }
+
+  const octokit = createOctokit();
+
+  // Each release is independent of the others, so we can sync them in
+  // parallel. A failure in one release should not stop the others.
+  const results = await Promise.allSettled(
+      selected.map((release) => syncReleaseState(release.id, octokit, {
+        cause: STATE_CHANGE_CAUSES.SCHEDULED_SYNC,
+        actor: null,
+      })),
+  );
+
+  const failedReleases = [];
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      failedReleases.push({
+        releaseName: selected[index].releaseName,
+        error: result.reason.message,
+      });
+    }
+  });
+
+  log("Finished scheduled release sync",
+      {
+        unreleased: releases.length,
+        synced: selected.length - failedReleases.length,
+        failed: failedReleases,
+        deferred: deferred.map((release) => release.releaseName),
+      });
+}
+
+/**
+ * Syncs the releases whose sync was requested by pushes to their release
+ * branches.
+ *
+ * Pushes often arrive in bursts, so a release is only synced once no push
+ * has been received for PUSH_SYNC_DEBOUNCE_SECONDS. All the pushes of a
+ * burst are then covered by a single sync.
+ *
+ * @param {Object} event - The scheduled event that triggered the sync.
+ * @return {Promise<void>}
+ */
+async function syncPendingReleases(event) {
+  const requestedBefore = new Date(
+      Date.now() - PUSH_SYNC_DEBOUNCE_SECONDS.value() * 1000,
+  );
+
+  let pendingSyncs;
+  try {
+    pendingSyncs = await claimPendingSyncs(requestedBefore);
+  } catch (err) {
+    error("Failed to claim pending release syncs", {error: err.message});
+    throw err;
+  }
+
+  if (pendingSyncs.length === 0) {
+    return;
+  }
+
+  log("Syncing releases after pushes to their release branches",
+      {pendingSyncs: pendingSyncs});
+
+  const octokit = createOctokit();
+  const results = await Promise.allSettled(
+      pendingSyncs.map((pendingSync) =>
+        syncReleaseState(pendingSync.releaseId, octokit, {
+          cause: STATE_CHANGE_CAUSES.WEBHOOK,
+          actor: pendingSync.actor,
+        })),
+  );
+
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      error("Failed to sync release after push",
+          {
+            releaseId: pendingSyncs[index].releaseId,
+            error: result.reason.message,
+          });
+    }
+  });
+}
+
+/**
+ * Delete a release by moving it to the trash.
+ *
+ * Releases in the trash are hidden and aren't synced, but keep all of their
+ * data for RELEASE_TRASH_RETENTION_DAYS, so that they can be restored with
+ * restoreRelease. They are then purged by purgeDeletedReleases, or earlier
+ * with purgeRelease.
+ *
+ * Only administrators can delete releases.
+ *
+ * @param {Object} req - The request from the client.
+ * @param {Object} res - The response object to be sent to the client.
+ * @return {Promise<void>}
+ */
+async function deleteRelease(req, res) {
+  log("Received HTTP Request",
+      {
+        hostname: req.hostname,
+        method: req.method,
+        body: req.body,
+      });
+
+  await authorizeUser(req, res, ROLES.ADMIN, async () => {
+    // Reject non-POST methods
+    if (req.method !== "POST") {
+      warn("Invalid method", {req: req});
+      return res.status(405).send("Method Not Allowed");
+    }
+
+    // Validate the request body
+    if (!req.body || !req.body.releaseId) {
+      warn("Missing release id in request body", {body: req.body});
+      return res.status(400).send("Bad Request");
+    }
+
+    // Check if the release exists, and isn't already in the trash
     const releaseId = req.body.releaseId;
     const exists = await releaseExists(releaseId);
     if (!exists) {
@@ -617,23 +1336,420 @@ async function deleteRelease(req, res) {
       return res.status(404).send("Not Found");
     }
 
-    // Delete all the data for the release
+    // Move the release to the trash
+    let releaseBefore;
+    let releaseAfter;
     try {
-      log("Deleting release data", {releaseId: releaseId});
-      await deleteAllReleaseData(releaseId);
+      releaseBefore = await getReleaseData(releaseId);
+      log("Moving release to the trash", {releaseId: releaseId});
+      await archiveRelease(
+          releaseId,
+          getUserIdentifier(req.user),
+          RELEASE_TRASH_RETENTION_DAYS.value(),
+      );
+      releaseAfter = await getReleaseData(releaseId);
     } catch (err) {
-      error("Failed to delete release data", {error: err.message});
+      error("Failed to move release to the trash", {error: err.message});
       return res.status(500).send("Internal Server Error");
     }
 
+    await recordAuditLogEntry(
+        req.user,
+        AUDIT_ACTIONS.DELETE,
+        releaseId,
+        releaseBefore.releaseName,
+        getReleaseChanges(releaseBefore, releaseAfter),
+    );
+
     log(
-        "Successfully deleted release data",
+        "Successfully moved release to the trash",
         {releaseId: releaseId},
     );
     return res.status(200).send("OK");
   });
 }
 
+/**
+ * Restore a release from the trash.
+ *
+ * The release can't be restored if its dates overlap a release that was
+ * added while it was in the trash. Its libraries, changes and checks may
+ * have changed on GitHub while it was in the trash, so it is synced as soon
+ * as it is restored.
+ *
+ * Only administrators can restore releases.
+ *
+ * @param {Object} req - The request from the client.
+ * @param {Object} res - The response object to be sent to the client.
+ * @return {Promise<void>}
+ */
+async function restoreRelease(req, res) {
+  log("Received HTTP Request",
+      {
+        hostname: req.hostname,
+        method: req.method,
+        body: req.body,
+      });
+
+  await authorizeUser(req, res, ROLES.ADMIN, async () => {
+    if (req.method !== "POST") {
+      warn("Invalid method", {req: req});
+      return res.status(405).send("Method Not Allowed");
+    }
+
+    if (!req.body || !req.body.releaseId) {
+      warn("Missing release id in request body", {body: req.body});
+      return res.status(400).send("Bad Request");
+    }
+
+    const releaseId = req.body.releaseId;
+    let releaseBefore;
+    let errors;
+    try {
+      releaseBefore = await getDeletedRelease(releaseId);
+      if (!releaseBefore) {
+        warn("Release is not in the trash", {releaseId: releaseId});
+        return res.status(404).send("Not Found");
+      }
+      errors = validateReleaseOverlaps([releaseBefore], await getAllReleases());
+    } catch (err) {
+      error("Failed to get release from the trash", {error: err.message});
+      return res.status(500).send("Internal Server Error");
+    }
+
+    if (errors.length > 0) {
+      warn("Restored release would overlap other releases",
+          {errors: errors});
+      return res.status(400).json({
+        errors: getReleaseErrorIndexes([releaseBefore], errors),
+      });
+    }
+
+    let releaseAfter;
+    try {
+      await unarchiveRelease(releaseId);
+      releaseAfter = await getReleaseData(releaseId);
+    } catch (err) {
+      error("Failed to restore release", {error: err.message});
+      return res.status(500).send("Internal Server Error");
+    }
+
+    const {id, ...releaseDataBefore} = releaseBefore;
+    await recordAuditLogEntry(
+        req.user,
+        AUDIT_ACTIONS.RESTORE,
+        id,
+        releaseBefore.releaseName,
+        getReleaseChanges(releaseDataBefore, releaseAfter),
+    );
+
+    // If the release can't be synced, it is put in an error state, which
+    // the release operator can resolve and then refresh the release.
+    try {
+      await syncReleaseState(releaseId, createOctokit(), {
+        cause: STATE_CHANGE_CAUSES.RESTORE,
+        actor: getUserIdentifier(req.user),
+      });
+    } catch (err) {
+      warn("Error syncing restored release", {error: err.message});
+      return res.status(500).send("Internal Server Error");
+    }
+
+    log("Successfully restored release", {releaseId: releaseId});
+    return res.status(200).send("OK");
+  });
+}
+
+/**
+ * Permanently delete a release in the trash, with all of its libraries,
+ * changes, checks and state history.
+ *
+ * Only administrators can purge releases.
+ *
+ * @param {Object} req - The request from the client.
+ * @param {Object} res - The response object to be sent to the client.
+ * @return {Promise<void>}
+ */
+async function purgeRelease(req, res) {
+  log("Received HTTP Request",
+      {
+        hostname: req.hostname,
+        method: req.method,
+        body: req.body,
+      });
+
+  await authorizeUser(req, res, ROLES.ADMIN, async () => {
+    if (req.method !== "POST") {
+      warn("Invalid method", {req: req});
+      return res.status(405).send("Method Not Allowed");
+    }
+
+    if (!req.body || !req.body.releaseId) {
+      warn("Missing release id in request body", {body: req.body});
+      return res.status(400).send("Bad Request");
+    }
+
+    // Only releases in the trash can be purged, so that a release is never
+    // lost without first being deleted
+    const releaseId = req.body.releaseId;
+    let releaseBefore;
+    try {
+      releaseBefore = await getDeletedRelease(releaseId);
+      if (!releaseBefore) {
+        warn("Release is not in the trash", {releaseId: releaseId});
+        return res.status(404).send("Not Found");
+      }
+      log("Purging release data", {releaseId: releaseId});
+      await deleteAllReleaseData(releaseId);
+    } catch (err) {
+      error("Failed to purge release data", {error: err.message});
+      return res.status(500).send("Internal Server Error");
+    }
+
+    const {id, ...releaseDataBefore} = releaseBefore;
+    await recordAuditLogEntry(
+        req.user,
+        AUDIT_ACTIONS.PURGE,
+        id,
+        releaseBefore.releaseName,
+        getReleaseChanges(releaseDataBefore, {}),
+    );
+
+    log("Successfully purged release data", {releaseId: releaseId});
+    return res.status(200).send("OK");
+  });
+}
+
+/**
+ * Purges the releases that have been in the trash for longer than
+ * RELEASE_TRASH_RETENTION_DAYS.
+ *
+ * A release that fails to purge is logged, and purged by a later run.
+ *
+ * @param {Object} event - The scheduled event that triggered the purge.
+ * @return {Promise<void>}
+ */
+async function purgeDeletedReleases(event) {
+  let releases;
+  try {
+    releases = await getExpiredDeletedReleases(new Date());
+  } catch (err) {
+    error("Failed to get releases to purge", {error: err.message});
+    throw err;
+  }
+
+  const results = await Promise.allSettled(
+      releases.map((release) => deleteAllReleaseData(release.id)),
+  );
+
+  const failedReleases = [];
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      failedReleases.push(releases[index].releaseName);
+      error("Failed to purge release",
+          {
+            releaseId: releases[index].id,
+            error: result.reason.message,
+          });
+    }
+  });
+
+  log("Finished purging deleted releases",
+      {
+        purged: releases.length - failedReleases.length,
+        failed: failedReleases,
+      });
+}
+
+/**
+ * Assign a role to a user.
+ *
+ * Roles are stored as a custom claim on the user's Firebase Auth account,
+ * so the user has to sign in again (or refresh their ID token) before the
+ * new role takes effect. Only administrators can assign roles.
+ *
+ * @param {Object} req - The request from the client.
+ * @param {Object} res - The response object to be sent to the client.
+ * @return {Promise<void>}
+ */
+async function setUserRole(req, res) {
+  log("Received HTTP Request",
+      {
+        hostname: req.hostname,
+        method: req.method,
+        body: req.body,
+      });
+
+  await authorizeUser(req, res, ROLES.ADMIN, async () => {
+    if (req.method !== "POST") {
+      warn("Invalid method", {req: req.method});
+      return res.status(405).send("Method Not Allowed");
+    }
+
+    if (!req.body || !req.body.email || !req.body.role) {
+      warn("Missing email or role in request body", {body: req.body});
+      return res.status(400).send("Bad Request");
+    }
+
+    const {email, role} = req.body;
+    if (!Object.values(ROLES).includes(role)) {
+      warn("Invalid role", {role: role});
+      return res.status(400).send("Bad Request");
+    }
+
+    let user;
+    try {
+      user = await admin.auth().getUserByEmail(email);
+    } catch (err) {
+      if (err.code === "auth/user-not-found") {
+        warn("User does not exist", {email: email});
+        return res.status(404).send("Not Found");
+      }
+      error("Failed to get user", {error: err.message});
+      return res.status(500).send("Internal Server Error");
+    }
+
+    try {
+      await admin.auth().setCustomUserClaims(user.uid, {
+        ...user.customClaims,
+        role: role,
+      });
+    } catch (err) {
+      error("Failed to set user role", {error: err.message});
+      return res.status(500).send("Internal Server Error");
+    }
+
+    log("Successfully set user role",
+        {
+          uid: user.uid,
+          role: role,
+          assignedBy: req.user.uid,
+        });
+    return res.status(200).send("OK");
+  });
+}
+
+/**
+ * Lists the team members that releases can be assigned to.
+ *
+ * The roster is made up of the users with the operator or administrator
+ * role, since only they can operate releases. Only release operators and
+ * administrators can list the team members.
+ *
+ * @param {Object} req - The request from the client.
+ * @param {Object} res - The response object to be sent to the client.
+ * @return {Promise<void>}
+ */
+async function getTeamMembers(req, res) {
+  log("Received HTTP Request",
+      {
+        hostname: req.hostname,
+        method: req.method,
+      });
+
+  await authorizeUser(req, res, ROLES.OPERATOR, async () => {
+    if (req.method !== "GET") {
+      warn("Invalid method", {req: req.method});
+      return res.status(405).send("Method Not Allowed");
+    }
+
+    const teamMembers = [];
+    try {
+      let pageToken;
+      do {
+        const result = await admin.auth().listUsers(1000, pageToken);
+        for (const user of result.users) {
+          if (hasRole(user.customClaims, ROLES.OPERATOR)) {
+            teamMembers.push({
+              uid: user.uid,
+              email: getUserIdentifier(user),
+              displayName: user.displayName || null,
+              role: getUserRole(user.customClaims),
+            });
+          }
+        }
+        pageToken = result.pageToken;
+      } while (pageToken);
+    } catch (err) {
+      error("Failed to list team members", {error: err.message});
+      return res.status(500).send("Internal Server Error");
+    }
+
+    teamMembers.sort((a, b) => a.email.localeCompare(b.email));
+    return res.status(200).json({teamMembers: teamMembers});
+  });
+}
+
+/**
+ * Responds to a retried request to add releases with the releases that were
+ * created by the first request with the same idempotency key.
+ *
+ * An idempotency key can only be reused for the same releases, so a request
+ * for other releases is rejected rather than silently returning releases it
+ * didn't ask for.
+ *
+ * @param {Object} res - The response object to be sent to the client.
+ * @param {Object} creation - The recorded release creation.
+ * @param {Array<Object>} requestedReleases - The releases in the retried
+ * request.
+ * @return {Object} The response.
+ */
+function sendReleaseCreation(res, creation, requestedReleases) {
+  const createdNames = creation.releases
+      .map((release) => release.releaseName);
+  const requestedNames = Array.isArray(requestedReleases) ?
+    requestedReleases.map((release) => release.releaseName) :
+    [];
+  if (createdNames.length !== requestedNames.length ||
+      createdNames.some((name, index) => name !== requestedNames[index])) {
+    warn("Idempotency key was reused for other releases",
+        {createdNames: createdNames, requestedNames: requestedNames});
+    return res.status(422).send("Unprocessable Entity");
+  }
+
+  log("Returning releases created by an earlier request",
+      {releases: creation.releases});
+  return res.status(200).json({releases: creation.releases, replayed: true});
+}
+
+/**
+ * Records an administrative release action in the audit log.
+ *
+ * The action has already been performed by the time it is recorded, so a
+ * failure to record it is logged rather than failing the request.
+ *
+ * @param {Object} user - The decoded ID token of the user that performed
+ * the action.
+ * @param {string} action - The action that was performed.
+ * @param {string} releaseId - The ID of the release that was acted on.
+ * @param {string} releaseName - The name of the release that was acted on.
+ * @param {Object} changes - The fields of the release that changed.
+ */
+async function recordAuditLogEntry(
+    user,
+    action,
+    releaseId,
+    releaseName,
+    changes,
+) {
+  try {
+    await setAuditLogEntry(
+        {uid: user.uid, email: user.email || null},
+        action,
+        releaseId,
+        releaseName,
+        changes,
+    );
+  } catch (err) {
+    error("Failed to record audit log entry",
+        {
+          error: err.message,
+          action: action,
+          releaseId: releaseId,
+        });
+  }
+}
+
 /**
  * Handles errors that occur while syncing a release.
  *
@@ -644,29 +1760,88 @@ async function deleteRelease(req, res) {
  * @param {string} releaseId
  * @param {Error} err - The error that occurred.
  * @param {string} contextMsg - A message to provide context for the error.
+ * @param {Object} stateChange - The `cause` and `actor` of the sync that
+ * failed.
  */
-async function handleReleaseError(releaseId, err, contextMsg) {
+async function handleReleaseError(releaseId, err, contextMsg, stateChange) {
   error("Error while syncing release",
       {releaseId: releaseId,
         error: err.message,
       },
   );
 
-  const stackTrace = getStackTrace(err);
+  // Errors that were not thrown as SyncErrors are unexpected, and are
+  // stored as internal errors.
+  const syncError = toSyncError(err);
+  const stackTrace = getStackTrace(syncError);
   await setReleaseError(
       releaseId,
-      err.message,
+      syncError.message,
       stackTrace,
       contextMsg,
+      syncError,
   );
-  await updateReleaseState(releaseId, RELEASE_STATES.ERROR);
+
+  // The stack trace is only visible to signed in users, so we store a
+  // summary of the error on the release for everyone to see.
+  await updateRelease(releaseId, {
+    syncError: {
+      code: syncError.code,
+      path: syncError.path,
+      hint: syncError.hint,
+    },
+  });
+  await updateReleaseState(releaseId, RELEASE_STATES.ERROR, stateChange);
+}
+
+/**
+ * Creates an Octokit client that caches GitHub API responses in Firestore.
+ *
+ * @return {Octokit} The Octokit client.
+ */
+function createOctokit() {
+  return createCachedOctokit(GITHUB_TOKEN.value(), {
+    get: getCachedGitHubResponse,
+    set: setCachedGitHubResponse,
+    getRateLimit: getGitHubRateLimit,
+  });
+}
+
+/**
+ * Stores the latest GitHub API rate limit seen by this instance, so that it
+ * can be used by the scheduled sync and shown on the admin page.
+ *
+ * Failing to store the rate limit is logged rather than failing the sync.
+ */
+async function recordGitHubRateLimit() {
+  const rateLimit = getLatestRateLimit();
+  if (!rateLimit) {
+    return;
+  }
+
+  try {
+    await setGitHubRateLimit(rateLimit);
+  } catch (err) {
+    warn("Failed to store the GitHub API rate limit", {error: err.message});
+  }
 }
 
 module.exports = {
   addReleases,
+  validateReleases,
+  proposeReleases,
+  preflightRelease,
   refreshRelease,
   getReleases,
   modifyRelease,
   deleteRelease,
+  restoreRelease,
+  purgeRelease,
+  purgeDeletedReleases,
   syncReleaseState,
+  syncActiveReleases,
+  syncPendingReleases,
+  createOctokit,
+  setUserRole,
+  getTeamMembers,
 };
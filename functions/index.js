@@ -6,29 +6,86 @@ initializeApp({
 });
 const {
   addReleases,
+  validateReleases,
+  proposeReleases,
+  preflightRelease,
   refreshRelease,
   getReleases,
   modifyRelease,
   deleteRelease,
+  restoreRelease,
+  purgeRelease,
+  purgeDeletedReleases,
+  syncActiveReleases,
+  syncPendingReleases,
+  setUserRole,
+  getTeamMembers,
 } = require("./handlers/handlers.js");
 const {
   githubWebhook,
+  replayWebhookDelivery,
 } = require("./github/webhooks.js");
 const {defineSecret} = require("firebase-functions/params");
 const GITHUB_TOKEN = defineSecret("GITHUB_TOKEN");
 const GITHUB_WEBHOOK_SECRET = defineSecret("GITHUB_WEBHOOK_SECRET");
 
+// The cadence of the scheduled release sync, in App Engine cron syntax.
+// Schedules are read at deploy time, so this can be overridden in the
+// functions .env file.
+const RELEASE_SYNC_SCHEDULE =
+  process.env.RELEASE_SYNC_SCHEDULE || "every 30 minutes";
+
+// The cadence of the sync of releases after pushes, in App Engine cron
+// syntax. Every run is a billed function invocation and a Firestore query
+// for pending syncs, even when nothing was pushed, which is about 43,000 of
+// each a month when run every minute. Running it less often saves those, at
+// the cost of a longer delay before pushes are synced.
+const PENDING_SYNC_SCHEDULE =
+  process.env.PENDING_SYNC_SCHEDULE || "every 1 minutes";
+
 exports.addReleases = functions.https.onRequest(
     {cors: true, secrets: [GITHUB_TOKEN]},
     addReleases);
+exports.validateReleases = functions.https.onRequest(
+    {cors: true},
+    validateReleases);
+exports.proposeReleases = functions.https.onRequest(
+    {cors: true},
+    proposeReleases);
 exports.getReleases = functions.https.onRequest({cors: true}, getReleases);
 exports.modifyRelease = functions.https.onRequest(
     {cors: true, secrets: [GITHUB_TOKEN]},
     modifyRelease);
+exports.preflightRelease = functions.https.onRequest(
+    {cors: true, secrets: [GITHUB_TOKEN]},
+    preflightRelease);
 exports.refreshRelease = functions.https.onRequest(
     {cors: true, secrets: [GITHUB_TOKEN]},
     refreshRelease);
 exports.deleteRelease = functions.https.onRequest({cors: true}, deleteRelease);
+exports.restoreRelease = functions.https.onRequest(
+    {cors: true, secrets: [GITHUB_TOKEN]},
+    restoreRelease);
+exports.purgeRelease = functions.https.onRequest({cors: true}, purgeRelease);
+exports.setUserRole = functions.https.onRequest({cors: true}, setUserRole);
+exports.getTeamMembers = functions.https.onRequest(
+    {cors: true},
+    getTeamMembers);
 exports.githubWebhook = functions.https.onRequest(
-    {cors: true, secrets: [GITHUB_TOKEN, GITHUB_WEBHOOK_SECRET]},
+    {
+      cors: true,
+      secrets: [GITHUB_TOKEN, GITHUB_WEBHOOK_SECRET],
+    },
     githubWebhook);
+exports.replayWebhookDelivery = functions.https.onRequest(
+    {cors: true, secrets: [GITHUB_TOKEN]},
+    replayWebhookDelivery);
+exports.syncActiveReleases = functions.scheduler.onSchedule(
+    {schedule: RELEASE_SYNC_SCHEDULE, secrets: [GITHUB_TOKEN]},
+    syncActiveReleases);
+exports.syncPendingReleases = functions.scheduler.onSchedule(
+    {schedule: PENDING_SYNC_SCHEDULE, secrets: [GITHUB_TOKEN]},
+    syncPendingReleases);
+exports.purgeDeletedReleases = functions.scheduler.onSchedule(
+    {schedule: "every 24 hours"},
+    purgeDeletedReleases);
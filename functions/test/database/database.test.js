@@ -0,0 +1,270 @@
+const {expect} = require("chai");
+const sinon = require("sinon");
+const {Timestamp} = require("firebase-admin/firestore");
+const {installFakeFirestore} = require("../fakes/fakeFirestore.js");
+
+// The database module gets Firestore when it is loaded, so the fake has to be
+// in place before the database module is required.
+const fakeDb = installFakeFirestore();
+const {
+  createReleases,
+  getReleaseCreation,
+  setReleaseCreationOutcomes,
+  releaseExists,
+  getAllReleases,
+  getReleaseIdFromBranch,
+  getDeletedRelease,
+  getExpiredDeletedReleases,
+  archiveRelease,
+  unarchiveRelease,
+  deleteAllReleaseData,
+} = require("../../database/database.js");
+const RELEASE_STATES = require("../../utils/releaseStates.js");
+const SYNC_OUTCOMES = require("../../utils/syncOutcomes.js");
+
+const ASSIGNED_BY = "admin@google.com";
+const IDEMPOTENCY_KEY = "0b7c1c4e-8f5d-4c8e-9a51-3f2b6f1d2e7a";
+const DAY_MILLIS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates a new release, with its dates converted to Firestore timestamps.
+ *
+ * @param {string} releaseName - The name of the release.
+ * @param {string} codeFreezeDate - The code freeze date, as yyyy-MM-dd.
+ * @param {string} releaseDate - The release date, as yyyy-MM-dd.
+ * @return {Object} The release.
+ */
+function createNewRelease(releaseName, codeFreezeDate, releaseDate) {
+  return {
+    releaseName: releaseName,
+    releaseOperator: "operator@google.com",
+    codeFreezeDate: Timestamp.fromDate(new Date(`${codeFreezeDate}T00:00Z`)),
+    releaseDate: Timestamp.fromDate(new Date(`${releaseDate}T00:00Z`)),
+    releaseBranchName: `releases/${releaseName}`,
+    isReleased: false,
+  };
+}
+
+/**
+ * Gets the paths of the stored documents in a collection.
+ *
+ * @param {string} collectionPath - The path of the collection.
+ * @return {Array<string>} The paths of the documents.
+ */
+function getDocumentPaths(collectionPath) {
+  return [...fakeDb.documents.keys()].filter((path) =>
+    path.substring(0, path.lastIndexOf("/")) === collectionPath);
+}
+
+describe("createReleases", () => {
+  const newReleases = [
+    createNewRelease("M131", "2026-10-27", "2026-11-03"),
+    createNewRelease("M132", "2026-11-10", "2026-11-17"),
+  ];
+
+  beforeEach(() => {
+    fakeDb.documents.clear();
+  });
+
+  it("should create all of the releases", async () => {
+    const created = await createReleases(newReleases, ASSIGNED_BY, null);
+
+    expect(created.releases.map((release) => release.releaseName))
+        .to.deep.equal(["M131", "M132"]);
+    expect(created.existingReleaseNames).to.be.empty;
+    expect(created.creation).to.be.null;
+    const [firstId, secondId] = created.releases
+        .map((release) => release.releaseId);
+    expect(fakeDb.dump(`releases/${firstId}`)).to.include({
+      releaseName: "M131",
+      state: RELEASE_STATES.SCHEDULED,
+    });
+    expect(getDocumentPaths(`releases/${secondId}/releaseStateHistory`))
+        .to.have.lengthOf(1);
+    expect(getDocumentPaths("releaseCreations")).to.be.empty;
+  });
+
+  it("should record the creation under the idempotency key", async () => {
+    const created = await createReleases(
+        newReleases, ASSIGNED_BY, IDEMPOTENCY_KEY,
+    );
+
+    const creation = await getReleaseCreation(IDEMPOTENCY_KEY);
+    expect(creation.createdBy).to.equal(ASSIGNED_BY);
+    expect(creation.releases).to.deep.equal([
+      {
+        releaseId: created.releases[0].releaseId,
+        releaseName: "M131",
+        syncOutcome: SYNC_OUTCOMES.PENDING,
+        syncError: null,
+      },
+      {
+        releaseId: created.releases[1].releaseId,
+        releaseName: "M132",
+        syncOutcome: SYNC_OUTCOMES.PENDING,
+        syncError: null,
+      },
+    ]);
+  });
+
+  it("should return the recorded creation for a reused idempotency key",
+      async () => {
+        const created = await createReleases(
+            newReleases, ASSIGNED_BY, IDEMPOTENCY_KEY,
+        );
+        const syncedReleases = [
+          {
+            releaseId: created.releases[0].releaseId,
+            releaseName: "M131",
+            syncOutcome: SYNC_OUTCOMES.SYNCED,
+            syncError: null,
+          },
+        ];
+        await setReleaseCreationOutcomes(IDEMPOTENCY_KEY, syncedReleases);
+        const documentCount = fakeDb.documents.size;
+
+        const replayed = await createReleases(
+            newReleases, ASSIGNED_BY, IDEMPOTENCY_KEY,
+        );
+
+        expect(replayed.releases).to.be.empty;
+        expect(replayed.creation.releases).to.deep.equal(syncedReleases);
+        expect(fakeDb.documents.size).to.equal(documentCount);
+      });
+
+  it("should not create any release if one of them already exists",
+      async () => {
+        fakeDb.seed("releases/existing-id", {releaseName: "M132"});
+
+        const created = await createReleases(
+            newReleases, ASSIGNED_BY, IDEMPOTENCY_KEY,
+        );
+
+        expect(created).to.deep.equal({
+          releases: [],
+          existingReleaseNames: ["M132"],
+          deletedReleaseNames: [],
+          creation: null,
+        });
+        expect(getDocumentPaths("releases")).to.deep.equal([
+          "releases/existing-id",
+        ]);
+        expect(await getReleaseCreation(IDEMPOTENCY_KEY)).to.be.null;
+      });
+
+  it("should not create any release if one of them is in the trash",
+      async () => {
+        fakeDb.seed("releases/deleted-id", {
+          releaseName: "M131",
+          deletedAt: Timestamp.now(),
+        });
+
+        const created = await createReleases(newReleases, ASSIGNED_BY, null);
+
+        expect(created.existingReleaseNames).to.be.empty;
+        expect(created.deletedReleaseNames).to.deep.equal(["M131"]);
+        expect(created.releases).to.be.empty;
+        expect(getDocumentPaths("releases")).to.deep.equal([
+          "releases/deleted-id",
+        ]);
+      });
+
+  it("should create a release with the name a release was renamed from",
+      async () => {
+        // Releases used to get IDs derived from their names, which are kept
+        // when a release is renamed
+        fakeDb.seed("releases/release-M131", {releaseName: "M130"});
+
+        const created = await createReleases(newReleases, ASSIGNED_BY, null);
+
+        expect(created.existingReleaseNames).to.be.empty;
+        expect(fakeDb.dump("releases/release-M131").releaseName)
+            .to.equal("M130");
+        expect(getDocumentPaths("releases")).to.have.lengthOf(3);
+      });
+});
+
+describe("release trash", () => {
+  const RELEASE_ID = "release-M131";
+  const REPOSITORY = {owner: "firebase", repo: "firebase-android-sdk"};
+
+  beforeEach(() => {
+    fakeDb.documents.clear();
+    fakeDb.seed(`releases/${RELEASE_ID}`, {
+      releaseName: "M131",
+      releaseBranchName: "releases/M131",
+      repoOwner: REPOSITORY.owner,
+      repoName: REPOSITORY.repo,
+    });
+    fakeDb.seed(`pendingSyncs/${RELEASE_ID}`, {releaseId: RELEASE_ID});
+  });
+
+  it("should hide releases in the trash", async () => {
+    await archiveRelease(RELEASE_ID, ASSIGNED_BY, 30);
+
+    expect(await releaseExists(RELEASE_ID)).to.be.false;
+    expect(await getAllReleases()).to.be.empty;
+    expect(await getReleaseIdFromBranch("releases/M131", REPOSITORY))
+        .to.be.null;
+    expect(fakeDb.dump(`pendingSyncs/${RELEASE_ID}`)).to.be.undefined;
+  });
+
+  it("should keep releases in the trash for the retention period",
+      async () => {
+        await archiveRelease(RELEASE_ID, ASSIGNED_BY, 30);
+
+        const release = await getDeletedRelease(RELEASE_ID);
+        expect(release).to.include({id: RELEASE_ID, deletedBy: ASSIGNED_BY});
+        expect(release.purgeAt.toMillis() - release.deletedAt.toMillis())
+            .to.equal(30 * DAY_MILLIS);
+
+        const inTwentyNineDays = new Date(Date.now() + 29 * DAY_MILLIS);
+        const inThirtyOneDays = new Date(Date.now() + 31 * DAY_MILLIS);
+        expect(await getExpiredDeletedReleases(inTwentyNineDays)).to.be.empty;
+        expect((await getExpiredDeletedReleases(inThirtyOneDays))
+            .map((expired) => expired.id)).to.deep.equal([RELEASE_ID]);
+      });
+
+  it("should restore releases from the trash", async () => {
+    await archiveRelease(RELEASE_ID, ASSIGNED_BY, 30);
+    await unarchiveRelease(RELEASE_ID);
+
+    expect(await releaseExists(RELEASE_ID)).to.be.true;
+    expect(await getDeletedRelease(RELEASE_ID)).to.be.null;
+    expect(fakeDb.dump(`releases/${RELEASE_ID}`)).to.not.have.any.keys(
+        "deletedAt", "deletedBy", "purgeAt",
+    );
+  });
+
+  it("should not get releases that aren't in the trash", async () => {
+    expect(await getDeletedRelease(RELEASE_ID)).to.be.null;
+    expect(await getDeletedRelease("release-M999")).to.be.null;
+  });
+
+  it("should purge all of the data of a release in several batches",
+      async () => {
+        for (let i = 0; i < 600; i++) {
+          fakeDb.seed(`changes/change-${i}`, {releaseID: RELEASE_ID});
+        }
+        fakeDb.seed("libraries/library", {releaseID: RELEASE_ID});
+        fakeDb.seed("checks/check", {releaseID: RELEASE_ID});
+        fakeDb.seed("releaseError/error", {releaseID: RELEASE_ID});
+        fakeDb.seed(`releases/${RELEASE_ID}/releaseStateHistory/history`, {
+          to: RELEASE_STATES.SCHEDULED,
+        });
+        fakeDb.seed("changes/other-change", {releaseID: "release-M132"});
+        const batch = sinon.spy(fakeDb, "batch");
+
+        try {
+          await deleteAllReleaseData(RELEASE_ID);
+
+          expect(batch.callCount).to.equal(2);
+        } finally {
+          batch.restore();
+        }
+        expect([...fakeDb.documents.keys()]).to.have.members([
+          `pendingSyncs/${RELEASE_ID}`,
+          "changes/other-change",
+        ]);
+      });
+});
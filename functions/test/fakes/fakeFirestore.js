@@ -0,0 +1,370 @@
+const admin = require("firebase-admin");
+const sinon = require("sinon");
+
+/**
+ * An in-memory fake of the parts of the Firestore Admin API that are used
+ * by the database module, for tests that can't reach Firestore.
+ *
+ * Documents are stored as plain objects keyed by their path. Only equality
+ * and range filters, and the `increment`, `arrayUnion` and `delete` field
+ * transforms, are supported.
+ */
+class FakeFirestore {
+  /**
+   * Creates an empty fake Firestore.
+   */
+  constructor() {
+    this.documents = new Map();
+    this.nextId = 0;
+    this.lastTransaction = Promise.resolve();
+  }
+
+  /**
+   * @param {string} path - The path of the collection.
+   * @return {FakeCollectionReference} The collection.
+   */
+  collection(path) {
+    return new FakeCollectionReference(this, path);
+  }
+
+  /**
+   * @return {FakeWriteBatch} A new batch.
+   */
+  batch() {
+    return new FakeWriteBatch();
+  }
+
+  /**
+   * Runs a transaction. Transactions run one at a time, so they never have
+   * to be retried.
+   *
+   * @param {Function} updateFunction - The transaction function.
+   * @return {Promise<*>} The result of the transaction function.
+   */
+  async runTransaction(updateFunction) {
+    const run = async () => {
+      const transaction = new FakeTransaction();
+      const result = await updateFunction(transaction);
+      await transaction.commit();
+      return result;
+    };
+    const result = this.lastTransaction.then(run);
+    // The next transaction waits for this one, whether or not it succeeds
+    this.lastTransaction = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * @param {...FakeDocumentReference} refs - The documents to get.
+   * @return {Promise<Array<FakeDocumentSnapshot>>} The documents.
+   */
+  async getAll(...refs) {
+    return refs.map((ref) => ref.snapshot());
+  }
+
+  /**
+   * Stores a document directly, to set up the state of a test.
+   *
+   * @param {string} path - The path of the document.
+   * @param {Object} data - The data of the document.
+   */
+  seed(path, data) {
+    this.documents.set(path, {...data});
+  }
+
+  /**
+   * Gets the data of a document directly, to check the state after a test.
+   *
+   * @param {string} path - The path of the document.
+   * @return {Object|undefined} The data of the document.
+   */
+  dump(path) {
+    return this.documents.get(path);
+  }
+}
+
+/**
+ * A fake Firestore query.
+ */
+class FakeQuery {
+  /**
+   * @param {FakeFirestore} db - The fake Firestore.
+   * @param {string} path - The path of the queried collection.
+   * @param {Array<Function>} filters - The filters of the query.
+   */
+  constructor(db, path, filters = []) {
+    this.db = db;
+    this.path = path;
+    this.filters = filters;
+  }
+
+  /**
+   * @param {string} field - The field to filter on.
+   * @param {string} op - The comparison operator.
+   * @param {*} value - The value to compare to.
+   * @return {FakeQuery} The filtered query.
+   */
+  where(field, op, value) {
+    const compare = (a, b) => {
+      const toComparable = (v) => v && v.toMillis ? v.toMillis() : v;
+      a = toComparable(a);
+      b = toComparable(b);
+      switch (op) {
+        case "==": return a === b;
+        case "<": return a < b;
+        case "<=": return a <= b;
+        case ">": return a > b;
+        case ">=": return a >= b;
+        default: throw new Error(`Unsupported operator ${op}`);
+      }
+    };
+    return new FakeQuery(this.db, this.path, [
+      ...this.filters,
+      (data) => data[field] !== undefined && compare(data[field], value),
+    ]);
+  }
+
+  /**
+   * @return {Promise<Object>} The query snapshot, with its `docs`.
+   */
+  async get() {
+    const docs = [];
+    this.db.documents.forEach((data, path) => {
+      const parentPath = path.substring(0, path.lastIndexOf("/"));
+      if (parentPath === this.path &&
+          this.filters.every((filter) => filter(data))) {
+        docs.push(new FakeDocumentReference(this.db, path).snapshot());
+      }
+    });
+    return {docs, empty: docs.length === 0, size: docs.length};
+  }
+}
+
+/**
+ * A fake Firestore collection.
+ */
+class FakeCollectionReference extends FakeQuery {
+  /**
+   * @param {string} id - The ID of the document, or undefined to generate
+   * one.
+   * @return {FakeDocumentReference} The document.
+   */
+  doc(id) {
+    const docId = id === undefined ? `fake-id-${this.db.nextId++}` : id;
+    return new FakeDocumentReference(this.db, `${this.path}/${docId}`);
+  }
+
+  /**
+   * @param {Object} data - The data of the new document.
+   * @return {Promise<FakeDocumentReference>} The new document.
+   */
+  async add(data) {
+    const docRef = this.doc();
+    await docRef.set(data);
+    return docRef;
+  }
+}
+
+/**
+ * A fake Firestore document.
+ */
+class FakeDocumentReference {
+  /**
+   * @param {FakeFirestore} db - The fake Firestore.
+   * @param {string} path - The path of the document.
+   */
+  constructor(db, path) {
+    this.db = db;
+    this.path = path;
+    this.id = path.substring(path.lastIndexOf("/") + 1);
+  }
+
+  /**
+   * @param {string} path - The path of the subcollection.
+   * @return {FakeCollectionReference} The subcollection.
+   */
+  collection(path) {
+    return new FakeCollectionReference(this.db, `${this.path}/${path}`);
+  }
+
+  /**
+   * @return {FakeDocumentSnapshot} A snapshot of the document.
+   */
+  snapshot() {
+    return new FakeDocumentSnapshot(this, this.db.documents.get(this.path));
+  }
+
+  /**
+   * @return {Promise<FakeDocumentSnapshot>} A snapshot of the document.
+   */
+  async get() {
+    return this.snapshot();
+  }
+
+  /**
+   * @param {Object} data - The data of the document.
+   * @param {Object} options - The options, with `merge` to merge the data
+   * into an existing document.
+   */
+  async set(data, options = {}) {
+    const existing = options.merge ? this.db.documents.get(this.path) : null;
+    this.db.documents.set(this.path, applyWrite(existing || {}, data));
+  }
+
+  /**
+   * @param {Object} data - The fields to update.
+   * @throws {Error} If the document does not exist.
+   */
+  async update(data) {
+    const existing = this.db.documents.get(this.path);
+    if (!existing) {
+      throw new Error(`No document to update: ${this.path}`);
+    }
+    this.db.documents.set(this.path, applyWrite(existing, data));
+  }
+
+  /**
+   * Deletes the document.
+   */
+  async delete() {
+    this.db.documents.delete(this.path);
+  }
+}
+
+/**
+ * A fake Firestore document snapshot.
+ */
+class FakeDocumentSnapshot {
+  /**
+   * @param {FakeDocumentReference} ref - The document.
+   * @param {Object|undefined} data - The data of the document.
+   */
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this.storedData = data;
+  }
+
+  /**
+   * @return {Object|undefined} A copy of the data of the document.
+   */
+  data() {
+    return this.storedData === undefined ? undefined : {...this.storedData};
+  }
+}
+
+/**
+ * A fake Firestore batch, which applies its writes in order on commit.
+ */
+class FakeWriteBatch {
+  /**
+   * Creates an empty batch.
+   */
+  constructor() {
+    this.writes = [];
+  }
+
+  /**
+   * @param {FakeDocumentReference} ref - The document.
+   * @param {Object} data - The data of the document.
+   * @param {Object} options - The set options.
+   * @return {FakeWriteBatch} This batch.
+   */
+  set(ref, data, options) {
+    this.writes.push(() => ref.set(data, options));
+    return this;
+  }
+
+  /**
+   * @param {FakeDocumentReference} ref - The document.
+   * @param {Object} data - The fields to update.
+   * @return {FakeWriteBatch} This batch.
+   */
+  update(ref, data) {
+    this.writes.push(() => ref.update(data));
+    return this;
+  }
+
+  /**
+   * @param {FakeDocumentReference} ref - The document.
+   * @return {FakeWriteBatch} This batch.
+   */
+  delete(ref) {
+    this.writes.push(() => ref.delete());
+    return this;
+  }
+
+  /**
+   * Applies the writes of the batch.
+   */
+  async commit() {
+    for (const write of this.writes) {
+      await write();
+    }
+  }
+}
+
+/**
+ * A fake Firestore transaction, which applies its writes on commit.
+ */
+class FakeTransaction extends FakeWriteBatch {
+  /**
+   * @param {FakeDocumentReference|FakeQuery} refOrQuery - The document or
+   * query to read.
+   * @return {Promise<Object>} The document or query snapshot.
+   */
+  async get(refOrQuery) {
+    return refOrQuery.get();
+  }
+}
+
+/**
+ * Applies the fields of a write to the data of a document, including the
+ * `increment`, `arrayUnion` and `delete` field transforms.
+ *
+ * @param {Object} existing - The existing data of the document.
+ * @param {Object} data - The fields to write.
+ * @return {Object} The new data of the document.
+ */
+function applyWrite(existing, data) {
+  const result = {...existing};
+  Object.entries(data).forEach(([field, value]) => {
+    if (value && value.constructor.name === "NumericIncrementTransform") {
+      result[field] = (result[field] || 0) + value.operand;
+    } else if (value && value.constructor.name === "DeleteTransform") {
+      delete result[field];
+    } else if (value && value.constructor.name === "ArrayUnionTransform") {
+      const elements = result[field] || [];
+      result[field] = [
+        ...elements,
+        ...value.elements.filter((element) => !elements.includes(element)),
+      ];
+    } else {
+      result[field] = value;
+    }
+  });
+  return result;
+}
+
+// The fake that replaces Firestore for all tests, once it is installed.
+let installedFakeDb = null;
+
+/**
+ * Replaces Firestore with a fake for the rest of the tests.
+ *
+ * The database module gets Firestore when it is loaded, so the fake has to
+ * be installed before the database module is first required, and every test
+ * file that uses it shares the same fake.
+ *
+ * @return {FakeFirestore} The installed fake.
+ */
+function installFakeFirestore() {
+  if (!installedFakeDb) {
+    installedFakeDb = new FakeFirestore();
+    sinon.stub(admin, "firestore").get(() => () => installedFakeDb);
+  }
+  return installedFakeDb;
+}
+
+module.exports = {FakeFirestore, installFakeFirestore};
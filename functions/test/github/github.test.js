@@ -0,0 +1,606 @@
+const {
+  getReleaseRepository,
+  getRepositoryUrl,
+  isSameRepository,
+  toCommitAuthor,
+  getReleaseConfig,
+  getReleaseReport,
+  getLibraryMetadata,
+  getReleaseBranch,
+  previewReleaseBranch,
+  getPushedBranch,
+  isReleaseDataPush,
+  isNewerBuildArtifact,
+  verifySignature,
+} = require("../../github/github.js");
+const {SYNC_ERROR_CODES} = require("../../utils/syncErrors.js");
+const {expect} = require("chai");
+const SIGNED_DELIVERIES =
+  require("../fixtures/webhooks/signed_deliveries.json");
+
+/**
+ * Creates a fake Octokit client that responds to every request with the
+ * given file content.
+ *
+ * @param {string} content - The content of the file.
+ * @return {Object} The fake Octokit client.
+ */
+function createFileOctokit(content) {
+  return {
+    request: async () => ({
+      data: {content: Buffer.from(content).toString("base64")},
+    }),
+  };
+}
+
+/**
+ * Creates a fake Octokit client whose requests fail with the given status.
+ *
+ * @param {number} status - The HTTP status of the failed requests.
+ * @return {Object} The fake Octokit client.
+ */
+function createFailingOctokit(status) {
+  return {
+    request: async () => {
+      const err = new Error(`Request failed with status ${status}`);
+      err.status = status;
+      throw err;
+    },
+  };
+}
+
+/**
+ * Creates a fake Octokit client whose GraphQL queries read the given files.
+ * Files that aren't given don't exist.
+ *
+ * @param {Object} files - An object mapping paths to file contents.
+ * @return {Object} The fake Octokit client.
+ */
+function createRepositoryOctokit(files) {
+  return {
+    graphql: async (query, variables) => {
+      const repository = {};
+      Object.keys(variables)
+          .filter((name) => name.startsWith("expression"))
+          .forEach((name) => {
+            const path = variables[name].split(":")[1];
+            const field = name.replace("expression", "file");
+            repository[field] = Object.prototype.hasOwnProperty.call(
+                files, path) ? {text: files[path]} : null;
+          });
+      return {repository};
+    },
+  };
+}
+
+describe("getReleaseRepository", () => {
+  it("should return the repository stored on the release", () => {
+    const releaseData = {
+      repoOwner: "my-org",
+      repoName: "my-sdk",
+    };
+
+    expect(getReleaseRepository(releaseData)).to.deep.equal({
+      owner: "my-org",
+      repo: "my-sdk",
+    });
+  });
+
+  it("should fall back to the default repository", () => {
+    const releaseData = {
+      releaseName: "M130",
+    };
+
+    expect(getReleaseRepository(releaseData)).to.deep.equal({
+      owner: "firebase",
+      repo: "firebase-android-sdk",
+    });
+  });
+});
+
+describe("getRepositoryUrl", () => {
+  it("should return the GitHub URL of the repository", () => {
+    const repository = {owner: "firebase", repo: "firebase-android-sdk"};
+
+    expect(getRepositoryUrl(repository))
+        .to.equal("https://github.com/firebase/firebase-android-sdk");
+  });
+});
+
+describe("isSameRepository", () => {
+  it("should ignore case when comparing repositories", () => {
+    const repositoryA = {owner: "Firebase", repo: "Firebase-Android-SDK"};
+    const repositoryB = {owner: "firebase", repo: "firebase-android-sdk"};
+
+    expect(isSameRepository(repositoryA, repositoryB)).to.be.true;
+  });
+
+  it("should return false for different repositories", () => {
+    const repositoryA = {owner: "firebase", repo: "firebase-android-sdk"};
+    const repositoryB = {owner: "my-org", repo: "firebase-android-sdk"};
+
+    expect(isSameRepository(repositoryA, repositoryB)).to.be.false;
+  });
+});
+
+describe("toCommitAuthor", () => {
+  const commit = {
+    author: {
+      login: "octocat",
+      avatar_url: "https://avatars.githubusercontent.com/u/1",
+    },
+    commit: {author: {name: "The Octocat"}},
+  };
+
+  it("should return the GitHub account of the commit author", () => {
+    expect(toCommitAuthor(commit, null)).to.deep.equal({
+      login: "octocat",
+      name: "The Octocat",
+      avatarUrl: "https://avatars.githubusercontent.com/u/1",
+    });
+  });
+
+  it("should fall back to the author of the pull request", () => {
+    const unlinkedCommit = {...commit, author: null};
+    const pullRequest = {
+      user: {
+        login: "hubot",
+        avatar_url: "https://avatars.githubusercontent.com/u/2",
+      },
+    };
+
+    expect(toCommitAuthor(unlinkedCommit, pullRequest)).to.deep.equal({
+      login: "hubot",
+      name: "The Octocat",
+      avatarUrl: "https://avatars.githubusercontent.com/u/2",
+    });
+  });
+
+  it("should only return the name if there is no GitHub account", () => {
+    const unlinkedCommit = {...commit, author: null};
+
+    expect(toCommitAuthor(unlinkedCommit, null)).to.deep.equal({
+      login: null,
+      name: "The Octocat",
+      avatarUrl: null,
+    });
+  });
+});
+
+describe("getReleaseConfig", () => {
+  const releaseData = {releaseBranchName: "releases/M130"};
+
+  it("should parse the release config", async () => {
+    const octokit = createFileOctokit(
+        JSON.stringify({name: "M130", libraries: [":firebase-common"]}),
+    );
+
+    const releaseConfig = await getReleaseConfig(octokit, releaseData);
+
+    expect(releaseConfig.libraries).to.deep.equal([":firebase-common"]);
+  });
+
+  it("should throw a malformed config error for invalid JSON", async () => {
+    const octokit = createFileOctokit("{");
+
+    let err;
+    try {
+      await getReleaseConfig(octokit, releaseData);
+    } catch (e) {
+      err = e;
+    }
+
+    expect(err.code).to.equal(SYNC_ERROR_CODES.MALFORMED_RELEASE_CONFIG);
+    expect(err.path).to.equal("release.json");
+  });
+
+  it("should throw a file not found error for a missing file", async () => {
+    let err;
+    try {
+      await getReleaseConfig(createFailingOctokit(404), releaseData);
+    } catch (e) {
+      err = e;
+    }
+
+    expect(err.code).to.equal(SYNC_ERROR_CODES.FILE_NOT_FOUND);
+    expect(err.path).to.equal("release.json");
+  });
+});
+
+describe("getReleaseReport", () => {
+  it("should throw a malformed report error without changes", async () => {
+    const octokit = createFileOctokit(JSON.stringify({}));
+
+    let err;
+    try {
+      await getReleaseReport(octokit, {releaseBranchName: "releases/M130"});
+    } catch (e) {
+      err = e;
+    }
+
+    expect(err.code).to.equal(SYNC_ERROR_CODES.MALFORMED_RELEASE_REPORT);
+    expect(err.path).to.equal("release_report.json");
+  });
+});
+
+describe("getLibraryMetadata", () => {
+  const repository = {owner: "firebase", repo: "firebase-android-sdk"};
+
+  it("should keep the libraries that synced when one fails", async () => {
+    const octokit = createRepositoryOctokit({
+      "firebase-common/gradle.properties": "version=20.3.1\n",
+      "firebase-firestore/gradle.properties": "android.useAndroidX=true\n",
+    });
+
+    const libraryMetadata = await getLibraryMetadata(
+        octokit,
+        repository,
+        "0123abc",
+        ["firebase-common", "firebase-firestore", "firebase-storage"],
+        {},
+    );
+
+    expect(libraryMetadata["firebase-common"].updatedVersion)
+        .to.equal("20.3.1");
+    expect(libraryMetadata["firebase-common"].syncError).to.be.null;
+    expect(libraryMetadata["firebase-firestore"].updatedVersion)
+        .to.equal("unknown");
+    expect(libraryMetadata["firebase-firestore"].syncError).to.include({
+      code: SYNC_ERROR_CODES.MISSING_VERSION,
+      path: "firebase-firestore/gradle.properties",
+    });
+    expect(libraryMetadata["firebase-storage"].syncError).to.include({
+      code: SYNC_ERROR_CODES.FILE_NOT_FOUND,
+      path: "firebase-storage/gradle.properties",
+    });
+  });
+
+  it("should read every library at the commit in one query", async () => {
+    const queries = [];
+    const octokit = {
+      graphql: async (query, variables) => {
+        queries.push(variables);
+        return {
+          repository: {
+            file0: {text: "version=20.3.1\n"},
+            file1: {text: "version=24.7.0\n"},
+          },
+        };
+      },
+    };
+
+    await getLibraryMetadata(
+        octokit,
+        repository,
+        "0123abc",
+        ["firebase-common", "firebase-firestore"],
+        {},
+    );
+
+    expect(queries).to.have.lengthOf(1);
+    expect(queries[0]).to.include({
+      expression0: "0123abc:firebase-common/gradle.properties",
+      expression1: "0123abc:firebase-firestore/gradle.properties",
+    });
+  });
+
+  it("should fail the sync when GitHub rejects the requests", async () => {
+    const octokit = {graphql: createFailingOctokit(401).request};
+
+    let err;
+    try {
+      await getLibraryMetadata(
+          octokit,
+          repository,
+          "0123abc",
+          ["firebase-common"],
+          {},
+      );
+    } catch (e) {
+      err = e;
+    }
+
+    expect(err.code).to.equal(SYNC_ERROR_CODES.AUTH_FAILED);
+  });
+});
+
+describe("getReleaseBranch", () => {
+  it("should return the head commit of the branch", async () => {
+    const octokit = {
+      request: async () => ({
+        data: {
+          commit: {
+            sha: "0123abc",
+            commit: {committer: {date: "2023-07-19T10:00:00Z"}},
+          },
+        },
+      }),
+    };
+
+    const headCommit = await getReleaseBranch(
+        octokit,
+        {owner: "firebase", repo: "firebase-android-sdk"},
+        "releases/M130",
+    );
+
+    expect(headCommit).to.deep.equal({
+      sha: "0123abc",
+      date: new Date("2023-07-19T10:00:00Z"),
+    });
+  });
+});
+
+describe("previewReleaseBranch", () => {
+  const releaseData = {releaseBranchName: "releases/M130.release"};
+  const releaseConfig = {
+    name: "M130",
+    libraries: [":firebase-common", ":firebase-firestore:ktx"],
+  };
+  const releaseReport = {
+    changesByLibraryName: {
+      "firebase-common": [{commitId: "a1"}, {commitId: "a2"}],
+      "firebase-firestore/ktx": [{commitId: "b1"}],
+    },
+  };
+
+  /**
+   * Creates a fake Octokit client for a repository with a release branch.
+   * Files that aren't given don't exist.
+   *
+   * @param {Object} files - An object mapping paths to file contents.
+   * @return {Object} The fake Octokit client.
+   */
+  function createBranchOctokit(files) {
+    return {
+      ...createRepositoryOctokit(files),
+      request: async (route, params) => {
+        if (route.includes("/branches/")) {
+          return {
+            data: {
+              commit: {
+                sha: "0123abc",
+                commit: {committer: {date: "2023-07-19T10:00:00Z"}},
+              },
+            },
+          };
+        }
+        if (!Object.prototype.hasOwnProperty.call(files, params.path)) {
+          const err = new Error("Not Found");
+          err.status = 404;
+          throw err;
+        }
+        return {
+          data: {content: Buffer.from(files[params.path]).toString("base64")},
+        };
+      },
+    };
+  }
+
+  it("should preview the libraries and changes of the release", async () => {
+    const octokit = createBranchOctokit({
+      "release.json": JSON.stringify(releaseConfig),
+      "release_report.json": JSON.stringify(releaseReport),
+      "firebase-common/gradle.properties": "version=20.3.1\n",
+    });
+
+    const preview = await previewReleaseBranch(octokit, releaseData);
+
+    expect(preview.branch).to.deep.equal(
+        {found: true, commitSha: "0123abc", error: null},
+    );
+    expect(preview.releaseConfig.error).to.be.null;
+    expect(preview.releaseReport.error).to.be.null;
+    expect(preview.changeCount).to.equal(3);
+    expect(preview.libraries.map((library) => library.libraryName))
+        .to.deep.equal(["firebase-common", "firebase-firestore"]);
+    expect(preview.libraries[0].updatedVersion).to.equal("20.3.1");
+    expect(preview.libraries[1].syncError).to.include({
+      code: SYNC_ERROR_CODES.FILE_NOT_FOUND,
+    });
+  });
+
+  it("should report a missing release branch", async () => {
+    const preview = await previewReleaseBranch(
+        createFailingOctokit(404), releaseData,
+    );
+
+    expect(preview.branch.found).to.be.false;
+    expect(preview.branch.error.code)
+        .to.equal(SYNC_ERROR_CODES.BRANCH_NOT_FOUND);
+    expect(preview.libraries).to.be.empty;
+  });
+
+  it("should report release files that are missing or malformed", async () => {
+    const octokit = createBranchOctokit({"release_report.json": "{"});
+
+    const preview = await previewReleaseBranch(octokit, releaseData);
+
+    expect(preview.branch.found).to.be.true;
+    expect(preview.releaseConfig.error).to.include({
+      code: SYNC_ERROR_CODES.FILE_NOT_FOUND,
+      path: "release.json",
+    });
+    expect(preview.releaseReport.error.code)
+        .to.equal(SYNC_ERROR_CODES.MALFORMED_RELEASE_REPORT);
+    expect(preview.libraries).to.be.empty;
+    expect(preview.changeCount).to.equal(0);
+  });
+});
+
+describe("getPushedBranch", () => {
+  it("should return the branch of the push", () => {
+    expect(getPushedBranch({ref: "refs/heads/releases/M130"}))
+        .to.equal("releases/M130");
+  });
+
+  it("should return null for tags", () => {
+    expect(getPushedBranch({ref: "refs/tags/M130"})).to.be.null;
+  });
+});
+
+describe("isReleaseDataPush", () => {
+  it("should detect changes to the release config", () => {
+    const payload = {commits: [{added: [], modified: ["release.json"]}]};
+
+    expect(isReleaseDataPush(payload)).to.be.true;
+  });
+
+  it("should detect changes to library versions", () => {
+    const payload = {
+      commits: [
+        {modified: ["README.md"]},
+        {modified: ["firebase-common/gradle.properties"]},
+      ],
+    };
+
+    expect(isReleaseDataPush(payload)).to.be.true;
+  });
+
+  it("should ignore changes to other files", () => {
+    const payload = {
+      commits: [{added: ["firebase-common/src/Foo.java"], removed: []}],
+    };
+
+    expect(isReleaseDataPush(payload)).to.be.false;
+  });
+
+  it("should sync pushes with more commits than the payload lists", () => {
+    const payload = {
+      commits: Array.from({length: 20}, () => ({modified: ["README.md"]})),
+    };
+
+    expect(isReleaseDataPush(payload)).to.be.true;
+  });
+
+  it("should sync new branches and ignore deleted branches", () => {
+    expect(isReleaseDataPush({created: true, commits: []})).to.be.true;
+    expect(isReleaseDataPush({deleted: true, commits: []})).to.be.false;
+  });
+});
+
+describe("isNewerBuildArtifact", () => {
+  const releaseData = {
+    buildArtifactStatus: "completed",
+    buildArtifactConclusion: "success",
+    buildArtifactJobId: 200,
+  };
+
+  it("should accept a newer workflow run", () => {
+    const buildArtifact = {
+      buildArtifactStatus: "requested",
+      buildArtifactJobId: 201,
+    };
+
+    expect(isNewerBuildArtifact(releaseData, buildArtifact)).to.be.true;
+  });
+
+  it("should ignore an older workflow run", () => {
+    const buildArtifact = {
+      buildArtifactStatus: "completed",
+      buildArtifactJobId: 199,
+    };
+
+    expect(isNewerBuildArtifact(releaseData, buildArtifact)).to.be.false;
+  });
+
+  it("should not move a completed run back to in progress", () => {
+    const buildArtifact = {
+      buildArtifactStatus: "in_progress",
+      buildArtifactJobId: 200,
+    };
+
+    expect(isNewerBuildArtifact(releaseData, buildArtifact)).to.be.false;
+  });
+
+  it("should accept any run for a release without a build artifact", () => {
+    const buildArtifact = {
+      buildArtifactStatus: "requested",
+      buildArtifactJobId: 1,
+    };
+
+    expect(isNewerBuildArtifact({}, buildArtifact)).to.be.true;
+  });
+});
+
+describe("verifySignature", () => {
+  /**
+   * Creates a request for a signed delivery fixture.
+   *
+   * @param {Object} delivery - The signed delivery fixture.
+   * @param {string} signature - The signature header of the request.
+   * @return {Object} The request.
+   */
+  function createSignedRequest(delivery, signature = delivery.signature) {
+    return {
+      headers: {"x-hub-signature-256": signature},
+      rawBody: Buffer.from(delivery.rawBody),
+      body: JSON.parse(JSON.stringify(delivery.rawBody)),
+    };
+  }
+
+  SIGNED_DELIVERIES.forEach((delivery) => {
+    it(`should verify ${delivery.description}`, () => {
+      const req = createSignedRequest(delivery);
+      expect(verifySignature(req, [delivery.secret])).to.be.true;
+    });
+  });
+
+  it("should sign the raw body rather than the parsed body", () => {
+    const delivery = SIGNED_DELIVERIES[1];
+    const req = createSignedRequest(delivery);
+    req.body = JSON.parse(delivery.rawBody);
+    req.rawBody = Buffer.from(JSON.stringify(req.body));
+
+    expect(verifySignature(req, [delivery.secret])).to.be.false;
+  });
+
+  it("should reject a request signed with another secret", () => {
+    const req = createSignedRequest(SIGNED_DELIVERIES[0]);
+    expect(verifySignature(req, ["another secret"])).to.be.false;
+  });
+
+  it("should accept any of the secrets being rotated", () => {
+    const delivery = SIGNED_DELIVERIES[0];
+    const req = createSignedRequest(delivery);
+    expect(verifySignature(req, ["new secret", delivery.secret])).to.be.true;
+    expect(verifySignature(req, [delivery.secret, ""])).to.be.true;
+  });
+
+  it("should ignore empty secrets", () => {
+    // Signed with an empty secret, which is what an unset secret reads as.
+    const req = createSignedRequest({
+      rawBody: "Hello, World!",
+      signature: "sha256=" +
+        "2bbcfa9524f3218c7a34b30e6936f8b1a4516cb097f1a85a1c7d98b5977ec769",
+    });
+    expect(verifySignature(req, ["", ""])).to.be.false;
+    expect(verifySignature(req, [])).to.be.false;
+  });
+
+  it("should reject missing or malformed signatures", () => {
+    const delivery = SIGNED_DELIVERIES[0];
+    const hexSignature = delivery.signature.slice("sha256=".length);
+    const malformedSignatures = [
+      undefined,
+      "",
+      hexSignature,
+      `sha1=${hexSignature}`,
+      `sha256=${hexSignature.slice(0, -2)}`,
+      `sha256=${hexSignature}00`,
+      "sha256=not-a-signature",
+    ];
+
+    malformedSignatures.forEach((signature) => {
+      const req = createSignedRequest(delivery);
+      req.headers["x-hub-signature-256"] = signature;
+      expect(verifySignature(req, [delivery.secret])).to.be.false;
+    });
+  });
+
+  it("should reject requests without a raw body", () => {
+    const delivery = SIGNED_DELIVERIES[0];
+    const req = createSignedRequest(delivery);
+    delete req.rawBody;
+    expect(verifySignature(req, [delivery.secret])).to.be.false;
+  });
+});
@@ -0,0 +1,191 @@
+const {
+  createCachedOctokit,
+  getLatestRateLimit,
+  parseRateLimit,
+} = require("../../github/githubCache.js");
+const {expect} = require("chai");
+const sinon = require("sinon");
+const {SYNC_ERROR_CODES} = require("../../utils/syncErrors.js");
+
+const RATE_LIMIT_HEADERS = {
+  "x-ratelimit-limit": "5000",
+  "x-ratelimit-remaining": "4990",
+  "x-ratelimit-used": "10",
+  "x-ratelimit-reset": "1689760800",
+};
+
+// A date before the rate limits above are reset.
+const BEFORE_RESET = new Date("2023-07-19T09:00:00Z");
+
+/**
+ * Creates a fake fetch that serves a single resource with the given ETag,
+ * and answers conditional requests for that ETag with a 304.
+ *
+ * @param {Object} data - The resource.
+ * @param {string} etag - The ETag of the resource.
+ * @return {Function} The fake fetch, which records the headers of the
+ * requests it received in `requests`.
+ */
+function createFetch(data, etag) {
+  const fetch = async (url, {headers}) => {
+    fetch.requests.push(headers);
+    const responseHeaders = {...RATE_LIMIT_HEADERS, "etag": etag};
+    if (headers["if-none-match"] === etag) {
+      return new Response(null, {status: 304, headers: responseHeaders});
+    }
+    return new Response(JSON.stringify(data), {
+      status: 200,
+      headers: {...responseHeaders, "content-type": "application/json"},
+    });
+  };
+  fetch.requests = [];
+  return fetch;
+}
+
+/**
+ * Creates an in-memory response cache.
+ *
+ * @return {Object} The cache.
+ */
+function createMemoryCache() {
+  const entries = new Map();
+  return {
+    get: async (key) => entries.get(key) || null,
+    set: async (key, response) => entries.set(key, response),
+  };
+}
+
+describe("parseRateLimit", () => {
+  it("should parse the rate limit headers", () => {
+    expect(parseRateLimit(RATE_LIMIT_HEADERS)).to.deep.equal({
+      limit: 5000,
+      remaining: 4990,
+      used: 10,
+      reset: new Date("2023-07-19T10:00:00Z"),
+    });
+  });
+
+  it("should return null without rate limit headers", () => {
+    expect(parseRateLimit({})).to.be.null;
+  });
+});
+
+describe("createCachedOctokit", () => {
+  const route = "GET /repos/{owner}/{repo}/contents/{path}";
+  const params = {owner: "firebase", repo: "firebase-android-sdk", path: "a"};
+
+  it("should serve unchanged responses from the cache", async () => {
+    const fetch = createFetch({content: "dmVyc2lvbj0xLjAuMA=="}, "\"v1\"");
+    const octokit = createCachedOctokit(
+        "token", createMemoryCache(), {request: {fetch}},
+    );
+
+    const first = await octokit.request(route, params);
+    const second = await octokit.request(route, params);
+
+    expect(fetch.requests).to.have.lengthOf(2);
+    expect(fetch.requests[0]["if-none-match"]).to.be.undefined;
+    expect(fetch.requests[1]["if-none-match"]).to.equal("\"v1\"");
+    expect(second.data).to.deep.equal(first.data);
+  });
+
+  it("should record the rate limit of the responses", async () => {
+    const fetch = createFetch({}, "\"v2\"");
+    const octokit = createCachedOctokit(
+        "token", createMemoryCache(), {request: {fetch}},
+    );
+
+    await octokit.request(route, params);
+
+    expect(getLatestRateLimit().remaining).to.equal(4990);
+  });
+
+  it("should not fail the request when the cache fails", async () => {
+    const fetch = createFetch({name: "M130"}, "\"v3\"");
+    const failingCache = {
+      get: async () => {
+        throw new Error("Unavailable");
+      },
+      set: async () => {
+        throw new Error("Unavailable");
+      },
+    };
+    const octokit = createCachedOctokit(
+        "token", failingCache, {request: {fetch}},
+    );
+
+    const response = await octokit.request(route, params);
+
+    expect(response.data).to.deep.equal({name: "M130"});
+  });
+
+  describe("with a used up quota", () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({now: BEFORE_RESET, toFake: ["Date"]});
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it("should not send requests when the stored quota is used up",
+        async () => {
+          const fetch = createFetch({}, "\"v4\"");
+          const cache = {
+            ...createMemoryCache(),
+            getRateLimit: async () => ({
+              limit: 5000,
+              remaining: 0,
+              used: 5000,
+              reset: new Date("2023-07-19T10:00:00Z"),
+            }),
+          };
+          const octokit = createCachedOctokit("token", cache, {
+            request: {fetch},
+          });
+
+          let thrown;
+          try {
+            await octokit.request(route, params);
+          } catch (err) {
+            thrown = err;
+          }
+
+          expect(thrown.code).to.equal(SYNC_ERROR_CODES.RATE_LIMITED);
+          expect(fetch.requests).to.be.empty;
+        });
+
+    it("should not send GraphQL queries when their quota is used up",
+        async () => {
+          const requests = [];
+          const fetch = async (url, {headers}) => {
+            requests.push(headers);
+            return new Response(JSON.stringify({data: {viewer: null}}), {
+              status: 200,
+              headers: {
+                ...RATE_LIMIT_HEADERS,
+                "x-ratelimit-remaining": "0",
+                "x-ratelimit-resource": "graphql",
+                "content-type": "application/json",
+              },
+            });
+          };
+          const octokit = createCachedOctokit(
+              "token", createMemoryCache(), {request: {fetch}},
+          );
+
+          await octokit.graphql("query { viewer { login } }");
+          let thrown;
+          try {
+            await octokit.graphql("query { viewer { login } }");
+          } catch (err) {
+            thrown = err;
+          }
+
+          expect(thrown.code).to.equal(SYNC_ERROR_CODES.RATE_LIMITED);
+          expect(requests).to.have.lengthOf(1);
+        });
+  });
+});
@@ -0,0 +1,526 @@
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const sinon = require("sinon");
+const {expect} = require("chai");
+const {Timestamp} = require("firebase-admin/firestore");
+const {installFakeFirestore} = require("../fakes/fakeFirestore.js");
+
+const WEBHOOK_SECRET = "test-webhook-secret";
+const PREVIOUS_WEBHOOK_SECRET = "previous-test-webhook-secret";
+const RELEASE_ID = "release-m130";
+const CHECK_RUN_PATH = "checks/15230012345";
+
+// The database module gets Firestore when it is loaded, so the fake has to be
+// in place before the webhook module is required.
+const fakeDb = installFakeFirestore();
+const {
+  githubWebhook,
+  replayWebhookDelivery,
+} = require("../../github/webhooks.js");
+const ROLES = require("../../utils/roles.js");
+const WEBHOOK_OUTCOMES = require("../../utils/webhookOutcomes.js");
+
+let nextDeliveryId = 0;
+
+/**
+ * Reads a webhook payload fixture.
+ *
+ * @param {string} name - The name of the fixture.
+ * @return {Object} A fresh copy of the payload.
+ */
+function loadPayload(name) {
+  return JSON.parse(JSON.stringify(require(`../fixtures/webhooks/${name}`)));
+}
+
+/**
+ * Creates a webhook request signed the way GitHub signs deliveries.
+ *
+ * @param {string} eventType - The type of the event.
+ * @param {Object} payload - The payload of the event.
+ * @param {string} secret - The secret to sign the payload with.
+ * @param {string} deliveryId - The ID of the delivery, or a new ID by
+ * default.
+ * @return {Object} The request.
+ */
+function createRequest(eventType, payload, secret = WEBHOOK_SECRET,
+    deliveryId = `delivery-${nextDeliveryId++}`) {
+  const rawBody = Buffer.from(JSON.stringify(payload, null, 2));
+  const signature = crypto
+      .createHmac("sha256", secret)
+      .update(rawBody)
+      .digest("hex");
+  return {
+    headers: {
+      "x-github-event": eventType,
+      "x-github-delivery": deliveryId,
+      "x-hub-signature-256": `sha256=${signature}`,
+    },
+    body: payload,
+    rawBody: rawBody,
+  };
+}
+
+/**
+ * Creates a fake response that records its status and body.
+ *
+ * @return {Object} The response.
+ */
+function createResponse() {
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+/**
+ * Sends a webhook delivery to the webhook function.
+ *
+ * @param {Object} req - The request.
+ * @return {Promise<Object>} The response.
+ */
+async function deliver(req) {
+  const res = createResponse();
+  await githubWebhook(req, res);
+  return res;
+}
+
+describe("githubWebhook", () => {
+  const secretEnv = {
+    GITHUB_WEBHOOK_SECRET: WEBHOOK_SECRET,
+    GITHUB_WEBHOOK_PREVIOUS_SECRET: PREVIOUS_WEBHOOK_SECRET,
+  };
+  const originalEnv = {};
+
+  before(() => {
+    Object.entries(secretEnv).forEach(([name, value]) => {
+      originalEnv[name] = process.env[name];
+      process.env[name] = value;
+    });
+  });
+
+  after(() => {
+    Object.keys(secretEnv).forEach((name) => {
+      if (originalEnv[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = originalEnv[name];
+      }
+    });
+  });
+
+  beforeEach(() => {
+    fakeDb.documents.clear();
+    fakeDb.seed(`releases/${RELEASE_ID}`, {
+      releaseName: "M130",
+      releaseBranchName: "releases/M130",
+      repoOwner: "firebase",
+      repoName: "firebase-android-sdk",
+    });
+  });
+
+  it("should reject deliveries with an invalid signature", async () => {
+    const req = createRequest(
+        "check_run",
+        loadPayload("check_run_completed.json"),
+        "wrong-secret",
+    );
+
+    const res = await deliver(req);
+
+    expect(res.statusCode).to.equal(401);
+    expect(fakeDb.dump(CHECK_RUN_PATH)).to.be.undefined;
+  });
+
+  it("should accept deliveries signed with the previous secret", async () => {
+    const res = await deliver(createRequest(
+        "check_run",
+        loadPayload("check_run_completed.json"),
+        PREVIOUS_WEBHOOK_SECRET,
+    ));
+
+    expect(res.statusCode).to.equal(200);
+    expect(fakeDb.dump(CHECK_RUN_PATH).releaseID).to.equal(RELEASE_ID);
+  });
+
+  it("should only accept the current secret without a previous secret",
+      async () => {
+        process.env.GITHUB_WEBHOOK_PREVIOUS_SECRET = "";
+
+        try {
+          const current = await deliver(createRequest(
+              "check_run",
+              loadPayload("check_run_completed.json"),
+          ));
+          const previous = await deliver(createRequest(
+              "check_run",
+              loadPayload("check_run_completed.json"),
+              PREVIOUS_WEBHOOK_SECRET,
+          ));
+
+          expect(current.statusCode).to.equal(200);
+          expect(previous.statusCode).to.equal(401);
+        } finally {
+          process.env.GITHUB_WEBHOOK_PREVIOUS_SECRET = PREVIOUS_WEBHOOK_SECRET;
+        }
+      });
+
+  describe("check_run events", () => {
+    it("should create a complete check for a new check run", async () => {
+      const res = await deliver(
+          createRequest("check_run", loadPayload("check_run_completed.json")),
+      );
+
+      expect(res.statusCode).to.equal(200);
+      expect(fakeDb.dump(CHECK_RUN_PATH)).to.deep.equal({
+        name: "Unit Tests (:firebase-common)",
+        headSHA: "6dcb09b5b57875f334f61aebed695e2e4193db5e",
+        status: "completed",
+        conclusion: "success",
+        outputTitle: "All tests passed",
+        httpsUrl:
+          "https://github.com/firebase/firebase-android-sdk/runs/15230012345",
+        releaseID: RELEASE_ID,
+      });
+    });
+
+    it("should update a stored check without dropping its fields",
+        async () => {
+          fakeDb.seed(CHECK_RUN_PATH, {
+            name: "Unit Tests (:firebase-common)",
+            headSHA: "6dcb09b5b57875f334f61aebed695e2e4193db5e",
+            status: "in_progress",
+            conclusion: null,
+            outputTitle: null,
+            httpsUrl:
+              "https://github.com/firebase/firebase-android-sdk/runs/15230012345",
+            releaseID: RELEASE_ID,
+          });
+
+          const res = await deliver(
+              createRequest("check_run",
+                  loadPayload("check_run_completed.json")),
+          );
+
+          expect(res.statusCode).to.equal(200);
+          const check = fakeDb.dump(CHECK_RUN_PATH);
+          expect(check.status).to.equal("completed");
+          expect(check.conclusion).to.equal("success");
+          expect(check.name).to.equal("Unit Tests (:firebase-common)");
+          expect(check.httpsUrl).to.equal(
+              "https://github.com/firebase/firebase-android-sdk/runs/15230012345",
+          );
+          expect(check.releaseID).to.equal(RELEASE_ID);
+        });
+
+    it("should ignore check runs on branches without a release", async () => {
+      const res = await deliver(
+          createRequest("check_run",
+              loadPayload("check_run_feature_branch.json")),
+      );
+
+      expect(res.statusCode).to.equal(200);
+      expect(fakeDb.dump("checks/15230099999")).to.be.undefined;
+    });
+
+    it("should ignore check runs from another repository", async () => {
+      const payload = loadPayload("check_run_completed.json");
+      payload.repository.owner.login = "someone-else";
+
+      const res = await deliver(createRequest("check_run", payload));
+
+      expect(res.statusCode).to.equal(200);
+      expect(fakeDb.dump(CHECK_RUN_PATH)).to.be.undefined;
+    });
+
+    it("should respond with an error if the check can't be stored",
+        async () => {
+          const collection = sinon.stub(fakeDb, "collection").callThrough();
+          collection.withArgs("checks")
+              .throws(new Error("Firestore unavailable"));
+
+          try {
+            const res = await deliver(
+                createRequest("check_run",
+                    loadPayload("check_run_completed.json"),
+                    WEBHOOK_SECRET, "failed-delivery"),
+            );
+
+            expect(res.statusCode).to.equal(500);
+            const delivery = fakeDb.dump("webhookDeliveries/failed-delivery");
+            expect(delivery.outcome).to.equal(WEBHOOK_OUTCOMES.FAILED);
+            expect(delivery.error).to.equal("Firestore unavailable");
+          } finally {
+            collection.restore();
+          }
+        });
+  });
+
+  describe("pull_request events", () => {
+    it("should respond with an error if the release can't be synced",
+        async () => {
+          const collection = sinon.stub(fakeDb, "collection").callThrough();
+          collection.withArgs("releases")
+              .throws(new Error("Firestore unavailable"));
+
+          try {
+            const res = await deliver(createRequest("pull_request", {
+              action: "opened",
+              pull_request: {head: {ref: "releases/M130"}},
+              repository: {
+                owner: {login: "firebase"},
+                name: "firebase-android-sdk",
+              },
+            }, WEBHOOK_SECRET, "failed-delivery"));
+
+            expect(res.statusCode).to.equal(500);
+            const delivery = fakeDb.dump("webhookDeliveries/failed-delivery");
+            expect(delivery.outcome).to.equal(WEBHOOK_OUTCOMES.FAILED);
+            expect(delivery.error).to.equal("Firestore unavailable");
+          } finally {
+            collection.restore();
+          }
+        });
+  });
+
+  describe("push events", () => {
+    it("should request a sync when release data is pushed", async () => {
+      const res = await deliver(
+          createRequest("push", loadPayload("push_release_config.json")),
+      );
+
+      expect(res.statusCode).to.equal(200);
+      const pendingSync = fakeDb.dump(`pendingSyncs/${RELEASE_ID}`);
+      expect(pendingSync.releaseId).to.equal(RELEASE_ID);
+      expect(pendingSync.actor).to.equal("octocat");
+      expect(pendingSync.requestCount).to.equal(1);
+    });
+
+    it("should not request a sync for pushes that don't change release data",
+        async () => {
+          const payload = loadPayload("push_release_config.json");
+          payload.commits[0].modified = ["README.md"];
+
+          const res = await deliver(createRequest("push", payload));
+
+          expect(res.statusCode).to.equal(200);
+          expect(fakeDb.dump(`pendingSyncs/${RELEASE_ID}`)).to.be.undefined;
+        });
+  });
+
+  describe("workflow_run events", () => {
+    it("should update the build artifact of the release", async () => {
+      const res = await deliver(
+          createRequest("workflow_run",
+              loadPayload("workflow_run_in_progress.json")),
+      );
+
+      expect(res.statusCode).to.equal(200);
+      const release = fakeDb.dump(`releases/${RELEASE_ID}`);
+      expect(release.buildArtifactStatus).to.equal("in_progress");
+      expect(release.buildArtifactJobId).to.equal(5630012345);
+      expect(release.buildArtifactLink).to.equal(
+          "https://github.com/firebase/firebase-android-sdk/actions/runs/5630012345",
+      );
+    });
+  });
+
+  describe("delivery log", () => {
+    it("should record deliveries with their outcome", async () => {
+      const payload = loadPayload("push_release_config.json");
+
+      await deliver(createRequest("push", payload, WEBHOOK_SECRET, "abc-123"));
+
+      const delivery = fakeDb.dump("webhookDeliveries/abc-123");
+      expect(delivery.eventType).to.equal("push");
+      expect(delivery.branch).to.equal("releases/M130");
+      expect(delivery.outcome).to.equal(WEBHOOK_OUTCOMES.SUCCEEDED);
+      expect(delivery.error).to.be.null;
+      expect(JSON.parse(delivery.payload)).to.deep.equal(payload);
+    });
+
+    it("should not record deliveries with an invalid signature", async () => {
+      await deliver(createRequest("push",
+          loadPayload("push_release_config.json"),
+          "wrong-secret", "abc-123"));
+
+      expect(fakeDb.dump("webhookDeliveries/abc-123")).to.be.undefined;
+    });
+
+    it("should ignore duplicate deliveries", async () => {
+      const req = createRequest("push",
+          loadPayload("push_release_config.json"),
+          WEBHOOK_SECRET, "abc-123");
+
+      await deliver(req);
+      const res = await deliver(req);
+
+      expect(res.statusCode).to.equal(200);
+      const pendingSync = fakeDb.dump(`pendingSyncs/${RELEASE_ID}`);
+      expect(pendingSync.requestCount).to.equal(1);
+    });
+
+    it("should not store payloads that are too large in bytes", async () => {
+      // Each character takes two bytes, so the payload is under the limit in
+      // characters, but over it in bytes
+      const payload = loadPayload("push_release_config.json");
+      payload.padding = "é".repeat(500000);
+
+      await deliver(createRequest("push", payload, WEBHOOK_SECRET, "abc-123"));
+
+      const delivery = fakeDb.dump("webhookDeliveries/abc-123");
+      expect(delivery.payload).to.be.null;
+      expect(delivery.outcome).to.equal(WEBHOOK_OUTCOMES.SUCCEEDED);
+    });
+
+    it("should handle redeliveries of deliveries that failed", async () => {
+      fakeDb.seed("webhookDeliveries/abc-123", {
+        eventType: "push",
+        outcome: WEBHOOK_OUTCOMES.FAILED,
+        error: "Firestore unavailable",
+        replayCount: 2,
+      });
+
+      const res = await deliver(createRequest("push",
+          loadPayload("push_release_config.json"),
+          WEBHOOK_SECRET, "abc-123"));
+
+      expect(res.statusCode).to.equal(200);
+      const delivery = fakeDb.dump("webhookDeliveries/abc-123");
+      expect(delivery.outcome).to.equal(WEBHOOK_OUTCOMES.SUCCEEDED);
+      expect(delivery.replayCount).to.equal(2);
+      const pendingSync = fakeDb.dump(`pendingSyncs/${RELEASE_ID}`);
+      expect(pendingSync.requestCount).to.equal(1);
+    });
+
+    it("should handle redeliveries of deliveries left processing by a " +
+      "crashed handler", async () => {
+      const claimedAt = Timestamp.fromMillis(Date.now() - 60 * 60 * 1000);
+      fakeDb.seed("webhookDeliveries/abc-123", {
+        eventType: "push",
+        outcome: WEBHOOK_OUTCOMES.PROCESSING,
+        error: null,
+        receivedAt: claimedAt,
+        claimedAt: claimedAt,
+        replayCount: 0,
+      });
+
+      await deliver(createRequest("push",
+          loadPayload("push_release_config.json"),
+          WEBHOOK_SECRET, "abc-123"));
+
+      const delivery = fakeDb.dump("webhookDeliveries/abc-123");
+      expect(delivery.outcome).to.equal(WEBHOOK_OUTCOMES.SUCCEEDED);
+      const pendingSync = fakeDb.dump(`pendingSyncs/${RELEASE_ID}`);
+      expect(pendingSync.requestCount).to.equal(1);
+    });
+
+    it("should ignore redeliveries of deliveries that are being handled",
+        async () => {
+          fakeDb.seed("webhookDeliveries/abc-123", {
+            eventType: "push",
+            outcome: WEBHOOK_OUTCOMES.PROCESSING,
+            error: null,
+            receivedAt: Timestamp.now(),
+            claimedAt: Timestamp.now(),
+            replayCount: 0,
+          });
+
+          const res = await deliver(createRequest("push",
+              loadPayload("push_release_config.json"),
+              WEBHOOK_SECRET, "abc-123"));
+
+          expect(res.statusCode).to.equal(200);
+          expect(fakeDb.dump("webhookDeliveries/abc-123").outcome)
+              .to.equal(WEBHOOK_OUTCOMES.PROCESSING);
+          expect(fakeDb.dump(`pendingSyncs/${RELEASE_ID}`)).to.be.undefined;
+        });
+
+    it("should handle concurrent redeliveries once", async () => {
+      const req = createRequest("push",
+          loadPayload("push_release_config.json"),
+          WEBHOOK_SECRET, "abc-123");
+
+      await Promise.all([deliver(req), deliver(req)]);
+
+      const pendingSync = fakeDb.dump(`pendingSyncs/${RELEASE_ID}`);
+      expect(pendingSync.requestCount).to.equal(1);
+    });
+  });
+
+  describe("replayWebhookDelivery", () => {
+    let authStub;
+
+    beforeEach(() => {
+      authStub = sinon.stub(admin, "auth").get(() => () => ({
+        verifyIdToken: async (token) => ({
+          uid: "user-1",
+          email: "operator@example.com",
+          role: token === "operator-token" ? ROLES.OPERATOR : undefined,
+        }),
+      }));
+      fakeDb.seed("webhookDeliveries/abc-123", {
+        eventType: "check_run",
+        branch: "releases/M130",
+        payload: JSON.stringify(loadPayload("check_run_completed.json")),
+        outcome: WEBHOOK_OUTCOMES.FAILED,
+        error: "Firestore unavailable",
+        replayCount: 0,
+      });
+    });
+
+    afterEach(() => {
+      authStub.restore();
+    });
+
+    /**
+     * Sends a replay request for a delivery.
+     *
+     * @param {string} deliveryId - The ID of the delivery to replay.
+     * @param {string} token - The ID token of the user.
+     * @return {Promise<Object>} The response.
+     */
+    async function replay(deliveryId, token = "operator-token") {
+      const res = createResponse();
+      await replayWebhookDelivery({
+        method: "POST",
+        headers: {authorization: `Bearer ${token}`},
+        body: {deliveryId: deliveryId},
+      }, res);
+      return res;
+    }
+
+    it("should handle the stored payload again", async () => {
+      const res = await replay("abc-123");
+
+      expect(res.statusCode).to.equal(200);
+      expect(fakeDb.dump(CHECK_RUN_PATH).releaseID).to.equal(RELEASE_ID);
+      const delivery = fakeDb.dump("webhookDeliveries/abc-123");
+      expect(delivery.outcome).to.equal(WEBHOOK_OUTCOMES.SUCCEEDED);
+      expect(delivery.error).to.be.null;
+      expect(delivery.replayCount).to.equal(1);
+      expect(delivery.lastReplayedBy).to.equal("operator@example.com");
+    });
+
+    it("should respond with not found for unknown deliveries", async () => {
+      const res = await replay("unknown");
+
+      expect(res.statusCode).to.equal(404);
+    });
+
+    it("should only allow operators to replay deliveries", async () => {
+      const res = await replay("abc-123", "viewer-token");
+
+      expect(res.statusCode).to.equal(403);
+      expect(fakeDb.dump(CHECK_RUN_PATH)).to.be.undefined;
+    });
+  });
+});
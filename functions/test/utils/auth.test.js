@@ -0,0 +1,44 @@
+const {
+  getUserRole,
+  hasRole,
+} = require("../../utils/auth.js");
+const ROLES = require("../../utils/roles.js");
+const {expect} = require("chai");
+
+describe("getUserRole", () => {
+  it("should return the role from the user's custom claims", () => {
+    const user = {uid: "1", role: ROLES.OPERATOR};
+    expect(getUserRole(user)).to.equal(ROLES.OPERATOR);
+  });
+
+  it("should return viewer if the user has no role", () => {
+    const user = {uid: "1"};
+    expect(getUserRole(user)).to.equal(ROLES.VIEWER);
+  });
+
+  it("should return viewer if the user has an unknown role", () => {
+    const user = {uid: "1", role: "superuser"};
+    expect(getUserRole(user)).to.equal(ROLES.VIEWER);
+  });
+});
+
+describe("hasRole", () => {
+  it("should allow admins to do everything", () => {
+    const user = {uid: "1", role: ROLES.ADMIN};
+    expect(hasRole(user, ROLES.VIEWER)).to.be.true;
+    expect(hasRole(user, ROLES.OPERATOR)).to.be.true;
+    expect(hasRole(user, ROLES.ADMIN)).to.be.true;
+  });
+
+  it("should not allow operators to perform admin actions", () => {
+    const user = {uid: "1", role: ROLES.OPERATOR};
+    expect(hasRole(user, ROLES.OPERATOR)).to.be.true;
+    expect(hasRole(user, ROLES.ADMIN)).to.be.false;
+  });
+
+  it("should only allow users without a role to view", () => {
+    const user = {uid: "1"};
+    expect(hasRole(user, ROLES.VIEWER)).to.be.true;
+    expect(hasRole(user, ROLES.OPERATOR)).to.be.false;
+  });
+});
@@ -0,0 +1,140 @@
+const {
+  DEFAULT_BRANCH_NAME_TEMPLATE,
+  generateCadenceReleases,
+} = require("../../utils/cadence.js");
+const {expect} = require("chai");
+const ERRORS = require("../../utils/errors.js");
+
+// The latest release, on a Tuesday.
+const LATEST_RELEASE = {
+  releaseName: "M130",
+  codeFreezeDate: new Date("2026-10-13T00:00:00Z"),
+  releaseDate: new Date("2026-10-20T00:00:00Z"),
+};
+
+const CADENCE = {
+  count: 3,
+  intervalWeeks: 2,
+  codeFreezeOffsetDays: 7,
+  branchNameTemplate: DEFAULT_BRANCH_NAME_TEMPLATE,
+  blackoutDates: [],
+};
+
+describe("generateCadenceReleases", () => {
+  it("should generate the releases that follow the latest release", () => {
+    expect(generateCadenceReleases(LATEST_RELEASE, CADENCE)).to.deep.equal([
+      {
+        releaseName: "M131",
+        releaseBranchName: "releases/M131.release",
+        codeFreezeDate: "2026-10-27",
+        releaseDate: "2026-11-03",
+        moved: false,
+      },
+      {
+        releaseName: "M132",
+        releaseBranchName: "releases/M132.release",
+        codeFreezeDate: "2026-11-10",
+        releaseDate: "2026-11-17",
+        moved: false,
+      },
+      {
+        releaseName: "M133",
+        releaseBranchName: "releases/M133.release",
+        codeFreezeDate: "2026-11-24",
+        releaseDate: "2026-12-01",
+        moved: false,
+      },
+    ]);
+  });
+
+  it("should use the branch name template", () => {
+    const releases = generateCadenceReleases(LATEST_RELEASE, {
+      ...CADENCE,
+      count: 1,
+      branchNameTemplate: "releases/{releaseName}",
+    });
+
+    expect(releases[0].releaseBranchName).to.equal("releases/M131");
+  });
+
+  it("should move release dates after blackout dates", () => {
+    const releases = generateCadenceReleases(LATEST_RELEASE, {
+      ...CADENCE,
+      blackoutDates: [{start: "2026-11-16", end: "2026-11-18"}],
+    });
+
+    expect(releases[1]).to.include({
+      releaseDate: "2026-11-19",
+      codeFreezeDate: "2026-11-10",
+      moved: true,
+    });
+    // Later releases keep following the cadence.
+    expect(releases[2]).to.include({releaseDate: "2026-12-01", moved: false});
+  });
+
+  it("should move code freeze dates before blackout dates and weekends",
+      () => {
+        const releases = generateCadenceReleases(LATEST_RELEASE, {
+          ...CADENCE,
+          count: 1,
+          blackoutDates: [{start: "2026-10-26", end: "2026-10-27"}],
+        });
+
+        expect(releases[0]).to.include({
+          codeFreezeDate: "2026-10-23",
+          releaseDate: "2026-11-03",
+          moved: true,
+        });
+      });
+
+  it("should move release dates off weekends", () => {
+    const releases = generateCadenceReleases({
+      releaseName: "M130",
+      codeFreezeDate: new Date("2026-10-17T00:00:00Z"),
+      releaseDate: new Date("2026-10-24T00:00:00Z"),
+    }, {...CADENCE, count: 1});
+
+    expect(releases[0]).to.include({
+      codeFreezeDate: "2026-10-30",
+      releaseDate: "2026-11-09",
+      moved: true,
+    });
+  });
+
+  it("should throw if a moved code freeze overlaps the release before it",
+      () => {
+        expect(() => generateCadenceReleases(LATEST_RELEASE, {
+          ...CADENCE,
+          count: 1,
+          intervalWeeks: 1,
+          blackoutDates: [{start: "2026-10-20", end: "2026-10-20"}],
+        })).to.throw(
+            "The cadence generates an invalid release M131: " +
+            ERRORS.RELEASE_OVERLAP,
+        );
+      });
+
+  it("should throw if the branch names don't match the release names",
+      () => {
+        expect(() => generateCadenceReleases(LATEST_RELEASE, {
+          ...CADENCE,
+          branchNameTemplate: "features/{releaseName}",
+        })).to.throw(
+            "The cadence generates an invalid release M131: " +
+            ERRORS.INVALID_RELEASE_BRANCH_NAME,
+        );
+      });
+
+  it("should throw if the latest release is not numbered", () => {
+    expect(() => generateCadenceReleases(
+        {...LATEST_RELEASE, releaseName: "Hotfix"}, CADENCE,
+    )).to.throw("not numbered");
+  });
+
+  it("should throw if every date nearby is a blackout date", () => {
+    expect(() => generateCadenceReleases(LATEST_RELEASE, {
+      ...CADENCE,
+      blackoutDates: [{start: "2026-01-01", end: "2027-12-31"}],
+    })).to.throw("No available date");
+  });
+});
@@ -0,0 +1,13 @@
+const {getReleaseNumber} = require("../../utils/releaseNames.js");
+const {expect} = require("chai");
+
+describe("getReleaseNumber", () => {
+  it("should return the number of a release", () => {
+    expect(getReleaseNumber("M130")).to.equal(130);
+  });
+
+  it("should return null for a release name without a number", () => {
+    expect(getReleaseNumber("Hotfix")).to.be.null;
+    expect(getReleaseNumber(undefined)).to.be.null;
+  });
+});
@@ -0,0 +1,117 @@
+const {
+  SYNC_ERROR_CODES,
+  SyncError,
+  toSyncError,
+} = require("../../utils/syncErrors.js");
+const ERROR_CATEGORIES = require("../../utils/errorCategories");
+const {expect} = require("chai");
+
+/**
+ * Creates an error like the ones thrown by Octokit for failed requests.
+ *
+ * @param {number} status - The HTTP status of the response.
+ * @param {Object} headers - The headers of the response.
+ * @return {Error} The request error.
+ */
+function createRequestError(status, headers) {
+  const err = new Error(`Request failed with status ${status}`);
+  err.status = status;
+  err.response = {headers: headers || {}};
+  return err;
+}
+
+describe("SyncError", () => {
+  it("should include the code, path, hint and category", () => {
+    const err = new SyncError(
+        SYNC_ERROR_CODES.MALFORMED_RELEASE_CONFIG,
+        "release.json is not valid JSON",
+        "release.json",
+    );
+
+    expect(err).to.be.an.instanceof(Error);
+    expect(err.code).to.equal(SYNC_ERROR_CODES.MALFORMED_RELEASE_CONFIG);
+    expect(err.path).to.equal("release.json");
+    expect(err.hint).to.be.a("string").that.is.not.empty;
+    expect(err.category).to.equal(ERROR_CATEGORIES.INVALID_RELEASE_DATA);
+  });
+
+  it("should include the stack trace of the cause", () => {
+    const cause = new Error("Unexpected end of JSON input");
+    const err = new SyncError(
+        SYNC_ERROR_CODES.MALFORMED_RELEASE_REPORT,
+        "release_report.json is not valid JSON",
+        "release_report.json",
+        cause,
+    );
+
+    expect(err.cause).to.equal(cause);
+    expect(err.stack).to.include("Caused by: Error: Unexpected end of JSON");
+  });
+});
+
+describe("toSyncError", () => {
+  it("should return sync errors as is", () => {
+    const err = new SyncError(SYNC_ERROR_CODES.MISSING_VERSION, "No version");
+    expect(toSyncError(err)).to.equal(err);
+  });
+
+  it("should use the not found code for missing paths", () => {
+    const err = toSyncError(
+        createRequestError(404),
+        "release.json",
+        SYNC_ERROR_CODES.FILE_NOT_FOUND,
+    );
+
+    expect(err.code).to.equal(SYNC_ERROR_CODES.FILE_NOT_FOUND);
+    expect(err.path).to.equal("release.json");
+  });
+
+  it("should detect rate limited requests", () => {
+    const rateLimited = createRequestError(403, {
+      "x-ratelimit-remaining": "0",
+    });
+
+    expect(toSyncError(rateLimited).code)
+        .to.equal(SYNC_ERROR_CODES.RATE_LIMITED);
+    expect(toSyncError(createRequestError(429)).code)
+        .to.equal(SYNC_ERROR_CODES.RATE_LIMITED);
+  });
+
+  it("should detect requests rejected by secondary rate limits", () => {
+    const retryAfter = createRequestError(403, {
+      "x-ratelimit-remaining": "4990",
+      "retry-after": "60",
+    });
+    const secondaryRateLimit = createRequestError(403);
+    secondaryRateLimit.message =
+      "You have exceeded a secondary rate limit. Please wait a few minutes " +
+      "before you try again.";
+
+    expect(toSyncError(retryAfter).code)
+        .to.equal(SYNC_ERROR_CODES.RATE_LIMITED);
+    expect(toSyncError(secondaryRateLimit).code)
+        .to.equal(SYNC_ERROR_CODES.RATE_LIMITED);
+  });
+
+  it("should detect authentication failures", () => {
+    expect(toSyncError(createRequestError(401)).code)
+        .to.equal(SYNC_ERROR_CODES.AUTH_FAILED);
+    expect(toSyncError(createRequestError(403)).code)
+        .to.equal(SYNC_ERROR_CODES.AUTH_FAILED);
+  });
+
+  it("should categorize other failed requests as GitHub errors", () => {
+    const err = toSyncError(createRequestError(502));
+
+    expect(err.code).to.equal(SYNC_ERROR_CODES.GITHUB_REQUEST_FAILED);
+    expect(err.category).to.equal(ERROR_CATEGORIES.GITHUB);
+  });
+
+  it("should categorize unexpected errors as internal", () => {
+    const err = toSyncError(new TypeError("Cannot read properties"));
+
+    expect(err.code).to.equal(SYNC_ERROR_CODES.INTERNAL);
+    expect(err.category).to.equal(ERROR_CATEGORIES.INTERNAL);
+    expect(err.path).to.be.null;
+  });
+});
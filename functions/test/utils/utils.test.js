@@ -7,6 +7,11 @@ const {
   processLibraryNames,
   parseCommitTitleFromMessage,
   getStackTrace,
+  selectReleasesToSync,
+  getReleaseSyncLimit,
+  getReleaseChanges,
+  assignDefaultOperator,
+  getUserIdentifier,
 } = require("../../utils/utils.js");
 const RELEASE_STATES = require("../../utils/releaseStates");
 const {expect} = require("chai");
@@ -274,3 +279,200 @@ describe("getStackTrace", () => {
     expect(result).to.contain("at");
   });
 });
+
+describe("selectReleasesToSync", () => {
+  const releases = [
+    {id: "1", releaseDate: Timestamp.fromDate(new Date("2023-09-19"))},
+    {id: "2", releaseDate: Timestamp.fromDate(new Date("2023-07-19"))},
+    {id: "3", releaseDate: Timestamp.fromDate(new Date("2023-08-19"))},
+  ];
+
+  it("should select the releases deferred in the previous run", () => {
+    const firstRun = selectReleasesToSync(releases, 2);
+    const lastScheduledSyncAt = Timestamp.fromDate(new Date("2023-07-01"));
+    const releasesAfterFirstRun = releases.map((release) =>
+      firstRun.selected.includes(release) ?
+        {...release, lastScheduledSyncAt: lastScheduledSyncAt} :
+        release);
+
+    const secondRun = selectReleasesToSync(releasesAfterFirstRun, 2);
+
+    expect(firstRun.deferred.map((release) => release.id))
+        .to.deep.equal(["1"]);
+    expect(secondRun.selected.map((release) => release.id))
+        .to.deep.equal(["1", "2"]);
+    expect(secondRun.deferred.map((release) => release.id))
+        .to.deep.equal(["3"]);
+  });
+
+  it("should select the releases synced longest ago first", () => {
+    const syncedReleases = [
+      {...releases[0], lastScheduledSyncAt:
+        Timestamp.fromDate(new Date("2023-07-01T10:00:00Z"))},
+      {...releases[1], lastScheduledSyncAt:
+        Timestamp.fromDate(new Date("2023-07-01T11:00:00Z"))},
+      {...releases[2], lastScheduledSyncAt:
+        Timestamp.fromDate(new Date("2023-07-01T09:00:00Z"))},
+    ];
+
+    const {selected} = selectReleasesToSync(syncedReleases, 2);
+
+    expect(selected.map((release) => release.id)).to.deep.equal(["3", "1"]);
+  });
+
+  it("should select the releases with the earliest release dates", () => {
+    const {selected, deferred} = selectReleasesToSync(releases, 2);
+
+    expect(selected.map((release) => release.id)).to.deep.equal(["2", "3"]);
+    expect(deferred.map((release) => release.id)).to.deep.equal(["1"]);
+  });
+
+  it("should select all releases when under the limit", () => {
+    const {selected, deferred} = selectReleasesToSync(releases, 10);
+
+    expect(selected).to.have.lengthOf(3);
+    expect(deferred).to.be.empty;
+  });
+
+  it("should not modify the original array", () => {
+    selectReleasesToSync(releases, 1);
+
+    expect(releases.map((release) => release.id))
+        .to.deep.equal(["1", "2", "3"]);
+  });
+});
+
+describe("getReleaseSyncLimit", () => {
+  const now = new Date("2023-07-19T10:00:00Z");
+  const reset = new Date("2023-07-19T10:30:00Z");
+
+  it("should sync the maximum when the quota is unknown", () => {
+    expect(getReleaseSyncLimit(null, 10, 50, 200, now)).to.equal(10);
+  });
+
+  it("should limit the releases to the remaining quota", () => {
+    const rateLimit = {remaining: 400, reset: reset};
+
+    expect(getReleaseSyncLimit(rateLimit, 10, 50, 200, now)).to.equal(4);
+  });
+
+  it("should defer every release when the quota is low", () => {
+    const rateLimit = {remaining: 100, reset: reset};
+
+    expect(getReleaseSyncLimit(rateLimit, 10, 50, 200, now)).to.equal(0);
+  });
+
+  it("should sync the maximum once the quota has been reset", () => {
+    const rateLimit = {remaining: 0, reset: new Date("2023-07-19T09:00:00Z")};
+
+    expect(getReleaseSyncLimit(rateLimit, 10, 50, 200, now)).to.equal(10);
+  });
+});
+
+describe("getReleaseChanges", () => {
+  it("should return only the fields that changed", () => {
+    const before = {releaseName: "M130", isReleased: false};
+    const after = {releaseName: "M130", isReleased: true};
+
+    expect(getReleaseChanges(before, after)).to.deep.equal({
+      isReleased: {before: false, after: true},
+    });
+  });
+
+  it("should compare Firestore Timestamps by value", () => {
+    const before = {releaseDate: Timestamp.fromDate(new Date("2023-07-19"))};
+    const after = {releaseDate: Timestamp.fromDate(new Date("2023-07-19"))};
+
+    expect(getReleaseChanges(before, after)).to.deep.equal({});
+  });
+
+  it("should compare arrays and objects by value", () => {
+    const before = {
+      operatorHistory: [{
+        operator: "operator@google.com",
+        assignedBy: "admin@google.com",
+        assignedAt: Timestamp.fromDate(new Date("2023-07-19")),
+      }],
+      syncError: {code: "branch-not-found", path: null},
+    };
+    const after = {
+      operatorHistory: [{
+        assignedAt: Timestamp.fromDate(new Date("2023-07-19")),
+        assignedBy: "admin@google.com",
+        operator: "operator@google.com",
+      }],
+      syncError: {path: null, code: "branch-not-found"},
+    };
+
+    expect(getReleaseChanges(before, after)).to.deep.equal({});
+  });
+
+  it("should detect changes inside arrays", () => {
+    const before = {operatorHistory: [{operator: "a@google.com"}]};
+    const after = {
+      operatorHistory: [{operator: "a@google.com"}, {operator: "b@google.com"}],
+    };
+
+    expect(getReleaseChanges(before, after)).to.have.keys("operatorHistory");
+  });
+
+  it("should represent missing fields as null", () => {
+    const before = {releaseName: "M130"};
+
+    expect(getReleaseChanges(before, {})).to.deep.equal({
+      releaseName: {before: "M130", after: null},
+    });
+  });
+
+  it("should only compare the given fields", () => {
+    const before = {releaseName: "M130", state: "code freeze"};
+    const after = {releaseName: "M131"};
+
+    expect(getReleaseChanges(before, after, ["releaseName"])).to.deep.equal({
+      releaseName: {before: "M130", after: "M131"},
+    });
+  });
+});
+
+describe("assignDefaultOperator", () => {
+  it("should assign the operator to releases without one", () => {
+    const releases = [
+      {releaseName: "M130"},
+      {releaseName: "M131", releaseOperator: " "},
+    ];
+
+    const result = assignDefaultOperator(releases, "operator@example.com");
+
+    expect(result.map((release) => release.releaseOperator)).to.deep.equal([
+      "operator@example.com",
+      "operator@example.com",
+    ]);
+  });
+
+  it("should keep the operator of releases that specify one", () => {
+    const releases = [{releaseName: "M130", releaseOperator: "operator1"}];
+
+    const result = assignDefaultOperator(releases, "operator@example.com");
+
+    expect(result[0].releaseOperator).to.equal("operator1");
+  });
+
+  it("should not modify the given releases", () => {
+    const releases = [{releaseName: "M130"}];
+
+    assignDefaultOperator(releases, "operator@example.com");
+
+    expect(releases[0]).to.not.have.property("releaseOperator");
+  });
+});
+
+describe("getUserIdentifier", () => {
+  it("should return the email of the user", () => {
+    const user = {uid: "uid1", email: "operator@example.com"};
+    expect(getUserIdentifier(user)).to.equal("operator@example.com");
+  });
+
+  it("should return the UID of a user without an email", () => {
+    expect(getUserIdentifier({uid: "uid1"})).to.equal("uid1");
+  });
+});
@@ -2,8 +2,11 @@ const chai = require("chai");
 const expect = chai.expect;
 const {
   validateNewReleases,
+  validateModifiedRelease,
   validateNewReleasesStructure,
   isValidDate,
+  getReleaseErrorIndexes,
+  validateCadence,
 } = require("../../validation/validation.js");
 const ERRORS = require("../../utils/errors.js");
 const {Timestamp} = require("firebase-admin/firestore");
@@ -17,7 +20,7 @@ describe("validateNewReleases", () => {
         releaseOperator: "operator1",
         codeFreezeDate: "2123-06-30",
         releaseDate: "2123-07-07",
-        releaseBranchName: "releases/${releaseName}",
+        releaseBranchName: "releases/M103",
         isReleased: false,
       },
       {
@@ -25,7 +28,7 @@ describe("validateNewReleases", () => {
         releaseOperator: "operator1",
         codeFreezeDate: "2123-07-30",
         releaseDate: "2123-08-07",
-        releaseBranchName: "branch",
+        releaseBranchName: "releases/M104",
         isReleased: false,
       },
       {
@@ -33,7 +36,7 @@ describe("validateNewReleases", () => {
         releaseOperator: "operator1",
         codeFreezeDate: "2123-08-30",
         releaseDate: "2123-09-07",
-        releaseBranchName: "branch",
+        releaseBranchName: "releases/M105",
         isReleased: false,
       },
     ];
@@ -52,7 +55,7 @@ describe("validateNewReleases", () => {
         releaseOperator: "operator1",
         codeFreezeDate: "2123-06-30",
         releaseDate: "2123-07-07",
-        releaseBranchName: "branch",
+        releaseBranchName: "releases/M103",
         isReleased: false,
       },
       {
@@ -60,7 +63,7 @@ describe("validateNewReleases", () => {
         releaseOperator: "operator1",
         codeFreezeDate: "2123-07-30",
         releaseDate: "2123-08-07",
-        releaseBranchName: "branch",
+        releaseBranchName: "releases/M104",
         isReleased: false,
       },
       {
@@ -68,7 +71,7 @@ describe("validateNewReleases", () => {
         releaseOperator: "operator1",
         codeFreezeDate: "2123-08-30",
         releaseDate: "2123-09-07",
-        releaseBranchName: "branch",
+        releaseBranchName: "releases/M105",
         isReleased: false,
       },
     ];
@@ -78,7 +81,7 @@ describe("validateNewReleases", () => {
         releaseOperator: "operator1",
         codeFreezeDate: "2022-06-30",
         releaseDate: "2022-07-07",
-        releaseBranchName: "branch",
+        releaseBranchName: "releases/M102",
         isReleased: false,
       },
     ];
@@ -88,14 +91,14 @@ describe("validateNewReleases", () => {
     expect(errors).to.be.an("array").that.is.empty;
   });
 
-  it("should not return an error for invalid release name", async () => {
+  it("should return an error for release name 101", async () => {
     const newReleases = [
       {
         releaseName: "101",
         releaseOperator: "operator1",
         codeFreezeDate: "2123-06-30",
         releaseDate: "2123-07-07",
-        releaseBranchName: "branch",
+        releaseBranchName: "releases/101",
         isReleased: false,
       },
     ];
@@ -103,17 +106,21 @@ describe("validateNewReleases", () => {
 
     const errors = await validateNewReleases(newReleases, existingReleases);
 
-    expect(errors).to.be.an("array").that.is.empty;
+    expect(errors).to.deep.include({
+      message: ERRORS.INVALID_RELEASE_NAME,
+      offendingRelease: newReleases[0],
+      field: "releaseName",
+    });
   });
 
-  it("should not return an error for invalid release name", async () => {
+  it("should return an error for release name m101", async () => {
     const newReleases = [
       {
         releaseName: "m101",
         releaseOperator: "operator1",
         codeFreezeDate: "2123-06-30",
         releaseDate: "2123-07-07",
-        releaseBranchName: "branch",
+        releaseBranchName: "releases/m101",
         isReleased: false,
       },
     ];
@@ -121,7 +128,11 @@ describe("validateNewReleases", () => {
 
     const errors = await validateNewReleases(newReleases, existingReleases);
 
-    expect(errors).to.be.an("array").that.is.empty;
+    expect(errors).to.deep.include({
+      message: ERRORS.INVALID_RELEASE_NAME,
+      offendingRelease: newReleases[0],
+      field: "releaseName",
+    });
   });
 
   it("should return an error for invalid date", async () => {
@@ -131,7 +142,7 @@ describe("validateNewReleases", () => {
         releaseOperator: "operator1",
         codeFreezeDate: "not a date",
         releaseDate: "not a date",
-        releaseBranchName: "branch",
+        releaseBranchName: "releases/M101.release",
         isReleased: false,
       },
     ];
@@ -141,6 +152,7 @@ describe("validateNewReleases", () => {
     const expectedErrors = {
       message: ERRORS.INVALID_DATE,
       offendingRelease: newReleases[0],
+      field: "codeFreezeDate",
     };
 
     expect(errors).to.deep.include(expectedErrors);
@@ -154,7 +166,7 @@ describe("validateNewReleases", () => {
         releaseOperator: "operator1",
         codeFreezeDate: "2123-07-30",
         releaseDate: "2123-07-07",
-        releaseBranchName: "branch",
+        releaseBranchName: "releases/M101",
         isReleased: false,
       },
     ];
@@ -164,6 +176,7 @@ describe("validateNewReleases", () => {
     const expectedErrors = {
       message: ERRORS.CODEFREEZE_AFTER_RELEASE,
       offendingRelease: newReleases[0],
+      field: "codeFreezeDate",
     };
 
     expect(errors).to.deep.include(expectedErrors);
@@ -177,7 +190,7 @@ describe("validateNewReleases", () => {
         releaseOperator: "operator1",
         codeFreezeDate: "2123-07-07",
         releaseDate: "2123-07-07",
-        releaseBranchName: "branch",
+        releaseBranchName: "releases/M101",
         isReleased: false,
       },
     ];
@@ -187,6 +200,7 @@ describe("validateNewReleases", () => {
     const expectedErrors = {
       message: ERRORS.CODEFREEZE_AFTER_RELEASE,
       offendingRelease: newReleases[0],
+      field: "codeFreezeDate",
     };
 
     expect(errors).to.deep.include(expectedErrors);
@@ -199,7 +213,7 @@ describe("validateNewReleases", () => {
         releaseOperator: "operator1",
         codeFreezeDate: "2123-06-30",
         releaseDate: "2123-07-07",
-        releaseBranchName: "branch",
+        releaseBranchName: "releases/M103",
         isReleased: false,
       },
       {
@@ -207,13 +221,14 @@ describe("validateNewReleases", () => {
         releaseOperator: "operator1",
         codeFreezeDate: "2123-06-30",
         releaseDate: "2123-07-07",
-        releaseBranchName: "branch",
+        releaseBranchName: "releases/M103",
         isReleased: false,
       },
     ];
     const errors = validateNewReleases(newReleases);
     const expectedErrors = {
       message: ERRORS.DUPLICATE_RELEASE_NAMES,
+      field: "releaseName",
     };
     expect(errors).to.deep.include(expectedErrors);
   });
@@ -233,6 +248,7 @@ describe("validateNewReleases", () => {
     const expectedErrors = {
       message: ERRORS.MISSING_RELEASE_FIELD,
       offendingRelease: newReleases[0],
+      field: "releaseBranchName",
     };
 
     expect(errors).to.deep.include(expectedErrors);
@@ -253,6 +269,7 @@ describe("validateNewReleases", () => {
     const expectedErrors = {
       message: ERRORS.MISSING_RELEASE_FIELD,
       offendingRelease: newReleases[0],
+      field: "isReleased",
     };
 
     expect(errors).to.deep.include(expectedErrors);
@@ -275,12 +292,330 @@ describe("validateNewReleases", () => {
     const expectedErrors = {
       message: ERRORS.INVALID_RELEASE_FIELD,
       offendingRelease: newReleases[0],
+      field: "isReleased",
+    };
+
+    expect(errors).to.deep.include(expectedErrors);
+  });
+
+  it("should return no errors for a release with a repository", () => {
+    const newReleases = [
+      {
+        releaseName: "M101",
+        releaseOperator: "operator1",
+        codeFreezeDate: "2123-06-30",
+        releaseDate: "2123-07-07",
+        releaseBranchName: "releases/M101",
+        isReleased: false,
+        repoOwner: "my-org",
+        repoName: "firebase-android-sdk.fork",
+      },
+    ];
+
+    const errors = validateNewReleases(newReleases);
+
+    expect(errors).to.be.an("array").that.is.empty;
+  });
+
+  it("should return an error for a repository without an owner", () => {
+    const newReleases = [
+      {
+        releaseName: "M101",
+        releaseOperator: "operator1",
+        codeFreezeDate: "2123-06-30",
+        releaseDate: "2123-07-07",
+        releaseBranchName: "releases/M101",
+        isReleased: false,
+        repoName: "firebase-android-sdk",
+      },
+    ];
+
+    const errors = validateNewReleases(newReleases);
+    const expectedErrors = {
+      message: ERRORS.MISSING_RELEASE_FIELD,
+      offendingRelease: newReleases[0],
+      field: "repoOwner",
+    };
+
+    expect(errors).to.deep.include(expectedErrors);
+  });
+
+  it("should return an error for an invalid repository name", () => {
+    const newReleases = [
+      {
+        releaseName: "M101",
+        releaseOperator: "operator1",
+        codeFreezeDate: "2123-06-30",
+        releaseDate: "2123-07-07",
+        releaseBranchName: "releases/M101",
+        isReleased: false,
+        repoOwner: "firebase",
+        repoName: "firebase/firebase-android-sdk",
+      },
+    ];
+
+    const errors = validateNewReleases(newReleases);
+    const expectedErrors = {
+      message: ERRORS.INVALID_RELEASE_FIELD,
+      offendingRelease: newReleases[0],
+      field: "repoName",
     };
 
     expect(errors).to.deep.include(expectedErrors);
   });
 });
 
+describe("validateNewReleases release rules", () => {
+  /**
+   * Creates a valid new release.
+   *
+   * @param {string} releaseName - The name of the release.
+   * @param {string} codeFreezeDate - The code freeze date of the release.
+   * @param {string} releaseDate - The release date of the release.
+   * @return {Object} The release.
+   */
+  function createRelease(releaseName, codeFreezeDate, releaseDate) {
+    return {
+      releaseName: releaseName,
+      releaseOperator: "operator1",
+      codeFreezeDate: codeFreezeDate,
+      releaseDate: releaseDate,
+      releaseBranchName: `releases/${releaseName}.release`,
+      isReleased: false,
+    };
+  }
+
+  it("should accept release branches with or without a .release suffix",
+      () => {
+        const newReleases = [
+          createRelease("M103", "2123-06-30", "2123-07-07"),
+          {
+            ...createRelease("M104", "2123-07-14", "2123-07-21"),
+            releaseBranchName: "releases/M104",
+          },
+        ];
+
+        expect(validateNewReleases(newReleases)).to.be.empty;
+      });
+
+  it("should return an error for a release branch of another release", () => {
+    const newReleases = [{
+      ...createRelease("M103", "2123-06-30", "2123-07-07"),
+      releaseBranchName: "releases/M102.release",
+    }];
+
+    expect(validateNewReleases(newReleases)).to.deep.equal([{
+      message: ERRORS.INVALID_RELEASE_BRANCH_NAME,
+      offendingRelease: newReleases[0],
+      field: "releaseBranchName",
+    }]);
+  });
+
+  it("should return an error for a release number that skips the latest " +
+    "existing release", () => {
+    const newReleases = [createRelease("M104", "2123-06-30", "2123-07-07")];
+    const existingReleases = [{
+      releaseName: "M102",
+      codeFreezeDate: Timestamp.fromDate(new Date("2123-06-01")),
+      releaseDate: Timestamp.fromDate(new Date("2123-06-08")),
+    }];
+
+    const errors = validateNewReleases(newReleases, existingReleases);
+
+    expect(errors).to.deep.equal([{
+      message: ERRORS.NON_MONOTONIC_RELEASE_NUMBER,
+      offendingRelease: newReleases[0],
+      field: "releaseName",
+    }]);
+  });
+
+  it("should number new releases in order of their release dates", () => {
+    const newReleases = [
+      createRelease("M104", "2123-06-30", "2123-07-07"),
+      createRelease("M103", "2123-07-14", "2123-07-21"),
+    ];
+
+    const errors = validateNewReleases(newReleases);
+
+    expect(errors).to.deep.equal([{
+      message: ERRORS.NON_MONOTONIC_RELEASE_NUMBER,
+      offendingRelease: newReleases[1],
+      field: "releaseName",
+    }]);
+  });
+
+  it("should return an error for each new release that overlaps another",
+      () => {
+        const newReleases = [
+          createRelease("M103", "2123-06-30", "2123-07-07"),
+          createRelease("M104", "2123-07-06", "2123-07-14"),
+        ];
+
+        const errors = validateNewReleases(newReleases);
+
+        expect(errors).to.deep.equal([
+          {
+            message: ERRORS.RELEASE_OVERLAP,
+            offendingRelease: newReleases[0],
+            field: "releaseDate",
+          },
+          {
+            message: ERRORS.RELEASE_OVERLAP,
+            offendingRelease: newReleases[1],
+            field: "codeFreezeDate",
+          },
+        ]);
+      });
+
+  it("should allow a code freeze on the day of the previous release", () => {
+    const newReleases = [
+      createRelease("M103", "2123-06-30", "2123-07-07"),
+      createRelease("M104", "2123-07-07", "2123-07-14"),
+    ];
+
+    expect(validateNewReleases(newReleases)).to.be.empty;
+  });
+
+  it("should return an error for a release that overlaps an existing release",
+      () => {
+        const newReleases = [createRelease("M103", "2123-06-30", "2123-07-07")];
+        const existingReleases = [{
+          releaseName: "M102",
+          codeFreezeDate: Timestamp.fromDate(new Date("2123-06-25")),
+          releaseDate: Timestamp.fromDate(new Date("2123-07-02")),
+        }];
+
+        const errors = validateNewReleases(newReleases, existingReleases);
+
+        expect(errors).to.deep.equal([{
+          message: ERRORS.RELEASE_OVERLAP,
+          offendingRelease: newReleases[0],
+          field: "codeFreezeDate",
+        }]);
+      });
+});
+
+describe("validateModifiedRelease", () => {
+  /**
+   * Creates an existing release, with Timestamp dates.
+   *
+   * @param {string} releaseName - The name of the release.
+   * @param {string} codeFreezeDate - The code freeze date of the release.
+   * @param {string} releaseDate - The release date of the release.
+   * @return {Object} The release.
+   */
+  function createExistingRelease(releaseName, codeFreezeDate, releaseDate) {
+    return {
+      releaseName: releaseName,
+      codeFreezeDate: Timestamp.fromDate(new Date(codeFreezeDate)),
+      releaseDate: Timestamp.fromDate(new Date(releaseDate)),
+    };
+  }
+
+  const releaseBefore = createExistingRelease(
+      "M103", "2123-06-30", "2123-07-07",
+  );
+  const otherReleases = [
+    createExistingRelease("M102", "2123-06-16", "2123-06-23"),
+    createExistingRelease("M104", "2123-07-14", "2123-07-21"),
+  ];
+
+  /**
+   * Creates the modified release.
+   *
+   * @param {Object} changes - The fields of the release that changed.
+   * @return {Object} The release.
+   */
+  function modifyRelease(changes) {
+    return {
+      releaseName: "M103",
+      releaseOperator: "operator1",
+      codeFreezeDate: "2123-06-30",
+      releaseDate: "2123-07-07",
+      releaseBranchName: "releases/M103",
+      isReleased: false,
+      ...changes,
+    };
+  }
+
+  it("should return no errors for a release that keeps its place", () => {
+    const release = modifyRelease({
+      codeFreezeDate: "2123-06-29",
+      releaseDate: "2123-07-08",
+    });
+
+    expect(validateModifiedRelease(release, releaseBefore, otherReleases))
+        .to.be.empty;
+  });
+
+  it("should return an error for a rename to the name of another release",
+      () => {
+        const release = modifyRelease({
+          releaseName: "M104",
+          releaseBranchName: "releases/M104",
+        });
+
+        expect(validateModifiedRelease(release, releaseBefore, otherReleases))
+            .to.deep.equal([{
+              message: ERRORS.RELEASE_EXISTS,
+              offendingRelease: release,
+              field: "releaseName",
+            }]);
+      });
+
+  it("should return an error for a rename that breaks the numbering", () => {
+    const release = modifyRelease({
+      releaseName: "M105",
+      releaseBranchName: "releases/M105",
+    });
+
+    expect(validateModifiedRelease(release, releaseBefore, otherReleases))
+        .to.deep.equal([{
+          message: ERRORS.NON_MONOTONIC_RELEASE_NUMBER,
+          offendingRelease: release,
+          field: "releaseName",
+        }]);
+  });
+
+  it("should return an error for a release moved past the next release",
+      () => {
+        const release = modifyRelease({
+          codeFreezeDate: "2123-07-28",
+          releaseDate: "2123-08-04",
+        });
+
+        expect(validateModifiedRelease(release, releaseBefore, otherReleases))
+            .to.deep.equal([{
+              message: ERRORS.NON_MONOTONIC_RELEASE_NUMBER,
+              offendingRelease: release,
+              field: "releaseName",
+            }]);
+      });
+
+  it("should not renumber a release whose name and release date didn't " +
+    "change", () => {
+    const release = modifyRelease({releaseOperator: "operator2"});
+    const unorderedReleases = [
+      createExistingRelease("M101", "2123-06-16", "2123-06-23"),
+    ];
+
+    expect(validateModifiedRelease(release, releaseBefore, unorderedReleases))
+        .to.be.empty;
+  });
+
+  it("should return an error for a release that overlaps another release",
+      () => {
+        const release = modifyRelease({releaseDate: "2123-07-15"});
+
+        expect(validateModifiedRelease(release, releaseBefore, otherReleases))
+            .to.deep.equal([{
+              message: ERRORS.RELEASE_OVERLAP,
+              offendingRelease: release,
+              field: "releaseDate",
+            }]);
+      });
+});
+
 describe("isValidDate", () => {
   it("should return true for valid dates", () => {
     expect(isValidDate("2023-07-13")).to.be.true;
@@ -346,7 +681,7 @@ describe("validateNewReleasesStructure", () => {
       releaseOperator: "operator1",
       codeFreezeDate: Timestamp.now(),
       releaseDate: "not a timestamp",
-      releaseBranchName: "branch",
+      releaseBranchName: "releases/M100",
     }];
     expect(() => validateNewReleasesStructure(newReleases)).
         to.throw("Each release should have a Firestore Timestamp"+
@@ -373,9 +708,161 @@ describe("validateNewReleasesStructure", () => {
       releaseOperator: "operator1",
       codeFreezeDate: Timestamp.now(),
       releaseDate: Timestamp.now(),
-      releaseBranchName: "branch",
+      releaseBranchName: "releases/M100",
       isReleased: false,
     }];
     expect(() => validateNewReleasesStructure(newReleases)).to.not.throw();
   });
 });
+
+describe("getReleaseErrorIndexes", () => {
+  /**
+   * Creates a valid new release.
+   *
+   * @param {string} releaseName - The name of the release.
+   * @return {Object} The release.
+   */
+  function createRelease(releaseName) {
+    return {
+      releaseName: releaseName,
+      releaseOperator: "operator1",
+      codeFreezeDate: "2123-06-30",
+      releaseDate: "2123-07-07",
+      releaseBranchName: `releases/${releaseName}`,
+      isReleased: false,
+    };
+  }
+
+  it("should return the index of the release that caused each error", () => {
+    const releases = [
+      createRelease("M103"),
+      {...createRelease("M104"), releaseDate: "2123-06-01"},
+      {...createRelease("M105"), releaseBranchName: ""},
+    ];
+
+    const errors = getReleaseErrorIndexes(
+        releases, validateNewReleases(releases),
+    );
+
+    expect(errors).to.deep.equal([
+      {
+        code: "CODEFREEZE_AFTER_RELEASE",
+        message: ERRORS.CODEFREEZE_AFTER_RELEASE,
+        releaseIndex: 1,
+        field: "codeFreezeDate",
+      },
+      {
+        code: "MISSING_RELEASE_FIELD",
+        message: ERRORS.MISSING_RELEASE_FIELD,
+        releaseIndex: 2,
+        field: "releaseBranchName",
+      },
+    ]);
+  });
+
+  it("should return an error for each release with a duplicate name", () => {
+    const releases = [
+      createRelease("M103"),
+      {
+        ...createRelease("M104"),
+        codeFreezeDate: "2123-07-07",
+        releaseDate: "2123-07-14",
+      },
+      {
+        ...createRelease("M103"),
+        codeFreezeDate: "2123-07-14",
+        releaseDate: "2123-07-21",
+      },
+    ];
+
+    const errors = getReleaseErrorIndexes(
+        releases, validateNewReleases(releases),
+    );
+
+    expect(errors).to.deep.equal([
+      {
+        code: "DUPLICATE_RELEASE_NAMES",
+        message: ERRORS.DUPLICATE_RELEASE_NAMES,
+        releaseIndex: 0,
+        field: "releaseName",
+      },
+      {
+        code: "DUPLICATE_RELEASE_NAMES",
+        message: ERRORS.DUPLICATE_RELEASE_NAMES,
+        releaseIndex: 2,
+        field: "releaseName",
+      },
+    ]);
+  });
+
+  it("should not return an index for errors about no release", () => {
+    const errors = getReleaseErrorIndexes([], [{message: ERRORS.NO_RELEASES}]);
+
+    expect(errors).to.deep.equal([
+      {
+        code: "NO_RELEASES",
+        message: ERRORS.NO_RELEASES,
+        releaseIndex: null,
+        field: null,
+      },
+    ]);
+  });
+});
+
+describe("validateCadence", () => {
+  const validCadence = {
+    count: 4,
+    intervalWeeks: 2,
+    codeFreezeOffsetDays: 7,
+    branchNameTemplate: "releases/{releaseName}.release",
+    blackoutDates: [{start: "2026-12-21", end: "2027-01-01"}],
+  };
+
+  it("should not return errors for a valid cadence", () => {
+    expect(validateCadence(validCadence)).to.be.empty;
+  });
+
+  it("should not require a branch name template or blackout dates", () => {
+    const cadence = {count: 4, intervalWeeks: 2, codeFreezeOffsetDays: 7};
+    expect(validateCadence(cadence)).to.be.empty;
+  });
+
+  it("should return an error for a missing cadence", () => {
+    expect(validateCadence(undefined)).to.deep.equal([
+      {message: ERRORS.INVALID_CADENCE, field: null},
+    ]);
+  });
+
+  it("should return an error for each invalid field", () => {
+    const cadence = {
+      count: 0,
+      intervalWeeks: 1.5,
+      codeFreezeOffsetDays: 7,
+      branchNameTemplate: "releases/next",
+      blackoutDates: [{start: "2026-12-21"}],
+    };
+
+    expect(validateCadence(cadence).map((error) => error.field)).to.deep.equal(
+        ["count", "intervalWeeks", "branchNameTemplate", "blackoutDates"],
+    );
+  });
+
+  it("should return an error for a code freeze before the last release",
+      () => {
+        const cadence = {...validCadence, codeFreezeOffsetDays: 15};
+        expect(validateCadence(cadence)).to.deep.equal([
+          {message: ERRORS.INVALID_CADENCE, field: "codeFreezeOffsetDays"},
+        ]);
+      });
+
+  it("should return an error for a blackout range that ends before it starts",
+      () => {
+        const cadence = {
+          ...validCadence,
+          blackoutDates: [{start: "2027-01-01", end: "2026-12-21"}],
+        };
+        expect(validateCadence(cadence)).to.deep.equal([
+          {message: ERRORS.INVALID_CADENCE, field: "blackoutDates"},
+        ]);
+      });
+});
@@ -0,0 +1,12 @@
+// The administrative actions that are recorded in the audit log.
+const AUDIT_ACTIONS = {
+  ADD: "add",
+  MODIFY: "modify",
+  TOGGLE_RELEASED: "toggle released",
+  REFRESH: "refresh",
+  DELETE: "delete",
+  RESTORE: "restore",
+  PURGE: "purge",
+};
+
+module.exports = AUDIT_ACTIONS;
@@ -1,4 +1,5 @@
 const admin = require("firebase-admin");
+const ROLES = require("./roles.js");
 
 const {
   warn,
@@ -23,11 +24,74 @@ async function authenticateUser(req, res, next) {
   try {
     const decodedToken = await admin.auth().verifyIdToken(idToken);
     req.user = decodedToken;
-    next();
   } catch (err) {
     warn("Error while verifying Firebase ID token:", {error: err.message});
     res.status(403).send("Unauthorized");
+    return;
   }
+  return next();
+}
+
+// Each role is allowed to do everything that the roles below it can do.
+const ROLE_LEVELS = {
+  [ROLES.VIEWER]: 0,
+  [ROLES.OPERATOR]: 1,
+  [ROLES.ADMIN]: 2,
+};
+
+/**
+ * Gets the role of a user from their decoded ID token.
+ *
+ * @param {Object} user - The decoded Firebase ID token of the user.
+ * @return {string} The role of the user. Users without a valid role are
+ * viewers.
+ */
+function getUserRole(user) {
+  if (user && Object.prototype.hasOwnProperty.call(ROLE_LEVELS, user.role)) {
+    return user.role;
+  }
+  return ROLES.VIEWER;
+}
+
+/**
+ * Checks whether a user has at least the given role.
+ *
+ * @param {Object} user - The decoded Firebase ID token of the user.
+ * @param {string} requiredRole - The minimum role the user needs.
+ * @return {boolean} True if the user's role is at least the required role.
+ */
+function hasRole(user, requiredRole) {
+  return ROLE_LEVELS[getUserRole(user)] >= ROLE_LEVELS[requiredRole];
+}
+
+/**
+  * Validates that the request is coming from an authenticated user in
+  * Firebase Auth, and that the user has at least the required role.
+  *
+  * @param {Object} req - The request from the client.
+  * @param {Object} res - The response object to be sent to the client.
+  * @param {string} requiredRole - The minimum role needed for the request.
+  * @param {Function} next - The next function to be called.
+  */
+async function authorizeUser(req, res, requiredRole, next) {
+  await authenticateUser(req, res, () => {
+    if (!hasRole(req.user, requiredRole)) {
+      warn("User does not have the required role, rejecting request.",
+          {
+            uid: req.user.uid,
+            role: getUserRole(req.user),
+            requiredRole: requiredRole,
+          });
+      res.status(403).send("Forbidden");
+      return;
+    }
+    return next();
+  });
 }
 
-module.exports = {authenticateUser};
+module.exports = {
+  authenticateUser,
+  authorizeUser,
+  getUserRole,
+  hasRole,
+};
@@ -0,0 +1,189 @@
+const {
+  RELEASE_NAME_PLACEHOLDER,
+  getReleaseNumber,
+} = require("./releaseNames.js");
+const {
+  validateReleaseBranch,
+  validateReleaseOverlaps,
+} = require("../validation/validation.js");
+
+// The release branch name template that is proposed by default.
+const DEFAULT_BRANCH_NAME_TEMPLATE =
+  `releases/${RELEASE_NAME_PLACEHOLDER}.release`;
+
+// How far a date can be moved to avoid blackout dates before giving up, so
+// that a calendar that blacks out every day can't loop forever.
+const MAX_BLACKOUT_SHIFT_DAYS = 31;
+
+/**
+ * Parses a date string in the `yyyy-MM-dd` format as a date at midnight UTC.
+ *
+ * @param {string} dateString - The date string.
+ * @return {Date} The date.
+ */
+function parseDateString(dateString) {
+  return new Date(`${dateString}T00:00:00Z`);
+}
+
+/**
+ * Formats a date as a date string in the `yyyy-MM-dd` format, in UTC.
+ *
+ * @param {Date} date - The date.
+ * @return {string} The date string.
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Adds a number of days to a date.
+ *
+ * @param {Date} date - The date.
+ * @param {number} days - The number of days to add, which can be negative.
+ * @return {Date} The new date.
+ */
+function addDays(date, days) {
+  const newDate = new Date(date.getTime());
+  newDate.setUTCDate(newDate.getUTCDate() + days);
+  return newDate;
+}
+
+/**
+ * Checks whether releases can happen on a date. Releases don't happen on
+ * weekends or blackout dates, such as holidays.
+ *
+ * @param {Date} date - The date.
+ * @param {Array<Object>} blackoutDates - The blackout date ranges, each with
+ * an inclusive `start` and `end` date string.
+ * @return {boolean} True if releases can happen on the date.
+ */
+function isAvailableDate(date, blackoutDates) {
+  const day = date.getUTCDay();
+  if (day === 0 || day === 6) {
+    return false;
+  }
+  const dateString = toDateString(date);
+  return !blackoutDates.some(({start, end}) =>
+    start <= dateString && dateString <= end);
+}
+
+/**
+ * Moves a date to the nearest date that releases can happen on, in the given
+ * direction.
+ *
+ * @param {Date} date - The date.
+ * @param {Array<Object>} blackoutDates - The blackout date ranges.
+ * @param {number} direction - 1 to move the date later, or -1 to move it
+ * earlier.
+ * @return {Date} The available date.
+ * @throws {Error} If there is no available date nearby.
+ */
+function toAvailableDate(date, blackoutDates, direction) {
+  for (let shift = 0; shift <= MAX_BLACKOUT_SHIFT_DAYS; shift++) {
+    const shiftedDate = addDays(date, shift * direction);
+    if (isAvailableDate(shiftedDate, blackoutDates)) {
+      return shiftedDate;
+    }
+  }
+  throw new Error(
+      `No available date within ${MAX_BLACKOUT_SHIFT_DAYS} days of ` +
+      toDateString(date),
+  );
+}
+
+/**
+ * Generates the releases that follow the latest release according to a
+ * release cadence.
+ *
+ * Release numbers increase by one from the latest release, and release dates
+ * are spaced by the cadence interval from the latest release date. The code
+ * freeze of each release is a fixed number of days before its release date.
+ *
+ * Releases don't happen on weekends or blackout dates, so a release date
+ * that falls on one is moved to the next available date, and a code freeze
+ * date is moved to the previous available date, so that the code freeze is
+ * never shortened. Later releases keep following the cadence, rather than
+ * the moved dates.
+ *
+ * The generated releases are checked with the same branch and overlap
+ * validation as the releases that are added, since a moved code freeze can
+ * overlap the release before it, and a branch name template can produce
+ * branch names that don't match the release names.
+ *
+ * @param {Object} latestRelease - The latest release, with its
+ * `releaseName`, `codeFreezeDate` and `releaseDate`.
+ * @param {Object} cadence - The release cadence.
+ * @param {number} cadence.count - The number of releases to generate.
+ * @param {number} cadence.intervalWeeks - The number of weeks between
+ * releases.
+ * @param {number} cadence.codeFreezeOffsetDays - The number of days between
+ * the code freeze and the release date of a release.
+ * @param {string} cadence.branchNameTemplate - The release branch name, with
+ * `{releaseName}` in place of the release name.
+ * @param {Array<Object>} cadence.blackoutDates - The date ranges that
+ * releases can't happen on, each with an inclusive `start` and `end` date
+ * string.
+ * @return {Array<Object>} The generated releases, with their
+ * `releaseName`, `releaseBranchName`, and `codeFreezeDate` and `releaseDate`
+ * date strings, and whether their dates were `moved` to avoid blackout
+ * dates.
+ * @throws {Error} If the latest release doesn't have a valid release name,
+ * or the cadence generates releases that don't pass validation.
+ */
+function generateCadenceReleases(latestRelease, cadence) {
+  const latestNumber = getReleaseNumber(latestRelease.releaseName);
+  if (latestNumber === null) {
+    throw new Error(
+        `The latest release ${latestRelease.releaseName} is not numbered`,
+    );
+  }
+
+  const latestReleaseDate = parseDateString(
+      toDateString(latestRelease.releaseDate),
+  );
+  const blackoutDates = cadence.blackoutDates || [];
+  const branchNameTemplate =
+    cadence.branchNameTemplate || DEFAULT_BRANCH_NAME_TEMPLATE;
+
+  const releases = [];
+  for (let i = 1; i <= cadence.count; i++) {
+    const releaseName = `M${latestNumber + i}`;
+    const scheduledReleaseDate =
+      addDays(latestReleaseDate, i * cadence.intervalWeeks * 7);
+    const scheduledCodeFreezeDate =
+      addDays(scheduledReleaseDate, -cadence.codeFreezeOffsetDays);
+
+    const releaseDate = toAvailableDate(scheduledReleaseDate, blackoutDates, 1);
+    const codeFreezeDate =
+      toAvailableDate(scheduledCodeFreezeDate, blackoutDates, -1);
+
+    releases.push({
+      releaseName: releaseName,
+      releaseBranchName:
+        branchNameTemplate.split(RELEASE_NAME_PLACEHOLDER).join(releaseName),
+      codeFreezeDate: toDateString(codeFreezeDate),
+      releaseDate: toDateString(releaseDate),
+      moved: releaseDate.getTime() !== scheduledReleaseDate.getTime() ||
+        codeFreezeDate.getTime() !== scheduledCodeFreezeDate.getTime(),
+    });
+  }
+
+  const errors = [
+    ...releases.flatMap((release) => validateReleaseBranch(release)),
+    ...validateReleaseOverlaps(releases, [latestRelease]),
+  ];
+  if (errors.length > 0) {
+    const {message, offendingRelease} = errors[0];
+    throw new Error(
+        `The cadence generates an invalid release ` +
+        `${offendingRelease.releaseName}: ${message}`,
+    );
+  }
+
+  return releases;
+}
+
+module.exports = {
+  DEFAULT_BRANCH_NAME_TEMPLATE,
+  generateCadenceReleases,
+};
@@ -0,0 +1,12 @@
+// The categories of errors that can occur while syncing a release.
+const ERROR_CATEGORIES = {
+  // A request to the GitHub API failed
+  GITHUB: "github",
+  // The release branch on GitHub is missing, or its release data, such as
+  // the release config, is missing or malformed
+  INVALID_RELEASE_DATA: "invalid release data",
+  // Any other error
+  INTERNAL: "internal",
+};
+
+module.exports = ERROR_CATEGORIES;
@@ -10,7 +10,12 @@ const ERRORS = {
   "previous release number",
   INVALID_DATE: "There is a date that is invalid",
   RELEASE_OVERLAP: "There are releases with overlapping dates",
+  INVALID_RELEASE_BRANCH_NAME: "There is a release branch name that does not" +
+  " match the release name",
   DUPLICATE_RELEASE_NAMES: "There are releases with duplicate names",
+  RELEASE_EXISTS: "There is already a release with this name",
+  RELEASE_IN_TRASH: "There is a release with this name in the trash",
+  INVALID_CADENCE: "There is a release cadence field that is invalid",
 };
 
 module.exports = ERRORS;
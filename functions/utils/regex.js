@@ -15,6 +15,15 @@ const REGEX = {
   // This regular expression matches a valid release name. Valid release names
   // are of the form "M<releaseNumber>".
   RELEASE_NAME: /^M\d+\S*$/,
+  // This regular expression matches a valid GitHub owner or repository name,
+  // which can only contain alphanumeric characters, hyphens, underscores and
+  // periods.
+  GITHUB_NAME: /^[A-Za-z0-9_.-]+$/,
+  // This regular expression matches a date string of the form "yyyy-MM-dd".
+  DATE: /^\d{4}-\d{2}-\d{2}$/,
+  // This regular expression matches a valid idempotency key, such as a UUID.
+  // Keys are used as Firestore document IDs, so they can't contain slashes.
+  IDEMPOTENCY_KEY: /^[A-Za-z0-9_-]{1,128}$/,
   // This regular expression matches slashes.
   SLASH: /\//g,
 };
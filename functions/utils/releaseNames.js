@@ -0,0 +1,24 @@
+const REGEX = require("./regex.js");
+
+// The placeholder for the release name in release branch name templates.
+const RELEASE_NAME_PLACEHOLDER = "{releaseName}";
+
+/**
+ * Gets the number of a release from its name, e.g. 130 for "M130".
+ *
+ * @param {string} releaseName - The name of the release.
+ * @return {number|null} The release number, or null if the name isn't a
+ * valid release name.
+ */
+function getReleaseNumber(releaseName) {
+  if (typeof releaseName !== "string" ||
+      !REGEX.RELEASE_NAME.test(releaseName)) {
+    return null;
+  }
+  return parseInt(releaseName.slice(1), 10);
+}
+
+module.exports = {
+  RELEASE_NAME_PLACEHOLDER,
+  getReleaseNumber,
+};
@@ -4,6 +4,8 @@ const RELEASE_STATES = {
   RELEASE_DAY: "release day",
   RELEASED: "released",
   DELAYED: "delayed",
+  // Some libraries of the release could not be synced
+  DEGRADED: "degraded",
   ERROR: "error",
 };
 
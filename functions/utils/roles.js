@@ -0,0 +1,10 @@
+// Roles are stored as a `role` custom claim on a user's Firebase Auth
+// account. Users that have signed in but have not been assigned a role are
+// treated as viewers.
+const ROLES = {
+  VIEWER: "viewer",
+  OPERATOR: "operator",
+  ADMIN: "admin",
+};
+
+module.exports = ROLES;
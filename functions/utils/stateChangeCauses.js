@@ -0,0 +1,13 @@
+// The causes of release state transitions that are recorded in the state
+// history of a release.
+const STATE_CHANGE_CAUSES = {
+  ADD: "add",
+  SCHEDULED_SYNC: "scheduled sync",
+  WEBHOOK: "webhook",
+  REFRESH: "refresh",
+  MANUAL_TOGGLE: "manual toggle",
+  EDIT: "edit",
+  RESTORE: "restore",
+};
+
+module.exports = STATE_CHANGE_CAUSES;
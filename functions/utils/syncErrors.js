@@ -0,0 +1,157 @@
+const ERROR_CATEGORIES = require("./errorCategories.js");
+
+// The codes of the errors that can occur while syncing a release.
+const SYNC_ERROR_CODES = {
+  BRANCH_NOT_FOUND: "branch-not-found",
+  FILE_NOT_FOUND: "file-not-found",
+  MALFORMED_RELEASE_CONFIG: "malformed-release-config",
+  MALFORMED_RELEASE_REPORT: "malformed-release-report",
+  MISSING_VERSION: "missing-version",
+  WORKFLOW_NOT_FOUND: "workflow-not-found",
+  RATE_LIMITED: "rate-limited",
+  AUTH_FAILED: "auth-failed",
+  GITHUB_REQUEST_FAILED: "github-request-failed",
+  INTERNAL: "internal",
+};
+
+// A suggestion on how to fix each error, which is shown in the dashboard.
+const SYNC_ERROR_HINTS = {
+  [SYNC_ERROR_CODES.BRANCH_NOT_FOUND]: "The release branch does not exist. " +
+    "Check that the branch name and repository of the release are correct, " +
+    "and that the branch was created at code freeze.",
+  [SYNC_ERROR_CODES.FILE_NOT_FOUND]: "A file is missing from the release " +
+    "branch. Check that the release tooling generated it, and refresh the " +
+    "release.",
+  [SYNC_ERROR_CODES.MALFORMED_RELEASE_CONFIG]: "release.json on the " +
+    "release branch is not valid JSON, or has no list of libraries. " +
+    "Regenerate the release config and refresh the release.",
+  [SYNC_ERROR_CODES.MALFORMED_RELEASE_REPORT]: "release_report.json on the " +
+    "release branch is not valid JSON, or has no changes by library. " +
+    "Regenerate the release report and refresh the release.",
+  [SYNC_ERROR_CODES.MISSING_VERSION]: "The gradle.properties file of a " +
+    "library does not define a version. Add the version to the file and " +
+    "refresh the release.",
+  [SYNC_ERROR_CODES.WORKFLOW_NOT_FOUND]: "The Build Release Artifacts " +
+    "workflow has not run on the release branch. Start the workflow and " +
+    "refresh the release.",
+  [SYNC_ERROR_CODES.RATE_LIMITED]: "The GitHub API rate limit was " +
+    "exceeded. The release will sync again once the limit resets.",
+  [SYNC_ERROR_CODES.AUTH_FAILED]: "The GitHub token was rejected, or does " +
+    "not have access to the repository. Check the GITHUB_TOKEN secret of " +
+    "the functions.",
+  [SYNC_ERROR_CODES.GITHUB_REQUEST_FAILED]: "A request to GitHub failed. " +
+    "Refresh the release, and check the GitHub status page if it keeps " +
+    "failing.",
+  [SYNC_ERROR_CODES.INTERNAL]: "An unexpected error occurred. Check the " +
+    "Functions logs for details.",
+};
+
+// The category of each error.
+const SYNC_ERROR_CATEGORIES = {
+  [SYNC_ERROR_CODES.BRANCH_NOT_FOUND]: ERROR_CATEGORIES.INVALID_RELEASE_DATA,
+  [SYNC_ERROR_CODES.FILE_NOT_FOUND]: ERROR_CATEGORIES.INVALID_RELEASE_DATA,
+  [SYNC_ERROR_CODES.MALFORMED_RELEASE_CONFIG]:
+    ERROR_CATEGORIES.INVALID_RELEASE_DATA,
+  [SYNC_ERROR_CODES.MALFORMED_RELEASE_REPORT]:
+    ERROR_CATEGORIES.INVALID_RELEASE_DATA,
+  [SYNC_ERROR_CODES.MISSING_VERSION]: ERROR_CATEGORIES.INVALID_RELEASE_DATA,
+  [SYNC_ERROR_CODES.WORKFLOW_NOT_FOUND]: ERROR_CATEGORIES.INVALID_RELEASE_DATA,
+  [SYNC_ERROR_CODES.RATE_LIMITED]: ERROR_CATEGORIES.GITHUB,
+  [SYNC_ERROR_CODES.AUTH_FAILED]: ERROR_CATEGORIES.GITHUB,
+  [SYNC_ERROR_CODES.GITHUB_REQUEST_FAILED]: ERROR_CATEGORIES.GITHUB,
+  [SYNC_ERROR_CODES.INTERNAL]: ERROR_CATEGORIES.INTERNAL,
+};
+
+// Matches the message of responses rejected by a secondary rate limit.
+const SECONDARY_RATE_LIMIT_MESSAGE = /secondary rate limit/i;
+
+/**
+ * An error that occurred while syncing a release, with the information an
+ * operator needs to fix it.
+ */
+class SyncError extends Error {
+  /**
+   * @param {string} code - The code of the error, from SYNC_ERROR_CODES.
+   * @param {string} message - A description of the error.
+   * @param {string} path - The file or branch that caused the error, or
+   * null if the error is not caused by a specific file.
+   * @param {Error} cause - The error that caused this error, if any.
+   */
+  constructor(code, message, path, cause) {
+    super(message);
+    this.name = "SyncError";
+    this.code = code;
+    this.path = path || null;
+    this.hint = SYNC_ERROR_HINTS[code];
+    this.category = SYNC_ERROR_CATEGORIES[code];
+    if (cause) {
+      this.cause = cause;
+      this.stack = `${this.stack}\nCaused by: ${cause.stack}`;
+    }
+  }
+}
+
+/**
+ * Checks whether a failed GitHub request was rejected by the rate limit.
+ *
+ * GitHub responds with 429, or with 403 and no remaining requests, when the
+ * rate limit is exceeded. Secondary rate limits, which limit bursts of
+ * requests, respond with 403 and a `retry-after` header or a message that
+ * mentions the secondary rate limit, even though requests remain.
+ *
+ * @param {Error} err - The Octokit request error.
+ * @return {boolean} True if the request was rate limited.
+ */
+function isRateLimited(err) {
+  if (err.status === 429) {
+    return true;
+  }
+  if (err.status !== 403) {
+    return false;
+  }
+  const headers = (err.response && err.response.headers) || {};
+  const data = (err.response && err.response.data) || {};
+  return headers["x-ratelimit-remaining"] === "0" ||
+    headers["retry-after"] !== undefined ||
+    SECONDARY_RATE_LIMIT_MESSAGE.test(err.message) ||
+    SECONDARY_RATE_LIMIT_MESSAGE.test(data.message || "");
+}
+
+/**
+ * Converts an error into a SyncError.
+ *
+ * Failed GitHub requests are categorized by their HTTP status. A 404 means
+ * that the requested path does not exist, and is reported with the given
+ * notFoundCode. Errors that are already SyncErrors are returned as is.
+ *
+ * @param {Error} err - The error to convert.
+ * @param {string} path - The file or branch that was being accessed, if any.
+ * @param {string} notFoundCode - The code to use if the path was not found.
+ * @return {SyncError} The converted error.
+ */
+function toSyncError(err, path, notFoundCode) {
+  if (err instanceof SyncError) {
+    return err;
+  }
+
+  if (typeof err.status !== "number") {
+    return new SyncError(SYNC_ERROR_CODES.INTERNAL, err.message, path, err);
+  }
+
+  let code = SYNC_ERROR_CODES.GITHUB_REQUEST_FAILED;
+  if (isRateLimited(err)) {
+    code = SYNC_ERROR_CODES.RATE_LIMITED;
+  } else if (err.status === 401 || err.status === 403) {
+    code = SYNC_ERROR_CODES.AUTH_FAILED;
+  } else if (err.status === 404 && notFoundCode) {
+    code = notFoundCode;
+  }
+
+  return new SyncError(code, err.message, path, err);
+}
+
+module.exports = {
+  SYNC_ERROR_CODES,
+  SyncError,
+  toSyncError,
+};
@@ -0,0 +1,9 @@
+// The outcomes of the first sync of a newly added release, which are returned
+// to the client that added it. Syncs are pending until they finish.
+const SYNC_OUTCOMES = {
+  PENDING: "pending",
+  SYNCED: "synced",
+  FAILED: "failed",
+};
+
+module.exports = SYNC_OUTCOMES;
@@ -240,6 +240,170 @@ function getStackTrace(error) {
   return error.stack.trim();
 }
 
+/**
+ * Selects which releases a scheduled sync should process in a single run.
+ *
+ * Releases that were never selected by a scheduled sync come first, followed
+ * by the releases that were selected longest ago, so that the releases that
+ * are deferred in one run are selected in the next. Releases selected at the
+ * same time are ordered by their release date, so that the releases closest
+ * to shipping are synced first. At most `limit` releases are selected, and
+ * the rest are deferred so that a single run can't exhaust the GitHub API
+ * quota.
+ *
+ * @param {Array<Object>} releases - Releases with an `id`, a Firestore
+ * Timestamp `releaseDate`, and the Timestamp `lastScheduledSyncAt` of the
+ * last scheduled sync that selected them, if any.
+ * @param {number} limit - The maximum number of releases to sync.
+ * @return {Object} An object with the `selected` releases to sync now, and
+ * the `deferred` releases that were left out of this run.
+ */
+function selectReleasesToSync(releases, limit) {
+  const getScheduledSyncMillis = (release) => release.lastScheduledSyncAt ?
+    release.lastScheduledSyncAt.toMillis() : -Infinity;
+  const sortedReleases = [...releases].sort((a, b) =>
+    getScheduledSyncMillis(a) - getScheduledSyncMillis(b) ||
+      a.releaseDate.toMillis() - b.releaseDate.toMillis(),
+  );
+
+  return {
+    selected: sortedReleases.slice(0, limit),
+    deferred: sortedReleases.slice(limit),
+  };
+}
+
+/**
+ * Limits the number of releases a scheduled sync can process according to
+ * the remaining GitHub API quota.
+ *
+ * Each release sync is assumed to use up to `requestsPerSync` requests, and
+ * `reservedRequests` are kept for webhooks and manual refreshes. If the quota
+ * has been reset since it was last reported, the full `maxReleases` can be
+ * synced.
+ *
+ * @param {Object|null} rateLimit - The last known rate limit, with its
+ * `remaining` requests and `reset` date, or null if it isn't known.
+ * @param {number} maxReleases - The maximum number of releases to sync.
+ * @param {number} requestsPerSync - The requests used by a release sync.
+ * @param {number} reservedRequests - The requests to keep in reserve.
+ * @param {Date} now - The current date.
+ * @return {number} The number of releases that can be synced.
+ */
+function getReleaseSyncLimit(
+    rateLimit,
+    maxReleases,
+    requestsPerSync,
+    reservedRequests,
+    now,
+) {
+  if (!rateLimit || rateLimit.reset <= now) {
+    return maxReleases;
+  }
+
+  const availableRequests = rateLimit.remaining - reservedRequests;
+  const affordableReleases = Math.floor(availableRequests / requestsPerSync);
+  return Math.max(0, Math.min(maxReleases, affordableReleases));
+}
+
+/**
+ * Normalises a release field value so that it can be compared as JSON.
+ * Firestore Timestamps are converted to milliseconds, and the keys of objects
+ * are sorted, since Firestore doesn't keep the order of map fields.
+ *
+ * @param {*} value - The value to normalise.
+ * @return {*} The normalised value.
+ */
+function normaliseFieldValue(value) {
+  if (value instanceof Timestamp) {
+    return {timestamp: value.toMillis()};
+  }
+  if (Array.isArray(value)) {
+    return value.map(normaliseFieldValue);
+  }
+  if (value !== null && typeof value === "object") {
+    const normalised = {};
+    Object.keys(value).sort().forEach((key) => {
+      normalised[key] = normaliseFieldValue(value[key]);
+    });
+    return normalised;
+  }
+  return value;
+}
+
+/**
+ * Checks whether two release field values are equal. Arrays and objects,
+ * such as the operator history, are compared deeply, and Firestore
+ * Timestamps are compared by value.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @return {boolean} True if the values are equal.
+ */
+function isEqualFieldValue(a, b) {
+  return JSON.stringify(normaliseFieldValue(a)) ===
+    JSON.stringify(normaliseFieldValue(b));
+}
+
+/**
+ * Gets the fields that differ between two versions of a release.
+ *
+ * Missing fields are represented as null, since Firestore can't store
+ * undefined values.
+ *
+ * @param {Object} before - The release data before the change.
+ * @param {Object} after - The release data after the change.
+ * @param {Array<string>} [fields] - The fields to compare. Defaults to all
+ * fields in either version of the release.
+ * @return {Object} An object mapping each changed field to its `before`
+ * and `after` values.
+ */
+function getReleaseChanges(before, after, fields) {
+  const changes = {};
+  if (!fields) {
+    fields = getUniqueValues([...Object.keys(before), ...Object.keys(after)]);
+  }
+
+  for (const field of fields) {
+    const beforeValue = before[field] === undefined ? null : before[field];
+    const afterValue = after[field] === undefined ? null : after[field];
+    if (!isEqualFieldValue(beforeValue, afterValue)) {
+      changes[field] = {before: beforeValue, after: afterValue};
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Assigns a default operator to releases that do not specify one.
+ *
+ * @param {Array<Object>} releases - The releases to assign operators to.
+ * @param {string} operator - The operator to assign to releases without one.
+ * @return {Array<Object>} Copies of the releases, with the operator assigned
+ * where it was missing.
+ */
+function assignDefaultOperator(releases, operator) {
+  return releases.map((release) => {
+    if (typeof release.releaseOperator === "string" &&
+        release.releaseOperator.trim() !== "") {
+      return release;
+    }
+    return {...release, releaseOperator: operator};
+  });
+}
+
+/**
+ * Gets the name that identifies a user in release data, such as the release
+ * operator or the user that handed off a release.
+ *
+ * @param {Object} user - The decoded ID token or user record of the user.
+ * @return {string} The email of the user, or their UID if they have no
+ * email.
+ */
+function getUserIdentifier(user) {
+  return user.email || user.uid;
+}
+
 module.exports = {
   convertDateToTimestamp,
   convertSingleReleaseDatesToTimestamps,
@@ -253,4 +417,9 @@ module.exports = {
   getCommitIdsFromChanges,
   getUniqueValues,
   getStackTrace,
+  selectReleasesToSync,
+  getReleaseSyncLimit,
+  getReleaseChanges,
+  assignDefaultOperator,
+  getUserIdentifier,
 };
@@ -0,0 +1,9 @@
+// The outcomes of GitHub webhook deliveries that are recorded in the
+// delivery log. Deliveries are processing until their handler finishes.
+const WEBHOOK_OUTCOMES = {
+  PROCESSING: "processing",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+module.exports = WEBHOOK_OUTCOMES;
@@ -1,5 +1,10 @@
 const {Timestamp} = require("firebase-admin/firestore");
 const ERRORS = require("../utils/errors.js");
+const REGEX = require("../utils/regex.js");
+const {
+  RELEASE_NAME_PLACEHOLDER,
+  getReleaseNumber,
+} = require("../utils/releaseNames.js");
 
 /** Helper function to check that a string represents a valid date.
  *
@@ -16,7 +21,8 @@ function isValidDate(dateString) {
 
 
 /**
- * Validates that the release name is in the correct format.
+ * Validates that the release name is in the correct format, which is
+ * "M<releaseNumber>".
  *
  * @param {Object} release - The release to validate.
  * @return {Array} errors - A list of errors from the validation of the release
@@ -29,12 +35,20 @@ function validateReleaseName(release) {
     errors.push({
       message: ERRORS.MISSING_RELEASE_FIELD,
       offendingRelease: release,
+      field: "releaseName",
     });
   } else if (typeof release.releaseName != "string" ||
       release.releaseName.trim() === "") {
     errors.push({
       message: ERRORS.INVALID_RELEASE_FIELD,
       offendingRelease: release,
+      field: "releaseName",
+    });
+  } else if (!REGEX.RELEASE_NAME.test(release.releaseName)) {
+    errors.push({
+      message: ERRORS.INVALID_RELEASE_NAME,
+      offendingRelease: release,
+      field: "releaseName",
     });
   }
 
@@ -55,12 +69,14 @@ function validateReleaseOperator(release) {
     errors.push({
       message: ERRORS.MISSING_RELEASE_FIELD,
       offendingRelease: release,
+      field: "releaseOperator",
     });
   } else if (typeof release.releaseOperator !== "string" ||
           release.releaseOperator.trim() === "") {
     errors.push({
       message: ERRORS.INVALID_RELEASE_FIELD,
       offendingRelease: release,
+      field: "releaseOperator",
     });
   }
 
@@ -81,18 +97,22 @@ function validateReleaseDates(release) {
     errors.push({
       message: ERRORS.MISSING_RELEASE_FIELD,
       offendingRelease: release,
+      field: release.codeFreezeDate ? "releaseDate" : "codeFreezeDate",
     });
   } else if (!isValidDate(release.codeFreezeDate) ||
       !isValidDate(release.releaseDate)) {
     errors.push({
       message: ERRORS.INVALID_DATE,
       offendingRelease: release,
+      field: isValidDate(release.codeFreezeDate) ?
+        "releaseDate" : "codeFreezeDate",
     });
   } else if (new Date(release.releaseDate) <=
     new Date(release.codeFreezeDate)) {
     errors.push({
       message: ERRORS.CODEFREEZE_AFTER_RELEASE,
       offendingRelease: release,
+      field: "codeFreezeDate",
     });
   }
 
@@ -113,11 +133,13 @@ function validateIsReleased(release) {
     errors.push({
       message: ERRORS.MISSING_RELEASE_FIELD,
       offendingRelease: release,
+      field: "isReleased",
     });
   } else if (typeof release.isReleased !== "boolean") {
     errors.push({
       message: ERRORS.INVALID_RELEASE_FIELD,
       offendingRelease: release,
+      field: "isReleased",
     });
   }
 
@@ -142,6 +164,7 @@ function validateUniqueReleaseNames(releases) {
   if (uniqueReleaseNames.size !== releaseNames.length) {
     errors.push({
       message: ERRORS.DUPLICATE_RELEASE_NAMES,
+      field: "releaseName",
     });
   }
 
@@ -149,7 +172,9 @@ function validateUniqueReleaseNames(releases) {
 }
 
 /**
- * Validates that the release branch exists.
+ * Validates that the release branch exists, and follows the release branch
+ * convention of "releases/<releaseName>", optionally with a ".release"
+ * suffix.
  *
  * @param {Object} release - The release to validate.
  * @return {Array} errors - A list of errors from the validation of the release
@@ -162,12 +187,67 @@ function validateReleaseBranch(release) {
     errors.push({
       message: ERRORS.MISSING_RELEASE_FIELD,
       offendingRelease: release,
+      field: "releaseBranchName",
     });
   } else if (typeof release.releaseBranchName !== "string" ||
-          release.releaseOperator.trim() === "") {
+          release.releaseBranchName.trim() === "") {
+    errors.push({
+      message: ERRORS.INVALID_RELEASE_FIELD,
+      offendingRelease: release,
+      field: "releaseBranchName",
+    });
+  } else if (release.releaseBranchName !== `releases/${release.releaseName}` &&
+      release.releaseBranchName !==
+        `releases/${release.releaseName}.release`) {
+    errors.push({
+      message: ERRORS.INVALID_RELEASE_BRANCH_NAME,
+      offendingRelease: release,
+      field: "releaseBranchName",
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validates that the release repository is in the correct format.
+ *
+ * The repository is optional, since releases that don't specify one are
+ * tracked in the default repository. If it is specified, both the owner
+ * and the repository name must be valid GitHub names.
+ *
+ * @param {Object} release - The release to validate.
+ * @return {Array} errors - A list of errors from the validation of the release
+ * repository.
+ */
+function validateReleaseRepository(release) {
+  const errors = [];
+  const hasOwner = release.repoOwner !== undefined;
+  const hasName = release.repoName !== undefined;
+
+  if (!hasOwner && !hasName) {
+    return errors;
+  }
+
+  if (!hasOwner || !hasName) {
+    errors.push({
+      message: ERRORS.MISSING_RELEASE_FIELD,
+      offendingRelease: release,
+      field: hasOwner ? "repoName" : "repoOwner",
+    });
+  } else if (typeof release.repoOwner !== "string" ||
+      !REGEX.GITHUB_NAME.test(release.repoOwner)) {
     errors.push({
       message: ERRORS.INVALID_RELEASE_FIELD,
       offendingRelease: release,
+      field: "repoOwner",
+    });
+  } else if (typeof release.repoName !== "string" ||
+      !REGEX.GITHUB_NAME.test(release.repoName)) {
+    errors.push({
+      message: ERRORS.INVALID_RELEASE_FIELD,
+      offendingRelease: release,
+      field: "repoName",
     });
   }
 
@@ -186,6 +266,7 @@ function validateRelease(release) {
   const dateErrors = validateReleaseDates(release);
   const branchErrors = validateReleaseBranch(release);
   const releasedErrors = validateIsReleased(release);
+  const repositoryErrors = validateReleaseRepository(release);
 
   return [
     ...releaseNameErrors,
@@ -193,18 +274,111 @@ function validateRelease(release) {
     ...dateErrors,
     ...branchErrors,
     ...releasedErrors,
+    ...repositoryErrors,
   ];
 }
 
+/**
+ * Converts a release date to a time that can be compared. Dates of new
+ * releases are date strings, and dates of releases in Firestore are
+ * Timestamps.
+ *
+ * @param {string|Timestamp|Date} date - The release date.
+ * @return {number} The number of milliseconds since the epoch.
+ */
+function toTime(date) {
+  if (date instanceof Timestamp) {
+    return date.toMillis();
+  }
+  return new Date(date).getTime();
+}
+
+/**
+ * Check that the release numbers of new releases follow on from the latest
+ * existing release. Ordered by release date, each new release should be
+ * numbered one more than the release before it.
+ *
+ * Assumes that the release names and dates have already been validated.
+ *
+ * @param {Array} newReleases - The new releases to validate.
+ * @param {Array} existingReleases - The releases that already exist.
+ * @return {Array} errors - A list of errors, one for each release that does
+ * not follow on from the release before it.
+ */
+function validateReleaseNumbers(newReleases, existingReleases) {
+  const errors = [];
+  const existingNumbers = existingReleases
+      .map((release) => getReleaseNumber(release.releaseName))
+      .filter((releaseNumber) => releaseNumber !== null);
+  let previousNumber = existingNumbers.length > 0 ?
+    Math.max(...existingNumbers) : null;
+
+  const sortedReleases = [...newReleases].sort((a, b) =>
+    toTime(a.releaseDate) - toTime(b.releaseDate));
+  for (const release of sortedReleases) {
+    const releaseNumber = getReleaseNumber(release.releaseName);
+    if (previousNumber !== null && releaseNumber !== previousNumber + 1) {
+      errors.push({
+        message: ERRORS.NON_MONOTONIC_RELEASE_NUMBER,
+        offendingRelease: release,
+        field: "releaseName",
+      });
+    }
+    previousNumber = releaseNumber;
+  }
+
+  return errors;
+}
+
+/**
+ * Check that the code freeze to release window of each release does not
+ * overlap the window of any other release. Windows can touch, so that a code
+ * freeze can start on the day of the previous release.
+ *
+ * Assumes that the release dates have already been validated.
+ *
+ * @param {Array} releases - The releases to validate.
+ * @param {Array} otherReleases - The other releases that the releases
+ * shouldn't overlap, such as the releases that already exist.
+ * @return {Array} errors - A list of errors, one for each release that
+ * overlaps another release, with the `field` of the date that is within the
+ * window of the other release.
+ */
+function validateReleaseOverlaps(releases, otherReleases) {
+  const errors = [];
+  const allReleases = [...releases, ...otherReleases];
+
+  for (const release of releases) {
+    const codeFreeze = toTime(release.codeFreezeDate);
+    const releaseDate = toTime(release.releaseDate);
+    const overlappingRelease = allReleases.find((other) =>
+      other !== release &&
+        toTime(other.codeFreezeDate) < releaseDate &&
+        codeFreeze < toTime(other.releaseDate));
+    if (overlappingRelease) {
+      errors.push({
+        message: ERRORS.RELEASE_OVERLAP,
+        offendingRelease: release,
+        field: codeFreeze > toTime(overlappingRelease.codeFreezeDate) ?
+          "codeFreezeDate" : "releaseDate",
+      });
+    }
+  }
+
+  return errors;
+}
+
 /**
  * Validation checks for a set of new releases. This function is only
  * intended to be used to validate releases that are to be scheduled, and not
  * already existing releases.
  *
  * @param {Object} newReleases - A set of new releases to be validated
+ * @param {Array} existingReleases - The releases that already exist, which
+ * the new releases should follow on from and not overlap.
  * @return {Object} list of errors from the validation of the releases.
  */
-function validateNewReleases(newReleases) {
+function validateNewReleases(newReleases, existingReleases = []) {
   const errors = [];
 
   if (newReleases) {
@@ -216,6 +390,10 @@ function validateNewReleases(newReleases) {
     if (errors.length === 0) {
       const uniqueReleaseNameErrors = validateUniqueReleaseNames(newReleases);
       errors.push(...uniqueReleaseNameErrors);
+      if (uniqueReleaseNameErrors.length === 0) {
+        errors.push(...validateReleaseNumbers(newReleases, existingReleases));
+      }
+      errors.push(...validateReleaseOverlaps(newReleases, existingReleases));
     }
   } else {
     errors.push({
@@ -226,6 +404,193 @@ function validateNewReleases(newReleases) {
   return errors;
 }
 
+/**
+ * Check that a modified release is numbered in order with the other
+ * releases, so that it is numbered one more than the release before it, and
+ * one less than the release after it, ordered by release date.
+ *
+ * Assumes that the release names and dates have already been validated.
+ *
+ * @param {Object} release - The modified release.
+ * @param {Array} otherReleases - The other releases that exist.
+ * @return {Array} errors - A list with an error if the release is not
+ * numbered in order.
+ */
+function validateModifiedReleaseNumber(release, otherReleases) {
+  const releaseNumber = getReleaseNumber(release.releaseName);
+  const releaseTime = toTime(release.releaseDate);
+  const sortedReleases = otherReleases
+      .filter((other) => getReleaseNumber(other.releaseName) !== null)
+      .sort((a, b) => toTime(a.releaseDate) - toTime(b.releaseDate));
+  const previousReleases = sortedReleases
+      .filter((other) => toTime(other.releaseDate) <= releaseTime);
+  const previousRelease = previousReleases[previousReleases.length - 1];
+  const nextRelease = sortedReleases
+      .find((other) => toTime(other.releaseDate) > releaseTime);
+
+  if ((previousRelease &&
+      getReleaseNumber(previousRelease.releaseName) !== releaseNumber - 1) ||
+      (nextRelease &&
+      getReleaseNumber(nextRelease.releaseName) !== releaseNumber + 1)) {
+    return [{
+      message: ERRORS.NON_MONOTONIC_RELEASE_NUMBER,
+      offendingRelease: release,
+      field: "releaseName",
+    }];
+  }
+
+  return [];
+}
+
+/**
+ * Validation checks for an existing release that is modified, against the
+ * other releases. The release has to keep a unique name, and must not
+ * overlap any other release. If its name or release date changed, it also
+ * has to be numbered in order with the other releases. Releases whose name
+ * and release date didn't change aren't renumbered, so that releases that
+ * were numbered before the numbering rule can still be edited.
+ *
+ * Assumes that the modified release has already been validated with
+ * validateRelease.
+ *
+ * @param {Object} release - The modified release.
+ * @param {Object} releaseBefore - The release before it was modified.
+ * @param {Array} otherReleases - The other releases that exist.
+ * @return {Array} errors - A list of errors from the validation of the
+ * release.
+ */
+function validateModifiedRelease(release, releaseBefore, otherReleases) {
+  const errors = [];
+
+  if (otherReleases.some((other) =>
+    other.releaseName === release.releaseName)) {
+    errors.push({
+      message: ERRORS.RELEASE_EXISTS,
+      offendingRelease: release,
+      field: "releaseName",
+    });
+  } else if (release.releaseName !== releaseBefore.releaseName ||
+      toTime(release.releaseDate) !== toTime(releaseBefore.releaseDate)) {
+    errors.push(...validateModifiedReleaseNumber(release, otherReleases));
+  }
+  errors.push(...validateReleaseOverlaps([release], otherReleases));
+
+  return errors;
+}
+
+// The limits of the fields of a release cadence.
+const MAX_CADENCE_COUNT = 52;
+const MAX_CADENCE_INTERVAL_WEEKS = 12;
+
+/**
+ * Checks that a value is an integer within a range.
+ *
+ * @param {*} value - The value to check.
+ * @param {number} min - The minimum value.
+ * @param {number} max - The maximum value.
+ * @return {boolean} True if the value is an integer within the range.
+ */
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Validates a release cadence, which is used to generate upcoming releases.
+ *
+ * The code freeze has to be at least a day before the release, and can't be
+ * before the previous release. Blackout dates are ranges of valid dates.
+ *
+ * @param {Object} cadence - The cadence to validate.
+ * @return {Array} errors - A list of errors from the validation of the
+ * cadence, each with the `field` that is invalid.
+ */
+function validateCadence(cadence) {
+  if (!cadence || typeof cadence !== "object") {
+    return [{message: ERRORS.INVALID_CADENCE, field: null}];
+  }
+
+  const errors = [];
+  const addError = (field) => errors.push({
+    message: ERRORS.INVALID_CADENCE,
+    field: field,
+  });
+
+  if (!isIntegerInRange(cadence.count, 1, MAX_CADENCE_COUNT)) {
+    addError("count");
+  }
+  if (!isIntegerInRange(
+      cadence.intervalWeeks, 1, MAX_CADENCE_INTERVAL_WEEKS)) {
+    addError("intervalWeeks");
+  } else if (!isIntegerInRange(cadence.codeFreezeOffsetDays, 1,
+      cadence.intervalWeeks * 7)) {
+    addError("codeFreezeOffsetDays");
+  }
+  if (cadence.branchNameTemplate !== undefined &&
+      (typeof cadence.branchNameTemplate !== "string" ||
+        !cadence.branchNameTemplate.includes(RELEASE_NAME_PLACEHOLDER))) {
+    addError("branchNameTemplate");
+  }
+  const blackoutDates = cadence.blackoutDates || [];
+  if (!Array.isArray(blackoutDates) || !blackoutDates.every((range) =>
+    range && REGEX.DATE.test(range.start) && REGEX.DATE.test(range.end) &&
+      isValidDate(range.start) && isValidDate(range.end) &&
+      range.start <= range.end)) {
+    addError("blackoutDates");
+  }
+
+  return errors;
+}
+
+/**
+ * Gets the code of a validation error, which is its key in ERRORS, so that
+ * clients can tell errors apart without relying on their messages.
+ *
+ * @param {string} message - The message of the error.
+ * @return {string|null} The code of the error, or null if it is unknown.
+ */
+function getErrorCode(message) {
+  const code = Object.keys(ERRORS).find((key) => ERRORS[key] === message);
+  return code || null;
+}
+
+/**
+ * Finds the release that each validation error is about, so that errors can
+ * be shown next to the release that caused them. An error about duplicate
+ * release names is about every release that shares its name with another.
+ *
+ * @param {Array} releases - The releases that were validated.
+ * @param {Array} errors - The errors from the validation of the releases.
+ * @return {Array} The errors, each with its `code` and `message`, the
+ * `releaseIndex` of the release it is about, or null if it isn't about a
+ * single release, and the release `field` it is about, or null if it isn't
+ * about a single field.
+ */
+function getReleaseErrorIndexes(releases, errors) {
+  return errors.flatMap((error) => {
+    if (error.message === ERRORS.DUPLICATE_RELEASE_NAMES) {
+      const releaseNames = releases.map((release) => release.releaseName);
+      return releaseNames
+          .map((releaseName, index) => ({releaseName, index}))
+          .filter(({releaseName}) => releaseNames.indexOf(releaseName) !==
+            releaseNames.lastIndexOf(releaseName))
+          .map(({index}) => ({
+            code: getErrorCode(error.message),
+            message: error.message,
+            releaseIndex: index,
+            field: error.field,
+          }));
+    }
+
+    const releaseIndex = releases.indexOf(error.offendingRelease);
+    return [{
+      code: getErrorCode(error.message),
+      message: error.message,
+      releaseIndex: releaseIndex === -1 ? null : releaseIndex,
+      field: error.field || null,
+    }];
+  });
+}
+
 /**
  * Validates that a release object is in a valid form.
  *
@@ -293,6 +658,11 @@ function validateNewReleasesStructure(newReleases) {
 module.exports = {
   isValidDate,
   validateRelease,
+  validateReleaseBranch,
   validateNewReleases,
+  validateReleaseOverlaps,
+  validateModifiedRelease,
   validateNewReleasesStructure,
+  getReleaseErrorIndexes,
+  validateCadence,
 };